@@ -2,14 +2,13 @@
  * Feedback Learning API
  *
  * Endpoint to trigger feedback analysis and memory file generation.
+ * Learning runs as a background job; POST returns the queued job.
  * Accessible to authenticated users (can be restricted to admin later).
  */
 
-import {
-  runFeedbackLearning,
-  runFeedbackLearningForAllAgents,
-  getLearningStatus
-} from '../src/feedback-learning/orchestrator.js';
+import { getLearningStatus } from '../src/feedback-learning/orchestrator.js';
+import { enqueueJob } from '../src/jobs/queue.js';
+import { JOB_TYPES } from '../src/jobs/tasks.js';
 
 export default async function handler(req, res) {
   // Handle OPTIONS for CORS
@@ -59,21 +58,28 @@ export default async function handler(req, res) {
     }
   }
 
-  // POST: Trigger learning process
+  // POST: Queue learning process
   if (req.method === 'POST') {
     const { agentType, all } = req.body;
 
     try {
-      if (all) {
-        // Run for all agents
-        console.log('🧠 API: Running feedback learning for ALL agents');
-        const result = await runFeedbackLearningForAllAgents();
-        return res.json(result);
-      } else if (agentType) {
-        // Run for specific agent
-        console.log(`🧠 API: Running feedback learning for ${agentType}`);
-        const result = await runFeedbackLearning(agentType);
-        return res.json(result);
+      if (all || agentType) {
+        // One job for all agents fans out to a job per agent
+        const payload = all ? {} : { agentType };
+        console.log(`🧠 API: Queueing feedback learning for ${all ? 'ALL agents' : agentType}`);
+
+        const job = await enqueueJob(JOB_TYPES.FEEDBACK_LEARNING, payload, {
+          dedupeKey: `${JOB_TYPES.FEEDBACK_LEARNING}:${all ? 'all' : agentType}`
+        });
+
+        return res.status(202).json({
+          success: true,
+          queued: Boolean(job),
+          jobId: job?.id || null,
+          message: job
+            ? 'Feedback learning queued - see Background Jobs in the admin dashboard for progress'
+            : 'Feedback learning is already queued or running'
+        });
       } else {
         return res.status(400).json({
           error: 'Missing required parameter',
@@ -85,7 +91,7 @@ export default async function handler(req, res) {
         });
       }
     } catch (error) {
-      console.error('Error running feedback learning:', error);
+      console.error('Error queueing feedback learning:', error);
       return res.status(500).json({
         success: false,
         error: error.message
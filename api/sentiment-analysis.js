@@ -4,7 +4,7 @@
  * GET /api/sentiment-analysis - Get sentiment stats and trends
  */
 
-import { analyzeFeedbackSentiment, analyzeBatchSentiment, calculateSentimentStats, generateFeedbackInsights } from '../src/feedback-learning/sentiment-analyzer.js';
+import { analyzeFeedbackSentiment, analyzeBatchSentiment, generateFeedbackInsights } from '../src/feedback-learning/sentiment-analyzer.js';
 import {
   saveFeedbackSentiment,
   getFeedbackPendingAnalysis,
@@ -14,6 +14,8 @@ import {
   getCommonEmotions,
   getFeedbackWithSentiment
 } from '../src/database/sentiment.js';
+import { enqueueJob } from '../src/jobs/queue.js';
+import { JOB_TYPES } from '../src/jobs/tasks.js';
 
 export default async function handler(req, res) {
   // Handle OPTIONS for CORS
@@ -34,42 +36,18 @@ export default async function handler(req, res) {
       const { action, agentType } = req.body;
 
       if (action === 'analyze-pending') {
-        // Analyze all pending feedback
-        console.log('🔍 Finding feedback pending sentiment analysis...');
-        const pendingFeedback = await getFeedbackPendingAnalysis(100);
-
-        console.log(`📊 Found ${pendingFeedback.length} feedback items to analyze`);
-
-        if (pendingFeedback.length === 0) {
-          return res.status(200).json({
-            success: true,
-            message: 'No feedback pending analysis',
-            analyzed: 0
-          });
-        }
-
-        // Analyze in batches
-        const analyses = await analyzeBatchSentiment(pendingFeedback);
-
-        // Save results to database
-        console.log('💾 Saving sentiment analysis results...');
-        for (let i = 0; i < pendingFeedback.length; i++) {
-          await saveFeedbackSentiment(
-            pendingFeedback[i].id,
-            analyses[i],
-            pendingFeedback[i].source_table  // Pass which table to update
-          );
-        }
-
-        console.log(`✅ Sentiment analysis complete for ${analyses.length} items`);
-
-        // Calculate stats for response
-        const stats = calculateSentimentStats(analyses);
+        // Analyze all pending feedback in a background job
+        const job = await enqueueJob(JOB_TYPES.SENTIMENT_BACKFILL, {}, {
+          dedupeKey: JOB_TYPES.SENTIMENT_BACKFILL
+        });
 
-        return res.status(200).json({
+        return res.status(202).json({
           success: true,
-          analyzed: analyses.length,
-          stats
+          queued: Boolean(job),
+          jobId: job?.id || null,
+          message: job
+            ? 'Sentiment analysis queued - see Background Jobs in the admin dashboard for progress'
+            : 'Sentiment analysis is already queued or running'
         });
       }
 
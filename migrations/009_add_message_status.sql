@@ -0,0 +1,9 @@
+-- Migration: 009_add_message_status.sql
+-- Track message completion state (e.g. runs cancelled by the user) and per-message metadata
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'complete';
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Add comments
+COMMENT ON COLUMN messages.status IS 'Message state: complete or cancelled (run stopped by the user)';
+COMMENT ON COLUMN messages.metadata IS 'Free-form per-message metadata (e.g. cancellation details)';
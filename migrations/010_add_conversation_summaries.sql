@@ -0,0 +1,23 @@
+-- Migration: 010_add_conversation_summaries.sql
+-- Store compacted summaries of older conversation turns (context compaction)
+
+CREATE TABLE IF NOT EXISTS conversation_summaries (
+  id SERIAL PRIMARY KEY,
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  summary TEXT NOT NULL,
+  covered_until TIMESTAMP NOT NULL,
+  message_count INTEGER NOT NULL DEFAULT 0,
+  tokens_before INTEGER,
+  tokens_after INTEGER,
+  model VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_conversation_summaries_conversation_id
+  ON conversation_summaries(conversation_id, covered_until DESC);
+
+-- Add comments
+COMMENT ON TABLE conversation_summaries IS 'Summaries that replace older turns when conversation history nears the token budget';
+COMMENT ON COLUMN conversation_summaries.covered_until IS 'created_at of the last message folded into this summary';
+COMMENT ON COLUMN conversation_summaries.message_count IS 'Number of raw messages the summary replaces (cumulative)';
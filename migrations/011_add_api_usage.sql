@@ -0,0 +1,28 @@
+-- Migration: 011_add_api_usage.sql
+-- Record token usage for every Claude API call made by the agent loop
+
+CREATE TABLE IF NOT EXISTS api_usage (
+  id SERIAL PRIMARY KEY,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+  session_id VARCHAR(100),
+  agent_type VARCHAR(100),
+  model VARCHAR(100) NOT NULL,
+  iteration INTEGER NOT NULL DEFAULT 1,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cache_creation_input_tokens INTEGER NOT NULL DEFAULT 0,
+  cache_read_input_tokens INTEGER NOT NULL DEFAULT 0,
+  tool_calls_count INTEGER NOT NULL DEFAULT 0,
+  stop_reason VARCHAR(50),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_api_usage_conversation_id ON api_usage(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_api_usage_created_at ON api_usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_api_usage_model ON api_usage(model);
+
+-- Add comments
+COMMENT ON TABLE api_usage IS 'Token usage reported by the Claude API for each agent loop iteration';
+COMMENT ON COLUMN api_usage.iteration IS 'Agent loop iteration that made the call (1-based)';
+COMMENT ON COLUMN api_usage.tool_calls_count IS 'Tool calls (client and server tools) requested in this response';
@@ -0,0 +1,19 @@
+-- Migration: 012_add_tool_results.sql
+-- Store large tool results outside the messages table (referenced from tool_result blocks)
+
+CREATE TABLE IF NOT EXISTS tool_results (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  tool_use_id VARCHAR(100) NOT NULL,
+  tool_name VARCHAR(100),
+  content TEXT NOT NULL,
+  size_chars INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_tool_results_conversation_id ON tool_results(conversation_id);
+
+-- Add comments
+COMMENT ON TABLE tool_results IS 'Full tool result payloads too large to store inline in messages.content';
+COMMENT ON COLUMN tool_results.tool_use_id IS 'tool_use_id of the tool_result block that references this row';
@@ -0,0 +1,36 @@
+-- Migration: 013_add_agent_prompts.sql
+-- Versioned agent prompts edited from the admin dashboard (falls back to .claude/agents/*.md)
+
+CREATE TABLE IF NOT EXISTS agent_prompt_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_type VARCHAR(100) NOT NULL,
+  version INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  change_note TEXT,
+  author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  published_at TIMESTAMP,
+  UNIQUE (agent_type, version)
+);
+
+-- Published version per agent (no row = use the prompt file)
+CREATE TABLE IF NOT EXISTS agent_prompts (
+  agent_type VARCHAR(100) PRIMARY KEY,
+  published_version_id UUID NOT NULL REFERENCES agent_prompt_versions(id),
+  published_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Prompt version each conversation last ran with (NULL = prompt file)
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS prompt_version_id UUID REFERENCES agent_prompt_versions(id) ON DELETE SET NULL;
+
+-- Create indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_agent_prompt_versions_agent_type ON agent_prompt_versions(agent_type, version DESC);
+CREATE INDEX IF NOT EXISTS idx_conversations_prompt_version_id ON conversations(prompt_version_id);
+
+-- Add comments
+COMMENT ON TABLE agent_prompt_versions IS 'Immutable history of agent system prompts (drafts and published versions)';
+COMMENT ON COLUMN agent_prompt_versions.version IS 'Version number, increasing per agent_type';
+COMMENT ON COLUMN agent_prompt_versions.published_at IS 'When this version was last published (NULL = never published)';
+COMMENT ON TABLE agent_prompts IS 'Currently published prompt version per agent';
+COMMENT ON COLUMN conversations.prompt_version_id IS 'Agent prompt version used by the latest run (NULL = .claude/agents file)';
@@ -0,0 +1,43 @@
+-- Migration: 014_add_prompt_experiments.sql
+-- Prompt A/B experiments: weighted prompt variants per agent, with conversation assignments
+
+CREATE TABLE IF NOT EXISTS prompt_experiments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_type VARCHAR(100) NOT NULL,
+  name VARCHAR(200) NOT NULL,
+  description TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'running', 'stopped')),
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  ended_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS prompt_experiment_variants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  experiment_id UUID NOT NULL REFERENCES prompt_experiments(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  prompt_version_id UUID REFERENCES agent_prompt_versions(id),
+  weight INTEGER NOT NULL CHECK (weight > 0),
+  position INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS prompt_experiment_assignments (
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  experiment_id UUID NOT NULL REFERENCES prompt_experiments(id) ON DELETE CASCADE,
+  variant_id UUID NOT NULL REFERENCES prompt_experiment_variants(id) ON DELETE CASCADE,
+  assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (conversation_id, experiment_id)
+);
+
+-- Create indexes for efficient queries
+-- At most one running experiment per agent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_experiments_running ON prompt_experiments(agent_type) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_prompt_experiment_variants_experiment_id ON prompt_experiment_variants(experiment_id, position);
+CREATE INDEX IF NOT EXISTS idx_prompt_experiment_assignments_variant_id ON prompt_experiment_assignments(variant_id);
+
+-- Add comments
+COMMENT ON TABLE prompt_experiments IS 'A/B tests comparing agent prompt versions';
+COMMENT ON COLUMN prompt_experiment_variants.prompt_version_id IS 'Prompt version served to this variant (NULL = the published prompt, i.e. control)';
+COMMENT ON COLUMN prompt_experiment_variants.position IS 'Display order; position 0 is the control the others are compared against';
+COMMENT ON TABLE prompt_experiment_assignments IS 'Which variant each conversation was assigned to (sticky for the conversation)';
@@ -0,0 +1,32 @@
+-- Migration: 015_add_message_branches.sql
+-- Message tree for conversation branches: editing an earlier message or
+-- regenerating a response adds a sibling under the same parent message
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'messages' AND column_name = 'parent_id'
+  ) THEN
+    ALTER TABLE messages ADD COLUMN parent_id UUID REFERENCES messages(id) ON DELETE CASCADE;
+
+    -- Existing conversations are a single branch: each message follows the previous one
+    UPDATE messages m
+    SET parent_id = ordered.previous_id
+    FROM (
+      SELECT id, LAG(id) OVER (PARTITION BY conversation_id ORDER BY created_at, id) AS previous_id
+      FROM messages
+    ) ordered
+    WHERE m.id = ordered.id AND ordered.previous_id IS NOT NULL;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_messages_parent_id ON messages(parent_id);
+
+-- Summaries cover a prefix of one branch
+ALTER TABLE conversation_summaries
+  ADD COLUMN IF NOT EXISTS covered_message_id UUID REFERENCES messages(id) ON DELETE CASCADE;
+
+-- Add comments
+COMMENT ON COLUMN messages.parent_id IS 'Previous message on this branch (NULL for the first message); siblings share a parent';
+COMMENT ON COLUMN conversation_summaries.covered_message_id IS 'Last message folded into this summary (identifies the branch it belongs to)';
@@ -0,0 +1,37 @@
+-- Migration: 016_add_conversation_shares.sql
+-- Conversation sharing: view/comment/continue access for a teammate or the whole team,
+-- and comments on shared conversations
+
+CREATE TABLE IF NOT EXISTS conversation_shares (
+  id SERIAL PRIMARY KEY,
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  permission VARCHAR(20) NOT NULL CHECK (permission IN ('view', 'comment', 'continue')),
+  granted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One share per teammate, and one team-wide share, per conversation
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversation_shares_user
+  ON conversation_shares(conversation_id, user_id) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversation_shares_team
+  ON conversation_shares(conversation_id) WHERE user_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_conversation_shares_user_id ON conversation_shares(user_id);
+
+CREATE TABLE IF NOT EXISTS conversation_comments (
+  id SERIAL PRIMARY KEY,
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_comments_conversation_id
+  ON conversation_comments(conversation_id, created_at);
+
+-- Add comments
+COMMENT ON TABLE conversation_shares IS 'Access to a conversation granted by its owner';
+COMMENT ON COLUMN conversation_shares.user_id IS 'Teammate the conversation is shared with (NULL = the whole team)';
+COMMENT ON COLUMN conversation_shares.permission IS 'view: read only; comment: read and comment; continue: can also send messages';
+COMMENT ON TABLE conversation_comments IS 'Comments on a conversation (optionally on one message) by its owner or teammates';
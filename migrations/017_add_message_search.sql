@@ -0,0 +1,118 @@
+-- Migration: 017_add_message_search.sql
+-- Full-text search over conversations: message text (including tool calls
+-- and tool results kept inline) and large tool results stored by reference
+
+-- Searchable text of a messages.content value: plain text as is; for JSON
+-- content blocks, text blocks, tool_result content and tool_use inputs
+CREATE OR REPLACE FUNCTION message_search_text(content TEXT) RETURNS TEXT AS $$
+DECLARE
+  blocks JSONB;
+BEGIN
+  IF content IS NULL OR left(ltrim(content), 1) <> '[' THEN
+    RETURN content;
+  END IF;
+
+  BEGIN
+    blocks := content::jsonb;
+  EXCEPTION WHEN others THEN
+    RETURN content;
+  END;
+
+  RETURN (
+    SELECT string_agg(part, E'\n')
+    FROM jsonb_array_elements(blocks) AS block,
+    LATERAL (
+      SELECT block->>'text' AS part
+      WHERE block->>'type' = 'text'
+      UNION ALL
+      SELECT CASE jsonb_typeof(block->'content')
+               WHEN 'string' THEN block->>'content'
+               WHEN 'array' THEN (
+                 SELECT string_agg(inner_block->>'text', E'\n')
+                 FROM jsonb_array_elements(block->'content') AS inner_block
+                 WHERE inner_block->>'type' = 'text'
+               )
+             END
+      WHERE block->>'type' = 'tool_result'
+      UNION ALL
+      SELECT (block->'input')::text
+      WHERE block->>'type' = 'tool_use'
+    ) parts
+    WHERE part IS NOT NULL
+  );
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Full-text vectors; text is capped to stay under the tsvector size limit
+CREATE OR REPLACE FUNCTION message_search_vector(content TEXT) RETURNS TSVECTOR AS $$
+  SELECT to_tsvector('english', left(coalesce(message_search_text(content), ''), 200000));
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION tool_result_search_vector(content TEXT) RETURNS TSVECTOR AS $$
+  SELECT to_tsvector('english', left(coalesce(content, ''), 200000));
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Plain columns kept up to date by triggers. A GENERATED ... STORED column
+-- would rewrite both tables under an ACCESS EXCLUSIVE lock while the server
+-- starts; existing rows are filled in by the message-search-backfill job instead.
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+ALTER TABLE tool_results ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+-- Databases that got the earlier generated columns keep their data (no rewrite)
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'messages' AND column_name = 'search_vector' AND is_generated = 'ALWAYS'
+  ) THEN
+    ALTER TABLE messages ALTER COLUMN search_vector DROP EXPRESSION;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'tool_results' AND column_name = 'search_vector' AND is_generated = 'ALWAYS'
+  ) THEN
+    ALTER TABLE tool_results ALTER COLUMN search_vector DROP EXPRESSION;
+  END IF;
+END $$;
+
+CREATE OR REPLACE FUNCTION messages_search_vector_trigger() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_vector := message_search_vector(NEW.content);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION tool_results_search_vector_trigger() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_vector := tool_result_search_vector(NEW.content);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'messages_search_vector_update') THEN
+    CREATE TRIGGER messages_search_vector_update
+      BEFORE INSERT OR UPDATE OF content ON messages
+      FOR EACH ROW EXECUTE FUNCTION messages_search_vector_trigger();
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'tool_results_search_vector_update') THEN
+    CREATE TRIGGER tool_results_search_vector_update
+      BEFORE INSERT OR UPDATE OF content ON tool_results
+      FOR EACH ROW EXECUTE FUNCTION tool_results_search_vector_trigger();
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_tool_results_search_vector ON tool_results USING GIN (search_vector);
+
+-- Rows the backfill job still has to index
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector_missing ON messages (id) WHERE search_vector IS NULL;
+CREATE INDEX IF NOT EXISTS idx_tool_results_search_vector_missing ON tool_results (id) WHERE search_vector IS NULL;
+
+-- Add comments
+COMMENT ON FUNCTION message_search_text(TEXT) IS 'Searchable text of a message: text blocks, tool_result content and tool_use inputs';
+COMMENT ON COLUMN messages.search_vector IS 'Full-text index of message_search_text(content) for conversation search (set by trigger)';
+COMMENT ON COLUMN tool_results.search_vector IS 'Full-text index of the stored tool result for conversation search (set by trigger)';
@@ -0,0 +1,24 @@
+-- Migration: 018_add_conversation_hubspot_links.sql
+-- Link conversations to the HubSpot deals (grant applications) and companies they are about
+
+CREATE TABLE IF NOT EXISTS conversation_hubspot_links (
+  id SERIAL PRIMARY KEY,
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  object_type VARCHAR(20) NOT NULL CHECK (object_type IN ('deal', 'company')),
+  object_id VARCHAR(50) NOT NULL,
+  name TEXT,
+  source VARCHAR(20) NOT NULL DEFAULT 'tool' CHECK (source IN ('tool', 'manual')),
+  linked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A deal/company is linked to a conversation once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversation_hubspot_links_object
+  ON conversation_hubspot_links(conversation_id, object_type, object_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_hubspot_links_lookup
+  ON conversation_hubspot_links(object_type, object_id);
+
+-- Add comments
+COMMENT ON TABLE conversation_hubspot_links IS 'HubSpot deals and companies a conversation is about';
+COMMENT ON COLUMN conversation_hubspot_links.object_id IS 'HubSpot deal or company ID';
+COMMENT ON COLUMN conversation_hubspot_links.source IS 'tool: resolved by load_company_context/get_grant_application; manual: linked by a user';
@@ -0,0 +1,52 @@
+-- Migration: 019_add_background_jobs.sql
+-- Durable background job queue (retries with backoff) and cron-like schedules
+
+CREATE TABLE IF NOT EXISTS background_jobs (
+  id SERIAL PRIMARY KEY,
+  job_type VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  dedupe_key VARCHAR(255),
+  schedule_name VARCHAR(100),
+  locked_by VARCHAR(100),
+  locked_at TIMESTAMP,
+  last_error TEXT,
+  result JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+-- Workers claim the oldest due pending job
+CREATE INDEX IF NOT EXISTS idx_background_jobs_due
+  ON background_jobs(run_at, id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_background_jobs_status ON background_jobs(status, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_background_jobs_type ON background_jobs(job_type, created_at DESC);
+
+-- At most one queued/running job per dedupe key
+CREATE UNIQUE INDEX IF NOT EXISTS idx_background_jobs_dedupe
+  ON background_jobs(dedupe_key) WHERE dedupe_key IS NOT NULL AND status IN ('pending', 'running');
+
+CREATE TABLE IF NOT EXISTS background_job_schedules (
+  name VARCHAR(100) PRIMARY KEY,
+  job_type VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  cron VARCHAR(100) NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  next_run_at TIMESTAMPTZ NOT NULL,
+  last_run_at TIMESTAMPTZ,
+  last_job_id INTEGER REFERENCES background_jobs(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add comments
+COMMENT ON TABLE background_jobs IS 'Durable background work (titles, feedback learning, sentiment backfill) run by the job worker';
+COMMENT ON COLUMN background_jobs.run_at IS 'Earliest time the job may run (set to the backoff time after a failed attempt)';
+COMMENT ON COLUMN background_jobs.dedupe_key IS 'Skip enqueueing when a pending/running job already has this key';
+COMMENT ON COLUMN background_jobs.locked_by IS 'Worker running the job; running jobs with an old locked_at are requeued';
+COMMENT ON TABLE background_job_schedules IS 'Recurring jobs: a job is enqueued each time next_run_at passes (cron in UTC)';
@@ -0,0 +1,49 @@
+-- Migration: 020_add_grant_card_batches.sql
+-- Batch grant card generation: many program documents (PDF uploads or URLs)
+-- processed with the grant-card-generator prompt through the Message Batches API
+
+CREATE TABLE IF NOT EXISTS grant_card_batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  name VARCHAR(255) NOT NULL,
+  instructions TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+  provider_batch_id VARCHAR(100),
+  prompt_version_id UUID REFERENCES agent_prompt_versions(id) ON DELETE SET NULL,
+  request_counts JSONB,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_grant_card_batches_user ON grant_card_batches(user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS grant_card_batch_items (
+  id SERIAL PRIMARY KEY,
+  batch_id UUID NOT NULL REFERENCES grant_card_batches(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  source_type VARCHAR(10) NOT NULL CHECK (source_type IN ('file', 'url')),
+  source_name TEXT NOT NULL,
+  source_url TEXT,
+  file_id VARCHAR(100),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'succeeded', 'failed')),
+  output TEXT,
+  error TEXT,
+  input_tokens INTEGER,
+  output_tokens INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_grant_card_batch_items_position
+  ON grant_card_batch_items(batch_id, position);
+
+-- Add comments
+COMMENT ON TABLE grant_card_batches IS 'A set of program documents turned into grant cards in one Message Batches request';
+COMMENT ON COLUMN grant_card_batches.provider_batch_id IS 'Message Batches API batch ID (set once submitted)';
+COMMENT ON COLUMN grant_card_batches.request_counts IS 'Latest processing/succeeded/errored/canceled/expired counts from the batch API';
+COMMENT ON TABLE grant_card_batch_items IS 'One program document in a grant card batch, with its grant card or error';
+COMMENT ON COLUMN grant_card_batch_items.file_id IS 'Files API ID of an uploaded PDF';
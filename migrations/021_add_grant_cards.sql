@@ -0,0 +1,26 @@
+-- Migration: 021_add_grant_cards.sql
+-- Structured grant cards: the schema-validated JSON behind every rendering
+-- (saved from the grant-card-generator's save_grant_card tool and from batches)
+
+CREATE TABLE IF NOT EXISTS grant_cards (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+  batch_item_id INTEGER REFERENCES grant_card_batch_items(id) ON DELETE SET NULL,
+  program_name VARCHAR(255) NOT NULL,
+  grant_type VARCHAR(30) NOT NULL,
+  card JSONB NOT NULL,
+  schema_version INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_grant_cards_user ON grant_cards(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_grant_cards_conversation ON grant_cards(conversation_id) WHERE conversation_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_grant_cards_batch_item ON grant_cards(batch_item_id) WHERE batch_item_id IS NOT NULL;
+
+-- Add comments
+COMMENT ON TABLE grant_cards IS 'Schema-validated grant cards (see src/grant-cards/schema.js)';
+COMMENT ON COLUMN grant_cards.card IS 'Grant card object; Markdown, HTML and JSON renderings are produced from it';
+COMMENT ON COLUMN grant_cards.schema_version IS 'GRANT_CARD_SCHEMA_VERSION the card was validated against';
+COMMENT ON COLUMN grant_cards.batch_item_id IS 'Batch document the card was generated from (null for chat)';
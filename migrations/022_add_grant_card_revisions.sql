@@ -0,0 +1,26 @@
+-- Migration: 022_add_grant_card_revisions.sql
+-- Proposed updates to grant cards (e.g. a program guide revised for a new fiscal year),
+-- held for review until their sections are accepted or rejected
+
+CREATE TABLE IF NOT EXISTS grant_card_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  grant_card_id UUID NOT NULL REFERENCES grant_cards(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+  source_name VARCHAR(500),
+  prior_card JSONB NOT NULL,
+  proposed_card JSONB NOT NULL,
+  changes JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'applied', 'discarded')),
+  decisions JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_grant_card_revisions_card ON grant_card_revisions(grant_card_id, created_at DESC);
+
+-- Add comments
+COMMENT ON TABLE grant_card_revisions IS 'Proposed grant card updates with their field-by-field change report';
+COMMENT ON COLUMN grant_card_revisions.prior_card IS 'The stored card the change report was computed against';
+COMMENT ON COLUMN grant_card_revisions.changes IS 'Change report (see diffGrantCards in src/grant-cards/diff.js)';
+COMMENT ON COLUMN grant_card_revisions.decisions IS 'Reviewer decision per section: {sectionKey: accept|reject}';
@@ -0,0 +1,17 @@
+-- Migration: 023_add_grant_card_batch_submitting.sql
+-- A 'submitting' batch status, set before the Message Batches request is sent,
+-- so a retried submit job can tell that the batch may already have been sent
+
+-- Replaced only once: re-adding a CHECK constraint rescans the table on every startup
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'grant_card_batches_status_check'
+      AND pg_get_constraintdef(oid) LIKE '%submitting%'
+  ) THEN
+    ALTER TABLE grant_card_batches DROP CONSTRAINT IF EXISTS grant_card_batches_status_check;
+    ALTER TABLE grant_card_batches ADD CONSTRAINT grant_card_batches_status_check
+      CHECK (status IN ('pending', 'submitting', 'processing', 'completed', 'failed'));
+  END IF;
+END $$;
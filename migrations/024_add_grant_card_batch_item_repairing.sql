@@ -0,0 +1,17 @@
+-- Migration: 024_add_grant_card_batch_item_repairing.sql
+-- A 'repairing' item status: the batch answer failed validation and is waiting
+-- for its repair job (grant-card-batch-repair)
+
+-- Replaced only once: re-adding a CHECK constraint rescans the table on every startup
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'grant_card_batch_items_status_check'
+      AND pg_get_constraintdef(oid) LIKE '%repairing%'
+  ) THEN
+    ALTER TABLE grant_card_batch_items DROP CONSTRAINT IF EXISTS grant_card_batch_items_status_check;
+    ALTER TABLE grant_card_batch_items ADD CONSTRAINT grant_card_batch_items_status_check
+      CHECK (status IN ('pending', 'processing', 'repairing', 'succeeded', 'failed'));
+  END IF;
+END $$;
@@ -0,0 +1,32 @@
+-- Migration: 025_add_tool_result_message_id.sql
+-- Link each stored tool result to the tool_result message that references it,
+-- so conversation search can join on the message id instead of matching text
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'tool_results' AND column_name = 'message_id'
+  ) THEN
+    ALTER TABLE tool_results ADD COLUMN message_id UUID REFERENCES messages(id) ON DELETE CASCADE;
+
+    -- Link results saved before this column existed (once, when it is added)
+    UPDATE tool_results tr
+    SET message_id = refs.message_id
+    FROM (
+      SELECT m.id AS message_id, block->>'result_ref' AS result_ref
+      FROM messages m
+      CROSS JOIN LATERAL jsonb_array_elements(m.content::jsonb) AS block
+      WHERE m.role = 'user'
+        AND m.metadata->>'step' = 'tool_result'
+        AND left(m.content, 1) = '['
+        AND m.content LIKE '%"result_ref"%'
+    ) refs
+    WHERE tr.id::text = refs.result_ref;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_tool_results_message_id ON tool_results(message_id);
+
+-- Add comments
+COMMENT ON COLUMN tool_results.message_id IS 'tool_result message whose block references this row (result_ref)';
@@ -26,6 +26,15 @@ const state = {
     page: 1,
     totalPages: 1,
     filters: { action: '' }
+  },
+  jobs: {
+    filters: { status: '', jobType: '' }
+  },
+  prompts: {
+    agents: [],
+    agentType: '',
+    detail: null,
+    experiments: []
   }
 };
 
@@ -148,6 +157,108 @@ class AdminAPI {
   async getDatabaseStats() {
     return this.request('/system/database');
   }
+
+  // Prompts
+  async getPrompts() {
+    return this.request('/prompts');
+  }
+
+  async getPrompt(agentType) {
+    return this.request(`/prompts/${agentType}`);
+  }
+
+  async getPromptVersion(agentType, versionId) {
+    return this.request(`/prompts/${agentType}/versions/${versionId}`);
+  }
+
+  async savePromptVersion(agentType, content, changeNote, publish = false) {
+    return this.request(`/prompts/${agentType}/versions`, {
+      method: 'POST',
+      body: JSON.stringify({ content, changeNote, publish })
+    });
+  }
+
+  async publishPromptVersion(agentType, versionId) {
+    return this.request(`/prompts/${agentType}/versions/${versionId}/publish`, {
+      method: 'POST'
+    });
+  }
+
+  async rollbackPrompt(agentType) {
+    return this.request(`/prompts/${agentType}/rollback`, {
+      method: 'POST'
+    });
+  }
+
+  async diffPrompt(agentType, from, to) {
+    const params = new URLSearchParams({ from, to });
+    return this.request(`/prompts/${agentType}/diff?${params}`);
+  }
+
+  // Prompt experiments
+  async getExperiments(agentType) {
+    const params = new URLSearchParams({ agentType });
+    return this.request(`/experiments?${params}`);
+  }
+
+  async createExperiment(experiment) {
+    return this.request('/experiments', {
+      method: 'POST',
+      body: JSON.stringify(experiment)
+    });
+  }
+
+  async startExperiment(id) {
+    return this.request(`/experiments/${id}/start`, {
+      method: 'POST'
+    });
+  }
+
+  async stopExperiment(id) {
+    return this.request(`/experiments/${id}/stop`, {
+      method: 'POST'
+    });
+  }
+
+  async getExperimentReport(id) {
+    return this.request(`/experiments/${id}/report`);
+  }
+
+  // Background jobs
+  async getJobsOverview() {
+    return this.request('/jobs/overview');
+  }
+
+  async getJobs(filters = {}) {
+    const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+    return this.request(`/jobs?${params}`);
+  }
+
+  async enqueueJob(jobType, payload = {}) {
+    return this.request('/jobs', {
+      method: 'POST',
+      body: JSON.stringify({ jobType, payload })
+    });
+  }
+
+  async retryJob(id) {
+    return this.request(`/jobs/${id}/retry`, {
+      method: 'POST'
+    });
+  }
+
+  async cancelJob(id) {
+    return this.request(`/jobs/${id}/cancel`, {
+      method: 'POST'
+    });
+  }
+
+  async setJobScheduleEnabled(name, enabled) {
+    return this.request(`/jobs/schedules/${encodeURIComponent(name)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ enabled })
+    });
+  }
 }
 
 const api = new AdminAPI();
@@ -223,6 +334,8 @@ async function showSection(section) {
     analytics: 'Analytics',
     errors: 'Error Logs',
     system: 'System Health',
+    jobs: 'Background Jobs',
+    prompts: 'Agent Prompts',
     audit: 'Audit Log'
   };
   document.getElementById('sectionTitle').textContent = titles[section];
@@ -247,6 +360,12 @@ async function showSection(section) {
     case 'system':
       await loadSystemSection();
       break;
+    case 'jobs':
+      await loadJobsSection();
+      break;
+    case 'prompts':
+      await loadPromptsSection();
+      break;
     case 'audit':
       await loadAuditSection();
       break;
@@ -308,6 +427,17 @@ function setupEventListeners() {
     await loadConversationsSection();
   });
 
+  // Job filters
+  document.getElementById('jobStatusFilter').addEventListener('change', async (e) => {
+    state.jobs.filters.status = e.target.value;
+    await loadJobsTable();
+  });
+
+  document.getElementById('jobTypeFilter').addEventListener('change', async (e) => {
+    state.jobs.filters.jobType = e.target.value;
+    await loadJobsTable();
+  });
+
   // Audit filter
   document.getElementById('auditActionFilter').addEventListener('change', async (e) => {
     state.audit.filters.action = e.target.value;
@@ -315,6 +445,20 @@ function setupEventListeners() {
     await loadAuditSection();
   });
 
+  // Prompt editor
+  document.getElementById('promptAgentSelect').addEventListener('change', async (e) => {
+    state.prompts.agentType = e.target.value;
+    await loadPromptDetail();
+  });
+
+  document.getElementById('savePromptDraftBtn').addEventListener('click', () => savePrompt(false));
+  document.getElementById('publishPromptBtn').addEventListener('click', () => savePrompt(true));
+  document.getElementById('rollbackPromptBtn').addEventListener('click', rollbackPrompt);
+
+  // Prompt experiments
+  document.getElementById('addExperimentVariantBtn').addEventListener('click', () => addExperimentVariantRow());
+  document.getElementById('createExperimentBtn').addEventListener('click', createExperiment);
+
   // Modal close buttons
   document.querySelectorAll('.modal-close').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -553,6 +697,7 @@ window.viewConversation = async function(conversationId) {
         <p style="color: var(--gray-600); font-size: 13px;">
           ${conversation.user_name || conversation.user_email} •
           ${formatAgentName(conversation.agent_type)} •
+          ${conversation.prompt_version ? `Prompt v${conversation.prompt_version}` : 'Prompt file'} •
           ${formatDateTime(conversation.created_at)}
         </p>
       </div>
@@ -625,6 +770,12 @@ function renderCostEstimates(costs) {
       <div class="cost-label">Total Tokens</div>
       <div class="cost-value">${formatNumber(costs.totalTokens)}</div>
     </div>
+    ${(costs.byModel || []).map(model => `
+      <div class="cost-item">
+        <div class="cost-label">${escapeHtml(model.model)} • ${formatNumber(model.apiCalls)} calls</div>
+        <div class="cost-value">$${model.cost.toFixed(2)}</div>
+      </div>
+    `).join('')}
   `;
 }
 
@@ -781,6 +932,410 @@ function renderDatabaseStats(stats) {
   `;
 }
 
+// ============================================================================
+// PROMPTS SECTION
+// ============================================================================
+
+// Unchanged lines kept around each change in the diff view
+const DIFF_CONTEXT_LINES = 3;
+
+async function loadPromptsSection() {
+  try {
+    const { data: agents } = await api.getPrompts();
+    state.prompts.agents = agents;
+
+    if (!agents.some(agent => agent.agentType === state.prompts.agentType)) {
+      state.prompts.agentType = agents[0]?.agentType || '';
+    }
+
+    const select = document.getElementById('promptAgentSelect');
+    select.innerHTML = agents.map(agent => `
+      <option value="${agent.agentType}">
+        ${escapeHtml(agent.displayName)} (${agent.publishedVersion ? `v${agent.publishedVersion}` : 'file'})
+      </option>
+    `).join('');
+    select.value = state.prompts.agentType;
+
+    await loadPromptDetail();
+  } catch (error) {
+    console.error('Failed to load prompts:', error);
+    showToast('Failed to load prompts', 'error');
+  }
+}
+
+async function loadPromptDetail() {
+  const { agentType } = state.prompts;
+  if (!agentType) return;
+
+  try {
+    const { data: detail } = await api.getPrompt(agentType);
+    state.prompts.detail = detail;
+
+    const published = detail.versions.find(version => version.is_published);
+    document.getElementById('promptStatus').textContent = published
+      ? `Live: v${published.version} (published ${formatTimeAgo(published.published_at)})`
+      : 'Live: prompt file (.claude/agents)';
+
+    document.getElementById('promptEditor').value = detail.content;
+    document.getElementById('promptChangeNote').value = '';
+    document.getElementById('rollbackPromptBtn').disabled = detail.source === 'file';
+
+    renderPromptVersions(detail.versions);
+    document.getElementById('promptDiffTitle').textContent = 'Diff';
+    document.getElementById('promptDiff').innerHTML =
+      '<div class="loading">Select a version to compare with the published prompt</div>';
+
+    resetExperimentForm();
+    await loadExperiments();
+  } catch (error) {
+    console.error('Failed to load prompt:', error);
+    showToast('Failed to load prompt', 'error');
+  }
+}
+
+function renderPromptVersions(versions) {
+  const container = document.getElementById('promptVersions');
+
+  if (versions.length === 0) {
+    container.innerHTML = '<div class="loading">No saved versions yet - this agent uses its prompt file</div>';
+    return;
+  }
+
+  container.innerHTML = versions.map(version => `
+    <div class="prompt-version-item ${version.is_published ? 'published' : ''}">
+      <strong>v${version.version}</strong>
+      ${version.is_published ? '<span class="badge badge-active">Published</span>' : ''}
+      <div class="prompt-version-meta">
+        ${escapeHtml(version.author_name || version.author_email || 'Unknown')} •
+        ${formatDateTime(version.created_at)} •
+        ${formatNumber(version.content_length)} chars
+        ${version.change_note ? `<br>${escapeHtml(version.change_note)}` : ''}
+      </div>
+      <div class="action-buttons">
+        <button class="btn btn-secondary btn-small" onclick="editPromptVersion('${version.id}')">Edit</button>
+        <button class="btn btn-secondary btn-small" onclick="diffPromptVersion('${version.id}', ${version.version})">Diff</button>
+        ${version.is_published ? '' : `
+          <button class="btn btn-primary btn-small" onclick="publishPromptVersion('${version.id}', ${version.version})">Publish</button>
+        `}
+      </div>
+    </div>
+  `).join('');
+}
+
+function renderPromptDiff(diff) {
+  const container = document.getElementById('promptDiff');
+
+  if (!diff.some(line => line.type !== 'equal')) {
+    container.innerHTML = '<div class="loading">No differences</div>';
+    return;
+  }
+
+  // Show changed lines with a little context; collapse long unchanged runs
+  const near = diff.map((line, index) => diff
+    .slice(Math.max(0, index - DIFF_CONTEXT_LINES), index + DIFF_CONTEXT_LINES + 1)
+    .some(other => other.type !== 'equal'));
+
+  let html = '';
+  let skipped = 0;
+
+  diff.forEach((line, index) => {
+    if (line.type === 'equal' && !near[index]) {
+      skipped++;
+      return;
+    }
+
+    if (skipped > 0) {
+      html += `<div class="diff-line skipped">… ${skipped} unchanged lines</div>`;
+      skipped = 0;
+    }
+
+    const prefix = line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' ';
+    html += `<div class="diff-line ${line.type}">${prefix} ${escapeHtml(line.text)}</div>`;
+  });
+
+  if (skipped > 0) {
+    html += `<div class="diff-line skipped">… ${skipped} unchanged lines</div>`;
+  }
+
+  container.innerHTML = html;
+}
+
+async function savePrompt(publish) {
+  const { agentType } = state.prompts;
+  const content = document.getElementById('promptEditor').value;
+  const changeNote = document.getElementById('promptChangeNote').value.trim();
+
+  if (!content.trim()) {
+    showToast('Prompt cannot be empty', 'error');
+    return;
+  }
+
+  if (publish && !confirm(`Publish this prompt for ${formatAgentName(agentType)}? New messages will use it immediately.`)) {
+    return;
+  }
+
+  try {
+    const { message } = await api.savePromptVersion(agentType, content, changeNote, publish);
+    showToast(message, 'success');
+    await loadPromptsSection();
+  } catch (error) {
+    showToast(`Failed to save prompt: ${error.message}`, 'error');
+  }
+}
+
+async function rollbackPrompt() {
+  const { agentType } = state.prompts;
+
+  if (!confirm(`Roll ${formatAgentName(agentType)} back to its previously published prompt?`)) {
+    return;
+  }
+
+  try {
+    const { message } = await api.rollbackPrompt(agentType);
+    showToast(message, 'success');
+    await loadPromptsSection();
+  } catch (error) {
+    showToast(`Failed to roll back: ${error.message}`, 'error');
+  }
+}
+
+window.editPromptVersion = async function(versionId) {
+  try {
+    const { data: version } = await api.getPromptVersion(state.prompts.agentType, versionId);
+    document.getElementById('promptEditor').value = version.content;
+    document.getElementById('promptChangeNote').value = `Based on v${version.version}`;
+  } catch (error) {
+    showToast('Failed to load prompt version', 'error');
+  }
+};
+
+window.diffPromptVersion = async function(versionId, versionNumber) {
+  try {
+    const { data } = await api.diffPrompt(state.prompts.agentType, 'published', versionId);
+    document.getElementById('promptDiffTitle').textContent =
+      `Diff: ${data.from} → v${versionNumber} (+${data.stats.added} / -${data.stats.removed})`;
+    renderPromptDiff(data.diff);
+  } catch (error) {
+    showToast('Failed to diff prompt versions', 'error');
+  }
+};
+
+window.publishPromptVersion = async function(versionId, versionNumber) {
+  if (!confirm(`Publish v${versionNumber}? New messages will use it immediately.`)) {
+    return;
+  }
+
+  try {
+    const { message } = await api.publishPromptVersion(state.prompts.agentType, versionId);
+    showToast(message, 'success');
+    await loadPromptsSection();
+  } catch (error) {
+    showToast(`Failed to publish: ${error.message}`, 'error');
+  }
+};
+
+// ============================================================================
+// PROMPT EXPERIMENTS
+// ============================================================================
+
+async function loadExperiments() {
+  const container = document.getElementById('promptExperiments');
+
+  try {
+    const { data: experiments } = await api.getExperiments(state.prompts.agentType);
+    state.prompts.experiments = experiments;
+
+    document.getElementById('experimentReportTitle').textContent = 'Experiment Report';
+    document.getElementById('experimentReport').innerHTML =
+      '<div class="loading">Select an experiment to see its results</div>';
+
+    if (experiments.length === 0) {
+      container.innerHTML = '<div class="loading">No experiments for this agent yet</div>';
+      return;
+    }
+
+    container.innerHTML = experiments.map(experiment => `
+      <div class="prompt-version-item ${experiment.status === 'running' ? 'published' : ''}">
+        <strong>${escapeHtml(experiment.name)}</strong>
+        <span class="badge ${experiment.status === 'running' ? 'badge-active' : 'badge-inactive'}">${experiment.status}</span>
+        <div class="prompt-version-meta">
+          ${experiment.variants.map(variant => `
+            ${escapeHtml(variant.name)}: ${variant.prompt_version ? `v${variant.prompt_version}` : 'published'} (weight ${variant.weight})
+          `).join(' • ')}
+          <br>${formatNumber(experiment.conversation_count)} conversations •
+          ${experiment.started_at ? `started ${formatDateTime(experiment.started_at)}` : `created ${formatDateTime(experiment.created_at)}`}
+        </div>
+        <div class="action-buttons">
+          <button class="btn btn-secondary btn-small" onclick="viewExperimentReport('${experiment.id}')">Report</button>
+          ${experiment.status === 'draft' ? `
+            <button class="btn btn-primary btn-small" onclick="startExperiment('${experiment.id}')">Start</button>
+          ` : ''}
+          ${experiment.status === 'running' ? `
+            <button class="btn btn-danger btn-small" onclick="stopExperiment('${experiment.id}')">Stop</button>
+          ` : ''}
+        </div>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Failed to load experiments:', error);
+    container.innerHTML = '<div class="loading">Failed to load experiments</div>';
+  }
+}
+
+function addExperimentVariantRow(name = '', promptVersionId = '', weight = 50) {
+  const versions = state.prompts.detail?.versions || [];
+  const row = document.createElement('div');
+  row.className = 'experiment-variant-row';
+  row.innerHTML = `
+    <input type="text" class="variant-name" placeholder="Variant name" value="${escapeHtml(name)}">
+    <select class="variant-version">
+      <option value="">Published prompt</option>
+      ${versions.map(version => `
+        <option value="${version.id}" ${version.id === promptVersionId ? 'selected' : ''}>
+          v${version.version}${version.change_note ? ` - ${escapeHtml(version.change_note)}` : ''}
+        </option>
+      `).join('')}
+    </select>
+    <input type="number" class="variant-weight" min="1" value="${weight}" title="Weight">
+  `;
+  document.getElementById('experimentVariants').appendChild(row);
+}
+
+function resetExperimentForm() {
+  document.getElementById('experimentName').value = '';
+  document.getElementById('experimentVariants').innerHTML = '';
+
+  // The first row is the control everything else is compared against
+  addExperimentVariantRow('Control');
+  addExperimentVariantRow('Variant B');
+}
+
+async function createExperiment() {
+  const name = document.getElementById('experimentName').value.trim();
+  const variants = [...document.querySelectorAll('#experimentVariants .experiment-variant-row')].map(row => ({
+    name: row.querySelector('.variant-name').value.trim(),
+    promptVersionId: row.querySelector('.variant-version').value || null,
+    weight: parseInt(row.querySelector('.variant-weight').value, 10)
+  }));
+
+  if (!name) {
+    showToast('Experiment name is required', 'error');
+    return;
+  }
+
+  try {
+    await api.createExperiment({ agentType: state.prompts.agentType, name, variants });
+    showToast(`Created experiment "${name}"`, 'success');
+    resetExperimentForm();
+    await loadExperiments();
+  } catch (error) {
+    showToast(`Failed to create experiment: ${error.message}`, 'error');
+  }
+}
+
+function renderSignificance(comparison) {
+  if (!comparison) {
+    return '<span class="significance inconclusive">No ratings yet</span>';
+  }
+
+  const lift = `${comparison.lift >= 0 ? '+' : ''}${(comparison.lift * 100).toFixed(1)} pts`;
+  const pValue = `p = ${comparison.pValue.toFixed(3)}`;
+
+  if (!comparison.enoughData) {
+    return `<span class="significance inconclusive">${lift} • not enough ratings</span>`;
+  }
+
+  if (!comparison.significant) {
+    return `<span class="significance inconclusive">${lift} • not significant (${pValue})</span>`;
+  }
+
+  return `<span class="significance ${comparison.lift > 0 ? 'better' : 'worse'}">${lift} • significant (${pValue})</span>`;
+}
+
+window.viewExperimentReport = async function(id) {
+  const container = document.getElementById('experimentReport');
+  container.innerHTML = '<div class="loading">Loading report...</div>';
+
+  try {
+    const { data: report } = await api.getExperimentReport(id);
+    const formatRate = rate => rate === null ? '-' : `${(rate * 100).toFixed(1)}%`;
+    const formatScore = score => score === null ? '-' : score.toFixed(2);
+
+    document.getElementById('experimentReportTitle').textContent =
+      `Experiment Report: ${report.experiment.name} (${report.experiment.status})`;
+
+    container.innerHTML = `
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Variant</th>
+              <th>Prompt</th>
+              <th>Conversations</th>
+              <th>Ratings</th>
+              <th>Positive Rate</th>
+              <th>Avg Quality</th>
+              <th>Positive Sentiment</th>
+              <th>Avg Sentiment</th>
+              <th>vs Control</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${report.variants.map(variant => `
+              <tr>
+                <td><strong>${escapeHtml(variant.name)}</strong></td>
+                <td>${variant.promptVersion ? `v${variant.promptVersion}` : 'Published'}</td>
+                <td>${formatNumber(variant.conversations)}</td>
+                <td>${formatNumber(variant.ratings)}</td>
+                <td>${formatRate(variant.positiveRate)}</td>
+                <td>${formatScore(variant.avgQuality)}</td>
+                <td>${formatRate(variant.positiveSentimentRate)}</td>
+                <td>${formatScore(variant.avgSentiment)}</td>
+                <td>${variant.isControl ? 'Control' : renderSignificance(variant.comparison)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <div class="prompt-version-meta">
+        Significance: two-sided two-proportion z-test on positive rate (p &lt; 0.05),
+        reported once every variant has at least ${report.minRatings} ratings.
+      </div>
+    `;
+  } catch (error) {
+    container.innerHTML = '<div class="loading">Failed to load report</div>';
+    showToast('Failed to load experiment report', 'error');
+  }
+};
+
+window.startExperiment = async function(id) {
+  if (!confirm('Start this experiment? New messages will be split between its variants immediately.')) {
+    return;
+  }
+
+  try {
+    const { message } = await api.startExperiment(id);
+    showToast(message, 'success');
+    await loadExperiments();
+  } catch (error) {
+    showToast(`Failed to start experiment: ${error.message}`, 'error');
+  }
+};
+
+window.stopExperiment = async function(id) {
+  if (!confirm('Stop this experiment? Every conversation will go back to the published prompt.')) {
+    return;
+  }
+
+  try {
+    const { message } = await api.stopExperiment(id);
+    showToast(message, 'success');
+    await loadExperiments();
+  } catch (error) {
+    showToast(`Failed to stop experiment: ${error.message}`, 'error');
+  }
+};
+
 // ============================================================================
 // AUDIT LOG SECTION
 // ============================================================================
@@ -857,6 +1412,157 @@ window.changePage = async function(section, page) {
   }
 };
 
+// ============================================================================
+// BACKGROUND JOBS SECTION
+// ============================================================================
+
+const JOB_STATUS_BADGES = {
+  pending: 'badge-user',
+  running: 'badge-client',
+  completed: 'badge-active',
+  failed: 'badge-inactive',
+  cancelled: 'badge-guest'
+};
+
+async function loadJobsSection() {
+  try {
+    const { data: overview } = await api.getJobsOverview();
+
+    renderJobStats(overview);
+    renderJobSchedules(overview.schedules);
+
+    const typeFilter = document.getElementById('jobTypeFilter');
+    typeFilter.innerHTML = '<option value="">All Job Types</option>' + overview.jobTypes.map(type => `
+      <option value="${escapeHtml(type)}" ${type === state.jobs.filters.jobType ? 'selected' : ''}>${escapeHtml(type)}</option>
+    `).join('');
+
+    await loadJobsTable();
+  } catch (error) {
+    console.error('Failed to load background jobs:', error);
+    showToast('Failed to load background jobs', 'error');
+  }
+}
+
+function renderJobStats({ stats, worker }) {
+  const container = document.getElementById('jobStats');
+
+  const workerStatus = worker.running
+    ? `Running${worker.currentJob ? ` (job #${worker.currentJob.id} ${escapeHtml(worker.currentJob.jobType)})` : ' (idle)'}`
+    : 'Not running on this server';
+
+  container.innerHTML = `
+    <div class="db-stat-item">
+      <span>Worker</span>
+      <strong>${workerStatus}</strong>
+    </div>
+    ${stats.length === 0 ? '<div class="loading">No jobs yet</div>' : stats.map(row => `
+      <div class="db-stat-item">
+        <span>${escapeHtml(row.job_type)}</span>
+        <strong>
+          ${row.pending} pending · ${row.running} running · ${row.completed} done
+          ${parseInt(row.failed) > 0 ? ` · <span style="color: var(--danger);">${row.failed} failed (${row.failed_24h} in 24h)</span>` : ''}
+        </strong>
+      </div>
+    `).join('')}
+  `;
+}
+
+function renderJobSchedules(schedules) {
+  const container = document.getElementById('jobSchedules');
+
+  if (schedules.length === 0) {
+    container.innerHTML = '<div class="loading">No schedules (the worker registers them when it starts)</div>';
+    return;
+  }
+
+  container.innerHTML = schedules.map(schedule => `
+    <div class="db-stat-item">
+      <span>
+        <strong>${escapeHtml(schedule.name)}</strong><br>
+        <small><code>${escapeHtml(schedule.cron)}</code> UTC · next ${schedule.enabled ? formatDateTime(schedule.next_run_at) : '—'}
+        ${schedule.last_run_at ? ` · last ${formatTimeAgo(schedule.last_run_at)}` : ''}</small>
+      </span>
+      <span>
+        <button class="btn btn-secondary btn-small" onclick="runJobNow('${escapeHtml(schedule.job_type)}')">Run now</button>
+        <button class="btn btn-secondary btn-small" onclick="toggleJobSchedule('${escapeHtml(schedule.name)}', ${!schedule.enabled})">
+          ${schedule.enabled ? 'Disable' : 'Enable'}
+        </button>
+      </span>
+    </div>
+  `).join('');
+}
+
+async function loadJobsTable() {
+  const tbody = document.getElementById('jobsTableBody');
+
+  try {
+    const { data: jobs } = await api.getJobs(state.jobs.filters);
+
+    if (jobs.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="7" class="loading">No jobs found</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = jobs.map(job => `
+      <tr>
+        <td>#${job.id}${job.schedule_name ? `<br><small>${escapeHtml(job.schedule_name)}</small>` : ''}</td>
+        <td>${escapeHtml(job.job_type)}</td>
+        <td><span class="badge ${JOB_STATUS_BADGES[job.status] || 'badge-user'}">${job.status}</span></td>
+        <td>${job.attempts}/${job.max_attempts}</td>
+        <td>${formatDateTime(job.status === 'pending' ? job.run_at : job.updated_at)}</td>
+        <td title="${escapeHtml(job.last_error || '')}">${escapeHtml((job.last_error || '').substring(0, 80))}${(job.last_error || '').length > 80 ? '...' : ''}</td>
+        <td>
+          ${job.status === 'failed' || job.status === 'cancelled' ? `<button class="btn btn-secondary btn-small" onclick="retryJob(${job.id})">Retry</button>` : ''}
+          ${job.status === 'pending' ? `<button class="btn btn-secondary btn-small" onclick="cancelJob(${job.id})">Cancel</button>` : ''}
+        </td>
+      </tr>
+    `).join('');
+  } catch (error) {
+    console.error('Failed to load jobs:', error);
+    tbody.innerHTML = '<tr><td colspan="7" class="loading">Failed to load jobs</td></tr>';
+  }
+}
+
+window.runJobNow = async function(jobType) {
+  try {
+    const { message } = await api.enqueueJob(jobType);
+    showToast(message, 'success');
+    await loadJobsSection();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+};
+
+window.toggleJobSchedule = async function(name, enabled) {
+  try {
+    const { message } = await api.setJobScheduleEnabled(name, enabled);
+    showToast(message, 'success');
+    await loadJobsSection();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+};
+
+window.retryJob = async function(id) {
+  try {
+    const { message } = await api.retryJob(id);
+    showToast(message, 'success');
+    await loadJobsSection();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+};
+
+window.cancelJob = async function(id) {
+  try {
+    const { message } = await api.cancelJob(id);
+    showToast(message, 'success');
+    await loadJobsSection();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+};
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
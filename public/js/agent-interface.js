@@ -10,6 +10,11 @@
  * Agent-specific behavior is controlled via configuration object.
  */
 
+// Page path of each agent, where it differs from the agent type (see server.js page routes)
+const AGENT_PAGE_PATHS = {
+    'grant-card-generator': 'grant-cards'
+};
+
 class AgentInterface {
     constructor(config) {
         // Configuration
@@ -23,6 +28,7 @@ class AgentInterface {
             enableURLDetection: config.enableURLDetection !== false, // Default true
             enableFileUploads: config.enableFileUploads !== false,   // Default true
             enableTaskSelection: config.enableTaskSelection || false,
+            autoContinue: config.autoContinue || false, // Continue responses cut off at max_tokens
             maxFileSize: config.maxFileSize || 10, // MB
             apiBase: window.location.hostname === 'localhost' ? 'http://localhost:3001' : ''
         };
@@ -36,11 +42,21 @@ class AgentInterface {
         this.isFirstMessage = true;
         this.hasStartedConversation = false;
 
+        // Last message of the displayed branch (edits and regenerations create branches)
+        this.branchLeafId = null;
+
+        // Access to the open conversation: owner, or continue/comment/view when shared
+        this.conversationAccess = 'owner';
+
+        // HubSpot deals/companies the open conversation is linked to
+        this.hubspotLinks = [];
+
         // Streaming state
         this.streamingMessageDiv = null;
         this.streamingContent = '';
         this.streamingThinkingDiv = null;
         this.streamingThinkingContent = '';
+        this.streamingToolSteps = null;
 
         // Initialize ChatClient
         this.chatClient = new ChatClient(this.config.apiBase);
@@ -106,11 +122,17 @@ class AgentInterface {
                 this.conversationId = conversationId;
                 this.isFirstMessage = false;
 
+                // ?message= (from search results) opens the branch containing that message
+                const messageId = new URLSearchParams(window.location.search).get('message');
+
                 // Load conversation history from server
-                const data = await this.loadConversationHistory();
+                const data = await this.loadConversationHistory(messageId);
                 if (data && data.messages) {
                     console.log(`✅ Found ${data.messages.length} messages, restoring UI...`);
-                    this.restoreConversationUI(data);
+                    await this.restoreConversationUI(data);
+                    if (messageId) {
+                        this.highlightMessage(messageId, data.messages);
+                    }
                 }
                 return;
             }
@@ -292,6 +314,8 @@ class AgentInterface {
             overlay.addEventListener('click', () => this.toggleSidebar());
         }
 
+        this.setupConversationSearch();
+
         console.log('✅ Event listeners setup complete');
     }
 
@@ -332,14 +356,59 @@ class AgentInterface {
             this.updateThinkingContent(this.streamingThinkingDiv, this.streamingThinkingContent);
         };
 
-        this.chatClient.onToolUse = (toolName, input) => {
+        this.chatClient.onToolUse = (toolName, input, toolId) => {
             console.log(`🔧 Tool used: ${toolName}`, input);
+
+            if (!this.streamingToolSteps) {
+                this.streamingToolSteps = this.createToolSteps(this.streamingMessageDiv?.closest('.message'));
+            }
+            this.addToolStep(this.streamingToolSteps, { id: toolId, name: toolName, input });
+        };
+
+        this.chatClient.onToolResult = (toolName, result, toolId) => {
+            this.completeToolStep(this.streamingToolSteps, toolId, result);
+        };
+
+        // Sub-agent runs (delegate_to_agent) show their tool calls nested under the delegation
+        this.chatClient.onDelegationEvent = (delegation, event) => {
+            if (event.type === 'tool_use') {
+                this.addToolStep(this.streamingToolSteps, {
+                    id: event.toolId,
+                    name: `${delegation.agentType} › ${event.toolName}`,
+                    input: event.input,
+                    depth: delegation.depth
+                });
+            } else if (event.type === 'tool_result') {
+                this.completeToolStep(this.streamingToolSteps, event.toolId, event.result);
+            }
+        };
+
+        // The run's messages are saved: the new turn can now be edited or regenerated
+        this.chatClient.onMessagesSaved = (event) => {
+            this.branchLeafId = event.leafId;
+
+            const userMessages = document.querySelectorAll('#messages .message.user');
+            const userDiv = userMessages[userMessages.length - 1];
+            if (userDiv && !userDiv.dataset.messageId) {
+                this.addBranchControls(userDiv, { id: event.userMessageId }, this.pendingUserText);
+            }
+
+            const assistantDiv = this.streamingMessageDiv?.closest('.message');
+            if (assistantDiv) {
+                this.addBranchControls(assistantDiv, { id: event.leafId });
+            }
         };
 
         this.chatClient.onComplete = () => {
             this.updateStreamingMessage(this.streamingMessageDiv, this.streamingContent, true);
             this.hideStopButton();
             this.loadConversationsList(); // Refresh sidebar
+            this.loadHubSpotLinks(); // Tools may have linked a deal
+        };
+
+        this.chatClient.onCancelled = () => {
+            this.updateStreamingMessage(this.streamingMessageDiv, this.streamingContent, true);
+            this.markMessageCancelled(this.streamingMessageDiv);
         };
 
         this.chatClient.onError = (error) => {
@@ -393,8 +462,8 @@ class AgentInterface {
 
             const data = await response.json();
 
-            if (data.conversations && data.conversations.length > 0) {
-                this.renderConversationsList(data.conversations);
+            if ((data.conversations && data.conversations.length > 0) || (data.shared && data.shared.length > 0)) {
+                this.renderConversationsList(data.conversations || [], data.shared || []);
             } else {
                 conversationList.innerHTML = '<div class="empty-conversations">No conversations yet.<br>Start chatting to create one!</div>';
             }
@@ -404,13 +473,114 @@ class AgentInterface {
         }
     }
 
+    /**
+     * Wire up the sidebar search box and its agent/date filters
+     */
+    setupConversationSearch() {
+        const input = document.getElementById('conversation-search');
+        if (!input) return;
+
+        let debounceTimer = null;
+        const search = () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(() => this.searchConversations(), 300);
+        };
+
+        input.addEventListener('input', search);
+        ['conversation-search-agent', 'conversation-search-from', 'conversation-search-to'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', search);
+        });
+    }
+
+    /**
+     * Search conversations with the sidebar search box (empty search shows the list again)
+     */
+    async searchConversations() {
+        const conversationList = document.getElementById('conversation-list');
+        const text = document.getElementById('conversation-search')?.value.trim() || '';
+        if (!conversationList) return;
+
+        if (text.length < 2) {
+            this.loadConversationsList();
+            return;
+        }
+
+        const agentScope = document.getElementById('conversation-search-agent')?.value;
+        const from = document.getElementById('conversation-search-from')?.value;
+        const to = document.getElementById('conversation-search-to')?.value;
+
+        const params = new URLSearchParams({ q: text });
+        if (agentScope === 'current') params.set('agentType', this.config.agentType);
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+
+        try {
+            const response = await fetch(`${this.config.apiBase}/api/conversations/search?${params}`, {
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+
+            // Ignore results for a search the user has since changed
+            if (document.getElementById('conversation-search')?.value.trim() !== text) return;
+
+            if (data.results.length === 0) {
+                conversationList.innerHTML = '<div class="empty-conversations">No matching messages</div>';
+                return;
+            }
+
+            conversationList.innerHTML = data.results.map(result => `
+                <div class="conversation-item" onclick="window.agentInterface.openSearchResult('${result.agentType}', '${result.conversationId}', '${result.messageId}')">
+                    <div class="conversation-title">${this.escapeHtml(result.title)}</div>
+                    <div class="conversation-meta">
+                        <span>${result.agentType}${result.shared ? ' · shared' : ''}</span>
+                        <span class="conversation-date">${this.formatDate(new Date(result.createdAt))}</span>
+                    </div>
+                    <div class="conversation-snippet">${result.snippet}</div>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Failed to search conversations:', error);
+            conversationList.innerHTML = `<div class="empty-conversations">Search failed: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    /**
+     * Open a search result: the conversation's page at the matching message
+     * @param {string} agentType - Agent of the conversation (may differ from this page)
+     * @param {string} conversationId - Conversation ID
+     * @param {string} messageId - Matching message
+     */
+    openSearchResult(agentType, conversationId, messageId) {
+        const agentPath = AGENT_PAGE_PATHS[agentType] || agentType;
+        window.location.href = `/${agentPath}/chat/${conversationId}?message=${encodeURIComponent(messageId)}`;
+    }
+
     /**
      * Render conversations list in sidebar
+     * @param {Array} conversations - The user's own conversations
+     * @param {Array} shared - Conversations teammates shared with the user
      */
-    renderConversationsList(conversations) {
+    renderConversationsList(conversations, shared = []) {
         const conversationList = document.getElementById('conversation-list');
         if (!conversationList) return;
 
+        const sharedSection = shared.length === 0 ? '' : `
+            <div class="conversation-section-title" style="padding: 0.75rem 0.75rem 0.25rem; font-size: 0.75rem; font-weight: 600; text-transform: uppercase; color: var(--text-secondary);">👥 Shared with me</div>
+            ${shared.map(conv => `
+                <div class="conversation-item shared ${conv.id === this.conversationId ? 'active' : ''}" onclick="window.agentInterface.switchConversation('${conv.id}')">
+                    <div class="conversation-title">${this.escapeHtml(conv.title)}</div>
+                    <div class="conversation-meta">
+                        <span>${this.escapeHtml(conv.ownerName)} · ${conv.permission}</span>
+                        <span class="conversation-date">${this.formatDate(new Date(conv.updatedAt))}</span>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+
         conversationList.innerHTML = conversations.map(conv => {
             const isActive = conv.id === this.conversationId;
             const date = new Date(conv.updatedAt);
@@ -428,7 +598,7 @@ class AgentInterface {
                     </button>
                 </div>
             `;
-        }).join('');
+        }).join('') + sharedSection;
     }
 
     /**
@@ -525,6 +695,7 @@ class AgentInterface {
 
         // Handle files and message together
         let userMessageContent = message || '';
+        this.pendingUserText = userMessageContent;
         const filesToDisplay = this.uploadedFiles.length > 0 ? [...this.uploadedFiles] : [];
 
         if (filesToDisplay.length > 0) {
@@ -563,6 +734,8 @@ class AgentInterface {
             this.removeLoadingMessage();
             this.streamingMessageDiv = this.addStreamingMessage('assistant');
             this.streamingContent = '';
+            this.streamingToolSteps = null;
+            this.showStopButton();
 
             // Setup ChatClient callbacks
             this.setupChatClientCallbacks();
@@ -572,7 +745,9 @@ class AgentInterface {
                 message: message || '',
                 agentType: this.config.agentType,
                 conversationId: this.isFirstMessage ? null : this.conversationId,
-                attachments: attachments
+                attachments: attachments,
+                autoContinue: this.config.autoContinue,
+                parentMessageId: this.isFirstMessage ? null : this.branchLeafId
             });
 
         } catch (error) {
@@ -666,6 +841,8 @@ class AgentInterface {
 
         messagesContainer.appendChild(messageDiv);
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+        return contentDiv;
     }
 
     /**
@@ -806,8 +983,8 @@ class AgentInterface {
             return;
         }
 
-        // Call the feedback panel's rateConversation method with message index
-        const success = await window.feedbackPanel.rateConversation(rating, messageIndex);
+        // Saved messages are rated by ID (each regenerated version separately)
+        const success = await window.feedbackPanel.rateConversation(rating, messageIndex, messageDiv.dataset.messageId);
 
         if (success) {
             // Mark this message as rated
@@ -1168,11 +1345,16 @@ class AgentInterface {
 
     /**
      * Stop generation
+     * Cancels the run server-side (model stream + pending tools); the partial
+     * response is saved and shown as cancelled when the 'cancelled' event arrives.
      */
-    stopGeneration() {
+    async stopGeneration() {
         console.log('Stop generation requested');
 
-        if (this.currentAbortController) {
+        const cancelled = await this.chatClient.cancel();
+
+        if (!cancelled && this.currentAbortController) {
+            // Fall back to aborting the browser fetch
             try {
                 this.currentAbortController.abort();
                 console.log('Fetch aborted');
@@ -1182,7 +1364,951 @@ class AgentInterface {
             this.currentAbortController = null;
         }
 
-        this.cleanupAfterStream();
+        if (!cancelled) {
+            this.cleanupAfterStream();
+        }
+    }
+
+    /**
+     * Mark an assistant message as cancelled (stopped by the user)
+     */
+    markMessageCancelled(messageDiv) {
+        if (!messageDiv || messageDiv.querySelector('.message-cancelled')) return;
+
+        const notice = document.createElement('div');
+        notice.className = 'message-cancelled';
+        notice.textContent = '⏹ Response stopped';
+        notice.style.cssText = `
+            margin-top: 0.5rem;
+            font-size: 0.8rem;
+            color: var(--text-secondary, #6b7280);
+            font-style: italic;
+        `;
+        messageDiv.appendChild(notice);
+    }
+
+    /**
+     * Add edit/regenerate buttons and the branch switcher to a saved message
+     * @param {HTMLElement} messageDiv - The .message element
+     * @param {Object} msg - {id, siblingIds, siblingIndex, metadata} (sibling info only when it has siblings)
+     * @param {string|null} text - Original text of a user message (for editing)
+     */
+    addBranchControls(messageDiv, msg, text = null) {
+        if (!messageDiv || !msg.id) return;
+
+        messageDiv.dataset.messageId = msg.id;
+        messageDiv.querySelector('.branch-controls')?.remove();
+
+        const isUser = messageDiv.classList.contains('user');
+        const controls = document.createElement('div');
+        controls.className = 'branch-controls';
+        controls.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 0.25rem;
+            margin-top: 0.25rem;
+            font-size: 0.75rem;
+            color: var(--text-secondary, #6b7280);
+            justify-content: ${isUser ? 'flex-end' : 'flex-start'};
+        `;
+
+        const button = (label, title, onClick) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.textContent = label;
+            btn.title = title;
+            btn.style.cssText = 'background: none; border: none; cursor: pointer; color: inherit; padding: 0.125rem 0.375rem;';
+            btn.addEventListener('click', onClick);
+            controls.appendChild(btn);
+            return btn;
+        };
+
+        // ‹ n/m › between edits of this message (or regenerations of this response)
+        if (msg.siblingIds && msg.siblingIds.length > 1) {
+            const index = msg.siblingIndex;
+            const prev = button('‹', 'Previous version', () => this.switchBranch(msg.siblingIds[index - 1]));
+            const position = document.createElement('span');
+            position.textContent = `${index + 1}/${msg.siblingIds.length}`;
+            controls.appendChild(position);
+            const next = button('›', 'Next version', () => this.switchBranch(msg.siblingIds[index + 1]));
+            prev.disabled = index === 0;
+            next.disabled = index === msg.siblingIds.length - 1;
+
+            // Which settings produced this version
+            const config = msg.metadata?.config;
+            if (config) {
+                const label = document.createElement('span');
+                label.className = 'version-config';
+                label.textContent = `· ${config.model}${config.thinkingBudget ? ` · thinking ${config.thinkingBudget}` : ''}`;
+                controls.appendChild(label);
+            }
+        }
+
+        if (this.canContinue()) {
+            if (isUser) {
+                button('✏️ Edit', 'Edit this message', () => this.startEditMessage(messageDiv, text || ''));
+            } else {
+                button('🔁 Regenerate', 'Regenerate this response', () => this.regenerateMessage(messageDiv));
+                button('⚙️', 'Regenerate with different settings', () => this.showRegenerateOptions(messageDiv));
+            }
+        }
+
+        if (this.conversationAccess !== 'view') {
+            button('💬', 'Comment on this message', () => this.addComment(messageDiv));
+        }
+
+        messageDiv.appendChild(controls);
+    }
+
+    /**
+     * Whether the current user can send messages in the open conversation
+     * @returns {boolean} True for the owner and teammates with continue access
+     */
+    canContinue() {
+        return this.conversationAccess === 'owner' || this.conversationAccess === 'continue';
+    }
+
+    /**
+     * Apply the user's access to a shared conversation (view/comment are read-only)
+     * @param {string} access - owner, continue, comment or view
+     */
+    applyConversationAccess(access) {
+        this.conversationAccess = access || 'owner';
+
+        const messageInput = document.getElementById('message-input');
+        const sendButton = document.getElementById('send-button');
+        const readOnly = !this.canContinue();
+
+        if (messageInput) {
+            messageInput.disabled = readOnly;
+            messageInput.placeholder = readOnly
+                ? `Shared with you (${this.conversationAccess} only)`
+                : this.config.placeholder;
+        }
+        if (sendButton) sendButton.disabled = readOnly;
+    }
+
+    /**
+     * Load the conversation's comments and show them under their messages
+     */
+    async loadComments() {
+        if (!this.conversationId) return;
+
+        try {
+            const response = await fetch(`${this.config.apiBase}/api/conversations/${this.conversationId}/comments`, {
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            data.comments.forEach(comment => this.renderComment(comment));
+        } catch (error) {
+            console.error('Failed to load comments:', error);
+        }
+    }
+
+    /**
+     * Show a comment under its message (or at the end of the conversation)
+     * @param {Object} comment - {id, messageId, userName, body, createdAt}
+     */
+    renderComment(comment) {
+        const messagesContainer = document.getElementById('messages');
+        if (!messagesContainer) return;
+
+        const messageDiv = comment.messageId
+            ? messagesContainer.querySelector(`.message[data-message-id="${comment.messageId}"]`)
+            : null;
+
+        // Comments on messages of another branch aren't shown
+        if (comment.messageId && !messageDiv) return;
+
+        const commentDiv = document.createElement('div');
+        commentDiv.className = 'message-comment';
+        commentDiv.style.cssText = `
+            margin-top: 0.5rem;
+            padding: 0.5rem 0.75rem;
+            border-left: 3px solid var(--granted-blue, #2563eb);
+            background: rgba(37, 99, 235, 0.05);
+            font-size: 0.85rem;
+        `;
+        commentDiv.innerHTML = `
+            <div style="font-weight: 600; font-size: 0.75rem; color: var(--text-secondary, #6b7280);">
+                ${this.escapeHtml(comment.userName)} · ${this.formatDate(new Date(comment.createdAt))}
+            </div>
+            <div>${this.escapeHtml(comment.body)}</div>
+        `;
+
+        if (messageDiv) {
+            messageDiv.appendChild(commentDiv);
+        } else {
+            messagesContainer.appendChild(commentDiv);
+        }
+    }
+
+    /**
+     * Ask for a comment on a message and save it
+     * @param {HTMLElement} messageDiv - The .message element
+     */
+    async addComment(messageDiv) {
+        const body = prompt('Comment on this message:');
+        if (!body || !body.trim()) return;
+
+        try {
+            const response = await fetch(`${this.config.apiBase}/api/conversations/${this.conversationId}/comments`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ body, messageId: messageDiv.dataset.messageId })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+
+            this.renderComment(data.comment);
+        } catch (error) {
+            console.error('Failed to add comment:', error);
+            alert(`Failed to add comment: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load the HubSpot deals/companies linked to the open conversation
+     */
+    async loadHubSpotLinks() {
+        if (!this.conversationId) return;
+
+        try {
+            const response = await fetch(`${this.config.apiBase}/api/conversations/${this.conversationId}/links`, {
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.hubspotLinks = data.links;
+            this.renderDealBadge();
+        } catch (error) {
+            console.error('Failed to load HubSpot links:', error);
+        }
+    }
+
+    /**
+     * Show the linked deal in the header badge ("Link deal" when there is none)
+     */
+    renderDealBadge() {
+        const badge = document.getElementById('deal-badge');
+        if (!badge) return;
+
+        const deals = this.hubspotLinks.filter(link => link.objectType === 'deal');
+        const company = this.hubspotLinks.find(link => link.objectType === 'company' && link.name);
+
+        if (deals.length === 0 && !this.canContinue()) {
+            badge.style.display = 'none';
+            return;
+        }
+
+        if (deals.length === 0) {
+            badge.textContent = company ? `🏢 ${company.name} · Link deal` : '🔗 Link deal';
+            badge.title = 'Link this conversation to a HubSpot deal';
+        } else {
+            const label = deals[0].name || `Deal ${deals[0].objectId}`;
+            badge.textContent = `🤝 ${label}${deals.length > 1 ? ` +${deals.length - 1}` : ''}`;
+            badge.title = deals.map(deal => `${deal.name || 'Deal'} (${deal.objectId})`).join('\n');
+        }
+        badge.style.display = '';
+    }
+
+    /**
+     * Show the linked deals/companies, the other conversations about each deal,
+     * and (with continue access) link or unlink deals by hand
+     */
+    async showDealDialog() {
+        if (!this.conversationId) {
+            alert('Send a message first - there is no conversation to link yet.');
+            return;
+        }
+
+        document.getElementById('deal-dialog')?.remove();
+
+        const editable = this.canContinue();
+        const overlay = document.createElement('div');
+        overlay.id = 'deal-dialog';
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            background: rgba(0, 0, 0, 0.4);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 2000;
+        `;
+        overlay.innerHTML = `
+            <div style="background: white; border-radius: 12px; padding: 1.5rem; width: min(520px, 92vw); max-height: 80vh; overflow-y: auto; box-shadow: 0 10px 40px rgba(0,0,0,0.2);">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+                    <strong>🤝 HubSpot deal</strong>
+                    <button type="button" data-action="close" style="background: none; border: none; font-size: 1.25rem; cursor: pointer;">×</button>
+                </div>
+                ${editable ? `
+                <div style="display: flex; gap: 0.5rem; margin-bottom: 1rem;">
+                    <input type="text" data-field="deal-id" placeholder="HubSpot deal ID" inputmode="numeric" style="flex: 1; padding: 0.5rem; border: 1px solid #d1d5db; border-radius: 6px;">
+                    <button type="button" data-action="link" class="nav-link" style="cursor: pointer;">Link deal</button>
+                </div>` : ''}
+                <div data-field="links" style="font-size: 0.85rem;">Loading...</div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        const field = (name) => overlay.querySelector(`[data-field="${name}"]`);
+
+        const renderDealConversations = async (deal, container) => {
+            try {
+                const response = await fetch(`${this.config.apiBase}/api/hubspot/deals/${deal.objectId}/conversations`, {
+                    credentials: 'include'
+                });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+                const others = data.conversations.filter(conv => conv.id !== this.conversationId);
+                container.innerHTML = others.length === 0
+                    ? '<div style="color: #6b7280;">No other conversations about this deal.</div>'
+                    : others.map(conv => `
+                        <a href="/${AGENT_PAGE_PATHS[conv.agentType] || conv.agentType}/chat/${conv.id}" style="display: block; padding: 0.25rem 0; color: inherit;">
+                            ${this.escapeHtml(conv.title)}
+                            <span style="color: #6b7280;">· ${this.escapeHtml(conv.agentType)}${conv.shared ? ` · ${this.escapeHtml(conv.ownerName || 'teammate')}` : ''}</span>
+                        </a>
+                    `).join('');
+            } catch (error) {
+                container.textContent = `Failed to load conversations: ${error.message}`;
+            }
+        };
+
+        const renderLinks = () => {
+            const list = field('links');
+            if (this.hubspotLinks.length === 0) {
+                list.innerHTML = '<div style="color: #6b7280;">Not linked to a deal yet. Deals are linked automatically when the agent loads a company or grant application.</div>';
+                return;
+            }
+
+            list.innerHTML = this.hubspotLinks.map(link => `
+                <div style="padding: 0.5rem 0; border-top: 1px solid #f3f4f6;">
+                    <div style="display: flex; justify-content: space-between; align-items: center;">
+                        <span>${link.objectType === 'deal' ? '🤝' : '🏢'} ${this.escapeHtml(link.name || `${link.objectType === 'deal' ? 'Deal' : 'Company'} ${link.objectId}`)}
+                            <span style="color: #6b7280;">· ${link.objectId}${link.source === 'manual' ? ' · linked by hand' : ''}</span>
+                        </span>
+                        ${editable ? `<button type="button" data-link-id="${link.id}" style="background: none; border: none; cursor: pointer; color: #dc2626;">Unlink</button>` : ''}
+                    </div>
+                    ${link.objectType === 'deal' ? `<div data-deal-conversations="${link.id}" style="margin: 0.25rem 0 0 1.5rem; font-size: 0.8rem;">Loading conversations...</div>` : ''}
+                </div>
+            `).join('');
+
+            this.hubspotLinks
+                .filter(link => link.objectType === 'deal')
+                .forEach(deal => renderDealConversations(deal, list.querySelector(`[data-deal-conversations="${deal.id}"]`)));
+
+            list.querySelectorAll('[data-link-id]').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    await fetch(`${this.config.apiBase}/api/conversations/${this.conversationId}/links/${btn.dataset.linkId}`, {
+                        method: 'DELETE',
+                        credentials: 'include'
+                    });
+                    await this.loadHubSpotLinks();
+                    renderLinks();
+                });
+            });
+        };
+
+        overlay.querySelector('[data-action="close"]').addEventListener('click', () => overlay.remove());
+        overlay.addEventListener('click', (event) => {
+            if (event.target === overlay) overlay.remove();
+        });
+        overlay.querySelector('[data-action="link"]')?.addEventListener('click', async () => {
+            const dealId = field('deal-id').value.trim();
+            if (!dealId) return;
+
+            try {
+                const response = await fetch(`${this.config.apiBase}/api/conversations/${this.conversationId}/links`, {
+                    method: 'POST',
+                    credentials: 'include',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ dealId })
+                });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+                field('deal-id').value = '';
+                this.hubspotLinks = data.links;
+                this.renderDealBadge();
+                renderLinks();
+            } catch (error) {
+                alert(`Failed to link deal: ${error.message}`);
+            }
+        });
+
+        await this.loadHubSpotLinks();
+        renderLinks();
+    }
+
+    /**
+     * Show the share dialog for the open conversation (owner only)
+     */
+    async showShareDialog() {
+        if (!this.conversationId) {
+            alert('Send a message first - there is no conversation to share yet.');
+            return;
+        }
+
+        if (this.conversationAccess !== 'owner') {
+            alert('Only the owner of this conversation can share it.');
+            return;
+        }
+
+        document.getElementById('share-dialog')?.remove();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'share-dialog';
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            background: rgba(0, 0, 0, 0.4);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 2000;
+        `;
+        overlay.innerHTML = `
+            <div style="background: white; border-radius: 12px; padding: 1.5rem; width: min(480px, 92vw); box-shadow: 0 10px 40px rgba(0,0,0,0.2);">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+                    <strong>👥 Share conversation</strong>
+                    <button type="button" data-action="close" style="background: none; border: none; font-size: 1.25rem; cursor: pointer;">×</button>
+                </div>
+                <div style="display: flex; gap: 0.5rem; margin-bottom: 0.5rem;">
+                    <input type="email" data-field="email" placeholder="teammate@grantedconsulting.ca" style="flex: 1; padding: 0.5rem; border: 1px solid #d1d5db; border-radius: 6px;">
+                    <select data-field="permission" style="padding: 0.5rem; border: 1px solid #d1d5db; border-radius: 6px;">
+                        <option value="view">Can view</option>
+                        <option value="comment">Can comment</option>
+                        <option value="continue">Can continue</option>
+                    </select>
+                </div>
+                <div style="display: flex; gap: 0.5rem; margin-bottom: 1rem;">
+                    <button type="button" data-action="share-user" class="nav-link" style="cursor: pointer;">Share</button>
+                    <button type="button" data-action="share-team" class="nav-link" style="cursor: pointer;">Share with whole team</button>
+                </div>
+                <div data-field="shares" style="font-size: 0.85rem;">Loading...</div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        const field = (name) => overlay.querySelector(`[data-field="${name}"]`);
+
+        const renderShares = (shares) => {
+            const list = field('shares');
+            if (shares.length === 0) {
+                list.innerHTML = '<div style="color: #6b7280;">Not shared with anyone yet.</div>';
+                return;
+            }
+
+            list.innerHTML = shares.map(share => `
+                <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.375rem 0; border-top: 1px solid #f3f4f6;">
+                    <span>${share.team ? '👥 Whole team' : this.escapeHtml(share.userName || share.userEmail)} · ${share.permission}</span>
+                    <button type="button" data-share-id="${share.id}" style="background: none; border: none; cursor: pointer; color: #dc2626;">Remove</button>
+                </div>
+            `).join('');
+
+            list.querySelectorAll('[data-share-id]').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    await fetch(`${this.config.apiBase}/api/conversations/${this.conversationId}/shares/${btn.dataset.shareId}`, {
+                        method: 'DELETE',
+                        credentials: 'include'
+                    });
+                    loadShares();
+                });
+            });
+        };
+
+        const loadShares = async () => {
+            try {
+                const response = await fetch(`${this.config.apiBase}/api/conversations/${this.conversationId}/shares`, {
+                    credentials: 'include'
+                });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+                renderShares(data.shares);
+            } catch (error) {
+                field('shares').textContent = `Failed to load shares: ${error.message}`;
+            }
+        };
+
+        const share = async (body) => {
+            try {
+                const response = await fetch(`${this.config.apiBase}/api/conversations/${this.conversationId}/shares`, {
+                    method: 'POST',
+                    credentials: 'include',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...body, permission: field('permission').value })
+                });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+                field('email').value = '';
+                renderShares(data.shares);
+            } catch (error) {
+                alert(`Failed to share: ${error.message}`);
+            }
+        };
+
+        overlay.querySelector('[data-action="close"]').addEventListener('click', () => overlay.remove());
+        overlay.addEventListener('click', (event) => {
+            if (event.target === overlay) overlay.remove();
+        });
+        overlay.querySelector('[data-action="share-user"]').addEventListener('click', () => {
+            const email = field('email').value.trim();
+            if (email) share({ email });
+        });
+        overlay.querySelector('[data-action="share-team"]').addEventListener('click', () => share({ team: true }));
+
+        loadShares();
+    }
+
+    /**
+     * Show the export dialog: format, and the whole conversation or selected responses
+     */
+    showExportDialog() {
+        if (!this.conversationId || !this.hasStartedConversation) {
+            alert('No messages to export. Start a conversation first!');
+            return;
+        }
+
+        document.getElementById('export-dialog')?.remove();
+
+        // Saved responses on the displayed branch
+        const responses = Array.from(document.querySelectorAll('#messages .message.assistant[data-message-id]'));
+
+        const overlay = document.createElement('div');
+        overlay.id = 'export-dialog';
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            background: rgba(0, 0, 0, 0.4);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 2000;
+        `;
+        overlay.innerHTML = `
+            <div style="background: white; border-radius: 12px; padding: 1.5rem; width: min(520px, 92vw); max-height: 85vh; display: flex; flex-direction: column; box-shadow: 0 10px 40px rgba(0,0,0,0.2);">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+                    <strong>📥 Export conversation</strong>
+                    <button type="button" data-action="close" style="background: none; border: none; font-size: 1.25rem; cursor: pointer;">×</button>
+                </div>
+                <label style="font-size: 0.85rem; margin-bottom: 0.75rem;">Format
+                    <select data-field="format" style="margin-left: 0.5rem; padding: 0.375rem; border: 1px solid #d1d5db; border-radius: 6px;">
+                        <option value="docx">Word (.docx)</option>
+                        <option value="pdf">PDF (.pdf)</option>
+                        <option value="md">Markdown (.md)</option>
+                    </select>
+                </label>
+                <label style="font-size: 0.85rem;"><input type="radio" name="export-scope" value="all" checked> Whole conversation</label>
+                <label style="font-size: 0.85rem; margin-bottom: 0.5rem;"><input type="radio" name="export-scope" value="selected" ${responses.length === 0 ? 'disabled' : ''}> Selected responses only</label>
+                <div data-field="responses" style="display: none; overflow-y: auto; border: 1px solid #e5e7eb; border-radius: 6px; padding: 0.5rem; font-size: 0.8rem; margin-bottom: 0.75rem;">
+                    ${responses.map(div => `
+                        <label style="display: block; padding: 0.25rem 0;">
+                            <input type="checkbox" value="${div.dataset.messageId}" checked>
+                            ${this.escapeHtml((div.querySelector('.message-content')?.innerText || '').trim().substring(0, 90))}
+                        </label>
+                    `).join('')}
+                </div>
+                <div style="font-size: 0.75rem; color: #6b7280; margin-bottom: 1rem;">Tool calls and citations are listed in an appendix.</div>
+                <button type="button" data-action="export" class="nav-link" style="cursor: pointer; align-self: flex-end;">Download</button>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        const responseList = overlay.querySelector('[data-field="responses"]');
+
+        overlay.querySelectorAll('input[name="export-scope"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                responseList.style.display = radio.value === 'selected' && radio.checked ? 'block' : 'none';
+            });
+        });
+        overlay.querySelector('[data-action="close"]').addEventListener('click', () => overlay.remove());
+        overlay.addEventListener('click', (event) => {
+            if (event.target === overlay) overlay.remove();
+        });
+        overlay.querySelector('[data-action="export"]').addEventListener('click', async () => {
+            const format = overlay.querySelector('[data-field="format"]').value;
+            const selectedOnly = overlay.querySelector('input[name="export-scope"]:checked').value === 'selected';
+            const messageIds = Array.from(responseList.querySelectorAll('input:checked')).map(input => input.value);
+
+            if (selectedOnly && messageIds.length === 0) {
+                alert('Select at least one response to export.');
+                return;
+            }
+
+            await this.exportConversation(format, selectedOnly ? messageIds : null);
+            overlay.remove();
+        });
+    }
+
+    /**
+     * Download the conversation export (rendered on the server)
+     * @param {string} format - md, docx or pdf
+     * @param {Array<string>|null} messageIds - Responses to export (null = whole conversation)
+     */
+    async exportConversation(format, messageIds = null) {
+        const params = new URLSearchParams({ format });
+        if (this.branchLeafId) params.set('branch', this.branchLeafId);
+        if (messageIds) params.set('messages', messageIds.join(','));
+
+        try {
+            const response = await fetch(`${this.config.apiBase}/api/conversations/${this.conversationId}/export?${params}`, {
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `conversation.${format}`;
+
+            const url = URL.createObjectURL(await response.blob());
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Failed to export conversation:', error);
+            alert(`Failed to export conversation: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show the branch of the conversation that goes through a message
+     * @param {string} messageId - Any message on the branch
+     */
+    async switchBranch(messageId) {
+        if (this.isLoading || !messageId) return;
+
+        const data = await this.loadConversationHistory(messageId);
+        if (data && data.messages) {
+            this.clearMessages();
+            this.restoreConversationUI(data);
+        }
+    }
+
+    /**
+     * Remove rendered messages (keeps the welcome message)
+     * @param {HTMLElement|null} afterElement - Only remove what comes after this element
+     */
+    clearMessages(afterElement = null) {
+        const messagesContainer = document.getElementById('messages');
+        if (!messagesContainer) return;
+
+        let element = afterElement ? afterElement.nextElementSibling : messagesContainer.firstElementChild;
+        while (element) {
+            const next = element.nextElementSibling;
+            if (element.id !== 'welcome-message') {
+                element.remove();
+            }
+            element = next;
+        }
+    }
+
+    /**
+     * Replace a user message with an editor; saving starts a new branch
+     * @param {HTMLElement} messageDiv - The user .message element
+     * @param {string} text - Current message text
+     */
+    startEditMessage(messageDiv, text) {
+        if (this.isLoading || messageDiv.querySelector('.message-editor')) return;
+
+        const contentDiv = messageDiv.querySelector('.message-content');
+        const controls = messageDiv.querySelector('.branch-controls');
+        contentDiv.style.display = 'none';
+        if (controls) controls.style.display = 'none';
+
+        const editor = document.createElement('div');
+        editor.className = 'message-editor';
+        editor.style.cssText = 'display: flex; flex-direction: column; gap: 0.5rem; width: 100%;';
+
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.rows = Math.min(12, Math.max(3, text.split('\n').length));
+        textarea.style.cssText = 'width: 100%; padding: 0.5rem; border-radius: 8px; border: 1px solid var(--border-color, #d1d5db); font: inherit; resize: vertical;';
+
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display: flex; gap: 0.5rem; justify-content: flex-end;';
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', () => {
+            editor.remove();
+            contentDiv.style.display = '';
+            if (controls) controls.style.display = 'flex';
+        });
+
+        const saveButton = document.createElement('button');
+        saveButton.type = 'button';
+        saveButton.textContent = 'Save & Submit';
+        saveButton.addEventListener('click', () => {
+            const newText = textarea.value.trim();
+            if (!newText) return;
+            this.runBranchRequest(messageDiv, newText);
+        });
+
+        actions.appendChild(cancelButton);
+        actions.appendChild(saveButton);
+        editor.appendChild(textarea);
+        editor.appendChild(actions);
+        messageDiv.appendChild(editor);
+        textarea.focus();
+    }
+
+    /**
+     * Show model/thinking/temperature choices for regenerating a response
+     * @param {HTMLElement} messageDiv - The assistant .message element
+     */
+    showRegenerateOptions(messageDiv) {
+        if (this.isLoading || messageDiv.querySelector('.regenerate-options')) return;
+
+        const form = document.createElement('div');
+        form.className = 'regenerate-options';
+        form.style.cssText = `
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 0.5rem;
+            margin-top: 0.5rem;
+            font-size: 0.8rem;
+        `;
+
+        const select = (label, options) => {
+            const wrapper = document.createElement('label');
+            wrapper.textContent = `${label} `;
+            const input = document.createElement('select');
+            options.forEach(([value, text]) => input.add(new Option(text, value)));
+            wrapper.appendChild(input);
+            form.appendChild(wrapper);
+            return input;
+        };
+
+        const model = select('Model', [['', 'Default'], ['haiku', 'Haiku'], ['sonnet', 'Sonnet'], ['opus', 'Opus']]);
+        const thinking = select('Thinking', [['', 'Default'], ['0', 'Off'], ['4000', '4k'], ['10000', '10k'], ['16000', '16k']]);
+        const temperature = select('Temperature', [['', 'Default'], ['0', '0'], ['0.3', '0.3'], ['0.7', '0.7'], ['1', '1']]);
+
+        // Extended thinking only runs at temperature 1
+        temperature.addEventListener('change', () => {
+            if (temperature.value !== '' && temperature.value !== '1') thinking.value = '0';
+        });
+        thinking.addEventListener('change', () => {
+            if (thinking.value !== '' && thinking.value !== '0') temperature.value = '';
+        });
+
+        const submit = document.createElement('button');
+        submit.type = 'button';
+        submit.textContent = 'Regenerate';
+        submit.addEventListener('click', () => {
+            form.remove();
+            this.regenerateMessage(messageDiv, {
+                model: model.value || undefined,
+                thinkingBudget: thinking.value === '' ? undefined : parseInt(thinking.value, 10),
+                temperature: temperature.value === '' ? undefined : parseFloat(temperature.value)
+            });
+        });
+
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.textContent = 'Cancel';
+        cancel.addEventListener('click', () => form.remove());
+
+        form.appendChild(submit);
+        form.appendChild(cancel);
+        messageDiv.appendChild(form);
+    }
+
+    /**
+     * Regenerate the response shown in an assistant message
+     * @param {HTMLElement} messageDiv - The assistant .message element
+     * @param {Object} settings - Optional {model, thinkingBudget, temperature} for this run
+     */
+    regenerateMessage(messageDiv, settings = {}) {
+        let userDiv = messageDiv.previousElementSibling;
+        while (userDiv && !userDiv.classList.contains('user')) {
+            userDiv = userDiv.previousElementSibling;
+        }
+
+        if (userDiv) {
+            this.runBranchRequest(userDiv, null, messageDiv.dataset.messageId, settings);
+        }
+    }
+
+    /**
+     * Edit a user message or regenerate its response, streaming the new branch
+     * @param {HTMLElement} userDiv - The user .message element of the turn
+     * @param {string|null} editedText - New text (null to regenerate)
+     * @param {string|null} responseId - Saved response message (regenerate)
+     * @param {Object} settings - {model, thinkingBudget, temperature} overrides (regenerate)
+     */
+    async runBranchRequest(userDiv, editedText, responseId = null, settings = {}) {
+        if (this.isLoading) return;
+
+        const messageId = userDiv.dataset.messageId;
+        this.isLoading = true;
+
+        // The new branch replaces everything after the turn's user message
+        this.clearMessages(userDiv);
+        if (editedText !== null) {
+            userDiv.remove();
+            this.pendingUserText = editedText;
+            this.addMessage('user', editedText);
+        }
+
+        this.streamingMessageDiv = this.addStreamingMessage('assistant');
+        this.streamingContent = '';
+        this.streamingToolSteps = null;
+        this.showStopButton();
+        this.setupChatClientCallbacks();
+
+        try {
+            if (editedText !== null) {
+                await this.chatClient.editMessage({
+                    conversationId: this.conversationId,
+                    messageId,
+                    message: editedText,
+                    autoContinue: this.config.autoContinue
+                });
+            } else {
+                await this.chatClient.regenerateMessage({
+                    conversationId: this.conversationId,
+                    messageId: responseId || messageId,
+                    autoContinue: this.config.autoContinue,
+                    ...settings
+                });
+            }
+        } catch (error) {
+            console.error('Branch request error:', error);
+        } finally {
+            this.isLoading = false;
+            this.hideStopButton();
+        }
+
+        // Re-render the new branch so the version switchers include it
+        await this.switchBranch(this.branchLeafId);
+        this.loadConversationsList();
+    }
+
+    /**
+     * Create a collapsible "tools used" block in the message list
+     * @param {HTMLElement|null} beforeElement - Insert before this message (appends if null)
+     * @returns {HTMLElement} The tool steps element
+     */
+    createToolSteps(beforeElement = null) {
+        const messagesContainer = document.getElementById('messages');
+
+        const steps = document.createElement('details');
+        steps.className = 'tool-steps';
+        steps.style.cssText = `
+            margin: 0.25rem 0 0.5rem;
+            font-size: 0.8rem;
+            color: var(--text-secondary, #6b7280);
+        `;
+
+        const summary = document.createElement('summary');
+        summary.style.cursor = 'pointer';
+        steps.appendChild(summary);
+
+        const list = document.createElement('ul');
+        list.className = 'tool-steps-list';
+        list.style.cssText = 'margin: 0.25rem 0 0 1rem; padding: 0; list-style: none;';
+        steps.appendChild(list);
+
+        if (messagesContainer) {
+            if (beforeElement && beforeElement.parentNode === messagesContainer) {
+                messagesContainer.insertBefore(steps, beforeElement);
+            } else {
+                messagesContainer.appendChild(steps);
+            }
+        }
+
+        this.updateToolStepsSummary(steps);
+        return steps;
+    }
+
+    /**
+     * Add a tool call to a tool steps block
+     * @param {HTMLElement} steps - Tool steps element
+     * @param {Object} step - {id, name, input, depth} (depth > 0 for sub-agent tool calls)
+     */
+    addToolStep(steps, { id, name, input, depth = 0 }) {
+        if (!steps) return;
+
+        // Short, single-line summary of the tool input
+        const inputSummary = Object.entries(input || {})
+            .filter(([, value]) => value !== null && typeof value !== 'object')
+            .slice(0, 2)
+            .map(([key, value]) => `${key}: ${String(value).substring(0, 60)}`)
+            .join(', ');
+
+        const item = document.createElement('li');
+        item.className = 'tool-step';
+        item.dataset.toolId = id || '';
+        if (depth > 0) {
+            item.style.marginLeft = `${depth * 1.25}rem`;
+        }
+        item.innerHTML = `
+            <span class="tool-step-status">⏳</span>
+            <code>${this.escapeHtml(name)}</code>
+            ${inputSummary ? `<span class="tool-step-input">(${this.escapeHtml(inputSummary)})</span>` : ''}
+        `;
+
+        steps.querySelector('.tool-steps-list').appendChild(item);
+        this.updateToolStepsSummary(steps);
+    }
+
+    /**
+     * Mark a tool call as finished
+     * @param {HTMLElement} steps - Tool steps element
+     * @param {string} toolId - tool_use ID
+     * @param {Object|null} result - Tool result (null if unknown)
+     */
+    completeToolStep(steps, toolId, result) {
+        if (!steps) return;
+
+        const item = Array.from(steps.querySelectorAll('.tool-step'))
+            .find(el => el.dataset.toolId === (toolId || ''));
+        if (!item) return;
+
+        let status = '✓';
+        if (result && result.cancelled) status = '⏹';
+        else if (result && (result.success === false || result.error)) status = '✗';
+
+        item.querySelector('.tool-step-status').textContent = status;
+        if (result && result.error) {
+            item.title = result.error;
+        }
+        this.updateToolStepsSummary(steps);
+    }
+
+    /**
+     * Refresh the "Used N tools" summary line
+     * @param {HTMLElement} steps - Tool steps element
+     */
+    updateToolStepsSummary(steps) {
+        const count = steps.querySelectorAll('.tool-step').length;
+        const running = Array.from(steps.querySelectorAll('.tool-step-status'))
+            .filter(el => el.textContent === '⏳').length;
+
+        steps.querySelector('summary').textContent = running > 0
+            ? `🔧 Running ${running} of ${count} tool${count === 1 ? '' : 's'}...`
+            : `🔧 Used ${count} tool${count === 1 ? '' : 's'}`;
     }
 
     /**
@@ -1236,13 +2362,15 @@ class AgentInterface {
 
     /**
      * Load conversation history from backend
+     * @param {string|null} branchId - Show the branch through this message (default: latest)
      */
-    async loadConversationHistory() {
+    async loadConversationHistory(branchId = null) {
         if (!this.conversationId) return null;
 
         try {
             console.log('📥 Loading conversation history:', this.conversationId);
-            const response = await fetch(`${this.config.apiBase}/api/conversations/${this.conversationId}`, {
+            const branchQuery = branchId ? `?branch=${encodeURIComponent(branchId)}` : '';
+            const response = await fetch(`${this.config.apiBase}/api/conversations/${this.conversationId}${branchQuery}`, {
                 credentials: 'include'
             });
 
@@ -1275,28 +2403,127 @@ class AgentInterface {
         console.log('🔄 Restoring conversation UI...');
         this.hideWelcomeElements();
 
+        // Tool turns are grouped into a "tools used" block shown before the
+        // final answer, whose text includes what the agent wrote between tools
+        // (matching how the live stream renders a run)
+        let toolSteps = null;
+        let pendingText = '';
+
+        // First message answering the current user turn - its siblings are
+        // the regenerated versions of the response
+        let turnResponse = null;
+        let awaitingResponse = false;
+        this.branchLeafId = conversationData.leafId || null;
+
+        const textOf = (content) => {
+            if (Array.isArray(content)) {
+                return content
+                    .filter(block => block.type === 'text')
+                    .map(block => block.text)
+                    .join('');
+            }
+            return typeof content === 'string' ? content : '';
+        };
+
+        // Messages render asynchronously; resolves once they're all on the page
+        const rendered = [];
+
         conversationData.messages.forEach(msg => {
-            const role = msg.role;
-            let content = '';
+            const blocks = Array.isArray(msg.content) ? msg.content : [];
 
-            if (Array.isArray(msg.content)) {
-                msg.content.forEach(block => {
-                    if (block.type === 'text') {
-                        content += block.text;
-                    }
-                });
-            } else if (typeof msg.content === 'string') {
-                content = msg.content;
+            if (awaitingResponse && msg.role === 'assistant') {
+                turnResponse = msg;
             }
+            awaitingResponse = msg.role === 'user' && !blocks.some(block => block.type === 'tool_result');
+
+            // Assistant turn that called tools
+            if (msg.role === 'assistant' && blocks.some(block => block.type === 'tool_use')) {
+                if (!toolSteps) {
+                    toolSteps = this.createToolSteps();
+                }
+                blocks
+                    .filter(block => block.type === 'tool_use')
+                    .forEach(block => this.addToolStep(toolSteps, block));
+
+                const text = textOf(blocks);
+                if (text) {
+                    pendingText += (pendingText ? '\n\n' : '') + text;
+                }
+                return;
+            }
+
+            // Tool results for the previous turn
+            if (msg.role === 'user' && blocks.some(block => block.type === 'tool_result')) {
+                blocks
+                    .filter(block => block.type === 'tool_result')
+                    .forEach(block => {
+                        let result = null;
+                        try {
+                            result = JSON.parse(block.content);
+                        } catch (e) {
+                            // Large results are stored by reference with a text preview
+                        }
+                        this.completeToolStep(toolSteps, block.tool_use_id, result);
+                    });
+                return;
+            }
+
+            let content = textOf(msg.content);
+
+            if (msg.role === 'assistant' && pendingText) {
+                content = pendingText + (content ? '\n\n' + content : '');
+            } else if (pendingText) {
+                // Run ended without a final answer (e.g. hit the loop limit)
+                this.addMessage('assistant', pendingText);
+            }
+
+            toolSteps = null;
+            pendingText = '';
 
             if (content) {
-                this.addMessage(role, content);
+                const branchInfo = msg.role === 'assistant'
+                    ? { id: msg.id, siblingIds: turnResponse?.siblingIds, siblingIndex: turnResponse?.siblingIndex, metadata: msg.metadata }
+                    : msg;
+
+                rendered.push(this.addMessage(msg.role, content).then(contentDiv => {
+                    if (msg.status === 'cancelled') {
+                        this.markMessageCancelled(contentDiv);
+                    }
+                    this.addBranchControls(contentDiv.closest('.message'), branchInfo, content);
+                }));
             }
         });
 
         this.hasStartedConversation = true;
         this.isFirstMessage = false;
+        this.applyConversationAccess(conversationData.access);
+        this.loadComments();
+        this.loadHubSpotLinks();
         console.log('✅ Conversation restored:', conversationData.messageCount, 'messages');
+
+        return Promise.all(rendered);
+    }
+
+    /**
+     * Scroll to and highlight a message (e.g. a search result). Tool steps
+     * aren't shown as messages, so those jump to the next message shown.
+     * @param {string} messageId - Message to show
+     * @param {Array} messages - Messages of the displayed branch (oldest first)
+     */
+    highlightMessage(messageId, messages) {
+        const start = messages.findIndex(msg => msg.id === messageId);
+        if (start === -1) return;
+
+        for (const msg of messages.slice(start)) {
+            const messageDiv = document.querySelector(`#messages .message[data-message-id="${msg.id}"]`);
+
+            if (messageDiv) {
+                messageDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                messageDiv.classList.add('search-highlight');
+                setTimeout(() => messageDiv.classList.remove('search-highlight'), 4000);
+                return;
+            }
+        }
     }
 
     /**
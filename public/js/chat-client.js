@@ -19,6 +19,18 @@ class ChatClient {
         this.onError = null;
         this.onConnected = null;
         this.onUsage = null;
+        this.onReconnecting = null;
+        this.onCancelled = null;
+        this.onDelegationStart = null;
+        this.onDelegationEvent = null;
+        this.onDelegationEnd = null;
+        this.onMessagesSaved = null;
+
+        // Resumable stream state (see /api/chat/stream/:sessionId)
+        this.sessionId = null;
+        this.lastEventId = 0;
+        this.streamDone = false;
+        this.maxReconnectAttempts = 5;
     }
 
     /**
@@ -29,25 +41,84 @@ class ChatClient {
      * @param {string} options.conversationId - Optional conversation ID
      * @param {string} options.userId - Optional user ID
      * @param {Array} options.attachments - Optional file attachments
+     * @param {boolean} options.autoContinue - Resume responses cut off at the length limit
+     * @param {string} options.parentMessageId - Message to continue from (defaults to the latest branch)
+     */
+    async sendMessage({ message, agentType, conversationId, userId, attachments = [], autoContinue = false, parentMessageId = null }) {
+        this.conversationId = conversationId;
+        this.userId = userId || 'anonymous';
+
+        await this._streamRequest('/api/chat', {
+            message,
+            agentType,
+            conversationId: this.conversationId,
+            userId: this.userId,
+            attachments,
+            autoContinue,
+            parentMessageId
+        });
+    }
+
+    /**
+     * Edit an earlier user message and stream the response on a new branch
+     * @param {Object} options - Edit options
+     * @param {string} options.conversationId - Conversation ID
+     * @param {string} options.messageId - User message to edit
+     * @param {string} options.message - New message text
+     * @param {boolean} options.autoContinue - Resume responses cut off at the length limit
+     */
+    async editMessage({ conversationId, messageId, message, autoContinue = false }) {
+        this.conversationId = conversationId;
+
+        await this._streamRequest(`/api/conversations/${conversationId}/messages/${messageId}/edit`, {
+            message,
+            autoContinue
+        });
+    }
+
+    /**
+     * Regenerate the response to a turn and stream it on a new branch
+     * (the previous response stays available as another version)
+     * @param {Object} options - Regenerate options
+     * @param {string} options.conversationId - Conversation ID
+     * @param {string} options.messageId - Any message of the turn (omit for the last turn)
+     * @param {boolean} options.autoContinue - Resume responses cut off at the length limit
+     * @param {string} options.model - Optional model alias or ID for this run
+     * @param {number} options.thinkingBudget - Optional thinking budget (0 = off)
+     * @param {number} options.temperature - Optional temperature
+     */
+    async regenerateMessage({ conversationId, messageId = null, autoContinue = false, model, thinkingBudget, temperature }) {
+        this.conversationId = conversationId;
+
+        const path = messageId
+            ? `/api/conversations/${conversationId}/messages/${messageId}/regenerate`
+            : `/api/conversations/${conversationId}/regenerate`;
+
+        await this._streamRequest(path, {
+            autoContinue,
+            model,
+            thinkingBudget,
+            temperature
+        });
+    }
+
+    /**
+     * POST a request that answers with an agent SSE stream
+     * @param {string} path - API path
+     * @param {Object} body - JSON body
      */
-    async sendMessage({ message, agentType, conversationId, userId, attachments = [] }) {
+    async _streamRequest(path, body) {
         try {
-            // Store conversation ID for tracking
-            this.conversationId = conversationId;
-            this.userId = userId || 'anonymous';
+            this.sessionId = null;
+            this.lastEventId = 0;
+            this.streamDone = false;
 
-            const response = await fetch(`${this.apiBaseUrl}/api/chat`, {
+            const response = await fetch(`${this.apiBaseUrl}${path}`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({
-                    message,
-                    agentType,
-                    conversationId: this.conversationId,
-                    userId: this.userId,
-                    attachments
-                })
+                body: JSON.stringify(body)
             });
 
             if (!response.ok) {
@@ -69,45 +140,125 @@ class ChatClient {
 
     /**
      * Handle Server-Sent Events stream
+     * If the connection drops before the 'done' event, reconnects and
+     * replays missed events from the last received event ID.
      */
     async _handleSSEStream(response) {
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
+        let streamError = null;
 
         try {
-            while (true) {
-                const { value, done } = await reader.read();
+            await this._readSSEStream(response);
+        } catch (error) {
+            console.warn('⚠️ Stream interrupted:', error.message);
+            streamError = error;
+        }
+
+        if (this.streamDone) return;
 
-                if (done) {
-                    console.log('✓ Stream ended');
+        // Can't resume without a session ID (dropped before 'connected')
+        if (!this.sessionId) {
+            const error = streamError || new Error('Stream ended unexpectedly');
+            if (this.onError) {
+                this.onError(error);
+            }
+            throw error;
+        }
+
+        await this._reconnect();
+    }
+
+    /**
+     * Reconnect to the running agent session with backoff
+     */
+    async _reconnect() {
+        for (let attempt = 1; attempt <= this.maxReconnectAttempts; attempt++) {
+            const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
+            console.log(`🔁 Reconnecting (attempt ${attempt}/${this.maxReconnectAttempts}) from event ${this.lastEventId} in ${delay}ms`);
+
+            if (this.onReconnecting) {
+                this.onReconnecting(attempt);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, delay));
+
+            try {
+                const response = await fetch(`${this.apiBaseUrl}/api/chat/stream/${this.sessionId}`, {
+                    credentials: 'include',
+                    headers: {
+                        'Last-Event-ID': String(this.lastEventId)
+                    }
+                });
+
+                if (response.status === 404 || response.status === 403) {
+                    // Session expired or not ours - nothing left to resume
                     break;
                 }
 
-                // Decode chunk and add to buffer
-                buffer += decoder.decode(value, { stream: true });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                await this._readSSEStream(response);
 
-                // Process complete SSE messages
-                const lines = buffer.split('\n\n');
-                buffer = lines.pop() || ''; // Keep incomplete message in buffer
+                if (this.streamDone) {
+                    console.log('✓ Stream resumed and completed');
+                    return;
+                }
+            } catch (error) {
+                console.warn('⚠️ Reconnect failed:', error.message);
+            }
+        }
 
-                for (const line of lines) {
-                    if (!line.trim() || !line.startsWith('data: ')) continue;
+        const error = new Error('Connection lost and the response could not be resumed');
+        if (this.onError) {
+            this.onError(error);
+        }
+        throw error;
+    }
 
-                    try {
-                        const data = JSON.parse(line.substring(6));
-                        this._handleEvent(data);
-                    } catch (error) {
-                        console.warn('Failed to parse SSE message:', line);
+    /**
+     * Read an SSE response body until it ends
+     * Tracks event IDs so a dropped stream can be resumed.
+     */
+    async _readSSEStream(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+
+            if (done) {
+                console.log('✓ Stream ended');
+                break;
+            }
+
+            // Decode chunk and add to buffer
+            buffer += decoder.decode(value, { stream: true });
+
+            // Process complete SSE messages
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop() || ''; // Keep incomplete message in buffer
+
+            for (const message of messages) {
+                let data = null;
+
+                for (const line of message.split('\n')) {
+                    if (line.startsWith('id: ')) {
+                        this.lastEventId = parseInt(line.substring(4), 10) || this.lastEventId;
+                    } else if (line.startsWith('data: ')) {
+                        data = line.substring(6);
                     }
                 }
+
+                if (!data) continue;
+
+                try {
+                    this._handleEvent(JSON.parse(data));
+                } catch (error) {
+                    console.warn('Failed to parse SSE message:', message);
+                }
             }
-        } catch (error) {
-            console.error('❌ Stream error:', error);
-            if (this.onError) {
-                this.onError(error);
-            }
-            throw error;
         }
     }
 
@@ -118,6 +269,7 @@ class ChatClient {
         switch (event.type) {
             case 'connected':
                 console.log('✓ Connected:', event.sessionId);
+                this.sessionId = event.sessionId;
                 if (this.onConnected) {
                     this.onConnected(event);
                 }
@@ -156,14 +308,40 @@ class ChatClient {
             case 'tool_use':
                 console.log(`🔧 Tool used: ${event.toolName}`, event.input);
                 if (this.onToolUse) {
-                    this.onToolUse(event.toolName, event.input);
+                    this.onToolUse(event.toolName, event.input, event.toolId);
                 }
                 break;
 
             case 'tool_result':
                 console.log(`✓ Tool result:`, event.toolName);
                 if (this.onToolResult) {
-                    this.onToolResult(event.toolName, event.result);
+                    this.onToolResult(event.toolName, event.result, event.toolId);
+                }
+                break;
+
+            case 'delegation_start':
+                console.log(`🤝 Delegated to ${event.agentType}: ${event.task}`);
+                if (this.onDelegationStart) {
+                    this.onDelegationStart(event);
+                }
+                break;
+
+            case 'delegation_event': {
+                // Nested runs can delegate again - unwrap to the innermost event
+                let nested = event;
+                while (nested.type === 'delegation_event') {
+                    if (this.onDelegationEvent && nested.event.type !== 'delegation_event') {
+                        this.onDelegationEvent(nested, nested.event);
+                    }
+                    nested = nested.event;
+                }
+                break;
+            }
+
+            case 'delegation_end':
+                console.log(`🤝 ${event.agentType} ${event.success ? 'finished' : 'failed'} (${event.iterations} iterations)`);
+                if (this.onDelegationEnd) {
+                    this.onDelegationEnd(event);
                 }
                 break;
 
@@ -174,12 +352,38 @@ class ChatClient {
                 }
                 break;
 
+            case 'continuation':
+                console.log(`⏩ Response hit the length limit - continuing (${event.continuation}/${event.maxContinuations})`);
+                break;
+
+            case 'context_compacted':
+                console.log(`🗜️ Earlier messages summarized to fit context (${event.summarizedMessages} messages)`);
+                break;
+
             case 'loop_iteration':
                 console.log(`🔄 Loop iteration: ${event.iteration}`);
                 break;
 
+            case 'cancelled':
+                console.log('⏹️ Run cancelled');
+                if (this.onCancelled) {
+                    this.onCancelled(event);
+                }
+                break;
+
+            case 'messages_saved':
+                if (this.onMessagesSaved) {
+                    this.onMessagesSaved(event);
+                }
+                break;
+
+            case 'replay_truncated':
+                console.warn('⚠️ Some streamed events were no longer available; reload the conversation for the full response');
+                break;
+
             case 'done':
                 console.log('✅ Response complete');
+                this.streamDone = true;
                 if (this.onComplete) {
                     this.onComplete();
                 }
@@ -198,12 +402,34 @@ class ChatClient {
     }
 
     /**
-     * Stop the current stream (if supported by backend)
+     * Cancel the current run on the server
+     * Aborts the model stream and pending tool calls; the server saves the
+     * partial response as cancelled and sends 'cancelled' then 'done' events.
+     * @returns {Promise<boolean>} True if the server accepted the cancellation
      */
-    stop() {
-        // In SSE, we can't cancel from client side once request is sent
-        // But we can close the reader
-        console.log('⚠️ Stop requested (SSE streams cannot be cancelled from client)');
+    async cancel() {
+        if (!this.sessionId || this.streamDone) {
+            console.log('⚠️ Nothing to cancel');
+            return false;
+        }
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/chat/stream/${this.sessionId}/cancel`, {
+                method: 'POST',
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            console.log(`⏹️ Cancel requested: ${data.cancelled ? 'run aborting' : 'run already finished'}`);
+            return data.cancelled;
+        } catch (error) {
+            console.error('❌ Cancel error:', error);
+            return false;
+        }
     }
 }
 
@@ -460,7 +460,7 @@ class FeedbackPanel {
         `).join('');
     }
 
-    async rateConversation(rating, messageIndex) {
+    async rateConversation(rating, messageIndex, messageId = null) {
         try {
             const completionTime = Math.floor((Date.now() - this.conversationStartTime) / 1000);
 
@@ -472,6 +472,7 @@ class FeedbackPanel {
                 },
                 body: JSON.stringify({
                     conversationId: this.conversationId,
+                    messageId: messageId || undefined,
                     messageIndex: messageIndex,
                     rating: rating,
                     revisionCount: this.revisionCount,
@@ -0,0 +1,263 @@
+/**
+ * Grant Card Batch Panel
+ * Upload many program documents (PDFs or URLs) and generate a grant card for each,
+ * with progress per batch, a ZIP download of the results and GetGranted exports
+ */
+
+class GrantCardBatchPanel {
+    constructor(apiBase = '') {
+        this.apiBase = apiBase;
+        this.pollTimer = null;
+        this.overlay = null;
+    }
+
+    /**
+     * Open the batch dialog: upload form and the user's batches
+     */
+    open() {
+        this.close();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'grant-card-batch-dialog';
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            background: rgba(0, 0, 0, 0.4);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 2000;
+        `;
+        overlay.innerHTML = `
+            <div style="background: white; border-radius: 12px; padding: 1.5rem; width: min(640px, 94vw); max-height: 88vh; display: flex; flex-direction: column; box-shadow: 0 10px 40px rgba(0,0,0,0.2);">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+                    <strong>📦 Batch grant cards</strong>
+                    <button type="button" data-action="close" style="background: none; border: none; font-size: 1.25rem; cursor: pointer;">×</button>
+                </div>
+                <form data-field="form" style="display: flex; flex-direction: column; gap: 0.5rem; font-size: 0.85rem;">
+                    <input type="text" name="name" placeholder="Batch name (e.g. Spring 2026 intake)" maxlength="200" style="padding: 0.5rem; border: 1px solid #d1d5db; border-radius: 6px;">
+                    <label>Program PDFs <input type="file" name="files" accept="application/pdf" multiple></label>
+                    <textarea name="urls" rows="3" placeholder="Or PDF URLs, one per line" style="padding: 0.5rem; border: 1px solid #d1d5db; border-radius: 6px; font-family: inherit;"></textarea>
+                    <textarea name="instructions" rows="2" maxlength="4000" placeholder="Instructions for every grant card (optional)" style="padding: 0.5rem; border: 1px solid #d1d5db; border-radius: 6px; font-family: inherit;"></textarea>
+                    <div style="display: flex; justify-content: space-between; align-items: center;">
+                        <span style="font-size: 0.75rem; color: #6b7280;">Up to 50 documents. Batches usually finish within an hour.</span>
+                        <button type="submit" class="nav-link" style="cursor: pointer;">Generate grant cards</button>
+                    </div>
+                </form>
+                <div style="font-weight: 600; font-size: 0.85rem; margin: 1rem 0 0.5rem;">Your batches</div>
+                <div data-field="batches" style="overflow-y: auto; font-size: 0.85rem;">Loading...</div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        this.overlay = overlay;
+
+        overlay.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+        overlay.addEventListener('click', (event) => {
+            if (event.target === overlay) this.close();
+        });
+        overlay.querySelector('[data-field="form"]').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.createBatch(event.target);
+        });
+        overlay.querySelector('[data-field="batches"]').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-download]');
+            if (button) {
+                const format = button.parentElement.querySelector('select').value;
+                this.downloadBatch(button.dataset.download, format);
+            }
+        });
+
+        this.refresh();
+    }
+
+    /**
+     * Close the dialog and stop polling
+     */
+    close() {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        this.overlay?.remove();
+        this.overlay = null;
+    }
+
+    /**
+     * Upload the documents and start a batch
+     * @param {HTMLFormElement} form - Batch form
+     */
+    async createBatch(form) {
+        const submitButton = form.querySelector('button[type="submit"]');
+        const formData = new FormData(form);
+
+        if (form.files.files.length === 0 && !form.urls.value.trim()) {
+            alert('Add at least one PDF or document URL.');
+            return;
+        }
+
+        submitButton.disabled = true;
+        submitButton.textContent = 'Uploading...';
+
+        try {
+            const response = await fetch(`${this.apiBase}/api/grant-cards/batches`, {
+                method: 'POST',
+                credentials: 'include',
+                body: formData
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+
+            form.reset();
+            await this.refresh();
+        } catch (error) {
+            console.error('Failed to start grant card batch:', error);
+            alert(`Failed to start batch: ${error.message}`);
+        } finally {
+            submitButton.disabled = false;
+            submitButton.textContent = 'Generate grant cards';
+        }
+    }
+
+    /**
+     * Reload the batch list, and keep polling while a batch is running
+     */
+    async refresh() {
+        clearTimeout(this.pollTimer);
+        const list = this.overlay?.querySelector('[data-field="batches"]');
+        if (!list) return;
+
+        try {
+            const response = await fetch(`${this.apiBase}/api/grant-cards/batches`, { credentials: 'include' });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+
+            const running = data.batches.filter(batch => ['pending', 'submitting', 'processing'].includes(batch.status));
+
+            // Per-document errors for batches that have them
+            const details = await Promise.all(data.batches.map(batch => batch.progress.failed > 0
+                ? fetch(`${this.apiBase}/api/grant-cards/batches/${batch.id}`, { credentials: 'include' })
+                    .then(res => res.ok ? res.json() : null)
+                    .catch(() => null)
+                : null));
+
+            list.innerHTML = data.batches.length === 0
+                ? '<div style="color: #6b7280;">No batches yet.</div>'
+                : data.batches.map((batch, index) => this.renderBatch(batch, details[index]?.batch)).join('');
+
+            if (running.length > 0 && this.overlay) {
+                this.pollTimer = setTimeout(() => this.refresh(), 15000);
+            }
+        } catch (error) {
+            list.innerHTML = `<div style="color: #dc2626;">Failed to load batches: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    /**
+     * Render one batch row
+     * @param {Object} batch - Batch summary
+     * @param {Object|undefined} detail - Batch with items (for per-document errors)
+     * @returns {string} HTML
+     */
+    renderBatch(batch, detail) {
+        const { total, succeeded, failed, percent } = batch.progress;
+        const statusLabels = {
+            pending: 'Queued',
+            submitting: 'Queued',
+            processing: 'Generating',
+            completed: 'Done',
+            failed: 'Failed'
+        };
+        const failedItems = (detail?.items || []).filter(item => item.status === 'failed');
+
+        return `
+            <div style="border: 1px solid #e5e7eb; border-radius: 8px; padding: 0.75rem; margin-bottom: 0.5rem;">
+                <div style="display: flex; justify-content: space-between; gap: 0.5rem;">
+                    <strong>${this.escapeHtml(batch.name)}</strong>
+                    <span style="color: #6b7280;">${statusLabels[batch.status] || batch.status} · ${succeeded}/${total} ready${failed > 0 ? `, ${failed} failed` : ''}</span>
+                </div>
+                <div style="height: 6px; background: #e5e7eb; border-radius: 3px; margin: 0.5rem 0; overflow: hidden;">
+                    <div style="height: 100%; width: ${percent}%; background: ${batch.status === 'failed' ? '#dc2626' : '#2563eb'};"></div>
+                </div>
+                ${batch.error ? `<div style="color: #dc2626; font-size: 0.8rem;">${this.escapeHtml(batch.error)}</div>` : ''}
+                ${failedItems.map(item => `
+                    <div style="color: #b45309; font-size: 0.75rem;">⚠️ ${this.escapeHtml(item.sourceName)}: ${this.escapeHtml(item.error || 'Failed')}</div>
+                `).join('')}
+                ${succeeded > 0 ? `
+                    <div style="display: flex; gap: 0.5rem; align-items: center; justify-content: flex-end; margin-top: 0.5rem;">
+                        <select style="padding: 0.25rem; border: 1px solid #d1d5db; border-radius: 6px;">
+                            <option value="docx">Word (.docx)</option>
+                            <option value="pdf">PDF (.pdf)</option>
+                            <option value="md">Markdown (.md)</option>
+                            <option value="getgranted-json">GetGranted import (.json)</option>
+                            <option value="getgranted-csv">GetGranted bulk upload (.csv)</option>
+                            <option value="getgranted-html">GetGranted preview (.html)</option>
+                        </select>
+                        <button type="button" class="nav-link" data-download="${batch.id}" style="cursor: pointer;">Download</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Download a batch's grant cards as a ZIP bundle, or as a GetGranted export
+     * @param {string} batchId - Batch ID
+     * @param {string} format - md, docx, pdf or getgranted-json|csv|html
+     * @param {boolean} skipInvalid - GetGranted only: export just the cards that pass validation
+     */
+    async downloadBatch(batchId, format, skipInvalid = false) {
+        try {
+            const getGrantedFormat = format.startsWith('getgranted-') ? format.slice('getgranted-'.length) : null;
+            const url = getGrantedFormat
+                ? `${this.apiBase}/api/grant-cards/batches/${batchId}/getgranted?format=${getGrantedFormat}${skipInvalid ? '&skipInvalid=true' : ''}`
+                : `${this.apiBase}/api/grant-cards/batches/${batchId}/download?format=${format}`;
+            const response = await fetch(url, {
+                credentials: 'include'
+            });
+
+            if (response.status === 422 && getGrantedFormat && !skipInvalid) {
+                const data = await response.json();
+                const listed = data.errors.slice(0, 10).map(error =>
+                    `• ${error.programName || 'Document'}: ${error.field ? `${error.field} ` : ''}${error.message}`
+                );
+                if (data.errors.length > 10) listed.push(`…and ${data.errors.length - 10} more`);
+
+                if (confirm(`${data.error}\n\n${listed.join('\n')}\n\nExport only the cards that pass validation?`)) {
+                    await this.downloadBatch(batchId, format, true);
+                }
+                return;
+            }
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'grant-cards.zip';
+
+            const blobUrl = URL.createObjectURL(await response.blob());
+            const a = document.createElement('a');
+            a.href = blobUrl;
+            a.download = filename;
+            a.click();
+            URL.revokeObjectURL(blobUrl);
+        } catch (error) {
+            console.error('Failed to download grant card batch:', error);
+            alert(`Failed to download batch: ${error.message}`);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+}
+
+// Export for use in agent pages
+window.GrantCardBatchPanel = GrantCardBatchPanel;
@@ -0,0 +1,311 @@
+/**
+ * Grant Card Revision Panel
+ * Update a stored grant card from a new version of the program guidelines,
+ * then accept or reject the changes section by section
+ */
+
+class GrantCardRevisionPanel {
+    constructor(apiBase = '') {
+        this.apiBase = apiBase;
+        this.overlay = null;
+        this.cardId = null;
+        this.revision = null;
+    }
+
+    /**
+     * Open the dialog: card picker and new-document form
+     */
+    async open() {
+        this.close();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'grant-card-revision-dialog';
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            background: rgba(0, 0, 0, 0.4);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 2000;
+        `;
+        overlay.innerHTML = `
+            <div style="background: white; border-radius: 12px; padding: 1.5rem; width: min(720px, 94vw); max-height: 88vh; display: flex; flex-direction: column; box-shadow: 0 10px 40px rgba(0,0,0,0.2);">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+                    <strong>🔁 Update a grant card</strong>
+                    <button type="button" data-action="close" style="background: none; border: none; font-size: 1.25rem; cursor: pointer;">×</button>
+                </div>
+                <form data-field="form" style="display: flex; flex-direction: column; gap: 0.5rem; font-size: 0.85rem;">
+                    <select name="card" style="padding: 0.5rem; border: 1px solid #d1d5db; border-radius: 6px;">
+                        <option value="">Loading grant cards...</option>
+                    </select>
+                    <label>New program guide (PDF) <input type="file" name="file" accept="application/pdf"></label>
+                    <input type="url" name="url" placeholder="Or the new guide's URL" style="padding: 0.5rem; border: 1px solid #d1d5db; border-radius: 6px;">
+                    <textarea name="instructions" rows="2" maxlength="4000" placeholder="Instructions (optional)" style="padding: 0.5rem; border: 1px solid #d1d5db; border-radius: 6px; font-family: inherit;"></textarea>
+                    <div style="display: flex; justify-content: flex-end;">
+                        <button type="submit" class="nav-link" style="cursor: pointer;">Compare</button>
+                    </div>
+                </form>
+                <div data-field="review" style="overflow-y: auto; font-size: 0.85rem; margin-top: 1rem;"></div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        this.overlay = overlay;
+
+        overlay.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+        overlay.addEventListener('click', (event) => {
+            if (event.target === overlay) this.close();
+        });
+        overlay.querySelector('[data-field="form"]').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.createRevision(event.target);
+        });
+        overlay.querySelector('select[name="card"]').addEventListener('change', (event) => {
+            this.loadPendingRevision(event.target.value);
+        });
+        overlay.querySelector('[data-field="review"]').addEventListener('click', (event) => {
+            const action = event.target.closest('[data-review]')?.dataset.review;
+            if (action === 'apply') this.applyRevision();
+            if (action === 'discard') this.discardRevision();
+        });
+
+        await this.loadCards();
+    }
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        this.overlay?.remove();
+        this.overlay = null;
+        this.revision = null;
+    }
+
+    /**
+     * Fill the card picker with the user's grant cards
+     */
+    async loadCards() {
+        const select = this.overlay?.querySelector('select[name="card"]');
+        if (!select) return;
+
+        try {
+            const response = await fetch(`${this.apiBase}/api/grant-cards`, { credentials: 'include' });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+
+            select.innerHTML = data.grantCards.length === 0
+                ? '<option value="">No saved grant cards yet</option>'
+                : '<option value="">Choose a grant card...</option>' + data.grantCards.map(card => `
+                    <option value="${card.id}">${this.escapeHtml(card.programName)} (updated ${new Date(card.updatedAt).toLocaleDateString()})</option>
+                `).join('');
+        } catch (error) {
+            select.innerHTML = `<option value="">Failed to load grant cards: ${this.escapeHtml(error.message)}</option>`;
+        }
+    }
+
+    /**
+     * Show the newest pending revision of a card, if it has one
+     * @param {string} cardId - Grant card ID
+     */
+    async loadPendingRevision(cardId) {
+        this.cardId = cardId || null;
+        this.revision = null;
+        this.renderReview();
+        if (!cardId) return;
+
+        try {
+            const response = await fetch(`${this.apiBase}/api/grant-cards/${cardId}/revisions`, { credentials: 'include' });
+            const data = await response.json();
+            const pending = response.ok ? data.revisions.find(revision => revision.status === 'pending') : null;
+
+            if (pending && this.cardId === cardId) {
+                const detail = await fetch(`${this.apiBase}/api/grant-cards/${cardId}/revisions/${pending.id}`, { credentials: 'include' });
+                if (detail.ok) {
+                    this.revision = (await detail.json()).revision;
+                    this.renderReview();
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load grant card revisions:', error);
+        }
+    }
+
+    /**
+     * Send the new document and show the change report
+     * @param {HTMLFormElement} form - Revision form
+     */
+    async createRevision(form) {
+        const submitButton = form.querySelector('button[type="submit"]');
+        const cardId = form.card.value;
+
+        if (!cardId) {
+            alert('Choose the grant card to update.');
+            return;
+        }
+
+        if (form.file.files.length === 0 && !form.url.value.trim()) {
+            alert('Add the new program guide as a PDF or URL.');
+            return;
+        }
+
+        const formData = new FormData();
+        if (form.file.files.length > 0) {
+            formData.append('file', form.file.files[0]);
+        } else {
+            formData.append('url', form.url.value.trim());
+        }
+        formData.append('instructions', form.instructions.value);
+
+        submitButton.disabled = true;
+        submitButton.textContent = 'Comparing...';
+
+        try {
+            const response = await fetch(`${this.apiBase}/api/grant-cards/${cardId}/revisions`, {
+                method: 'POST',
+                credentials: 'include',
+                body: formData
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+
+            this.cardId = cardId;
+            this.revision = data.revision;
+            this.renderReview();
+        } catch (error) {
+            console.error('Failed to compare grant card:', error);
+            alert(`Failed to compare: ${error.message}`);
+        } finally {
+            submitButton.disabled = false;
+            submitButton.textContent = 'Compare';
+        }
+    }
+
+    /**
+     * Render the change report with an accept/reject choice per changed section
+     */
+    renderReview() {
+        const review = this.overlay?.querySelector('[data-field="review"]');
+        if (!review) return;
+
+        if (!this.revision) {
+            review.innerHTML = '';
+            return;
+        }
+
+        const { sections, summary } = this.revision.changes;
+        const changed = sections.filter(section => section.changes.length > 0);
+        const icons = { added: '➕', removed: '➖', modified: '✏️' };
+
+        if (changed.length === 0) {
+            review.innerHTML = `
+                <div style="color: #6b7280;">No changes: the new guide matches the stored card.</div>
+                <div style="display: flex; justify-content: flex-end; margin-top: 0.75rem;">
+                    <button type="button" class="nav-link" data-review="discard" style="cursor: pointer;">Dismiss</button>
+                </div>
+            `;
+            return;
+        }
+
+        review.innerHTML = `
+            <div style="margin-bottom: 0.75rem;">
+                <strong>${this.escapeHtml(this.revision.sourceName || 'New guide')}</strong>:
+                ${changed.length} section(s) changed - ${summary.added} added, ${summary.removed} removed, ${summary.modified} modified
+            </div>
+            ${changed.map(section => `
+                <div style="border: 1px solid #e5e7eb; border-radius: 8px; padding: 0.75rem; margin-bottom: 0.5rem;">
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.25rem;">
+                        <strong>${this.escapeHtml(section.title)}</strong>
+                        <span>
+                            <label><input type="radio" name="section-${section.key}" value="accept" data-section="${section.key}" checked> Accept</label>
+                            <label style="margin-left: 0.5rem;"><input type="radio" name="section-${section.key}" value="reject" data-section="${section.key}"> Reject</label>
+                        </span>
+                    </div>
+                    ${section.changes.map(change => `
+                        <div style="margin: 0.15rem 0;">
+                            ${icons[change.type]} <strong>${this.escapeHtml(change.label)}:</strong>
+                            ${change.before !== null ? `<span style="color: #b91c1c; text-decoration: ${change.type === 'removed' ? 'line-through' : 'none'};">${this.escapeHtml(change.before)}</span>` : ''}
+                            ${change.type === 'modified' ? '→' : ''}
+                            ${change.after !== null ? `<span style="color: #15803d;">${this.escapeHtml(change.after)}</span>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('')}
+            <div style="display: flex; gap: 0.5rem; justify-content: flex-end; margin-top: 0.75rem;">
+                <button type="button" class="nav-link" data-review="discard" style="cursor: pointer;">Discard all</button>
+                <button type="button" class="nav-link" data-review="apply" style="cursor: pointer;">Apply decisions</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Apply the revision with the reviewer's per-section decisions
+     */
+    async applyRevision() {
+        const decisions = {};
+        this.overlay.querySelectorAll('input[data-section]:checked').forEach(input => {
+            decisions[input.dataset.section] = input.value;
+        });
+
+        try {
+            const response = await fetch(`${this.apiBase}/api/grant-cards/${this.cardId}/revisions/${this.revision.id}/apply`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ decisions })
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                const details = (data.errors || []).slice(0, 5).map(error => `• ${error.path} ${error.message}`).join('\n');
+                throw new Error(details ? `${data.error}\n\n${details}` : (data.error || `HTTP ${response.status}`));
+            }
+
+            const accepted = Object.values(data.revision.decisions).filter(decision => decision === 'accept').length;
+            this.revision = null;
+            this.renderReview();
+            await this.loadCards();
+            alert(`Grant card updated (${accepted} section(s) accepted).`);
+        } catch (error) {
+            console.error('Failed to apply grant card revision:', error);
+            alert(`Failed to apply: ${error.message}`);
+        }
+    }
+
+    /**
+     * Discard the revision (the stored card stays as it is)
+     */
+    async discardRevision() {
+        try {
+            const response = await fetch(`${this.apiBase}/api/grant-cards/${this.cardId}/revisions/${this.revision.id}/discard`, {
+                method: 'POST',
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+
+            this.revision = null;
+            this.renderReview();
+        } catch (error) {
+            console.error('Failed to discard grant card revision:', error);
+            alert(`Failed to discard: ${error.message}`);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+}
+
+// Export for use in agent pages
+window.GrantCardRevisionPanel = GrantCardRevisionPanel;
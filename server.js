@@ -26,10 +26,52 @@ import usageAnalyticsHandler from './api/usage-analytics.js';
 // New direct API handlers
 import {
   handleChatRequest,
+  handleStreamReconnect,
+  handleCancelRun,
   handleGetConversation,
   handleListConversations,
-  handleDeleteConversation
+  handleDeleteConversation,
+  handleExportConversation,
+  handleEditMessage,
+  handleRegenerateMessage
 } from './src/api/chat.js';
+import {
+  handleListShares,
+  handleShareConversation,
+  handleDeleteShare,
+  handleListComments,
+  handleAddComment
+} from './src/api/sharing.js';
+import { handleSearchConversations } from './src/api/search.js';
+import {
+  handleListLinks,
+  handleAddLink,
+  handleDeleteLink,
+  handleListDealConversations
+} from './src/api/hubspot-links.js';
+import {
+  uploadBatchDocuments,
+  handleCreateBatch,
+  handleListBatches,
+  handleGetBatch,
+  handleDownloadBatch,
+  handleExportBatchGetGranted
+} from './src/api/grant-card-batches.js';
+import {
+  handleListGrantCards,
+  handleGetGrantCard,
+  handleListConversationGrantCards,
+  handleExportGrantCardGetGranted
+} from './src/api/grant-cards.js';
+import {
+  uploadRevisionDocument,
+  handleCreateRevision,
+  handleListRevisions,
+  handleGetRevision,
+  handleApplyRevision,
+  handleDiscardRevision
+} from './src/api/grant-card-revisions.js';
+import { requireConversationAccess } from './src/middleware/conversation-access.js';
 
 // Authentication
 import authRouter from './src/api/auth.js';
@@ -40,9 +82,13 @@ import adminRouter from './src/api/admin.js';
 
 // Database
 import { testConnection, getPoolStats } from './src/database/connection.js';
-import { getAvailableAgents } from './src/agents/load-agents.js';
+import { getAvailableAgents, validateAgentManifests } from './src/agents/load-agents.js';
 import { autoMigrate } from './src/database/auto-migrate.js';
 
+// Background jobs (importing tasks registers the job types and schedules)
+import { startJobWorker, stopJobWorker } from './src/jobs/queue.js';
+import './src/jobs/tasks.js';
+
 config();
 
 const app = express();
@@ -119,12 +165,62 @@ app.get('/health', async (req, res) => {
 // ============================================================================
 
 // Main chat endpoint (SSE streaming) - with authentication
-app.post('/api/chat', authenticateUser, handleChatRequest);
+// Continuing an existing conversation needs continue access (owner or shared)
+app.post('/api/chat', authenticateUser, requireConversationAccess('continue'), handleChatRequest);
+
+// Reconnect to a dropped chat stream (replays from Last-Event-ID) - with authentication
+app.get('/api/chat/stream/:sessionId', authenticateUser, handleStreamReconnect);
+
+// Cancel an in-flight agent run (stops the model stream and pending tools) - with authentication
+app.post('/api/chat/stream/:sessionId/cancel', authenticateUser, handleCancelRun);
+
+// Full-text search across the user's conversations (before /:id so "search" isn't taken as an ID)
+app.get('/api/conversations/search', authenticateUser, handleSearchConversations);
 
-// Conversation management - with authentication
-app.get('/api/conversations/:id', authenticateUser, handleGetConversation);
+// Conversation management - with authentication and per-conversation access checks
+app.get('/api/conversations/:id', authenticateUser, requireConversationAccess('view'), handleGetConversation);
 app.get('/api/conversations', authenticateUser, handleListConversations);
-app.delete('/api/conversations/:id', authenticateUser, handleDeleteConversation);
+app.delete('/api/conversations/:id', authenticateUser, requireConversationAccess('owner'), handleDeleteConversation);
+
+// Export a conversation (or selected assistant messages) as Markdown, DOCX or PDF
+app.get('/api/conversations/:id/export', authenticateUser, requireConversationAccess('view'), handleExportConversation);
+
+// Conversation branches: edit an earlier message / regenerate a response (SSE streaming)
+app.post('/api/conversations/:id/messages/:messageId/edit', authenticateUser, requireConversationAccess('continue'), handleEditMessage);
+app.post('/api/conversations/:id/messages/:messageId/regenerate', authenticateUser, requireConversationAccess('continue'), handleRegenerateMessage);
+app.post('/api/conversations/:id/regenerate', authenticateUser, requireConversationAccess('continue'), handleRegenerateMessage);
+
+// Conversation sharing (owner) and comments (view to read, comment to write)
+app.get('/api/conversations/:id/shares', authenticateUser, requireConversationAccess('owner'), handleListShares);
+app.post('/api/conversations/:id/shares', authenticateUser, requireConversationAccess('owner'), handleShareConversation);
+app.delete('/api/conversations/:id/shares/:shareId', authenticateUser, requireConversationAccess('owner'), handleDeleteShare);
+app.get('/api/conversations/:id/comments', authenticateUser, requireConversationAccess('view'), handleListComments);
+app.post('/api/conversations/:id/comments', authenticateUser, requireConversationAccess('comment'), handleAddComment);
+
+// HubSpot deals/companies a conversation is about (view to read, continue to change)
+app.get('/api/conversations/:id/links', authenticateUser, requireConversationAccess('view'), handleListLinks);
+app.post('/api/conversations/:id/links', authenticateUser, requireConversationAccess('continue'), handleAddLink);
+app.delete('/api/conversations/:id/links/:linkId', authenticateUser, requireConversationAccess('continue'), handleDeleteLink);
+
+// Batch grant card generation from many program documents
+app.post('/api/grant-cards/batches', authenticateUser, uploadBatchDocuments, handleCreateBatch);
+app.get('/api/grant-cards/batches', authenticateUser, handleListBatches);
+app.get('/api/grant-cards/batches/:batchId', authenticateUser, handleGetBatch);
+app.get('/api/grant-cards/batches/:batchId/download', authenticateUser, handleDownloadBatch);
+app.get('/api/grant-cards/batches/:batchId/getgranted', authenticateUser, handleExportBatchGetGranted);
+
+// Structured grant cards (after /batches so "batches" isn't taken as a card ID)
+app.get('/api/grant-cards', authenticateUser, handleListGrantCards);
+app.get('/api/grant-cards/:cardId', authenticateUser, handleGetGrantCard);
+app.get('/api/grant-cards/:cardId/getgranted', authenticateUser, handleExportGrantCardGetGranted);
+
+// Grant card updates from new program guidelines, reviewed section by section
+app.post('/api/grant-cards/:cardId/revisions', authenticateUser, uploadRevisionDocument, handleCreateRevision);
+app.get('/api/grant-cards/:cardId/revisions', authenticateUser, handleListRevisions);
+app.get('/api/grant-cards/:cardId/revisions/:revisionId', authenticateUser, handleGetRevision);
+app.post('/api/grant-cards/:cardId/revisions/:revisionId/apply', authenticateUser, handleApplyRevision);
+app.post('/api/grant-cards/:cardId/revisions/:revisionId/discard', authenticateUser, handleDiscardRevision);
+app.get('/api/conversations/:id/grant-cards', authenticateUser, requireConversationAccess('view'), handleListConversationGrantCards);
 
 // Feedback system - with authentication
 app.post('/api/feedback', authenticateUser, feedbackHandler);
@@ -401,6 +497,9 @@ app.get('/api/hubspot/contacts/:contactId/deals', authenticateUser, async (req,
   }
 });
 
+// Get every conversation about a deal (across agents)
+app.get('/api/hubspot/deals/:dealId/conversations', authenticateUser, handleListDealConversations);
+
 // ============================================================================
 // LEGACY AGENT SDK ENDPOINT (for backwards compatibility)
 // ============================================================================
@@ -548,10 +647,19 @@ async function startServer() {
       console.log('ℹ️  Google Drive credentials not set - Drive tools disabled');
     }
 
-    // List available agents
-    const agents = getAvailableAgents();
-    console.log(`\n📋 Available agents (${agents.length}):`);
-    agents.forEach(agent => console.log(`   - ${agent}`));
+    // Validate agent manifests (.claude/agents/*.md frontmatter)
+    const { manifests, invalid } = validateAgentManifests();
+
+    if (invalid.length > 0) {
+      invalid.forEach(({ agentType, errors }) => {
+        console.error(`❌ Invalid agent manifest: ${agentType}`);
+        errors.forEach(error => console.error(`   - ${error}`));
+      });
+      throw new Error(`${invalid.length} agent manifest(s) failed validation`);
+    }
+
+    console.log(`\n📋 Available agents (${manifests.length}):`);
+    manifests.forEach(manifest => console.log(`   - ${manifest.type} (${manifest.displayName})`));
 
     // Start Express server
     const server = app.listen(PORT, '0.0.0.0', () => {
@@ -569,6 +677,13 @@ async function startServer() {
       console.log('\n' + '='.repeat(80) + '\n');
     });
 
+    // Start the background job worker (set JOB_WORKER_ENABLED=false to run web-only instances)
+    if (dbHealthy && process.env.JOB_WORKER_ENABLED !== 'false') {
+      await startJobWorker();
+    } else {
+      console.log('ℹ️  Background job worker not started');
+    }
+
     // Graceful shutdown
     const shutdown = async (signal) => {
       console.log(`\n\n${signal} received, shutting down gracefully...`);
@@ -576,6 +691,9 @@ async function startServer() {
       server.close(async () => {
         console.log('✓ HTTP server closed');
 
+        // Let the running job finish (a job cut off by the forced exit is requeued once its lock expires)
+        await stopJobWorker();
+
         // Close database pool
         const { closePool } = await import('./src/database/connection.js');
         await closePool();
@@ -0,0 +1,92 @@
+/**
+ * Agent Frontmatter Parser
+ *
+ * Parses the YAML frontmatter at the top of .claude/agents/*.md files.
+ * Supports the subset agent manifests use:
+ * - key: value (strings, quoted strings, numbers, booleans, null)
+ * - key: [a, b, c] (inline lists)
+ * - key: followed by "- item" lines (block lists)
+ * - key: > or key: | followed by indented lines (folded / literal text)
+ */
+
+/**
+ * Parse a scalar YAML value
+ * @param {string} raw - Raw value text
+ * @returns {*} Parsed value
+ */
+function parseScalar(raw) {
+  const value = raw.trim();
+
+  if (/^".*"$/.test(value)) {
+    return JSON.parse(value);
+  }
+  if (/^'.*'$/.test(value)) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value === '' || value === '~' || value === 'null') {
+    return null;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+
+  return value;
+}
+
+/**
+ * Split a markdown file into frontmatter attributes and body
+ * @param {string} content - File content
+ * @returns {Object} {attributes, body, hasFrontmatter}
+ * @throws {Error} If the frontmatter has a line that can't be parsed
+ */
+export function parseFrontmatter(content) {
+  const match = content.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---(?:\n([\s\S]*))?$/);
+
+  if (!match) {
+    return { attributes: {}, body: content.trim(), hasFrontmatter: false };
+  }
+
+  const lines = match[1].split('\n');
+  const attributes = {};
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (!line.trim() || line.trim().startsWith('#')) {
+      continue;
+    }
+
+    const keyMatch = line.match(/^([A-Za-z_][\w-]*):(?:\s+(.*))?$/);
+    if (!keyMatch) {
+      throw new Error(`Invalid frontmatter line ${i + 2}: "${line}"`);
+    }
+
+    const [, key, rawValue = ''] = keyMatch;
+    const value = rawValue.trim();
+
+    if (value === '>' || value === '|') {
+      // Folded/literal text: the indented lines that follow
+      const textLines = [];
+      while (i + 1 < lines.length && (/^\s+/.test(lines[i + 1]) || !lines[i + 1].trim())) {
+        textLines.push(lines[++i].trim());
+      }
+      attributes[key] = textLines.join(value === '>' ? ' ' : '\n').trim();
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      const inner = value.slice(1, -1).trim();
+      attributes[key] = inner ? inner.split(',').map(parseScalar) : [];
+    } else if (value === '' && /^\s*-\s/.test(lines[i + 1] || '')) {
+      const items = [];
+      while (i + 1 < lines.length && /^\s*-\s/.test(lines[i + 1])) {
+        items.push(parseScalar(lines[++i].replace(/^\s*-\s/, '')));
+      }
+      attributes[key] = items;
+    } else {
+      attributes[key] = parseScalar(value);
+    }
+  }
+
+  return { attributes, body: (match[2] || '').trim(), hasFrontmatter: true };
+}
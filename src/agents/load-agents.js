@@ -1,12 +1,31 @@
 /**
  * Agent Loader
  *
- * Loads agent prompt definitions from .claude/agents/*.md files
+ * Loads agent definitions from .claude/agents/*.md files. The markdown body is
+ * the system prompt; the YAML frontmatter is the agent manifest:
+ *
+ *   ---
+ *   name: etg-writer
+ *   display_name: ETG Business Case Writer
+ *   description: Writes BC Employer Training Grant business cases
+ *   tool_groups: [hubspot, google-drive]
+ *   model: sonnet
+ *   thinking_budget: 10000
+ *   max_loops: 20
+ *   attachments: [pdf, image]
+ *   knowledge_bases: [etg-writer, shared]
+ *   ---
+ *
+ * Every field is optional. Manifests are validated at startup, so adding an
+ * agent only takes a new .md file.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseFrontmatter } from './frontmatter.js';
+import { TOOL_GROUPS } from '../tools/definitions.js';
+import { listKnowledgeBases } from '../knowledge-base/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,13 +39,193 @@ function getAgentsDirectory() {
   return path.join(__dirname, '../../.claude/agents');
 }
 
+// ============================================================================
+// AGENT MANIFESTS
+// ============================================================================
+
 /**
- * Load agent prompt from .claude/agents/{agentType}.md
+ * Model aliases accepted in the manifest's model field
+ */
+export const MODEL_ALIASES = {
+  sonnet: 'claude-sonnet-4-20250514',
+  opus: 'claude-opus-4-1-20250805',
+  haiku: 'claude-haiku-4-5'
+};
+
+/**
+ * Attachment types the chat endpoint understands
+ */
+export const ATTACHMENT_TYPES = ['image', 'pdf'];
+
+// Frontmatter keys we understand. name/tools/color are Claude Code subagent
+// fields kept for compatibility (tools lists Claude Code tools, not ours).
+const MANIFEST_KEYS = new Set([
+  'name', 'display_name', 'description', 'tools', 'color',
+  'tool_groups', 'model', 'thinking_budget', 'max_loops', 'attachments', 'knowledge_bases'
+]);
+
+// Extended thinking requires at least this many budget tokens
+export const MIN_THINKING_BUDGET = 1024;
+
+/**
+ * Error raised for a missing agent definition or an invalid manifest
+ */
+export class AgentManifestError extends Error {
+  constructor(agentType, errors) {
+    super(`Invalid agent manifest for ${agentType}:\n- ${errors.join('\n- ')}`);
+    this.name = 'AgentManifestError';
+    this.agentType = agentType;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Normalize a list field (YAML list or comma-separated string)
+ * @param {*} value - Raw frontmatter value
+ * @returns {Array|null} List, or null if the value isn't a list
+ */
+function toList(value) {
+  if (Array.isArray(value)) return value.map(item => String(item).trim());
+  if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(Boolean);
+  return null;
+}
+
+/**
+ * Validate frontmatter attributes and build the agent manifest
+ * @param {string} agentType - Agent type (file name without .md)
+ * @param {Object} attributes - Parsed frontmatter
+ * @param {string} prompt - Prompt body (fallback for display name / description)
+ * @returns {Object} {manifest, errors, warnings}
+ */
+export function validateAgentManifest(agentType, attributes, prompt = '') {
+  const errors = [];
+  const warnings = [];
+
+  for (const key of Object.keys(attributes)) {
+    if (!MANIFEST_KEYS.has(key)) {
+      warnings.push(`Unknown frontmatter field "${key}" (ignored)`);
+    }
+  }
+
+  if (attributes.name != null && attributes.name !== agentType) {
+    warnings.push(`name "${attributes.name}" does not match the file name (agent type is "${agentType}")`);
+  }
+
+  // Display name and description fall back to the prompt's first heading / line
+  const titleMatch = prompt.match(/^#\s+(.+)$/m);
+  const descMatch = prompt.match(/^(?!#)(.+)$/m);
+
+  const displayName = attributes.display_name ?? (titleMatch ? titleMatch[1] : agentType);
+  const description = attributes.description ?? (descMatch ? descMatch[1].trim().substring(0, 200) : '');
+
+  if (typeof displayName !== 'string' || !displayName.trim()) {
+    errors.push('display_name must be a non-empty string');
+  }
+  if (typeof description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  // Tool groups (null = not declared)
+  let toolGroups = null;
+  if (attributes.tool_groups != null) {
+    toolGroups = toList(attributes.tool_groups);
+
+    if (!toolGroups) {
+      errors.push('tool_groups must be a list');
+    } else {
+      for (const group of toolGroups) {
+        if (!TOOL_GROUPS[group]) {
+          errors.push(`Unknown tool group "${group}" (expected one of: ${Object.keys(TOOL_GROUPS).join(', ')})`);
+        }
+      }
+    }
+  }
+
+  // Model: alias or full model ID ("inherit" = use the default)
+  let model = null;
+  if (attributes.model != null && attributes.model !== 'inherit') {
+    if (typeof attributes.model !== 'string') {
+      errors.push('model must be a string');
+    } else if (MODEL_ALIASES[attributes.model]) {
+      model = MODEL_ALIASES[attributes.model];
+    } else if (attributes.model.startsWith('claude-')) {
+      model = attributes.model;
+    } else {
+      errors.push(`Unknown model "${attributes.model}" (use ${Object.keys(MODEL_ALIASES).join(', ')} or a claude-* model ID)`);
+    }
+  }
+
+  // Thinking budget: 0 disables extended thinking
+  const thinkingBudget = attributes.thinking_budget ?? null;
+  if (thinkingBudget !== null &&
+      (!Number.isInteger(thinkingBudget) || (thinkingBudget !== 0 && thinkingBudget < MIN_THINKING_BUDGET))) {
+    errors.push(`thinking_budget must be 0 (disabled) or an integer >= ${MIN_THINKING_BUDGET}`);
+  }
+
+  const maxLoops = attributes.max_loops ?? null;
+  if (maxLoops !== null && (!Number.isInteger(maxLoops) || maxLoops < 1)) {
+    errors.push('max_loops must be a positive integer');
+  }
+
+  let attachments = ATTACHMENT_TYPES;
+  if (attributes.attachments != null) {
+    attachments = toList(attributes.attachments);
+
+    if (!attachments) {
+      errors.push('attachments must be a list');
+    } else {
+      for (const type of attachments) {
+        if (!ATTACHMENT_TYPES.includes(type)) {
+          errors.push(`Unknown attachment type "${type}" (expected one of: ${ATTACHMENT_TYPES.join(', ')})`);
+        }
+      }
+    }
+  }
+
+  // Knowledge bases (knowledge-base/ directories) the agent searches (null = not declared)
+  let knowledgeBases = null;
+  if (attributes.knowledge_bases != null) {
+    knowledgeBases = toList(attributes.knowledge_bases);
+
+    if (!knowledgeBases) {
+      errors.push('knowledge_bases must be a list');
+    } else {
+      const available = listKnowledgeBases().map(knowledgeBase => knowledgeBase.name);
+      for (const name of knowledgeBases) {
+        if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+          errors.push(`Invalid knowledge base name "${name}" (use a knowledge-base/ directory name)`);
+        } else if (!available.includes(name)) {
+          warnings.push(`Knowledge base "${name}" has no documents in knowledge-base/${name}/`);
+        }
+      }
+    }
+  }
+
+  return {
+    manifest: {
+      type: agentType,
+      displayName,
+      description,
+      toolGroups,
+      model,
+      thinkingBudget,
+      maxLoops,
+      attachments,
+      knowledgeBases
+    },
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Read and parse .claude/agents/{agentType}.md
  * @param {string} agentType - Type of agent (e.g., 'grant-card-generator', 'etg-writer')
- * @returns {string} Agent system prompt
+ * @returns {Object} {manifest, prompt, warnings}
  * @throws {Error} If agent definition file not found
+ * @throws {AgentManifestError} If the frontmatter is invalid
  */
-export function loadAgentPrompt(agentType) {
+export function loadAgentDefinition(agentType) {
   const agentPath = path.join(getAgentsDirectory(), `${agentType}.md`);
 
   if (!fs.existsSync(agentPath)) {
@@ -39,23 +238,56 @@ export function loadAgentPrompt(agentType) {
 
   const content = fs.readFileSync(agentPath, 'utf-8');
 
-  // Parse YAML frontmatter if it exists
-  const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
+  let parsed;
+  try {
+    parsed = parseFrontmatter(content);
+  } catch (error) {
+    throw new AgentManifestError(agentType, [error.message]);
+  }
 
-  if (frontmatterMatch) {
-    // Has frontmatter - extract metadata and return body
-    const frontmatter = frontmatterMatch[1];
-    const body = frontmatterMatch[2].trim();
+  const { manifest, errors, warnings } = validateAgentManifest(agentType, parsed.attributes, parsed.body);
 
-    // You could parse the frontmatter YAML here if needed
-    // For now, just return the body
-    console.log(`✓ Loaded agent prompt: ${agentType} (with frontmatter)`);
-    return body;
+  if (errors.length > 0) {
+    throw new AgentManifestError(agentType, errors);
   }
 
-  // No frontmatter - return entire content
-  console.log(`✓ Loaded agent prompt: ${agentType} (${content.length} chars)`);
-  return content.trim();
+  return { manifest, prompt: parsed.body, warnings };
+}
+
+/**
+ * Load agent prompt from .claude/agents/{agentType}.md
+ * @param {string} agentType - Type of agent (e.g., 'grant-card-generator', 'etg-writer')
+ * @returns {string} Agent system prompt (frontmatter removed)
+ * @throws {Error} If agent definition file not found
+ */
+export function loadAgentPrompt(agentType) {
+  const { prompt } = loadAgentDefinition(agentType);
+  console.log(`✓ Loaded agent prompt: ${agentType} (${prompt.length} chars)`);
+  return prompt;
+}
+
+/**
+ * Validate every agent manifest (run at startup)
+ * @returns {Object} {manifests, invalid: [{agentType, errors}]}
+ */
+export function validateAgentManifests() {
+  const manifests = [];
+  const invalid = [];
+
+  for (const agentType of getAvailableAgents()) {
+    try {
+      const { manifest, warnings } = loadAgentDefinition(agentType);
+      manifests.push(manifest);
+
+      for (const warning of warnings) {
+        console.warn(`⚠️  ${agentType}: ${warning}`);
+      }
+    } catch (error) {
+      invalid.push({ agentType, errors: error.errors || [error.message] });
+    }
+  }
+
+  return { manifests, invalid };
 }
 
 /**
@@ -88,27 +320,18 @@ export function isValidAgentType(agentType) {
 
 /**
  * Get metadata for all available agents
- * @returns {Array<Object>} Array of {type, name, description} objects
+ * @returns {Array<Object>} Array of parsed manifests ({type, name, displayName, description, toolGroups, ...})
  */
 export function getAgentMetadata() {
   const agents = getAvailableAgents();
 
   return agents.map(agentType => {
     try {
-      const prompt = loadAgentPrompt(agentType);
-
-      // Try to extract title from first heading
-      const titleMatch = prompt.match(/^#\s+(.+)$/m);
-      const title = titleMatch ? titleMatch[1] : agentType;
-
-      // Try to extract first paragraph as description
-      const descMatch = prompt.match(/^(?!#)(.+)$/m);
-      const description = descMatch ? descMatch[1].trim() : '';
+      const manifest = getAgentManifest(agentType);
 
       return {
-        type: agentType,
-        name: title,
-        description: description.substring(0, 200) // Limit length
+        ...manifest,
+        name: manifest.displayName // Kept for existing API clients
       };
     } catch (error) {
       return {
@@ -126,6 +349,7 @@ export function getAgentMetadata() {
  * In production, prompts are cached after first load
  */
 const promptCache = new Map();
+const manifestCache = new Map();
 
 export function loadAgentPromptCached(agentType) {
   if (process.env.NODE_ENV === 'production' && promptCache.has(agentType)) {
@@ -141,10 +365,31 @@ export function loadAgentPromptCached(agentType) {
   return prompt;
 }
 
+/**
+ * Get the parsed manifest for an agent (cached in production like prompts)
+ * @param {string} agentType - Type of agent
+ * @returns {Object} Agent manifest
+ * @throws {AgentManifestError} If the manifest is invalid
+ */
+export function getAgentManifest(agentType) {
+  if (process.env.NODE_ENV === 'production' && manifestCache.has(agentType)) {
+    return manifestCache.get(agentType);
+  }
+
+  const { manifest } = loadAgentDefinition(agentType);
+
+  if (process.env.NODE_ENV === 'production') {
+    manifestCache.set(agentType, manifest);
+  }
+
+  return manifest;
+}
+
 /**
  * Clear prompt cache (for development/testing)
  */
 export function clearPromptCache() {
   promptCache.clear();
+  manifestCache.clear();
   console.log('✓ Agent prompt cache cleared');
 }
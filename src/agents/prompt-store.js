@@ -0,0 +1,133 @@
+/**
+ * Agent Prompt Store
+ *
+ * Resolves the system prompt an agent runs with:
+ * 1. The conversation's variant, if the agent has a running prompt experiment
+ * 2. The version published from the admin dashboard (agent_prompts table)
+ * 3. Otherwise the .claude/agents/{agentType}.md file
+ *
+ * Published prompts and running experiments are cached briefly so every
+ * request doesn't hit the database; publishing or starting/stopping an
+ * experiment on this instance clears the cache immediately, other instances
+ * pick the change up within PROMPT_CACHE_TTL_MS.
+ */
+
+import { loadAgentPromptCached } from './load-agents.js';
+import { getPublishedPrompt } from '../database/agent-prompts.js';
+import { getRunningExperiment, assignVariant } from '../database/prompt-experiments.js';
+import { pickVariant } from '../services/experiments.js';
+
+const PROMPT_CACHE_TTL_MS = 30000;
+
+const publishedCache = new Map();
+const experimentCache = new Map();
+
+/**
+ * Get the conversation's variant in the agent's running experiment
+ * @param {string} agentType - Agent type
+ * @param {string} conversationId - UUID of the conversation
+ * @returns {Promise<Object|null>} {experiment, variant} or null if no experiment is running
+ */
+async function getExperimentVariant(agentType, conversationId) {
+  const cached = experimentCache.get(agentType);
+  let experiment = cached && cached.expiresAt > Date.now() ? cached.experiment : undefined;
+
+  if (experiment === undefined) {
+    experiment = await getRunningExperiment(agentType);
+    experimentCache.set(agentType, { experiment, expiresAt: Date.now() + PROMPT_CACHE_TTL_MS });
+  }
+
+  if (!experiment) {
+    return null;
+  }
+
+  // The first assignment sticks, even if weights change later
+  const picked = pickVariant(experiment.variants, conversationId, experiment.id);
+  const variantId = await assignVariant(conversationId, experiment.id, picked.id);
+  const variant = experiment.variants.find(v => v.id === variantId) || picked;
+
+  return { experiment, variant };
+}
+
+/**
+ * Get the prompt an agent should run with
+ * @param {string} agentType - Agent type
+ * @param {string} conversationId - UUID of the conversation (enables experiment assignment)
+ * @returns {Promise<Object>} {content, versionId, version, source: 'experiment'|'database'|'file', experiment}
+ */
+export async function getActivePrompt(agentType, conversationId = null) {
+  let assignment = null;
+
+  if (conversationId) {
+    try {
+      assignment = await getExperimentVariant(agentType, conversationId);
+    } catch (error) {
+      console.warn(`⚠️  Could not assign prompt experiment variant for ${agentType}: ${error.message}`);
+    }
+  }
+
+  const experiment = assignment ? {
+    id: assignment.experiment.id,
+    name: assignment.experiment.name,
+    variantId: assignment.variant.id,
+    variantName: assignment.variant.name
+  } : null;
+
+  // Variants without a prompt version are the control and get the normal prompt
+  if (assignment && assignment.variant.content) {
+    return {
+      content: assignment.variant.content,
+      versionId: assignment.variant.prompt_version_id,
+      version: assignment.variant.version,
+      source: 'experiment',
+      experiment
+    };
+  }
+
+  const cached = publishedCache.get(agentType);
+  let published = cached && cached.expiresAt > Date.now() ? cached.published : undefined;
+
+  if (published === undefined) {
+    try {
+      published = await getPublishedPrompt(agentType);
+      publishedCache.set(agentType, { published, expiresAt: Date.now() + PROMPT_CACHE_TTL_MS });
+    } catch (error) {
+      // Database unavailable - the prompt file still works
+      console.warn(`⚠️  Could not load published prompt for ${agentType}, using prompt file: ${error.message}`);
+      published = null;
+    }
+  }
+
+  if (published) {
+    return {
+      content: published.content,
+      versionId: published.id,
+      version: published.version,
+      source: 'database',
+      experiment
+    };
+  }
+
+  return {
+    content: loadAgentPromptCached(agentType),
+    versionId: null,
+    version: null,
+    source: 'file',
+    experiment
+  };
+}
+
+/**
+ * Drop cached published prompts and experiments (after publishing, rolling
+ * back, or starting/stopping an experiment)
+ * @param {string} agentType - Agent type (omit to clear all)
+ */
+export function invalidatePromptCache(agentType = null) {
+  if (agentType) {
+    publishedCache.delete(agentType);
+    experimentCache.delete(agentType);
+  } else {
+    publishedCache.clear();
+    experimentCache.clear();
+  }
+}
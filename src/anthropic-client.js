@@ -4,18 +4,14 @@
  * not available through Agent SDK
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { toFile } from '@anthropic-ai/sdk';
 import { config } from 'dotenv';
+import { getProvider } from './providers/index.js';
 
 config();
 
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
-
 // Beta header for Files API
-const FILES_API_BETA = 'files-api-2025-04-14';
+export const FILES_API_BETA = 'files-api-2025-04-14';
 
 /**
  * Files API Service
@@ -31,8 +27,8 @@ export const filesAPI = {
    */
   async upload(filePath, filename, mimeType, fileData) {
     try {
-      const file = await anthropic.beta.files.upload({
-        file: [filename, fileData, mimeType]
+      const file = await getProvider().files.upload({
+        file: await toFile(fileData, filename, { type: mimeType })
       }, {
         headers: {
           'anthropic-beta': FILES_API_BETA
@@ -54,7 +50,7 @@ export const filesAPI = {
    */
   async list() {
     try {
-      const response = await anthropic.beta.files.list({
+      const response = await getProvider().files.list({
         headers: {
           'anthropic-beta': FILES_API_BETA
         }
@@ -74,7 +70,7 @@ export const filesAPI = {
    */
   async getMetadata(fileId) {
     try {
-      const file = await anthropic.beta.files.retrieveMetadata(fileId, {
+      const file = await getProvider().files.retrieveMetadata(fileId, {
         headers: {
           'anthropic-beta': FILES_API_BETA
         }
@@ -94,7 +90,7 @@ export const filesAPI = {
    */
   async delete(fileId) {
     try {
-      const result = await anthropic.beta.files.delete(fileId, {
+      const result = await getProvider().files.delete(fileId, {
         headers: {
           'anthropic-beta': FILES_API_BETA
         }
@@ -116,7 +112,7 @@ export const filesAPI = {
    */
   async download(fileId) {
     try {
-      const content = await anthropic.beta.files.download(fileId, {
+      const content = await getProvider().files.download(fileId, {
         headers: {
           'anthropic-beta': FILES_API_BETA
         }
@@ -338,7 +334,7 @@ export const pdfAPI = {
 
     // Make API call
     try {
-      const message = await anthropic.messages.create({
+      const message = await getProvider().createMessage({
         model: config.model || 'claude-sonnet-4-5-20250929',
         max_tokens: config.maxTokens || 4096,
         messages: [{
@@ -436,16 +432,23 @@ export const pdfAPI = {
         };
       });
 
-      const batch = await anthropic.messages.batches.create({
+      // Documents referenced by file_id need the Files API beta
+      const usesFiles = requests.some(req => req.fileId);
+
+      const batch = await getProvider().batches.create({
         requests: batchRequests
-      });
+      }, usesFiles ? {
+        headers: {
+          'anthropic-beta': FILES_API_BETA
+        }
+      } : undefined);
 
       console.log(`✅ Batch created: ${batch.id} (${batchRequests.length} requests)`);
 
       return batch;
     } catch (error) {
       console.error('❌ Batch processing error:', error);
-      throw new Error(`Batch processing failed: ${error.message}`);
+      throw new Error(`Batch processing failed: ${error.message}`, { cause: error });
     }
   },
 
@@ -456,7 +459,7 @@ export const pdfAPI = {
    */
   async getBatchStatus(batchId) {
     try {
-      const batch = await anthropic.messages.batches.retrieve(batchId);
+      const batch = await getProvider().batches.retrieve(batchId);
       return batch;
     } catch (error) {
       console.error(`❌ Error getting batch status for ${batchId}:`, error);
@@ -471,7 +474,7 @@ export const pdfAPI = {
    */
   async getBatchResults(batchId) {
     try {
-      const results = await anthropic.messages.batches.results(batchId);
+      const results = await getProvider().batches.results(batchId);
       return results;
     } catch (error) {
       console.error(`❌ Error getting batch results for ${batchId}:`, error);
@@ -480,4 +483,3 @@ export const pdfAPI = {
   }
 };
 
-export default anthropic;
@@ -9,6 +9,14 @@ import { requireAdmin, logAdminAction } from '../middleware/admin.js';
 import * as adminQueries from '../database/admin-queries.js';
 import * as analytics from '../services/analytics.js';
 import * as feedbackRetrieval from '../feedback-learning/retrieval.js';
+import * as agentPrompts from '../database/agent-prompts.js';
+import * as promptExperiments from '../database/prompt-experiments.js';
+import { getExperimentReport } from '../services/experiments.js';
+import { getAvailableAgents, isValidAgentType, getAgentManifest, loadAgentPrompt } from '../agents/load-agents.js';
+import { invalidatePromptCache } from '../agents/prompt-store.js';
+import { diffLines, diffStats } from '../utils/text-diff.js';
+import * as backgroundJobs from '../database/background-jobs.js';
+import { enqueueJob, getJobWorkerStatus, getRegisteredJobTypes } from '../jobs/queue.js';
 
 const router = express.Router();
 
@@ -713,4 +721,799 @@ router.get('/feedback-learning/search/:agentType', async (req, res) => {
   }
 });
 
+// ============================================================================
+// AGENT PROMPTS
+// ============================================================================
+
+/**
+ * Get prompt text for a diff reference
+ * @param {string} agentType - Agent type
+ * @param {string} ref - 'file', 'published' or a version UUID
+ * @returns {Promise<Object|null>} {label, content} or null if not found
+ */
+async function resolvePromptRef(agentType, ref) {
+  if (ref === 'file') {
+    return { label: 'Prompt file', content: loadAgentPrompt(agentType) };
+  }
+
+  if (ref === 'published') {
+    const published = await agentPrompts.getPublishedPrompt(agentType);
+    return published
+      ? { label: `v${published.version} (published)`, content: published.content }
+      : { label: 'Prompt file (published)', content: loadAgentPrompt(agentType) };
+  }
+
+  const version = await agentPrompts.getPromptVersion(ref);
+  if (!version || version.agent_type !== agentType) {
+    return null;
+  }
+
+  return { label: `v${version.version}`, content: version.content };
+}
+
+/**
+ * GET /api/admin/prompts
+ * List agents with their published prompt version
+ */
+router.get('/prompts', async (req, res) => {
+  try {
+    const summaries = new Map(
+      (await agentPrompts.listPromptSummaries()).map(row => [row.agent_type, row])
+    );
+
+    const prompts = getAvailableAgents().map(agentType => {
+      const summary = summaries.get(agentType);
+      let displayName = agentType;
+      try {
+        displayName = getAgentManifest(agentType).displayName;
+      } catch (error) {
+        // Invalid manifests are reported at startup
+      }
+
+      return {
+        agentType,
+        displayName,
+        source: summary?.published_version_id ? 'database' : 'file',
+        publishedVersion: summary?.published_version || null,
+        latestVersion: summary?.latest_version || null,
+        versionCount: summary?.version_count || 0,
+        updatedAt: summary?.updated_at || null
+      };
+    });
+
+    res.json({ success: true, data: prompts });
+  } catch (error) {
+    console.error('Failed to list prompts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list prompts'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/prompts/:agentType
+ * Get the active prompt and version history for an agent
+ */
+router.get('/prompts/:agentType', async (req, res) => {
+  try {
+    const { agentType } = req.params;
+
+    if (!isValidAgentType(agentType)) {
+      return res.status(404).json({
+        success: false,
+        error: `Agent not found: ${agentType}`
+      });
+    }
+
+    const published = await agentPrompts.getPublishedPrompt(agentType);
+    const versions = await agentPrompts.getPromptVersions(agentType);
+
+    res.json({
+      success: true,
+      data: {
+        agentType,
+        source: published ? 'database' : 'file',
+        publishedVersionId: published?.id || null,
+        content: published ? published.content : loadAgentPrompt(agentType),
+        versions
+      }
+    });
+  } catch (error) {
+    console.error('Failed to get prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve prompt'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/prompts/:agentType/versions/:versionId
+ * Get a prompt version with its content
+ */
+router.get('/prompts/:agentType/versions/:versionId', async (req, res) => {
+  try {
+    const { agentType, versionId } = req.params;
+    const version = await agentPrompts.getPromptVersion(versionId);
+
+    if (!version || version.agent_type !== agentType) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt version not found'
+      });
+    }
+
+    res.json({ success: true, data: version });
+  } catch (error) {
+    console.error('Failed to get prompt version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve prompt version'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/prompts/:agentType/versions
+ * Save a new prompt version
+ *
+ * Body:
+ * - content: Prompt text
+ * - changeNote: What changed and why (optional)
+ * - publish: Publish immediately (default: false)
+ */
+router.post('/prompts/:agentType/versions', async (req, res) => {
+  try {
+    const { agentType } = req.params;
+    const { content, changeNote, publish = false } = req.body;
+
+    if (!isValidAgentType(agentType)) {
+      return res.status(404).json({
+        success: false,
+        error: `Agent not found: ${agentType}`
+      });
+    }
+
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid required field: content'
+      });
+    }
+
+    const version = await agentPrompts.createPromptVersion({
+      agentType,
+      content: content.trim(),
+      changeNote: changeNote || null,
+      authorId: req.user.id
+    });
+
+    await logAdminAction(req, 'prompt_version_created', 'agent_prompt', agentType, {
+      versionId: version.id,
+      version: version.version,
+      changeNote: version.change_note
+    });
+
+    if (publish === true) {
+      await agentPrompts.publishPromptVersion(agentType, version.id, req.user.id);
+      invalidatePromptCache(agentType);
+      await logAdminAction(req, 'prompt_published', 'agent_prompt', agentType, {
+        versionId: version.id,
+        version: version.version
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { ...version, is_published: publish === true },
+      message: `Saved ${agentType} v${version.version}${publish === true ? ' and published it' : ''}`
+    });
+  } catch (error) {
+    console.error('Failed to save prompt version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save prompt version'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/prompts/:agentType/versions/:versionId/publish
+ * Publish a prompt version (publishing an older version rolls back to it)
+ */
+router.post('/prompts/:agentType/versions/:versionId/publish', async (req, res) => {
+  try {
+    const { agentType, versionId } = req.params;
+    const before = await agentPrompts.getPublishedPrompt(agentType);
+    const version = await agentPrompts.publishPromptVersion(agentType, versionId, req.user.id);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt version not found'
+      });
+    }
+
+    invalidatePromptCache(agentType);
+
+    await logAdminAction(req, 'prompt_published', 'agent_prompt', agentType, {
+      before: before ? { versionId: before.id, version: before.version } : 'file',
+      after: { versionId: version.id, version: version.version }
+    });
+
+    res.json({
+      success: true,
+      data: version,
+      message: `Published ${agentType} v${version.version}`
+    });
+  } catch (error) {
+    console.error('Failed to publish prompt version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to publish prompt version'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/prompts/:agentType/rollback
+ * Roll back to the previously published version (or the prompt file if there is none)
+ */
+router.post('/prompts/:agentType/rollback', async (req, res) => {
+  try {
+    const { agentType } = req.params;
+    const before = await agentPrompts.getPublishedPrompt(agentType);
+
+    if (!before) {
+      return res.status(400).json({
+        success: false,
+        error: `${agentType} is already using its prompt file`
+      });
+    }
+
+    const previous = await agentPrompts.getPreviousPublishedVersion(agentType);
+
+    if (previous) {
+      await agentPrompts.publishPromptVersion(agentType, previous.id, req.user.id);
+    } else {
+      await agentPrompts.unpublishPrompt(agentType);
+    }
+
+    invalidatePromptCache(agentType);
+
+    await logAdminAction(req, 'prompt_rolled_back', 'agent_prompt', agentType, {
+      before: { versionId: before.id, version: before.version },
+      after: previous ? { versionId: previous.id, version: previous.version } : 'file'
+    });
+
+    res.json({
+      success: true,
+      data: { agentType, source: previous ? 'database' : 'file', version: previous?.version || null },
+      message: previous
+        ? `Rolled ${agentType} back to v${previous.version}`
+        : `Rolled ${agentType} back to its prompt file`
+    });
+  } catch (error) {
+    console.error('Failed to roll back prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to roll back prompt'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/prompts/:agentType/diff
+ * Line diff between two prompt versions
+ *
+ * Query params:
+ * - from: 'file', 'published' or a version ID (default: published)
+ * - to: 'file', 'published' or a version ID (required)
+ */
+router.get('/prompts/:agentType/diff', async (req, res) => {
+  try {
+    const { agentType } = req.params;
+    const { from = 'published', to } = req.query;
+
+    if (!isValidAgentType(agentType)) {
+      return res.status(404).json({
+        success: false,
+        error: `Agent not found: ${agentType}`
+      });
+    }
+
+    if (!to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing query parameter "to"'
+      });
+    }
+
+    const [fromPrompt, toPrompt] = await Promise.all([
+      resolvePromptRef(agentType, from),
+      resolvePromptRef(agentType, to)
+    ]);
+
+    if (!fromPrompt || !toPrompt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt version not found'
+      });
+    }
+
+    const diff = diffLines(fromPrompt.content, toPrompt.content);
+
+    res.json({
+      success: true,
+      data: {
+        from: fromPrompt.label,
+        to: toPrompt.label,
+        stats: diffStats(diff),
+        diff
+      }
+    });
+  } catch (error) {
+    console.error('Failed to diff prompts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to diff prompts'
+    });
+  }
+});
+
+// ============================================================================
+// PROMPT EXPERIMENTS
+// ============================================================================
+
+/**
+ * GET /api/admin/experiments
+ * List prompt experiments
+ *
+ * Query params:
+ * - agentType: Filter by agent type (optional)
+ */
+router.get('/experiments', async (req, res) => {
+  try {
+    const experiments = await promptExperiments.listExperiments(req.query.agentType || null);
+
+    res.json({ success: true, data: experiments });
+  } catch (error) {
+    console.error('Failed to list experiments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list experiments'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/experiments
+ * Create a prompt experiment (as a draft)
+ *
+ * Body:
+ * - agentType: Agent type
+ * - name: Experiment name
+ * - description: What is being tested (optional)
+ * - variants: [{name, promptVersionId, weight}] - at least two; the first is the
+ *   control, and a variant without promptVersionId gets the published prompt
+ */
+router.post('/experiments', async (req, res) => {
+  try {
+    const { agentType, name, description, variants } = req.body;
+
+    if (!isValidAgentType(agentType)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid agent type: ${agentType}`
+      });
+    }
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid required field: name'
+      });
+    }
+
+    if (!Array.isArray(variants) || variants.length < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'An experiment needs at least two variants'
+      });
+    }
+
+    const names = new Set();
+    for (const variant of variants) {
+      if (!variant.name || typeof variant.name !== 'string' || names.has(variant.name.trim())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Every variant needs a unique name'
+        });
+      }
+      names.add(variant.name.trim());
+
+      if (!Number.isInteger(variant.weight) || variant.weight < 1) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid weight for variant "${variant.name}": must be a positive integer`
+        });
+      }
+
+      if (variant.promptVersionId) {
+        const version = await agentPrompts.getPromptVersion(variant.promptVersionId);
+        if (!version || version.agent_type !== agentType) {
+          return res.status(400).json({
+            success: false,
+            error: `Prompt version not found for variant "${variant.name}"`
+          });
+        }
+      }
+    }
+
+    const experiment = await promptExperiments.createExperiment({
+      agentType,
+      name: name.trim(),
+      description: description || null,
+      variants: variants.map(variant => ({
+        name: variant.name.trim(),
+        promptVersionId: variant.promptVersionId || null,
+        weight: variant.weight
+      })),
+      createdBy: req.user.id
+    });
+
+    await logAdminAction(req, 'experiment_created', 'prompt_experiment', experiment.id, {
+      agentType,
+      name: experiment.name,
+      variants: experiment.variants.map(v => ({ name: v.name, promptVersion: v.prompt_version, weight: v.weight }))
+    });
+
+    res.status(201).json({ success: true, data: experiment });
+  } catch (error) {
+    console.error('Failed to create experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create experiment'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/experiments/:id/start
+ * Start a draft experiment (one running experiment per agent)
+ */
+router.post('/experiments/:id/start', async (req, res) => {
+  try {
+    const existing = await promptExperiments.getExperiment(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+
+    let experiment;
+    try {
+      experiment = await promptExperiments.startExperiment(req.params.id);
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: `${existing.agent_type} already has a running experiment`
+        });
+      }
+      throw error;
+    }
+
+    if (!experiment) {
+      return res.status(400).json({
+        success: false,
+        error: `Only draft experiments can be started (this one is ${existing.status})`
+      });
+    }
+
+    invalidatePromptCache(experiment.agent_type);
+
+    await logAdminAction(req, 'experiment_started', 'prompt_experiment', experiment.id, {
+      agentType: experiment.agent_type,
+      name: experiment.name
+    });
+
+    res.json({
+      success: true,
+      data: experiment,
+      message: `Started experiment "${experiment.name}"`
+    });
+  } catch (error) {
+    console.error('Failed to start experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start experiment'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/experiments/:id/stop
+ * Stop a running experiment (its report stays available)
+ */
+router.post('/experiments/:id/stop', async (req, res) => {
+  try {
+    const experiment = await promptExperiments.stopExperiment(req.params.id);
+
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Running experiment not found'
+      });
+    }
+
+    invalidatePromptCache(experiment.agent_type);
+
+    await logAdminAction(req, 'experiment_stopped', 'prompt_experiment', experiment.id, {
+      agentType: experiment.agent_type,
+      name: experiment.name
+    });
+
+    res.json({
+      success: true,
+      data: experiment,
+      message: `Stopped experiment "${experiment.name}"`
+    });
+  } catch (error) {
+    console.error('Failed to stop experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stop experiment'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/experiments/:id/report
+ * Positive rate, quality and sentiment per variant, compared to the control
+ */
+router.get('/experiments/:id/report', async (req, res) => {
+  try {
+    const report = await getExperimentReport(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Failed to get experiment report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve experiment report'
+    });
+  }
+});
+
+// ============================================================================
+// BACKGROUND JOBS
+// ============================================================================
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+
+/**
+ * GET /api/admin/jobs/overview
+ * Job counts per type, recurring schedules and this server's worker status
+ */
+router.get('/jobs/overview', async (req, res) => {
+  try {
+    const [stats, schedules] = await Promise.all([
+      backgroundJobs.getJobStats(),
+      backgroundJobs.listJobSchedules()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        stats,
+        schedules,
+        jobTypes: getRegisteredJobTypes(),
+        worker: getJobWorkerStatus()
+      }
+    });
+  } catch (error) {
+    console.error('Failed to get job overview:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve background jobs'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/jobs
+ * List jobs, newest first
+ *
+ * Query params:
+ * - status: pending, running, completed, failed or cancelled
+ * - jobType: Filter by job type
+ * - limit: Max results (default: 100, max: 500)
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const { status, jobType, limit } = req.query;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status: ${status}`
+      });
+    }
+
+    const jobs = await backgroundJobs.listJobs({
+      status: status || null,
+      jobType: jobType || null,
+      limit: Math.min(parseInt(limit) || 100, 500)
+    });
+
+    res.json({ success: true, data: jobs });
+  } catch (error) {
+    console.error('Failed to list jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve jobs'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/jobs
+ * Queue a job now (e.g. run feedback learning outside its schedule)
+ *
+ * Body:
+ * - jobType: Registered job type
+ * - payload: Job payload (optional)
+ */
+router.post('/jobs', async (req, res) => {
+  try {
+    const { jobType, payload = {} } = req.body;
+
+    if (!getRegisteredJobTypes().includes(jobType)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown job type: ${jobType}`
+      });
+    }
+
+    const job = await enqueueJob(jobType, payload, { dedupeKey: `admin:${jobType}:${JSON.stringify(payload)}` });
+
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        error: `A ${jobType} job with this payload is already queued or running`
+      });
+    }
+
+    await logAdminAction(req, 'job_enqueued', 'background_job', job.id, { jobType, payload });
+
+    res.status(201).json({
+      success: true,
+      data: job,
+      message: `Queued ${jobType} job #${job.id}`
+    });
+  } catch (error) {
+    console.error('Failed to enqueue job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue job'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:id/retry
+ * Run a failed or cancelled job again
+ */
+router.post('/jobs/:id/retry', async (req, res) => {
+  try {
+    const job = await backgroundJobs.retryJob(parseInt(req.params.id));
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Failed or cancelled job not found'
+      });
+    }
+
+    await logAdminAction(req, 'job_retried', 'background_job', job.id, { jobType: job.job_type });
+
+    res.json({
+      success: true,
+      data: job,
+      message: `Retrying job #${job.id}`
+    });
+  } catch (error) {
+    console.error('Failed to retry job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry job'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:id/cancel
+ * Cancel a pending job
+ */
+router.post('/jobs/:id/cancel', async (req, res) => {
+  try {
+    const job = await backgroundJobs.cancelJob(parseInt(req.params.id));
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending job not found'
+      });
+    }
+
+    await logAdminAction(req, 'job_cancelled', 'background_job', job.id, { jobType: job.job_type });
+
+    res.json({
+      success: true,
+      data: job,
+      message: `Cancelled job #${job.id}`
+    });
+  } catch (error) {
+    console.error('Failed to cancel job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel job'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/jobs/schedules/:name
+ * Enable or disable a recurring job
+ *
+ * Body:
+ * - enabled: true/false
+ */
+router.put('/jobs/schedules/:name', async (req, res) => {
+  try {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'enabled must be true or false'
+      });
+    }
+
+    const schedule = await backgroundJobs.setJobScheduleEnabled(req.params.name, enabled);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    await logAdminAction(req, enabled ? 'job_schedule_enabled' : 'job_schedule_disabled', 'background_job_schedule', schedule.name);
+
+    res.json({
+      success: true,
+      data: schedule,
+      message: `${enabled ? 'Enabled' : 'Disabled'} ${schedule.name}`
+    });
+  } catch (error) {
+    console.error('Failed to update job schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update schedule'
+    });
+  }
+});
+
 export default router;
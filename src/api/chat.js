@@ -7,16 +7,60 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import { runAgent } from '../claude/client.js';
-import { createConversation, getConversation } from '../database/messages.js';
-import { isValidAgentType, getAvailableAgents } from '../agents/load-agents.js';
-import { generateAndSaveTitle } from '../utils/conversation-titles.js';
+import { setupSSE, sendSSE, closeSSE } from '../claude/streaming.js';
+import { getStreamSession } from '../claude/stream-sessions.js';
+import {
+  createConversation,
+  getConversation,
+  getConversationMessagesWithMetadata,
+  getMessageById
+} from '../database/messages.js';
+import {
+  isValidAgentType,
+  getAvailableAgents,
+  getAgentManifest,
+  MODEL_ALIASES,
+  MIN_THINKING_BUDGET
+} from '../agents/load-agents.js';
+import { enqueueJob } from '../jobs/queue.js';
+import { JOB_TYPES } from '../jobs/tasks.js';
+import { getFixtureForRequest, getFixturePath } from '../claude/agent-fixtures.js';
+import {
+  annotateBranches,
+  findLatestLeaf,
+  findTurnStart,
+  getBranchPath,
+  getLatestLeafId
+} from '../claude/branches.js';
+import { EXPORT_FORMATS, exportConversation } from '../utils/conversation-export.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
  * Main chat endpoint handler
+ * POST /api/chat
+ *
+ * Body: {agentType, message, conversationId, attachments, autoContinue, parentMessageId}
+ * parentMessageId continues a branch other than the latest one (the message
+ * the new turn follows).
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
 export async function handleChatRequest(req, res) {
+  return runChatRequest(req, res, req.body, {
+    parentMessageId: req.body.parentMessageId || undefined
+  });
+}
+
+/**
+ * Validate a chat turn, get or create its conversation, and run the agent
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} input - {agentType, message, conversationId, attachments, autoContinue}
+ * @param {Object} branch - Where the turn goes in the message tree (see runAgent)
+ * @param {Object|null} configOverrides - Validated model/thinking/temperature overrides
+ */
+async function runChatRequest(req, res, input, branch = {}, configOverrides = null) {
   console.log('\n' + '█'.repeat(80));
   console.log('📬 Incoming chat request');
   console.log('█'.repeat(80));
@@ -26,8 +70,9 @@ export async function handleChatRequest(req, res) {
       agentType,
       message,
       conversationId,
-      attachments = []
-    } = req.body;
+      attachments = [],
+      autoContinue = false
+    } = input;
 
     // Get userId from authenticated user (set by middleware), not from request body
     const userId = req.user?.id || null;
@@ -48,6 +93,12 @@ export async function handleChatRequest(req, res) {
       });
     }
 
+    if (branch.parentMessageId && !UUID_PATTERN.test(branch.parentMessageId)) {
+      return res.status(400).json({
+        error: `Invalid parentMessageId: ${branch.parentMessageId}`
+      });
+    }
+
     // Validate agent type exists
     if (!isValidAgentType(agentType)) {
       return res.status(400).json({
@@ -56,11 +107,31 @@ export async function handleChatRequest(req, res) {
       });
     }
 
+    // Only accept the attachment types the agent's manifest allows
+    const { attachments: allowedAttachments } = getAgentManifest(agentType);
+    const rejectedAttachment = attachments.find(attachment =>
+      attachment.type && !allowedAttachments.includes(attachment.type)
+    );
+
+    if (rejectedAttachment) {
+      return res.status(400).json({
+        error: `Agent ${agentType} does not accept ${rejectedAttachment.type} attachments`,
+        allowedAttachments
+      });
+    }
+
     console.log(`✓ Agent type: ${agentType}`);
     console.log(`✓ Message length: ${message.length} characters`);
     console.log(`✓ Attachments: ${attachments.length}`);
     console.log(`✓ ConversationId provided: ${conversationId ? conversationId : 'null (new conversation)'}`);
 
+    // Record/replay fixture (AGENT_FIXTURE_MODE + X-Agent-Fixture header, used by tests)
+    const fixture = getFixtureForRequest(req, { agentType, message });
+
+    if (fixture) {
+      console.log(`📼 Agent fixture: ${fixture.data.name} (${fixture.mode})`);
+    }
+
     // ============================================================================
     // 2. Get or create conversation
     // ============================================================================
@@ -83,10 +154,13 @@ export async function handleChatRequest(req, res) {
 
       console.log(`✓ New conversation created: ${convId} (user: ${req.user?.email || 'anonymous'})`);
 
-      // Generate smart title asynchronously (don't await - happens in background)
-      generateAndSaveTitle(convId, message, agentType).catch(err => {
-        console.error('Failed to generate smart title:', err);
-      });
+      // Generate smart title in a background job (retried if it fails)
+      // Skipped for fixture runs so they make no model calls outside the recording
+      if (!fixture) {
+        enqueueJob(JOB_TYPES.CONVERSATION_TITLE, { conversationId: convId, message, agentType }).catch(err => {
+          console.error('Failed to enqueue title generation:', err);
+        });
+      }
     } else {
       // Verify existing conversation
       const conversation = await getConversation(convId);
@@ -104,6 +178,17 @@ export async function handleChatRequest(req, res) {
         );
       }
 
+      // Continuing a specific branch: the message must be in this conversation
+      if (branch.parentMessageId) {
+        const parentMessage = await getMessageById(branch.parentMessageId);
+
+        if (!parentMessage || parentMessage.conversationId !== convId) {
+          return res.status(404).json({
+            error: `Message not found in conversation: ${branch.parentMessageId}`
+          });
+        }
+      }
+
       console.log(`✓ Existing conversation: ${convId}`);
     }
 
@@ -174,11 +259,26 @@ export async function handleChatRequest(req, res) {
       userId: userId || null,
       sessionId,
       attachments: processedAttachments,
+      autoContinue: autoContinue === true,
+      fixture,
+      branch,
+      configOverrides,
       res
     });
 
     // Note: runAgent handles the response streaming and closing
 
+    if (fixture?.mode === 'record') {
+      fixture.save(getFixturePath(fixture.data.name));
+    } else if (fixture?.mode === 'replay') {
+      try {
+        fixture.assertFullyReplayed();
+        console.log(`📼 Replay of ${fixture.data.name} matched the recording`);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+      }
+    }
+
   } catch (error) {
     console.error('\n' + '█'.repeat(80));
     console.error('❌ Chat request error:');
@@ -193,22 +293,273 @@ export async function handleChatRequest(req, res) {
       });
     } else {
       // Headers already sent (SSE started), send error event
-      res.write(`data: ${JSON.stringify({
+      sendSSE(res, {
         type: 'error',
         error: error.message
-      })}\n\n`);
+      });
+      closeSSE(res);
+    }
+  }
+}
+
+/**
+ * Reconnect to an in-flight (or recently finished) agent stream
+ * GET /api/chat/stream/:sessionId
+ *
+ * Replays every event after the client's Last-Event-ID, then follows the live run.
+ * The last received ID can be sent as the Last-Event-ID header or ?lastEventId=.
+ */
+export async function handleStreamReconnect(req, res) {
+  try {
+    const { sessionId } = req.params;
+    const session = getStreamSession(sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        error: `Stream session not found or expired: ${sessionId}`
+      });
+    }
+
+    // Only the user who started the run may reattach to it
+    if (session.userId && session.userId !== req.user?.id) {
+      return res.status(403).json({
+        error: 'Forbidden: stream belongs to another user'
+      });
+    }
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId || '0', 10) || 0;
+
+    console.log(`🔁 Stream reconnect: session ${sessionId} from event ${lastEventId} (${session.finished ? 'finished' : 'live'})`);
+
+    setupSSE(res);
+    session.subscribe(res, lastEventId);
+  } catch (error) {
+    console.error('Stream reconnect error:', error);
+
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    } else {
       res.end();
     }
   }
 }
 
+/**
+ * Cancel an in-flight agent run
+ * POST /api/chat/stream/:sessionId/cancel
+ *
+ * Aborts the model stream and skips remaining tool calls. The agent loop
+ * persists any partial assistant content (marked cancelled) and emits a
+ * 'cancelled' event followed by 'done' on the stream.
+ */
+export async function handleCancelRun(req, res) {
+  try {
+    const { sessionId } = req.params;
+    const session = getStreamSession(sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        error: `Stream session not found or expired: ${sessionId}`
+      });
+    }
+
+    // Only the user who started the run may cancel it
+    if (session.userId && session.userId !== req.user?.id) {
+      return res.status(403).json({
+        error: 'Forbidden: stream belongs to another user'
+      });
+    }
+
+    const cancelled = session.cancel();
+
+    console.log(`⏹️  Cancel requested for session ${sessionId}: ${cancelled ? 'aborting run' : 'already finished'}`);
+
+    res.json({
+      success: true,
+      cancelled,
+      sessionId,
+      conversationId: session.conversationId
+    });
+  } catch (error) {
+    console.error('Cancel run error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Find the user message that started a turn, for edit and regenerate
+ * @param {string} conversationId - Conversation UUID
+ * @param {string|null} messageId - Any message of the turn (null = the last turn of the latest branch)
+ * @returns {Promise<Object>} {conversation, userMessage} or {status, error}
+ */
+async function findUserTurn(conversationId, messageId) {
+  const conversation = await getConversation(conversationId);
+
+  if (!conversation) {
+    return { status: 404, error: 'Conversation not found' };
+  }
+
+  const rows = await getConversationMessagesWithMetadata(conversationId);
+  const userMessage = findTurnStart(rows, messageId || getLatestLeafId(rows));
+
+  if (!userMessage) {
+    return {
+      status: 404,
+      error: messageId ? `Message not found in conversation: ${messageId}` : 'Conversation has no messages'
+    };
+  }
+
+  return { conversation, userMessage };
+}
+
+/**
+ * Edit an earlier user message
+ * POST /api/conversations/:id/messages/:messageId/edit
+ *
+ * The edited text is saved as a sibling of the original message (same
+ * parent), so the original branch is kept. Streams the agent's answer like
+ * POST /api/chat. Attachments of the original message are kept.
+ * Body: {message, autoContinue}
+ */
+export async function handleEditMessage(req, res) {
+  try {
+    const { id, messageId } = req.params;
+    const { message, autoContinue = false } = req.body;
+
+    const { conversation, userMessage, status, error } = await findUserTurn(id, messageId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (userMessage.id !== messageId) {
+      return res.status(400).json({ error: 'Only user messages can be edited' });
+    }
+
+    const carryContent = Array.isArray(userMessage.content)
+      ? userMessage.content.filter(block => block.type !== 'text')
+      : [];
+
+    console.log(`✏️  Editing message ${messageId} in conversation ${id}`);
+
+    return runChatRequest(req, res, {
+      agentType: conversation.agent_type,
+      message,
+      conversationId: id,
+      autoContinue
+    }, {
+      parentMessageId: userMessage.parentId,
+      carryContent
+    });
+  } catch (error) {
+    console.error('Edit message error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Validate model/thinking/temperature overrides from a request body
+ * Models use the same aliases as agent manifests.
+ * @param {Object} body - {model, thinkingBudget, temperature}
+ * @returns {Object} {overrides} (null if none were given) or {error}
+ */
+function parseConfigOverrides({ model, thinkingBudget, temperature }) {
+  const overrides = {};
+
+  if (model != null && model !== '') {
+    if (MODEL_ALIASES[model]) {
+      overrides.model = MODEL_ALIASES[model];
+    } else if (typeof model === 'string' && model.startsWith('claude-')) {
+      overrides.model = model;
+    } else {
+      return { error: `Unknown model "${model}" (use ${Object.keys(MODEL_ALIASES).join(', ')} or a claude-* model ID)` };
+    }
+  }
+
+  if (thinkingBudget != null) {
+    if (!Number.isInteger(thinkingBudget) || (thinkingBudget !== 0 && thinkingBudget < MIN_THINKING_BUDGET)) {
+      return { error: `thinkingBudget must be 0 (disabled) or an integer >= ${MIN_THINKING_BUDGET}` };
+    }
+    overrides.thinkingBudget = thinkingBudget;
+  }
+
+  if (temperature != null) {
+    if (typeof temperature !== 'number' || temperature < 0 || temperature > 1) {
+      return { error: 'temperature must be a number between 0 and 1' };
+    }
+    overrides.temperature = temperature;
+  }
+
+  if (overrides.thinkingBudget > 0 && overrides.temperature !== undefined && overrides.temperature !== 1) {
+    return { error: 'Extended thinking requires temperature 1 (set thinkingBudget to 0 to use another temperature)' };
+  }
+
+  return { overrides: Object.keys(overrides).length > 0 ? overrides : null };
+}
+
+/**
+ * Regenerate a response
+ * POST /api/conversations/:id/regenerate - the last turn of the latest branch
+ * POST /api/conversations/:id/messages/:messageId/regenerate - the turn of messageId
+ *
+ * Answers the user message of the turn again (messageId can be the user
+ * message or any response message of the turn). The new response is a
+ * sibling of the previous one, which stays available as another version.
+ * Streams like POST /api/chat.
+ * Body: {autoContinue, model, thinkingBudget, temperature} - the optional
+ * settings override the query classifier's choice for this run
+ */
+export async function handleRegenerateMessage(req, res) {
+  try {
+    const { id, messageId = null } = req.params;
+    const { autoContinue = false } = req.body;
+
+    const { overrides, error: overrideError } = parseConfigOverrides(req.body);
+
+    if (overrideError) {
+      return res.status(400).json({ error: overrideError });
+    }
+
+    const { conversation, userMessage, status, error } = await findUserTurn(id, messageId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    // Text of the original message (used for query classification)
+    const message = typeof userMessage.content === 'string'
+      ? userMessage.content
+      : userMessage.content.filter(block => block.type === 'text').map(block => block.text).join('\n\n');
+
+    console.log(`🔁 Regenerating the response to message ${userMessage.id} in conversation ${id}`);
+
+    return runChatRequest(req, res, {
+      agentType: conversation.agent_type,
+      message: message || '(attachments only)',
+      conversationId: id,
+      autoContinue
+    }, {
+      userMessage
+    }, overrides);
+  } catch (error) {
+    console.error('Regenerate message error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
 /**
  * Get conversation endpoint handler
- * GET /api/conversations/:id
+ * GET /api/conversations/:id?branch=<messageId>
+ *
+ * Returns the messages of one branch: the most recent branch through
+ * ?branch (any message on it), or the latest branch. Messages that have
+ * siblings (edits, regenerations) include siblingIds and siblingIndex.
+ * access is the caller's level (owner, continue, comment or view).
  */
 export async function handleGetConversation(req, res) {
   try {
     const { id } = req.params;
+    const { branch } = req.query;
 
     const conversation = await getConversation(id);
 
@@ -216,15 +567,25 @@ export async function handleGetConversation(req, res) {
       return res.status(404).json({ error: 'Conversation not found' });
     }
 
-    // Load messages for this conversation
-    const { getConversationMessages } = await import('../database/messages.js');
-    const messages = await getConversationMessages(id);
+    // Load messages for this conversation (with status, e.g. cancelled runs)
+    const rows = await getConversationMessagesWithMetadata(id);
+    const latestLeafId = getLatestLeafId(rows);
+    const leafId = branch ? findLatestLeaf(rows, branch) : latestLeafId;
+
+    if (branch && !leafId) {
+      return res.status(404).json({ error: `Message not found in conversation: ${branch}` });
+    }
+
+    const messages = annotateBranches(getBranchPath(rows, leafId), rows);
 
     // Return conversation with messages
     res.json({
       ...conversation,
       messages,
-      messageCount: messages.length
+      messageCount: messages.length,
+      leafId,
+      latestLeafId,
+      access: req.conversationAccess || 'owner'
     });
   } catch (error) {
     console.error('Get conversation error:', error);
@@ -232,6 +593,67 @@ export async function handleGetConversation(req, res) {
   }
 }
 
+/**
+ * Export a conversation as Markdown, DOCX or PDF
+ * GET /api/conversations/:id/export?format=md|docx|pdf&branch=xxx&messages=id1,id2
+ * Exports the latest branch (or the branch through ?branch). ?messages limits
+ * the export to those assistant messages of the branch.
+ */
+export async function handleExportConversation(req, res) {
+  try {
+    const { id } = req.params;
+    const { format = 'md', branch, messages: messageParam } = req.query;
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: `Invalid format: ${format} (expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')})`
+      });
+    }
+
+    const conversation = req.conversation || await getConversation(id);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const rows = await getConversationMessagesWithMetadata(id);
+    const leafId = branch ? findLatestLeaf(rows, branch) : getLatestLeafId(rows);
+
+    if (branch && !leafId) {
+      return res.status(404).json({ error: `Message not found in conversation: ${branch}` });
+    }
+
+    const path = getBranchPath(rows, leafId);
+    const messageIds = messageParam ? String(messageParam).split(',').filter(Boolean) : null;
+
+    if (messageIds) {
+      const assistantIds = new Set(path.filter(row => row.role === 'assistant').map(row => row.id));
+      const unknown = messageIds.filter(messageId => !assistantIds.has(messageId));
+
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: `Not assistant messages of this conversation branch: ${unknown.join(', ')}`
+        });
+      }
+    }
+
+    const { body, contentType, filename } = await exportConversation(format, {
+      conversation,
+      messages: path,
+      messageIds
+    });
+
+    console.log(`📄 Exported conversation ${id} as ${format} (${body.length} bytes)`);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Export conversation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
 /**
  * List conversations endpoint handler
  * GET /api/conversations?agentType=xxx
@@ -250,10 +672,12 @@ export async function handleListConversations(req, res) {
     const { agentType } = req.query;
 
     const { listConversations } = await import('../database/messages.js');
+    const { listSharedConversations } = await import('../database/conversation-shares.js');
     const conversations = await listConversations(userId, agentType);
+    const sharedConversations = await listSharedConversations(userId, agentType);
 
     // Transform snake_case to camelCase for frontend
-    const formattedConversations = conversations.map(conv => ({
+    const formatConversation = conv => ({
       id: conv.id,
       title: conv.title || 'New Conversation',
       agentType: conv.agent_type,
@@ -261,11 +685,21 @@ export async function handleListConversations(req, res) {
       createdAt: conv.created_at,
       updatedAt: conv.updated_at || conv.last_message_at || conv.created_at,
       lastMessageAt: conv.last_message_at
+    });
+
+    const formattedConversations = conversations.map(formatConversation);
+
+    // Conversations teammates shared with this user
+    const formattedShared = sharedConversations.map(conv => ({
+      ...formatConversation(conv),
+      permission: conv.permission,
+      ownerName: conv.owner_name || conv.owner_email || 'Unknown user'
     }));
 
     res.json({
       count: formattedConversations.length,
-      conversations: formattedConversations
+      conversations: formattedConversations,
+      shared: formattedShared
     });
   } catch (error) {
     console.error('List conversations error:', error);
@@ -276,20 +710,15 @@ export async function handleListConversations(req, res) {
 /**
  * Delete conversation endpoint handler
  * DELETE /api/conversations/:id
+ *
+ * Owner only (checked by requireConversationAccess).
  */
 export async function handleDeleteConversation(req, res) {
   try {
     const { id } = req.params;
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({
-        error: 'Missing required field: userId'
-      });
-    }
 
     const { deleteConversation } = await import('../database/messages.js');
-    await deleteConversation(id, userId);
+    await deleteConversation(id, req.conversation.user_id);
 
     res.json({
       success: true,
@@ -0,0 +1,332 @@
+/**
+ * Grant Card Batch API
+ *
+ * Generate grant cards for many program documents at once:
+ * - POST /api/grant-cards/batches - upload PDFs (files) and/or PDF URLs (urls), start a batch
+ * - GET  /api/grant-cards/batches - the user's batches
+ * - GET  /api/grant-cards/batches/:batchId - batch progress with per-document status
+ * - GET  /api/grant-cards/batches/:batchId/download?format=md|docx|pdf - ZIP bundle
+ * - GET  /api/grant-cards/batches/:batchId/getgranted?format=json|csv|html - GetGranted export
+ */
+
+import multer from 'multer';
+import { filesAPI } from '../anthropic-client.js';
+import { enqueueJob } from '../jobs/queue.js';
+import { JOB_TYPES } from '../jobs/tasks.js';
+import { EXPORT_FORMATS } from '../utils/conversation-export.js';
+import {
+  createGrantCardBatch,
+  getGrantCardBatch,
+  listGrantCardBatches
+} from '../database/grant-card-batches.js';
+import { getBatchGrantCards } from '../database/grant-cards.js';
+import { sendGetGrantedExport } from './grant-cards.js';
+import {
+  MAX_BATCH_DOCUMENTS,
+  summarizeBatchProgress,
+  buildBatchBundle
+} from '../services/grant-card-batches.js';
+
+const MAX_NAME_LENGTH = 200;
+const MAX_INSTRUCTIONS_LENGTH = 4000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// PDFs are held in memory only until they are uploaded to the Files API
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 32 * 1024 * 1024, // 32MB per PDF
+    files: MAX_BATCH_DOCUMENTS
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only PDF files are supported (${file.originalname})`));
+    }
+  }
+});
+
+/**
+ * Multer middleware for batch uploads (returns upload errors as 400s)
+ */
+export function uploadBatchDocuments(req, res, next) {
+  upload.array('files', MAX_BATCH_DOCUMENTS)(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
+}
+
+/**
+ * Parse the URLs field (a JSON array, an array of fields, or one URL per line)
+ * @param {string|Array|undefined} value - Request body value
+ * @returns {Object} {urls, invalid}
+ */
+export function parseDocumentUrls(value) {
+  let entries = [];
+
+  if (Array.isArray(value)) {
+    entries = value;
+  } else if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try {
+      entries = JSON.parse(value);
+    } catch {
+      entries = [value];
+    }
+  } else if (typeof value === 'string') {
+    entries = value.split(/\r?\n/);
+  }
+
+  const urls = [];
+  const invalid = [];
+
+  for (const entry of entries.map(entry => String(entry).trim()).filter(Boolean)) {
+    try {
+      const url = new URL(entry);
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error('Unsupported protocol');
+      urls.push(url.toString());
+    } catch {
+      invalid.push(entry);
+    }
+  }
+
+  return { urls, invalid };
+}
+
+/**
+ * Document name for a URL (last path segment)
+ * @param {string} url - Document URL
+ * @returns {string} Name
+ */
+function urlDocumentName(url) {
+  const { hostname, pathname } = new URL(url);
+  const lastSegment = decodeURIComponent(pathname.split('/').filter(Boolean).pop() || '');
+  return lastSegment || hostname;
+}
+
+/**
+ * Format a batch for the API
+ * @param {Object} batch - Batch row (with items for the detailed view)
+ * @returns {Object} API batch
+ */
+function formatBatch(batch) {
+  const formatted = {
+    id: batch.id,
+    name: batch.name,
+    instructions: batch.instructions,
+    status: batch.status,
+    error: batch.error,
+    requestCounts: batch.request_counts,
+    createdAt: batch.created_at,
+    completedAt: batch.completed_at
+  };
+
+  if (batch.items) {
+    return {
+      ...formatted,
+      progress: summarizeBatchProgress(batch.items),
+      items: batch.items.map(item => ({
+        id: item.id,
+        position: item.position,
+        sourceType: item.source_type,
+        sourceName: item.source_name,
+        sourceUrl: item.source_url,
+        status: item.status,
+        error: item.error,
+        hasGrantCard: Boolean(item.output)
+      }))
+    };
+  }
+
+  const total = parseInt(batch.item_count, 10) || 0;
+  const succeeded = parseInt(batch.succeeded_count, 10) || 0;
+  const failed = parseInt(batch.failed_count, 10) || 0;
+
+  return {
+    ...formatted,
+    progress: {
+      total,
+      succeeded,
+      failed,
+      remaining: total - succeeded - failed,
+      percent: total === 0 ? 100 : Math.round(((succeeded + failed) / total) * 100)
+    }
+  };
+}
+
+/**
+ * Load a batch the user owns
+ * @returns {Promise<Object|null>} Batch, or null after sending a 404
+ */
+async function loadOwnBatch(req, res) {
+  const { batchId } = req.params;
+  const batch = UUID_PATTERN.test(batchId) ? await getGrantCardBatch(batchId) : null;
+
+  if (!batch || batch.user_id !== req.user.id) {
+    res.status(404).json({ error: 'Batch not found' });
+    return null;
+  }
+
+  return batch;
+}
+
+/**
+ * Start a batch
+ * POST /api/grant-cards/batches (multipart: files[], urls, name, instructions)
+ */
+export async function handleCreateBatch(req, res) {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized: Please log in' });
+    }
+
+    const files = req.files || [];
+    const { urls, invalid } = parseDocumentUrls(req.body.urls);
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const instructions = typeof req.body.instructions === 'string' ? req.body.instructions.trim() : '';
+
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Invalid document URL(s): ${invalid.join(', ')}` });
+    }
+
+    if (files.length + urls.length === 0) {
+      return res.status(400).json({ error: 'Add at least one PDF or document URL' });
+    }
+
+    if (files.length + urls.length > MAX_BATCH_DOCUMENTS) {
+      return res.status(400).json({ error: `A batch can have at most ${MAX_BATCH_DOCUMENTS} documents` });
+    }
+
+    if (name.length > MAX_NAME_LENGTH || instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+      return res.status(400).json({
+        error: `Name must be at most ${MAX_NAME_LENGTH} characters and instructions at most ${MAX_INSTRUCTIONS_LENGTH}`
+      });
+    }
+
+    // Upload PDFs one at a time; a failed upload fails that document, not the batch
+    const items = [];
+
+    for (const file of files) {
+      try {
+        const uploaded = await filesAPI.upload(null, file.originalname, file.mimetype, file.buffer);
+        items.push({ sourceType: 'file', sourceName: file.originalname, fileId: uploaded.id });
+      } catch (error) {
+        items.push({ sourceType: 'file', sourceName: file.originalname, error: error.message });
+      }
+    }
+
+    for (const url of urls) {
+      items.push({ sourceType: 'url', sourceName: urlDocumentName(url), sourceUrl: url });
+    }
+
+    const batch = await createGrantCardBatch({
+      userId,
+      name: name || `Grant cards ${new Date().toISOString().slice(0, 10)}`,
+      instructions: instructions || null,
+      items
+    });
+
+    await enqueueJob(JOB_TYPES.GRANT_CARD_BATCH_SUBMIT, { batchId: batch.id }, {
+      dedupeKey: `${JOB_TYPES.GRANT_CARD_BATCH_SUBMIT}:${batch.id}`
+    });
+
+    res.status(202).json({ batch: formatBatch(batch) });
+  } catch (error) {
+    console.error('Create grant card batch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * List the user's batches
+ * GET /api/grant-cards/batches?limit=20
+ */
+export async function handleListBatches(req, res) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const batches = await listGrantCardBatches(req.user.id, limit);
+
+    res.json({ batches: batches.map(formatBatch) });
+  } catch (error) {
+    console.error('List grant card batches error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get a batch with per-document status
+ * GET /api/grant-cards/batches/:batchId
+ */
+export async function handleGetBatch(req, res) {
+  try {
+    const batch = await loadOwnBatch(req, res);
+    if (!batch) return;
+
+    res.json({ batch: formatBatch(batch) });
+  } catch (error) {
+    console.error('Get grant card batch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Download the grant cards of a batch as a ZIP bundle
+ * GET /api/grant-cards/batches/:batchId/download?format=md|docx|pdf
+ */
+export async function handleDownloadBatch(req, res) {
+  try {
+    const format = req.query.format || 'md';
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Invalid format: ${format} (expected md, docx or pdf)` });
+    }
+
+    const batch = await loadOwnBatch(req, res);
+    if (!batch) return;
+
+    if (!batch.items.some(item => item.status === 'succeeded')) {
+      return res.status(409).json({ error: 'No grant cards are ready to download yet' });
+    }
+
+    const { body, contentType, filename } = await buildBatchBundle(batch, format);
+
+    console.log(`📦 Downloaded grant card batch ${batch.id} as ${format} (${body.length} bytes)`);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Download grant card batch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Export every grant card of a batch for GetGranted (or check they can be)
+ * Documents without a grant card are listed as errors.
+ * GET /api/grant-cards/batches/:batchId/getgranted?format=json|csv|html&skipInvalid=true
+ */
+export async function handleExportBatchGetGranted(req, res) {
+  try {
+    const batch = await loadOwnBatch(req, res);
+    if (!batch) return;
+
+    const cards = await getBatchGrantCards(batch.id);
+    const missing = batch.items
+      .filter(item => !cards.some(card => card.batch_item_id === item.id))
+      .map(item => ({
+        itemId: item.id,
+        programName: item.source_name,
+        message: item.status === 'failed' ? `no grant card (${item.error || 'generation failed'})` : `no grant card yet (${item.status})`
+      }));
+
+    sendGetGrantedExport(req, res, { entries: cards, name: batch.name, missing });
+  } catch (error) {
+    console.error('GetGranted batch export error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * Grant Card Revision API
+ *
+ * Update a stored grant card from a new version of the program guidelines:
+ * - POST /api/grant-cards/:cardId/revisions - new document (file, url or text) -> pending revision with a change report
+ * - GET  /api/grant-cards/:cardId/revisions - the card's revisions
+ * - GET  /api/grant-cards/:cardId/revisions/:revisionId - one revision with its change report
+ * - POST /api/grant-cards/:cardId/revisions/:revisionId/apply - accept/reject each section, save the merged card
+ * - POST /api/grant-cards/:cardId/revisions/:revisionId/discard - reject the whole revision
+ */
+
+import multer from 'multer';
+import { filesAPI } from '../anthropic-client.js';
+import {
+  getGrantCardRevision,
+  listGrantCardRevisions,
+  applyGrantCardRevision,
+  discardGrantCardRevision,
+  RevisionConflictError
+} from '../database/grant-card-revisions.js';
+import { GRANT_CARD_DIFF_SECTIONS, mergeGrantCardSections, renderChangeReportMarkdown } from '../grant-cards/diff.js';
+import { GrantCardValidationError } from '../grant-cards/structured-output.js';
+import { generateGrantCardRevision } from '../services/grant-card-updates.js';
+import { loadAccessibleGrantCard, formatGrantCard } from './grant-cards.js';
+import { parseDocumentUrls } from './grant-card-batches.js';
+
+const MAX_TEXT_LENGTH = 200000;
+const MAX_INSTRUCTIONS_LENGTH = 4000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SECTION_KEYS = GRANT_CARD_DIFF_SECTIONS.map(section => section.key);
+
+// The new program guide is held in memory only until it is uploaded to the Files API
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 32 * 1024 * 1024, // 32MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only PDF files are supported (${file.originalname})`));
+    }
+  }
+});
+
+/**
+ * Multer middleware for the new program document (returns upload errors as 400s)
+ */
+export function uploadRevisionDocument(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
+}
+
+/**
+ * Format a revision for the API
+ * @param {Object} revision - grant_card_revisions row
+ * @returns {Object} API revision (with the proposed card when the row has it)
+ */
+function formatRevision(revision) {
+  return {
+    id: revision.id,
+    grantCardId: revision.grant_card_id,
+    sourceName: revision.source_name,
+    status: revision.status,
+    changes: revision.changes,
+    decisions: revision.decisions,
+    createdAt: revision.created_at,
+    resolvedAt: revision.resolved_at,
+    ...(revision.proposed_card && {
+      proposedCard: revision.proposed_card,
+      report: renderChangeReportMarkdown(revision.changes)
+    })
+  };
+}
+
+/**
+ * Load a revision of the card in req.params
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} grantCard - grant_cards row the revision must belong to
+ * @returns {Promise<Object|null>} Revision row, or null after sending a 404
+ */
+async function loadRevision(req, res, grantCard) {
+  const { revisionId } = req.params;
+  const revision = UUID_PATTERN.test(revisionId) ? await getGrantCardRevision(revisionId) : null;
+
+  if (!revision || revision.grant_card_id !== grantCard.id) {
+    res.status(404).json({ error: 'Revision not found' });
+    return null;
+  }
+
+  return revision;
+}
+
+/**
+ * Propose an update from a new program document
+ * POST /api/grant-cards/:cardId/revisions (multipart: file | url | text, name, instructions)
+ */
+export async function handleCreateRevision(req, res) {
+  try {
+    const grantCard = await loadAccessibleGrantCard(req, res, 'continue');
+    if (!grantCard) return;
+
+    const { urls, invalid } = parseDocumentUrls(req.body.url);
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    const instructions = typeof req.body.instructions === 'string' ? req.body.instructions.trim() : '';
+    const sources = [req.file, urls.length > 0, text].filter(Boolean).length;
+
+    if (invalid.length > 0 || urls.length > 1) {
+      return res.status(400).json({ error: 'url must be a single http(s) URL' });
+    }
+
+    if (sources !== 1) {
+      return res.status(400).json({ error: 'Send the new program document as exactly one of: file (PDF), url or text' });
+    }
+
+    if (text.length > MAX_TEXT_LENGTH || instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+      return res.status(400).json({
+        error: `text must be at most ${MAX_TEXT_LENGTH} characters and instructions at most ${MAX_INSTRUCTIONS_LENGTH}`
+      });
+    }
+
+    let document;
+    if (req.file) {
+      const uploaded = await filesAPI.upload(null, req.file.originalname, req.file.mimetype, req.file.buffer);
+      document = { fileId: uploaded.id, name: req.file.originalname };
+    } else if (urls.length > 0) {
+      document = { url: urls[0], name: urls[0] };
+    } else {
+      const name = typeof req.body.name === 'string' && req.body.name.trim() ? req.body.name.trim() : 'Updated program guidelines';
+      document = { text, name };
+    }
+
+    const { revision } = await generateGrantCardRevision(grantCard, document, {
+      instructions: instructions || null,
+      userId: req.user.id,
+      conversationId: grantCard.conversation_id
+    });
+
+    res.status(201).json({ revision: formatRevision(revision) });
+  } catch (error) {
+    if (error instanceof GrantCardValidationError) {
+      return res.status(422).json({ error: error.message, errors: error.errors });
+    }
+    console.error('Create grant card revision error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * List a card's revisions
+ * GET /api/grant-cards/:cardId/revisions
+ */
+export async function handleListRevisions(req, res) {
+  try {
+    const grantCard = await loadAccessibleGrantCard(req, res);
+    if (!grantCard) return;
+
+    const revisions = await listGrantCardRevisions(grantCard.id);
+
+    res.json({ revisions: revisions.map(formatRevision) });
+  } catch (error) {
+    console.error('List grant card revisions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get a revision with its change report and proposed card
+ * GET /api/grant-cards/:cardId/revisions/:revisionId
+ */
+export async function handleGetRevision(req, res) {
+  try {
+    const grantCard = await loadAccessibleGrantCard(req, res);
+    if (!grantCard) return;
+
+    const revision = await loadRevision(req, res, grantCard);
+    if (!revision) return;
+
+    res.json({ revision: formatRevision(revision) });
+  } catch (error) {
+    console.error('Get grant card revision error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Apply a revision section by section
+ * POST /api/grant-cards/:cardId/revisions/:revisionId/apply {decisions: {sectionKey: 'accept'|'reject'}}
+ * Sections without a decision are rejected. A merge that breaks validation
+ * (422) saves nothing.
+ */
+export async function handleApplyRevision(req, res) {
+  try {
+    const decisions = req.body?.decisions;
+
+    if (!decisions || typeof decisions !== 'object' || Array.isArray(decisions)) {
+      return res.status(400).json({ error: 'decisions must be an object of {sectionKey: "accept" | "reject"}' });
+    }
+
+    const unknown = Object.entries(decisions)
+      .filter(([key, decision]) => !SECTION_KEYS.includes(key) || !['accept', 'reject'].includes(decision))
+      .map(([key]) => key);
+
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Invalid decisions for: ${unknown.join(', ')} (sections: ${SECTION_KEYS.join(', ')})` });
+    }
+
+    const grantCard = await loadAccessibleGrantCard(req, res, 'continue');
+    if (!grantCard) return;
+
+    const revision = await loadRevision(req, res, grantCard);
+    if (!revision) return;
+
+    if (revision.status !== 'pending') {
+      return res.status(409).json({ error: `This revision was already ${revision.status}` });
+    }
+
+    if (grantCard.updated_at > revision.created_at) {
+      return res.status(409).json({ error: 'The grant card was changed after this revision was created - propose the update again' });
+    }
+
+    const { card, accepted, valid, errors } = mergeGrantCardSections(revision.prior_card, revision.proposed_card, decisions);
+
+    if (!valid) {
+      return res.status(422).json({ error: 'The accepted sections do not make a valid grant card', errors });
+    }
+
+    const resolvedDecisions = Object.fromEntries(SECTION_KEYS.map(key => [key, accepted.includes(key) ? 'accept' : 'reject']));
+    const applied = await applyGrantCardRevision(revision.id, { card, decisions: resolvedDecisions });
+
+    res.json({
+      grantCard: { ...formatGrantCard(applied.grantCard), card: applied.grantCard.card },
+      revision: formatRevision(applied.revision)
+    });
+  } catch (error) {
+    // Lost a race with another apply/discard or a card update since the checks above
+    if (error instanceof RevisionConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    console.error('Apply grant card revision error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Discard a pending revision
+ * POST /api/grant-cards/:cardId/revisions/:revisionId/discard
+ */
+export async function handleDiscardRevision(req, res) {
+  try {
+    const grantCard = await loadAccessibleGrantCard(req, res, 'continue');
+    if (!grantCard) return;
+
+    const revision = await loadRevision(req, res, grantCard);
+    if (!revision) return;
+
+    const discarded = await discardGrantCardRevision(revision.id);
+
+    if (!discarded) {
+      return res.status(409).json({ error: `This revision was already ${revision.status}` });
+    }
+
+    res.json({ revision: formatRevision(discarded) });
+  } catch (error) {
+    console.error('Discard grant card revision error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * Grant Card API
+ *
+ * Structured grant cards (see src/grant-cards/schema.js):
+ * - GET /api/grant-cards - the user's grant cards
+ * - GET /api/grant-cards/:cardId?format=json|md|html - one card, rendered
+ * - GET /api/grant-cards/:cardId/getgranted?format=json|csv|html - GetGranted export
+ * - GET /api/conversations/:id/grant-cards - cards saved in a conversation
+ */
+
+import { getGrantCard, listGrantCards } from '../database/grant-cards.js';
+import { getConversation } from '../database/messages.js';
+import { getSharesForUser } from '../database/conversation-shares.js';
+import { resolveConversationAccess, hasConversationAccess } from '../middleware/conversation-access.js';
+import { renderGrantCard, GRANT_CARD_FORMATS } from '../grant-cards/render.js';
+import { GETGRANTED_FORMATS, prepareGetGrantedRecords, exportGetGranted } from '../grant-cards/getgranted.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Turn a program name into a filename
+ * @param {string} name - Program or batch name
+ * @returns {string} Slug (e.g. "canexport-smes")
+ */
+function slugify(name) {
+  return (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 60) || 'grant-card';
+}
+
+/**
+ * Format a grant card row for lists
+ * @param {Object} row - grant_cards row
+ * @returns {Object} API card summary
+ */
+export function formatGrantCard(row) {
+  return {
+    id: row.id,
+    programName: row.program_name,
+    grantType: row.grant_type,
+    conversationId: row.conversation_id,
+    batchItemId: row.batch_item_id,
+    schemaVersion: row.schema_version,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Whether a user may use a grant card: their own, or one saved in a
+ * conversation they have the access level on
+ * @param {Object} row - grant_cards row
+ * @param {Object} user - Authenticated user
+ * @param {string} level - 'view' to read the card, 'continue' to change it
+ * @returns {Promise<boolean>} True if the user has access
+ */
+export async function canAccessGrantCard(row, user, level = 'view') {
+  if (row.user_id === user.id) {
+    return true;
+  }
+
+  if (!row.conversation_id) {
+    return false;
+  }
+
+  const conversation = await getConversation(row.conversation_id);
+  if (!conversation) {
+    return false;
+  }
+
+  const shares = conversation.user_id !== user.id ? await getSharesForUser(row.conversation_id, user.id) : [];
+  return hasConversationAccess(resolveConversationAccess(conversation, user, shares), level);
+}
+
+/**
+ * Load a grant card the user can access
+ * @param {string} level - 'view' (default) or 'continue'
+ * @returns {Promise<Object|null>} grant_cards row, or null after sending a 404
+ */
+export async function loadAccessibleGrantCard(req, res, level = 'view') {
+  const { cardId } = req.params;
+  const row = UUID_PATTERN.test(cardId) ? await getGrantCard(cardId) : null;
+
+  if (!row || !(await canAccessGrantCard(row, req.user, level))) {
+    res.status(404).json({ error: 'Grant card not found' });
+    return null;
+  }
+
+  return row;
+}
+
+/**
+ * List the user's grant cards
+ * GET /api/grant-cards?limit=50
+ */
+export async function handleListGrantCards(req, res) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const rows = await listGrantCards({ userId: req.user.id, limit });
+
+    res.json({ grantCards: rows.map(formatGrantCard) });
+  } catch (error) {
+    console.error('List grant cards error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * List the grant cards saved in a conversation
+ * GET /api/conversations/:id/grant-cards (after requireConversationAccess('view'))
+ */
+export async function handleListConversationGrantCards(req, res) {
+  try {
+    const rows = await listGrantCards({ conversationId: req.params.id });
+
+    res.json({ grantCards: rows.map(formatGrantCard) });
+  } catch (error) {
+    console.error('List conversation grant cards error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get a grant card as JSON (API envelope), or download a rendering
+ * GET /api/grant-cards/:cardId - {grantCard: {..., card}}
+ * GET /api/grant-cards/:cardId?format=json|md|html - file download
+ */
+export async function handleGetGrantCard(req, res) {
+  try {
+    const { format } = req.query;
+
+    if (format && !GRANT_CARD_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format: ${format} (expected ${GRANT_CARD_FORMATS.join(', ')})` });
+    }
+
+    const row = await loadAccessibleGrantCard(req, res);
+    if (!row) return;
+
+    if (!format) {
+      return res.json({ grantCard: { ...formatGrantCard(row), card: row.card } });
+    }
+
+    const { body, contentType, extension } = renderGrantCard(row.card, format);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${slugify(row.program_name)}.${extension}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Get grant card error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Validate grant cards for GetGranted and send the export
+ * - no format: a validation report {ready, cards, errors, warnings}
+ * - format with errors: 422 listing them (unless skipInvalid, which exports
+ *   only the valid cards and sends the skipped count as X-Skipped-Count)
+ * - format without errors: the file download
+ * @param {Object} req - Request (query: format, skipInvalid)
+ * @param {Object} res - Response
+ * @param {Object} options - Export details
+ * @param {Array<Object>} options.entries - [{id, card}] to export
+ * @param {string} options.name - Filename and HTML title
+ * @param {Array<Object>} options.missing - Problems for documents with no card [{itemId, sourceName, message}]
+ */
+export function sendGetGrantedExport(req, res, { entries, name, missing = [] }) {
+  const { format } = req.query;
+  const skipInvalid = req.query.skipInvalid === 'true';
+
+  if (format && !GETGRANTED_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Invalid format: ${format} (expected ${GETGRANTED_FORMATS.join(', ')})` });
+  }
+
+  const prepared = prepareGetGrantedRecords(entries);
+  const problems = [
+    ...missing.map(item => ({ ...item, cardId: null, field: null, severity: 'error' })),
+    ...prepared.flatMap(entry => entry.problems.map(problem => ({ cardId: entry.id, programName: entry.programName, ...problem })))
+  ];
+  const errors = problems.filter(problem => problem.severity === 'error');
+  const warnings = problems.filter(problem => problem.severity === 'warning');
+  const exportable = prepared.filter(entry => !entry.problems.some(problem => problem.severity === 'error'));
+
+  if (!format) {
+    return res.json({
+      ready: errors.length === 0 && prepared.length > 0,
+      cards: prepared.map(entry => ({
+        cardId: entry.id,
+        programName: entry.programName,
+        valid: exportable.includes(entry),
+        record: entry.record
+      })),
+      errors,
+      warnings
+    });
+  }
+
+  if (exportable.length === 0 || (errors.length > 0 && !skipInvalid)) {
+    return res.status(422).json({
+      error: exportable.length === 0
+        ? 'No grant cards pass GetGranted validation'
+        : `${errors.length} GetGranted validation error(s) - fix them or export with skipInvalid=true`,
+      errors,
+      warnings
+    });
+  }
+
+  const exported = entries.filter(entry => exportable.some(valid => valid.id === entry.id));
+  const skipped = entries.length + missing.length - exported.length;
+  const { body, contentType, extension } = exportGetGranted(exported, format, { title: name });
+
+  console.log(`📤 GetGranted export: ${exported.length} card(s) as ${format}${skipped > 0 ? ` (${skipped} skipped)` : ''}`);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${slugify(name)}-getgranted.${extension}"`);
+  if (skipped > 0) {
+    res.setHeader('X-Skipped-Count', String(skipped));
+  }
+  res.send(body);
+}
+
+/**
+ * Export a grant card for GetGranted (or check it can be)
+ * GET /api/grant-cards/:cardId/getgranted?format=json|csv|html
+ */
+export async function handleExportGrantCardGetGranted(req, res) {
+  try {
+    const row = await loadAccessibleGrantCard(req, res);
+    if (!row) return;
+
+    sendGetGrantedExport(req, res, { entries: [row], name: row.program_name });
+  } catch (error) {
+    console.error('GetGranted grant card export error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Conversation HubSpot Links API
+ *
+ * The HubSpot deals and companies a conversation is about, and every
+ * conversation about a deal. Conversation routes are mounted behind
+ * requireConversationAccess, which sets req.conversation and
+ * req.conversationAccess.
+ */
+
+import {
+  linkConversation,
+  listConversationLinks,
+  deleteConversationLink,
+  listDealConversations
+} from '../database/conversation-links.js';
+import { getGrantApplication } from '../tools/hubspot.js';
+
+const MAX_DEAL_CONVERSATIONS = 100;
+
+/**
+ * Format a link record for the frontend
+ * @param {Object} link - conversation_hubspot_links row
+ * @returns {Object} Link
+ */
+export function formatLink(link) {
+  return {
+    id: link.id,
+    objectType: link.object_type,
+    objectId: link.object_id,
+    name: link.name || null,
+    source: link.source,
+    createdAt: link.created_at
+  };
+}
+
+/**
+ * Whether a value looks like a HubSpot object ID
+ * @param {*} value - Request value
+ * @returns {boolean} True for a numeric ID
+ */
+function isHubSpotId(value) {
+  return /^\d+$/.test(String(value ?? '').trim());
+}
+
+/**
+ * List the deals and companies a conversation is linked to
+ * GET /api/conversations/:id/links
+ */
+export async function handleListLinks(req, res) {
+  try {
+    const links = await listConversationLinks(req.params.id);
+
+    res.json({
+      count: links.length,
+      links: links.map(formatLink)
+    });
+  } catch (error) {
+    console.error('List links error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Link a conversation to a deal or company by hand
+ * POST /api/conversations/:id/links
+ * Body: {dealId} or {companyId, name}
+ * A deal is looked up in HubSpot for its name; its companies are linked too.
+ */
+export async function handleAddLink(req, res) {
+  try {
+    const { id } = req.params;
+    const { dealId, companyId, name = null } = req.body;
+    const linkedBy = req.user?.id || null;
+
+    if (!isHubSpotId(dealId) && !isHubSpotId(companyId)) {
+      return res.status(400).json({ error: 'Provide a numeric HubSpot dealId or companyId' });
+    }
+
+    if (isHubSpotId(dealId)) {
+      const deal = await getGrantApplication(String(dealId).trim());
+
+      if (!deal.success) {
+        return res.status(404).json({ error: `Deal not found in HubSpot: ${dealId}` });
+      }
+
+      await linkConversation({
+        conversationId: id,
+        objectType: 'deal',
+        objectId: deal.application.id,
+        name: deal.application.dealname || null,
+        source: 'manual',
+        linkedBy
+      });
+
+      for (const company of deal.associations?.companies?.results || []) {
+        await linkConversation({ conversationId: id, objectType: 'company', objectId: company.id, source: 'manual', linkedBy });
+      }
+    } else {
+      await linkConversation({
+        conversationId: id,
+        objectType: 'company',
+        objectId: String(companyId).trim(),
+        name: typeof name === 'string' && name.trim() ? name.trim() : null,
+        source: 'manual',
+        linkedBy
+      });
+    }
+
+    const links = await listConversationLinks(id);
+
+    res.json({
+      success: true,
+      links: links.map(formatLink)
+    });
+  } catch (error) {
+    console.error('Add link error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Unlink a deal or company from a conversation
+ * DELETE /api/conversations/:id/links/:linkId
+ */
+export async function handleDeleteLink(req, res) {
+  try {
+    const { id, linkId } = req.params;
+
+    const deleted = await deleteConversationLink(id, parseInt(linkId, 10));
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete link error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * List every conversation about a deal, across agents, that the user can see
+ * GET /api/hubspot/deals/:dealId/conversations?limit=50
+ */
+export async function handleListDealConversations(req, res) {
+  try {
+    const userId = req.user?.id;
+    const { dealId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized: Please log in' });
+    }
+
+    if (!isHubSpotId(dealId)) {
+      return res.status(400).json({ error: `Invalid deal ID: ${dealId}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_DEAL_CONVERSATIONS);
+    const rows = await listDealConversations(dealId, userId, limit);
+
+    res.json({
+      dealId,
+      dealName: rows.find(row => row.deal_name)?.deal_name || null,
+      count: rows.length,
+      conversations: rows.map(row => ({
+        id: row.id,
+        title: row.title || 'New Conversation',
+        agentType: row.agent_type,
+        shared: row.user_id !== userId,
+        ownerName: row.owner_name || null,
+        linkSource: row.link_source,
+        messageCount: parseInt(row.message_count, 10) || 0,
+        lastMessageAt: row.last_message_at,
+        createdAt: row.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('List deal conversations error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
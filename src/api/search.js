@@ -0,0 +1,102 @@
+/**
+ * Conversation Search API
+ *
+ * GET /api/conversations/search - full-text search across the conversations
+ * a user owns or that teammates shared with them.
+ */
+
+import {
+  searchConversations,
+  HIGHLIGHT_START,
+  HIGHLIGHT_END
+} from '../database/conversation-search.js';
+import { isValidAgentType } from '../agents/load-agents.js';
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_RESULTS = 50;
+
+/**
+ * Escape a snippet for HTML and turn the highlight markers into <mark> tags
+ * @param {string} snippet - ts_headline output
+ * @returns {string} Safe HTML
+ */
+export function formatSnippet(snippet) {
+  return (snippet || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_END).join('</mark>');
+}
+
+/**
+ * Whether a value is a YYYY-MM-DD date
+ * @param {string} value - Query parameter
+ * @returns {boolean} True for a valid date
+ */
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+/**
+ * Search conversations
+ * GET /api/conversations/search?q=xxx&agentType=xxx&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=20
+ */
+export async function handleSearchConversations(req, res) {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized: Please log in' });
+    }
+
+    const { q, agentType, from, to } = req.query;
+    const text = typeof q === 'string' ? q.trim() : '';
+
+    if (text.length < MIN_QUERY_LENGTH) {
+      return res.status(400).json({ error: `Search text must be at least ${MIN_QUERY_LENGTH} characters` });
+    }
+
+    if (agentType && !isValidAgentType(agentType)) {
+      return res.status(400).json({ error: `Invalid agent type: ${agentType}` });
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && !isDate(value)) {
+        return res.status(400).json({ error: `Invalid ${name} date: ${value} (expected YYYY-MM-DD)` });
+      }
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, MAX_RESULTS);
+
+    const rows = await searchConversations({
+      userId,
+      text,
+      agentType: agentType || null,
+      from: from || null,
+      to: to || null,
+      limit
+    });
+
+    res.json({
+      query: text,
+      count: rows.length,
+      results: rows.map(row => ({
+        conversationId: row.conversation_id,
+        messageId: row.message_id,
+        title: row.title || 'New Conversation',
+        agentType: row.agent_type,
+        role: row.role,
+        shared: row.user_id !== userId,
+        createdAt: row.created_at,
+        snippet: formatSnippet(row.snippet)
+      }))
+    });
+  } catch (error) {
+    console.error('Search conversations error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * Conversation Sharing API
+ *
+ * Share conversations with teammates and comment on them. Routes are
+ * mounted behind requireConversationAccess, which sets req.conversation
+ * and req.conversationAccess.
+ */
+
+import {
+  shareConversation,
+  listConversationShares,
+  deleteConversationShare,
+  findUserByEmail,
+  addConversationComment,
+  listConversationComments
+} from '../database/conversation-shares.js';
+import { getMessageById } from '../database/messages.js';
+
+const SHARE_PERMISSIONS = ['view', 'comment', 'continue'];
+
+/**
+ * Format a share record for the frontend
+ * @param {Object} share - conversation_shares row (with user_name/user_email)
+ * @returns {Object} Share
+ */
+function formatShare(share) {
+  return {
+    id: share.id,
+    team: share.user_id === null,
+    userId: share.user_id,
+    userName: share.user_name || null,
+    userEmail: share.user_email || null,
+    permission: share.permission,
+    createdAt: share.created_at
+  };
+}
+
+/**
+ * List who a conversation is shared with
+ * GET /api/conversations/:id/shares
+ */
+export async function handleListShares(req, res) {
+  try {
+    const shares = await listConversationShares(req.params.id);
+
+    res.json({
+      count: shares.length,
+      shares: shares.map(formatShare)
+    });
+  } catch (error) {
+    console.error('List shares error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Share a conversation with a teammate (by email) or the whole team
+ * POST /api/conversations/:id/shares
+ * Body: {email, permission} or {team: true, permission}
+ * Sharing again with the same teammate/team changes the permission.
+ */
+export async function handleShareConversation(req, res) {
+  try {
+    const { id } = req.params;
+    const { email, team = false, permission } = req.body;
+
+    if (!SHARE_PERMISSIONS.includes(permission)) {
+      return res.status(400).json({
+        error: `Invalid permission: ${permission} (expected one of: ${SHARE_PERMISSIONS.join(', ')})`
+      });
+    }
+
+    if (!team && (!email || typeof email !== 'string')) {
+      return res.status(400).json({ error: 'Provide a teammate email or team: true' });
+    }
+
+    let userId = null;
+
+    if (!team) {
+      const user = await findUserByEmail(email.trim());
+
+      if (!user) {
+        return res.status(404).json({ error: `No user with email ${email}` });
+      }
+
+      if (user.id === req.conversation.user_id) {
+        return res.status(400).json({ error: 'You already own this conversation' });
+      }
+
+      userId = user.id;
+    }
+
+    const share = await shareConversation({
+      conversationId: id,
+      userId,
+      permission,
+      grantedBy: req.user?.id || null
+    });
+
+    const shares = await listConversationShares(id);
+
+    res.json({
+      success: true,
+      share: formatShare(shares.find(s => s.id === share.id) || share),
+      shares: shares.map(formatShare)
+    });
+  } catch (error) {
+    console.error('Share conversation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Stop sharing a conversation with a teammate or the team
+ * DELETE /api/conversations/:id/shares/:shareId
+ */
+export async function handleDeleteShare(req, res) {
+  try {
+    const { id, shareId } = req.params;
+
+    const deleted = await deleteConversationShare(id, parseInt(shareId, 10));
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete share error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * List comments on a conversation
+ * GET /api/conversations/:id/comments
+ */
+export async function handleListComments(req, res) {
+  try {
+    const comments = await listConversationComments(req.params.id);
+
+    res.json({
+      count: comments.length,
+      comments: comments.map(comment => ({
+        id: comment.id,
+        messageId: comment.message_id,
+        userId: comment.user_id,
+        userName: comment.user_name || comment.user_email || 'Unknown user',
+        body: comment.body,
+        createdAt: comment.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('List comments error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Comment on a conversation (optionally on one message)
+ * POST /api/conversations/:id/comments
+ * Body: {body, messageId}
+ */
+export async function handleAddComment(req, res) {
+  try {
+    const { id } = req.params;
+    const { body, messageId = null } = req.body;
+
+    if (!req.user) {
+      return res.status(401).json({ error: 'Unauthorized: Please log in' });
+    }
+
+    if (!body || typeof body !== 'string' || body.trim().length === 0) {
+      return res.status(400).json({ error: 'Missing or invalid required field: body' });
+    }
+
+    if (messageId) {
+      const message = await getMessageById(messageId);
+
+      if (!message || message.conversationId !== id) {
+        return res.status(404).json({ error: `Message not found in conversation: ${messageId}` });
+      }
+    }
+
+    const comment = await addConversationComment({
+      conversationId: id,
+      messageId,
+      userId: req.user.id,
+      body: body.trim()
+    });
+
+    res.json({
+      success: true,
+      comment: {
+        id: comment.id,
+        messageId: comment.message_id,
+        userId: comment.user_id,
+        userName: req.user.name || req.user.email,
+        body: comment.body,
+        createdAt: comment.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
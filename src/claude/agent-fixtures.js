@@ -0,0 +1,318 @@
+/**
+ * Agent Run Fixtures (Record / Replay)
+ *
+ * Records everything non-deterministic about an agent run - the raw model
+ * stream events and the results of client tools (HubSpot, Drive, Docs) - into
+ * a JSON fixture, and plays it back so the agent loop can be regression-tested
+ * offline and for free.
+ *
+ * - Record: model calls go to the real provider and are teed into the fixture;
+ *   tools run normally and their results are captured.
+ * - Replay: model calls return the recorded events in order; tool calls return
+ *   the recorded result for the same tool name and input. Anything the run asks
+ *   for that wasn't recorded is a mismatch (see assertFullyReplayed).
+ *
+ * Enabled for /api/chat with AGENT_FIXTURE_MODE=record|replay. The fixture
+ * name comes from the X-Agent-Fixture request header and files live in
+ * AGENT_FIXTURE_DIR (default: tests/fixtures/agent-runs).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getProvider } from '../providers/index.js';
+import { AbortError } from '../utils/concurrency.js';
+
+const FIXTURE_VERSION = 1;
+const DEFAULT_FIXTURE_DIR = 'tests/fixtures/agent-runs';
+
+/**
+ * Error raised when a replayed run asks for something that wasn't recorded
+ */
+export class ReplayMismatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReplayMismatchError';
+  }
+}
+
+/**
+ * Deterministic JSON (sorted keys) for comparing tool inputs
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Summary of a model request, kept in the fixture to make mismatches readable
+ * @param {Object} params - Messages API parameters
+ * @returns {Object} {model, messageCount}
+ */
+function summarizeRequest(params) {
+  return {
+    model: params.model,
+    messageCount: params.messages?.length || 0
+  };
+}
+
+export class AgentFixture {
+  /**
+   * @param {Object} options - Fixture options
+   * @param {string} options.mode - 'record' or 'replay'
+   * @param {Object} options.data - Fixture data (replay) or initial metadata (record)
+   * @param {Object} options.provider - Provider to record from (record mode)
+   */
+  constructor({ mode, data = {}, provider = null }) {
+    this.mode = mode;
+    this.innerProvider = provider;
+    this.data = {
+      version: FIXTURE_VERSION,
+      name: data.name || null,
+      recordedAt: data.recordedAt || new Date().toISOString(),
+      metadata: data.metadata || {},
+      modelCalls: data.modelCalls || [],
+      toolCalls: data.toolCalls || []
+    };
+
+    // Replay cursors
+    this.nextModelCall = 0;
+    this.usedToolCalls = new Set();
+    this.mismatches = [];
+  }
+
+  /**
+   * Provider that records from (or replays to) the agent loop
+   * @returns {Object} Provider with createMessage/streamMessage/files/batches
+   */
+  get provider() {
+    const fixture = this;
+    const inner = this.innerProvider || getProvider();
+
+    return {
+      name: `fixture-${this.mode}`,
+      createMessage: (params, options) => fixture.mode === 'record'
+        ? fixture.recordMessage(inner, params, options)
+        : fixture.replayMessage(params),
+      streamMessage: (params, options) => fixture.mode === 'record'
+        ? fixture.recordStream(inner, params, options)
+        : fixture.replayStream(params, options),
+      get files() { return inner.files; },
+      get batches() { return inner.batches; }
+    };
+  }
+
+  // ============================================================================
+  // RECORD
+  // ============================================================================
+
+  /**
+   * Call the real provider and record the message
+   */
+  async recordMessage(inner, params, options) {
+    const message = await inner.createMessage(params, options);
+    this.data.modelCalls.push({ type: 'message', request: summarizeRequest(params), message });
+    return message;
+  }
+
+  /**
+   * Call the real provider and tee its stream events into the fixture
+   */
+  async recordStream(inner, params, options) {
+    const stream = await inner.streamMessage(params, options);
+    const call = { type: 'stream', request: summarizeRequest(params), events: [] };
+    this.data.modelCalls.push(call);
+
+    return (async function* () {
+      for await (const event of stream) {
+        call.events.push(event);
+        yield event;
+      }
+    })();
+  }
+
+  /**
+   * Record a client tool result
+   * @param {string} toolName - Tool name
+   * @param {Object} input - Tool input
+   * @param {Object} result - Tool result
+   */
+  recordToolCall(toolName, input, result) {
+    this.data.toolCalls.push({ toolName, input, result });
+  }
+
+  // ============================================================================
+  // REPLAY
+  // ============================================================================
+
+  /**
+   * Take the next recorded model call, checking it has the expected type
+   * @param {string} type - 'message' or 'stream'
+   * @param {Object} params - Messages API parameters
+   * @returns {Object} Recorded call
+   */
+  takeModelCall(type, params) {
+    const index = this.nextModelCall++;
+    const call = this.data.modelCalls[index];
+
+    if (!call || call.type !== type) {
+      const message = call
+        ? `Model call #${index + 1}: expected a ${call.type} call, got ${type}`
+        : `Model call #${index + 1} (${params.model}) was not recorded - the run made more calls than the fixture`;
+      this.mismatches.push(message);
+      throw new ReplayMismatchError(message);
+    }
+
+    return call;
+  }
+
+  /**
+   * Return the next recorded message
+   */
+  async replayMessage(params) {
+    return this.takeModelCall('message', params).message;
+  }
+
+  /**
+   * Replay the next recorded stream
+   */
+  async replayStream(params, options = {}) {
+    const { events } = this.takeModelCall('stream', params);
+    const signal = options.signal || null;
+
+    return (async function* () {
+      for (const event of events) {
+        // Yield to the event loop so cancellation can be exercised
+        await Promise.resolve();
+        if (signal?.aborted) {
+          throw new AbortError('Request was aborted');
+        }
+        yield event;
+      }
+    })();
+  }
+
+  /**
+   * Return the recorded result for a tool call (matched by name and input)
+   * @param {string} toolName - Tool name
+   * @param {Object} input - Tool input
+   * @returns {Object} Recorded result, or an error result if none matches
+   */
+  replayToolCall(toolName, input) {
+    const key = stableStringify(input);
+    const index = this.data.toolCalls.findIndex((call, i) =>
+      !this.usedToolCalls.has(i) && call.toolName === toolName && stableStringify(call.input) === key
+    );
+
+    if (index === -1) {
+      const message = `Tool call ${toolName} ${key} was not recorded`;
+      this.mismatches.push(message);
+      return { success: false, error: `Replay mismatch: ${message}` };
+    }
+
+    this.usedToolCalls.add(index);
+    return this.data.toolCalls[index].result;
+  }
+
+  /**
+   * Throw if the replayed run diverged from the recording
+   */
+  assertFullyReplayed() {
+    const problems = [...this.mismatches];
+
+    if (this.nextModelCall < this.data.modelCalls.length) {
+      problems.push(`${this.data.modelCalls.length - this.nextModelCall} recorded model call(s) were never made`);
+    }
+    if (this.usedToolCalls.size < this.data.toolCalls.length) {
+      problems.push(`${this.data.toolCalls.length - this.usedToolCalls.size} recorded tool call(s) were never made`);
+    }
+
+    if (problems.length > 0) {
+      throw new ReplayMismatchError(`Replay of "${this.data.name}" diverged:\n- ${problems.join('\n- ')}`);
+    }
+  }
+
+  // ============================================================================
+  // FILES
+  // ============================================================================
+
+  /**
+   * Write the fixture to disk
+   * @param {string} filePath - Destination path
+   */
+  save(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(this.data, null, 2));
+    console.log(`📼 Agent fixture saved: ${filePath} (${this.data.modelCalls.length} model calls, ${this.data.toolCalls.length} tool calls)`);
+  }
+}
+
+/**
+ * Start recording a run
+ * @param {Object} options - Recorder options
+ * @param {string} options.name - Fixture name
+ * @param {Object} options.metadata - Extra details stored with the fixture (agentType, message...)
+ * @param {Object} options.provider - Provider to record from (default: active provider)
+ * @returns {AgentFixture} Fixture in record mode
+ */
+export function createRecorder({ name, metadata = {}, provider = null } = {}) {
+  return new AgentFixture({ mode: 'record', data: { name, metadata }, provider });
+}
+
+/**
+ * Load a fixture for replay
+ * @param {string|Object} source - Fixture file path, or fixture data
+ * @returns {AgentFixture} Fixture in replay mode
+ */
+export function loadReplay(source) {
+  const data = typeof source === 'string'
+    ? JSON.parse(fs.readFileSync(source, 'utf-8'))
+    : source;
+
+  if (data.version !== FIXTURE_VERSION) {
+    throw new Error(`Unsupported agent fixture version: ${data.version}`);
+  }
+
+  return new AgentFixture({ mode: 'replay', data });
+}
+
+/**
+ * Get the fixture file path for a name
+ * @param {string} name - Fixture name (from X-Agent-Fixture)
+ * @returns {string} Absolute file path
+ */
+export function getFixturePath(name) {
+  const safeName = name.replace(/[^a-zA-Z0-9._-]/g, '_');
+  return path.resolve(process.env.AGENT_FIXTURE_DIR || DEFAULT_FIXTURE_DIR, `${safeName}.json`);
+}
+
+/**
+ * Create the fixture for a chat request, if record/replay is enabled
+ * @param {Object} req - Express request
+ * @param {Object} metadata - Details stored with a new recording
+ * @returns {AgentFixture|null} Fixture, or null when disabled or no fixture name was sent
+ */
+export function getFixtureForRequest(req, metadata = {}) {
+  const mode = process.env.AGENT_FIXTURE_MODE;
+  const name = req.get('x-agent-fixture');
+
+  if (!mode || !name) {
+    return null;
+  }
+
+  if (mode === 'record') {
+    return createRecorder({ name, metadata });
+  }
+
+  if (mode === 'replay') {
+    return loadReplay(getFixturePath(name));
+  }
+
+  throw new Error(`Unknown AGENT_FIXTURE_MODE: ${mode}`);
+}
@@ -0,0 +1,114 @@
+/**
+ * Conversation Branches
+ *
+ * Messages form a tree through messages.parent_id. Editing an earlier user
+ * message or regenerating a response adds a sibling under the same parent,
+ * and each path from the first message to a leaf is one version of the
+ * conversation. The most recently created message marks the latest branch.
+ *
+ * These helpers work on rows from getConversationMessagesWithMetadata
+ * (every branch, oldest first).
+ */
+
+import { isToolResultTurn } from './transcript.js';
+
+/**
+ * Get the leaf of the most recently active branch
+ * @param {Array} rows - Conversation rows (oldest first)
+ * @returns {string|null} Message ID, or null for an empty conversation
+ */
+export function getLatestLeafId(rows) {
+  return rows.length > 0 ? rows[rows.length - 1].id : null;
+}
+
+/**
+ * Get the messages on the branch ending at a message
+ * @param {Array} rows - Conversation rows
+ * @param {string|null} leafId - Last message of the branch
+ * @returns {Array} Rows from the first message to leafId (empty if not found)
+ */
+export function getBranchPath(rows, leafId) {
+  const byId = new Map(rows.map(row => [row.id, row]));
+  const path = [];
+
+  for (let current = byId.get(leafId); current; current = byId.get(current.parentId)) {
+    path.push(current);
+  }
+
+  return path.reverse();
+}
+
+/**
+ * Find the most recent leaf of the branches that go through a message
+ * @param {Array} rows - Conversation rows (oldest first)
+ * @param {string} messageId - Message the branch must include
+ * @returns {string|null} Leaf message ID, or null if the message isn't in the conversation
+ */
+export function findLatestLeaf(rows, messageId) {
+  const byId = new Map(rows.map(row => [row.id, row]));
+
+  if (!byId.has(messageId)) {
+    return null;
+  }
+
+  const parentIds = new Set(rows.map(row => row.parentId));
+
+  for (let i = rows.length - 1; i >= 0; i--) {
+    if (parentIds.has(rows[i].id)) {
+      continue;
+    }
+
+    for (let current = rows[i]; current; current = byId.get(current.parentId)) {
+      if (current.id === messageId) {
+        return rows[i].id;
+      }
+    }
+  }
+
+  return messageId;
+}
+
+/**
+ * Find the user message that started the turn a message belongs to
+ * (tool_use and tool_result steps belong to the turn of the user message before them)
+ * @param {Array} rows - Conversation rows
+ * @param {string} messageId - Any message of the turn
+ * @returns {Object|null} The user message row, or null if none
+ */
+export function findTurnStart(rows, messageId) {
+  const byId = new Map(rows.map(row => [row.id, row]));
+
+  for (let current = byId.get(messageId); current; current = byId.get(current.parentId)) {
+    if (current.role === 'user' && !isToolResultTurn(current)) {
+      return current;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Add sibling information to the messages of a branch, for the branch switcher
+ * @param {Array} path - Rows on the displayed branch
+ * @param {Array} rows - All conversation rows (oldest first)
+ * @returns {Array} Path rows; rows with siblings get siblingIds (oldest first) and siblingIndex
+ */
+export function annotateBranches(path, rows) {
+  const children = new Map();
+
+  for (const row of rows) {
+    const key = row.parentId || null;
+    if (!children.has(key)) {
+      children.set(key, []);
+    }
+    children.get(key).push(row.id);
+  }
+
+  return path.map(row => {
+    const siblingIds = children.get(row.parentId || null) || [row.id];
+
+    return siblingIds.length > 1
+      ? { ...row, siblingIds, siblingIndex: siblingIds.indexOf(row.id) }
+      : row;
+  });
+}
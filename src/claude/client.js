@@ -8,19 +8,19 @@
  * - Streams responses to frontend
  */
 
-import Anthropic from '@anthropic-ai/sdk';
-import { loadAgentPromptCached } from '../agents/load-agents.js';
+import { getProvider } from '../providers/index.js';
+import { getAgentManifest } from '../agents/load-agents.js';
+import { getActivePrompt } from '../agents/prompt-store.js';
+import { setConversationPromptVersion } from '../database/agent-prompts.js';
 import { loadConversationMemories } from '../tools/memory.js';
 import { loadLearningMemory } from '../tools/learning-memory.js';
-import { executeToolCall } from '../tools/executor.js';
+import { executeToolCalls } from '../tools/executor.js';
 import { getToolsForAgent } from '../tools/definitions.js';
 import { streamToSSE, setupSSE, closeSSE, sendSSE } from './streaming.js';
 import { getQueryConfig, logConfigDecision } from './query-classifier.js';
-
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+import { loadCompactedHistory } from './compaction.js';
+import { buildContinuationPrefill, mergeContinuation } from './continuation.js';
+import { saveRunTranscript } from './transcript.js';
 
 // DEPRECATED: These are now set dynamically based on query complexity
 // Kept for backwards compatibility
@@ -29,6 +29,10 @@ const FALLBACK_MODEL = 'claude-sonnet-4-5-20250929'; // Use latest Sonnet 4.5
 const FALLBACK_MAX_TOKENS = 16000;
 const FALLBACK_THINKING_BUDGET = 10000;
 
+// Maximum automatic continuations per run when a response hits max_tokens
+// (only used when the request opts in with autoContinue)
+const MAX_AUTO_CONTINUATIONS = parseInt(process.env.MAX_AUTO_CONTINUATIONS || '3', 10);
+
 /**
  * Main agent execution function
  * @param {Object} params - Execution parameters
@@ -38,6 +42,15 @@ const FALLBACK_THINKING_BUDGET = 10000;
  * @param {string} params.userId - User UUID
  * @param {string} params.sessionId - Session UUID for this request
  * @param {Array} params.attachments - File attachments (images/PDFs)
+ * @param {boolean} params.autoContinue - Resume responses that hit max_tokens
+ * @param {AgentFixture} params.fixture - Optional record/replay fixture for model calls and tools
+ * @param {Object} params.branch - Where the run goes in the message tree (see branches.js)
+ * @param {string|null} params.branch.parentMessageId - Message to continue from
+ *   (null = start of the conversation, omitted = the latest branch)
+ * @param {Object|null} params.branch.userMessage - Saved user message to answer again
+ *   instead of adding a new one ({id, parentId, content}; regenerate)
+ * @param {Array} params.branch.carryContent - Attachment blocks kept from an edited message
+ * @param {Object} params.configOverrides - Model/thinkingBudget/temperature overriding getQueryConfig
  * @param {Object} params.res - Express response object for SSE streaming
  * @returns {Promise<Object>} Execution result
  */
@@ -48,6 +61,10 @@ export async function runAgent({
   userId,
   sessionId,
   attachments = [],
+  autoContinue = false,
+  fixture = null,
+  branch = {},
+  configOverrides = null,
   res
 }) {
   console.log('\n' + '='.repeat(80));
@@ -57,8 +74,8 @@ export async function runAgent({
   console.log(`🔑 Session: ${sessionId}`);
   console.log('='.repeat(80) + '\n');
 
-  // Setup SSE headers
-  setupSSE(res);
+  // Setup SSE headers (events are numbered and buffered per session for reconnects)
+  setupSSE(res, sessionId, { userId, conversationId, agentType });
 
   // Send connection confirmation
   sendSSE(res, {
@@ -68,14 +85,38 @@ export async function runAgent({
     agentType
   });
 
+  // Aborted when the user cancels the run (POST /api/chat/stream/:sessionId/cancel)
+  const signal = res.streamSession ? res.streamSession.signal : null;
+
+  // Hoisted so a cancelled run can still persist what it has
+  let userContent = null;
+  let transcriptBranch = { parentId: null, userMessageId: null };
+  let messages = [];
+  let historyLength = 0;
+  let loopCount = 0;
+
+  // max_tokens continuation state
+  let continuationCount = 0;
+  let continuationPrefix = null;
+
   try {
     // ============================================================================
     // 1. Load agent prompt
     // ============================================================================
 
     console.log(`📋 Loading agent prompt for: ${agentType}`);
-    let systemPrompt = loadAgentPromptCached(agentType);
-    console.log(`✓ Agent prompt loaded (${systemPrompt.length} characters)`);
+    const agentManifest = getAgentManifest(agentType);
+    const activePrompt = await getActivePrompt(agentType, conversationId);
+    let systemPrompt = activePrompt.content;
+    console.log(`✓ Agent prompt loaded (${systemPrompt.length} characters, ${activePrompt.version ? `v${activePrompt.version}` : 'prompt file'})`);
+    if (activePrompt.experiment) {
+      console.log(`🧪 Prompt experiment "${activePrompt.experiment.name}": variant ${activePrompt.experiment.variantName}`);
+    }
+
+    // Record which prompt version this conversation ran with
+    setConversationPromptVersion(conversationId, activePrompt.versionId).catch(error => {
+      console.error('❌ Failed to record prompt version:', error.message);
+    });
 
     // ============================================================================
     // 2. Load conversation memories
@@ -108,7 +149,7 @@ export async function runAgent({
     // 2.6. Get query-specific configuration (NEW: Performance Optimization)
     // ============================================================================
 
-    const queryConfig = getQueryConfig(message, agentType);
+    const queryConfig = getQueryConfig(message, agentType, agentManifest, configOverrides);
     logConfigDecision(queryConfig, message);
 
     // Extract configuration values
@@ -118,20 +159,45 @@ export async function runAgent({
     const TEMPERATURE = queryConfig.temperature;
     const MAX_AGENT_LOOPS = queryConfig.maxIterations;
 
+    // Saved with the response so versions of an answer can be told apart
+    const runConfig = {
+      model: MODEL,
+      thinkingBudget: THINKING_CONFIG ? THINKING_CONFIG.budget_tokens : 0,
+      temperature: TEMPERATURE,
+      ...(configOverrides ? { overridden: true } : {})
+    };
+
     // ============================================================================
     // 3. Load conversation history from database
     // ============================================================================
 
+    // Older turns are replaced by a stored summary once history nears the token budget.
+    // Regenerating loads the branch up to the regenerated message's parent.
     console.log(`💬 Loading conversation history...`);
-    const { getConversationMessages } = await import('../database/messages.js');
-    const history = await getConversationMessages(conversationId);
-    console.log(`✓ Loaded ${history.length} previous messages`);
+    const { userMessage = null, carryContent = [] } = branch;
+    const { history, compacted, summarizedCount, tokens: historyTokens, leafId } =
+      await loadCompactedHistory(conversationId, {
+        agentType,
+        leafId: userMessage ? userMessage.parentId : branch.parentMessageId
+      });
+    historyLength = history.length;
+    transcriptBranch = { parentId: leafId, userMessageId: userMessage ? userMessage.id : null };
+    console.log(`✓ Loaded ${history.length} previous messages (~${historyTokens} tokens)`);
+
+    if (compacted) {
+      sendSSE(res, {
+        type: 'context_compacted',
+        summarizedMessages: summarizedCount,
+        sessionId
+      });
+    }
 
     // ============================================================================
     // 4. Build user message with attachments
     // ============================================================================
 
-    const userContent = [];
+    // Edited messages keep the original message's attachments
+    userContent = [...carryContent];
 
     // Add attachments (images/PDFs) - these go first
     for (const attachment of attachments) {
@@ -164,8 +230,13 @@ export async function runAgent({
       text: message
     });
 
+    // Regenerating answers the saved user message as it was sent
+    if (userMessage) {
+      userContent = userMessage.content;
+    }
+
     // Build messages array
-    let messages = [
+    messages = [
       ...history,
       { role: 'user', content: userContent }
     ];
@@ -176,15 +247,13 @@ export async function runAgent({
     // 5. Get tools for this agent
     // ============================================================================
 
-    const tools = getToolsForAgent(agentType);
+    const tools = getToolsForAgent(agentType, agentManifest.toolGroups, agentManifest.knowledgeBases);
     console.log(`🔧 Loaded ${tools.length} tools for agent`);
 
     // ============================================================================
     // 6. Agent execution loop
     // ============================================================================
 
-    let loopCount = 0;
-
     while (loopCount < MAX_AGENT_LOOPS) {
       loopCount++;
       console.log(`\n${'─'.repeat(80)}`);
@@ -216,29 +285,60 @@ export async function runAgent({
         ],
 
         messages,
-        tools,
-
-        // Enable streaming
-        stream: true
+        tools
       };
 
       // Only add thinking if configured (undefined = disabled for simple queries)
-      if (THINKING_CONFIG) {
+      // Continuations prefill the assistant turn, which extended thinking doesn't allow
+      if (THINKING_CONFIG && !continuationPrefix) {
         apiParams.thinking = THINKING_CONFIG;
       }
 
-      const stream = await anthropic.messages.create(apiParams, {
+      const provider = fixture ? fixture.provider : getProvider();
+      const stream = await provider.streamMessage(apiParams, {
         // Beta headers for web fetch tool, interleaved thinking, and memory tool
         headers: {
           'anthropic-beta': 'web-fetch-2025-09-10,interleaved-thinking-2025-05-14,context-management-2025-06-27'
-        }
+        },
+        signal
       });
 
       // Stream response to frontend and collect full response
-      const fullResponse = await streamToSSE(stream, res, sessionId);
+      const fullResponse = await streamToSSE(stream, res, sessionId, { signal });
 
       console.log(`✓ Response received - stop_reason: ${fullResponse.stop_reason}`);
 
+      // Stitch a continuation onto the truncated response it resumes
+      if (continuationPrefix) {
+        messages.pop(); // Remove the prefill
+        fullResponse.content = mergeContinuation(continuationPrefix, fullResponse.content);
+        continuationPrefix = null;
+      }
+
+      // Record token usage for this call (doesn't block the loop)
+      recordResponseUsage({
+        conversationId,
+        sessionId,
+        agentType,
+        model: fullResponse.model || MODEL,
+        iteration: loopCount,
+        response: fullResponse
+      });
+
+      // CASE 0: Cancelled by the user mid-stream
+      if (fullResponse.stop_reason === 'cancelled') {
+        return await finishCancelledRun({
+          conversationId,
+          branch: transcriptBranch,
+          sessionId,
+          userContent,
+          runMessages: messages.slice(historyLength + 1),
+          partialContent: fullResponse.content,
+          iterations: loopCount,
+          res
+        });
+      }
+
       // ============================================================================
       // Handle stop reason
       // ============================================================================
@@ -258,10 +358,16 @@ export async function runAgent({
           return true;
         });
 
-        // Save final messages to database
-        const { saveMessage } = await import('../database/messages.js');
-        await saveMessage(conversationId, 'user', userContent);
-        await saveMessage(conversationId, 'assistant', contentToSave);
+        // Save the full transcript (user message, tool turns, final answer)
+        await saveAndAnnounceTranscript(res, {
+          conversationId,
+          ...transcriptBranch,
+          sessionId,
+          userContent,
+          runMessages: messages.slice(historyLength + 1),
+          finalContent: contentToSave,
+          finalOptions: responseOptions(continuationCount, runConfig)
+        });
 
         console.log('✓ Messages saved to database');
 
@@ -275,7 +381,8 @@ export async function runAgent({
         return {
           success: true,
           response: fullResponse,
-          iterations: loopCount
+          iterations: loopCount,
+          continuations: continuationCount
         };
       }
 
@@ -305,52 +412,71 @@ export async function runAgent({
           content: cleanedContent
         });
 
-        // Extract and execute tool calls
-        const toolResults = [];
-        for (const block of fullResponse.content) {
-          if (block.type === 'tool_use') {
-            console.log(`\n  🛠️  Tool: ${block.name}`);
-            console.log(`  📥 Input:`, JSON.stringify(block.input, null, 2));
-
-            // Notify frontend of tool use
-            sendSSE(res, {
-              type: 'tool_use',
-              toolId: block.id,
-              toolName: block.name,
-              input: block.input,
-              sessionId
-            });
-
-            // Execute tool
-            const result = await executeToolCall(
-              block.name,
-              block.input,
-              conversationId,
-              userId,  // Pass userId for domain-wide delegation
-              agentType  // Pass agentType for agent-specific tool behavior
-            );
-
-            console.log(`  📤 Result:`, JSON.stringify(result, null, 2).substring(0, 200) + '...');
-
-            // Notify frontend of tool result
-            sendSSE(res, {
-              type: 'tool_result',
-              toolId: block.id,
-              toolName: block.name,
-              result,
-              sessionId
-            });
-
-            toolResults.push({
-              type: 'tool_result',
-              tool_use_id: block.id,
-              content: JSON.stringify(result)
-            });
+        // Extract tool calls and execute them in parallel
+        // (results come back in the original tool_use order)
+        const toolCalls = fullResponse.content
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({
+            toolName: block.name,
+            input: block.input,
+            toolUseId: block.id
+          }));
+
+        const toolResults = await executeToolCalls(
+          toolCalls,
+          {
+            conversationId,
+            userId,  // Pass userId for domain-wide delegation
+            agentType,  // Pass agentType for agent-specific tool behavior
+            signal,  // Skip remaining tools if the user cancels
+            fixture,  // Record or replay tool results
+            delegation: { res, sessionId, depth: 0, chain: [agentType] }  // For delegate_to_agent
+          },
+          {
+            onToolStart: ({ toolName, input, toolUseId }) => {
+              console.log(`\n  🛠️  Tool: ${toolName}`);
+              console.log(`  📥 Input:`, JSON.stringify(input, null, 2));
+
+              // Notify frontend of tool use
+              sendSSE(res, {
+                type: 'tool_use',
+                toolId: toolUseId,
+                toolName,
+                input,
+                sessionId
+              });
+            },
+            onToolResult: ({ toolName, toolUseId }, result) => {
+              console.log(`  📤 Result (${toolName}):`, JSON.stringify(result, null, 2).substring(0, 200) + '...');
+
+              // Notify frontend of tool result
+              sendSSE(res, {
+                type: 'tool_result',
+                toolId: toolUseId,
+                toolName,
+                result,
+                sessionId
+              });
+            }
           }
-        }
+        );
 
         console.log(`✓ Executed ${toolResults.length} tool calls`);
 
+        // Cancelled while tools were running - remaining tools were skipped
+        if (signal?.aborted) {
+          return await finishCancelledRun({
+            conversationId,
+            branch: transcriptBranch,
+            sessionId,
+            userContent,
+            runMessages: messages.slice(historyLength + 1),
+            partialContent: [],
+            iterations: loopCount,
+            res
+          });
+        }
+
         // Add tool results to messages
         messages.push({
           role: 'user',
@@ -365,22 +491,61 @@ export async function runAgent({
       if (fullResponse.stop_reason === 'max_tokens') {
         console.warn('⚠️  Agent hit max_tokens limit');
 
+        // Opt-in: resume generation from the truncated text
+        if (autoContinue && continuationCount < MAX_AUTO_CONTINUATIONS) {
+          const truncatedContent = fullResponse.content.map(block => {
+            const { index, ...cleanBlock } = block;
+            return cleanBlock;
+          });
+          const prefill = buildContinuationPrefill(truncatedContent);
+
+          if (prefill) {
+            continuationCount++;
+            continuationPrefix = truncatedContent;
+            console.log(`⏩ Continuing truncated response (${continuationCount}/${MAX_AUTO_CONTINUATIONS})`);
+
+            sendSSE(res, {
+              type: 'continuation',
+              continuation: continuationCount,
+              maxContinuations: MAX_AUTO_CONTINUATIONS,
+              sessionId
+            });
+
+            messages.push({
+              role: 'assistant',
+              content: prefill
+            });
+
+            continue;
+          }
+
+          console.warn('⚠️  Truncated response does not end in text - cannot continue');
+        }
+
         sendSSE(res, {
           type: 'warning',
-          message: 'Response truncated due to length limit',
+          message: continuationCount > 0
+            ? `Response truncated after ${continuationCount} continuation${continuationCount === 1 ? '' : 's'}`
+            : 'Response truncated due to length limit',
           sessionId
         });
 
         // Save what we have (including thinking blocks, but filter out empty text blocks)
-        const { saveMessage } = await import('../database/messages.js');
         const contentToSave = fullResponse.content.filter(block => {
           if (block.type === 'text' && (!block.text || block.text.trim() === '')) {
             return false;
           }
           return true;
         });
-        await saveMessage(conversationId, 'user', userContent);
-        await saveMessage(conversationId, 'assistant', contentToSave);
+        await saveAndAnnounceTranscript(res, {
+          conversationId,
+          ...transcriptBranch,
+          sessionId,
+          userContent,
+          runMessages: messages.slice(historyLength + 1),
+          finalContent: contentToSave,
+          finalOptions: responseOptions(continuationCount, runConfig)
+        });
 
         closeSSE(res);
 
@@ -388,7 +553,8 @@ export async function runAgent({
           success: true,
           response: fullResponse,
           warning: 'max_tokens_reached',
-          iterations: loopCount
+          iterations: loopCount,
+          continuations: continuationCount
         };
       }
 
@@ -396,22 +562,29 @@ export async function runAgent({
       if (fullResponse.stop_reason === 'stop_sequence') {
         console.log('✓ Agent hit stop sequence');
 
-        const { saveMessage } = await import('../database/messages.js');
         const contentToSave = fullResponse.content.filter(block => {
           if (block.type === 'text' && (!block.text || block.text.trim() === '')) {
             return false;
           }
           return true;
         });
-        await saveMessage(conversationId, 'user', userContent);
-        await saveMessage(conversationId, 'assistant', contentToSave);
+        await saveAndAnnounceTranscript(res, {
+          conversationId,
+          ...transcriptBranch,
+          sessionId,
+          userContent,
+          runMessages: messages.slice(historyLength + 1),
+          finalContent: contentToSave,
+          finalOptions: responseOptions(continuationCount, runConfig)
+        });
 
         closeSSE(res);
 
         return {
           success: true,
           response: fullResponse,
-          iterations: loopCount
+          iterations: loopCount,
+          continuations: continuationCount
         };
       }
 
@@ -427,6 +600,19 @@ export async function runAgent({
     if (loopCount >= MAX_AGENT_LOOPS) {
       console.error(`❌ Agent exceeded maximum loop limit (${MAX_AGENT_LOOPS})`);
 
+      // Keep the tool turns so a follow-up doesn't have to fetch everything again
+      try {
+        await saveAndAnnounceTranscript(res, {
+          conversationId,
+          ...transcriptBranch,
+          sessionId,
+          userContent,
+          runMessages: messages.slice(historyLength + 1)
+        });
+      } catch (error) {
+        console.error('❌ Failed to save transcript:', error);
+      }
+
       sendSSE(res, {
         type: 'error',
         error: `Agent exceeded maximum processing loops (${MAX_AGENT_LOOPS})`,
@@ -443,6 +629,20 @@ export async function runAgent({
     }
 
   } catch (error) {
+    // Abort surfaced as an error (e.g. cancelled before the stream opened)
+    if (signal?.aborted) {
+      return await finishCancelledRun({
+        conversationId,
+        branch: transcriptBranch,
+        sessionId,
+        userContent,
+        runMessages: messages.slice(historyLength + 1),
+        partialContent: [],
+        iterations: loopCount,
+        res
+      });
+    }
+
     console.error('\n' + '='.repeat(80));
     console.error('❌ Agent execution error:');
     console.error(error);
@@ -463,6 +663,155 @@ export async function runAgent({
   }
 }
 
+/**
+ * Save a run's transcript and send the saved message IDs to the frontend,
+ * which needs them to edit, regenerate or continue this branch
+ * @param {Object} res - Express response object
+ * @param {Object} params - saveRunTranscript parameters
+ * @returns {Promise<void>}
+ */
+async function saveAndAnnounceTranscript(res, params) {
+  const { userMessageId, leafId } = await saveRunTranscript(params);
+
+  sendSSE(res, {
+    type: 'messages_saved',
+    userMessageId,
+    leafId,
+    sessionId: params.sessionId
+  });
+}
+
+/**
+ * Persist a cancelled run and notify the frontend
+ *
+ * Completed tool turns are saved as usual. An assistant turn whose tools never
+ * ran is cut back to its text (tool_use blocks without results would make the
+ * saved history invalid) and saved, with the partial stream, as the cancelled
+ * final message.
+ *
+ * @param {Object} params - Cancellation parameters
+ * @param {string} params.conversationId - Conversation UUID
+ * @param {Object} params.branch - {parentId, userMessageId} for saveRunTranscript
+ * @param {string} params.sessionId - Session UUID
+ * @param {Array|null} params.userContent - User message content (null if not built yet)
+ * @param {Array} params.runMessages - Messages added during this run (assistant/tool turns)
+ * @param {Array} params.partialContent - Content blocks streamed before the abort
+ * @param {number} params.iterations - Loop iterations completed
+ * @param {Object} params.res - Express response object
+ * @returns {Promise<Object>} Execution result
+ */
+async function finishCancelledRun({ conversationId, branch, sessionId, userContent, runMessages, partialContent, iterations, res }) {
+  console.log('⏹️  Agent run cancelled by user');
+
+  // Cancelled while its tools were running - that turn has no tool results
+  const completedMessages = [...runMessages];
+  const unansweredTurn = completedMessages[completedMessages.length - 1]?.role === 'assistant'
+    ? completedMessages.pop()
+    : null;
+
+  const textBlocks = [
+    ...(unansweredTurn ? unansweredTurn.content : []),
+    ...partialContent
+  ]
+    .filter(block => block.type === 'text' && block.text && block.text.trim() !== '')
+    .map(({ type, text }) => ({ type, text }));
+
+  const contentToSave = textBlocks.length > 0
+    ? textBlocks
+    : [{ type: 'text', text: '_Response cancelled before any output._' }];
+
+  if (userContent) {
+    try {
+      await saveAndAnnounceTranscript(res, {
+        conversationId,
+        ...branch,
+        sessionId,
+        userContent,
+        runMessages: completedMessages,
+        finalContent: contentToSave,
+        finalOptions: {
+          status: 'cancelled',
+          metadata: {
+            cancelledAt: new Date().toISOString(),
+            iterations
+          }
+        }
+      });
+      console.log('✓ Partial response saved as cancelled');
+    } catch (error) {
+      console.error('❌ Failed to save cancelled run:', error);
+    }
+  }
+
+  sendSSE(res, {
+    type: 'cancelled',
+    sessionId
+  });
+
+  closeSSE(res);
+
+  return {
+    success: true,
+    cancelled: true,
+    iterations
+  };
+}
+
+/**
+ * saveMessage options for a run's final response
+ * @param {number} continuationCount - Continuations the response was stitched from
+ * @param {Object} runConfig - {model, thinkingBudget, temperature, overridden} the run used
+ * @returns {Object} Options with response metadata
+ */
+function responseOptions(continuationCount, runConfig) {
+  return {
+    metadata: {
+      config: runConfig,
+      ...(continuationCount > 0 ? { continuations: continuationCount } : {})
+    }
+  };
+}
+
+/**
+ * Record the token usage of one API response
+ *
+ * Failures are logged and swallowed - usage tracking must never break a run.
+ *
+ * @param {Object} params - Usage parameters
+ * @param {string} params.conversationId - Conversation UUID
+ * @param {string} params.sessionId - Session UUID
+ * @param {string} params.agentType - Agent type
+ * @param {string} params.model - Model that served the call
+ * @param {number} params.iteration - Agent loop iteration
+ * @param {Object} params.response - Collected response from streamToSSE
+ * @returns {Promise<void>}
+ */
+export async function recordResponseUsage({ conversationId, sessionId, agentType, model, iteration, response }) {
+  if (!response.usage) {
+    return;
+  }
+
+  const toolCallsCount = response.content.filter(block =>
+    block.type === 'tool_use' || block.type === 'server_tool_use'
+  ).length;
+
+  try {
+    const { recordApiUsage } = await import('../database/api-usage.js');
+    await recordApiUsage({
+      conversationId,
+      sessionId,
+      agentType,
+      model,
+      iteration,
+      usage: response.usage,
+      toolCallsCount,
+      stopReason: response.stop_reason
+    });
+  } catch (error) {
+    console.error('❌ Failed to record API usage:', error.message);
+  }
+}
+
 /**
  * Estimate token count (rough approximation)
  * @param {string} text - Text to estimate
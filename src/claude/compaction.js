@@ -0,0 +1,352 @@
+/**
+ * Context Compaction
+ *
+ * Keeps long conversations inside the model's context window:
+ * - Estimates the token size of the conversation history
+ * - When it nears the budget, summarizes the older turns with a fast model
+ * - Stores the summary and uses it in place of those turns on later runs
+ *
+ * Raw messages are never deleted - they stay in the database and in the UI.
+ * Only the history sent to Claude is compacted.
+ */
+
+import { getProvider } from '../providers/index.js';
+import { getConversationMessagesWithMetadata } from '../database/messages.js';
+import {
+  getConversationSummaries,
+  saveConversationSummary
+} from '../database/conversation-summaries.js';
+import { repairToolSequence, resolveToolResultRefs } from './transcript.js';
+import { getBranchPath, getLatestLeafId } from './branches.js';
+
+// Compact when estimated history tokens exceed this (leaves room for the
+// system prompt, tools, attachments on the new turn and the response)
+const COMPACTION_TRIGGER_TOKENS = parseInt(process.env.COMPACTION_TRIGGER_TOKENS || '120000', 10);
+
+// Most recent history (in tokens) kept verbatim after compaction
+const KEEP_RECENT_TOKENS = parseInt(process.env.COMPACTION_KEEP_RECENT_TOKENS || '30000', 10);
+
+// Always keep at least this many recent messages verbatim
+const MIN_RECENT_MESSAGES = 4;
+
+const SUMMARY_MODEL = 'claude-haiku-4-5';
+const SUMMARY_MAX_TOKENS = 2000;
+
+// Caps on the transcript sent to the summarizer
+const MAX_BLOCK_CHARS = 8000;
+const MAX_TRANSCRIPT_CHARS = 400000;
+
+// Rough per-attachment token costs
+const IMAGE_TOKENS = 1600;
+const BASE64_CHARS_PER_DOCUMENT_TOKEN = 25; // PDFs: ~1 token per 18-20 bytes (text + page images)
+
+/**
+ * Estimate the token count of a single content block
+ * @param {Object|string} block - Content block or plain text
+ * @returns {number} Estimated tokens
+ */
+function estimateBlockTokens(block) {
+  if (typeof block === 'string') {
+    return Math.ceil(block.length / 4);
+  }
+
+  switch (block.type) {
+    case 'text':
+      return Math.ceil((block.text || '').length / 4);
+    case 'image':
+      return IMAGE_TOKENS;
+    case 'document':
+      return block.source?.data
+        ? Math.ceil(block.source.data.length / BASE64_CHARS_PER_DOCUMENT_TOKEN)
+        : Math.ceil(JSON.stringify(block).length / 4);
+    default:
+      // tool_use, tool_result, server tool blocks: size of their JSON
+      return Math.ceil(JSON.stringify(block).length / 4);
+  }
+}
+
+/**
+ * Estimate the token count of a message (rough approximation: 1 token ≈ 4 characters)
+ * @param {Object} message - {role, content}
+ * @returns {number} Estimated tokens
+ */
+export function estimateMessageTokens(message) {
+  if (Array.isArray(message.content)) {
+    return message.content.reduce((sum, block) => sum + estimateBlockTokens(block), 0);
+  }
+
+  return estimateBlockTokens(message.content || '');
+}
+
+/**
+ * Estimate the token count of a list of messages
+ * @param {Array} messages - Messages in Claude API format
+ * @returns {number} Estimated tokens
+ */
+export function estimateHistoryTokens(messages) {
+  return messages.reduce((sum, message) => sum + estimateMessageTokens(message), 0);
+}
+
+/**
+ * Whether a message starts a new user turn (as opposed to a tool_result turn)
+ * @param {Object} message - {role, content}
+ * @returns {boolean} True if history can be split right before this message
+ */
+function isUserTurnStart(message) {
+  if (message.role !== 'user') return false;
+
+  return !(Array.isArray(message.content) &&
+    message.content.some(block => block.type === 'tool_result'));
+}
+
+/**
+ * Pick where to split history into "summarize" and "keep verbatim" parts.
+ * The kept part always starts at a user turn so the history stays valid.
+ * @param {Array} messages - Messages in Claude API format (oldest first)
+ * @param {Object} options - {keepTokens, minRecent}
+ * @returns {number} Index of the first kept message (0 = nothing to compact)
+ */
+export function selectCompactionSplit(messages, {
+  keepTokens = KEEP_RECENT_TOKENS,
+  minRecent = MIN_RECENT_MESSAGES
+} = {}) {
+  let keptTokens = 0;
+  let split = messages.length;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    keptTokens += estimateMessageTokens(messages[i]);
+    split = i;
+
+    if (messages.length - i >= minRecent && keptTokens >= keepTokens) {
+      break;
+    }
+  }
+
+  // Move forward to the next user turn boundary
+  while (split < messages.length && !isUserTurnStart(messages[split])) {
+    split++;
+  }
+
+  // No boundary found, or nothing older than the kept part
+  if (split >= messages.length) {
+    return 0;
+  }
+
+  return split;
+}
+
+/**
+ * Build the summary pair that stands in for the compacted turns
+ * @param {string} summary - Summary text
+ * @returns {Array} [user, assistant] messages
+ */
+export function buildSummaryMessages(summary) {
+  return [
+    {
+      role: 'user',
+      content: [{
+        type: 'text',
+        text: `<conversation_summary>\n${summary}\n</conversation_summary>\n\n` +
+          'The earlier part of this conversation was summarized above to save context. ' +
+          'Treat the summary as what was previously discussed.'
+      }]
+    },
+    {
+      role: 'assistant',
+      content: [{
+        type: 'text',
+        text: 'Understood - I have the context from our earlier conversation.'
+      }]
+    }
+  ];
+}
+
+/**
+ * Render messages as a plain-text transcript for the summarizer
+ * @param {Array} messages - Messages in Claude API format
+ * @returns {string} Transcript
+ */
+function renderTranscript(messages) {
+  const clip = (text) => text.length > MAX_BLOCK_CHARS
+    ? `${text.substring(0, MAX_BLOCK_CHARS)}\n[... ${text.length - MAX_BLOCK_CHARS} more characters]`
+    : text;
+
+  const lines = messages.map(message => {
+    const speaker = message.role === 'user' ? 'USER' : 'ASSISTANT';
+
+    if (!Array.isArray(message.content)) {
+      return `${speaker}: ${clip(String(message.content))}`;
+    }
+
+    const parts = message.content.map(block => {
+      switch (block.type) {
+        case 'text':
+          return clip(block.text || '');
+        case 'image':
+          return '[Image attachment]';
+        case 'document':
+          return '[PDF attachment]';
+        case 'tool_use':
+        case 'server_tool_use':
+          return `[Tool call: ${block.name} ${JSON.stringify(block.input || {})}]`;
+        case 'tool_result':
+          return `[Tool result: ${clip(typeof block.content === 'string' ? block.content : JSON.stringify(block.content))}]`;
+        default:
+          return `[${block.type}]`;
+      }
+    });
+
+    return `${speaker}: ${parts.join('\n')}`;
+  });
+
+  const transcript = lines.join('\n\n');
+
+  // Keep the most recent part if the transcript is still too long
+  return transcript.length > MAX_TRANSCRIPT_CHARS
+    ? transcript.substring(transcript.length - MAX_TRANSCRIPT_CHARS)
+    : transcript;
+}
+
+/**
+ * Summarize older turns (folding in any previous summary)
+ * @param {Array} messages - Messages to summarize
+ * @param {string|null} previousSummary - Earlier summary these turns follow
+ * @param {string} agentType - Agent type (for context)
+ * @returns {Promise<string>} Summary text
+ */
+async function summarizeMessages(messages, previousSummary, agentType) {
+  const response = await getProvider().createMessage({
+    model: SUMMARY_MODEL,
+    max_tokens: SUMMARY_MAX_TOKENS,
+    temperature: 0.2,
+    system: 'You compress conversations between grant consultants and an AI assistant so the assistant can continue the work with less context. ' +
+      'Preserve every concrete fact: client and company names, HubSpot deal/company IDs, grant programs and fiscal years, ' +
+      'amounts, dates and deadlines, eligibility findings, decisions made, documents reviewed (and what they contained), ' +
+      'open questions and the user\'s outstanding requests. Drop pleasantries and repetition. Use concise markdown bullets under short headings.',
+    messages: [{
+      role: 'user',
+      content: `${previousSummary ? `<previous_summary>\n${previousSummary}\n</previous_summary>\n\n` : ''}` +
+        `<transcript agent="${agentType || 'unknown'}">\n${renderTranscript(messages)}\n</transcript>\n\n` +
+        'Write an updated summary that replaces the previous summary (if any) and the transcript above.'
+    }]
+  });
+
+  const text = response.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n')
+    .trim();
+
+  if (!text) {
+    throw new Error('Summarizer returned an empty summary');
+  }
+
+  return text;
+}
+
+/**
+ * Find where a summary ends on a branch
+ * Summaries saved before branching only record covered_until, which is the
+ * created_at of the last summarized message.
+ * @param {Object} summary - conversation_summaries record
+ * @param {Array} path - Rows on the branch (oldest first)
+ * @returns {number} Index of the last covered row, or -1 if the summary belongs to another branch
+ */
+function findCoveredIndex(summary, path) {
+  if (summary.covered_message_id) {
+    return path.findIndex(row => row.id === summary.covered_message_id);
+  }
+
+  const coveredUntil = new Date(summary.covered_until).getTime();
+  return path.findIndex(row => new Date(row.createdAt).getTime() === coveredUntil);
+}
+
+/**
+ * Load conversation history for the agent, compacting it if it's too large
+ *
+ * @param {string} conversationId - UUID of the conversation
+ * @param {Object} options - Optional settings
+ * @param {string} options.agentType - Agent type (for the summarizer prompt)
+ * @param {string|null} options.leafId - Last message of the branch to load
+ *   (null = start of the conversation, omitted = the latest branch)
+ * @returns {Promise<Object>} {history, compacted, summarizedCount, tokens, leafId}
+ */
+export async function loadCompactedHistory(conversationId, { agentType = null, leafId } = {}) {
+  const summaries = await getConversationSummaries(conversationId);
+  const rows = await getConversationMessagesWithMetadata(conversationId);
+
+  const branchLeafId = leafId === undefined ? getLatestLeafId(rows) : leafId;
+  const path = getBranchPath(rows, branchLeafId);
+
+  // Latest summary of this branch (summaries list newest first)
+  let latestSummary = null;
+  let coveredIndex = -1;
+  for (const summary of summaries) {
+    coveredIndex = findCoveredIndex(summary, path);
+    if (coveredIndex !== -1) {
+      latestSummary = summary;
+      break;
+    }
+  }
+
+  // Raw messages newer than the latest summary. Full tool results are stored by
+  // reference, and a crashed or cancelled run can leave tool turns unpaired.
+  const recentRows = await resolveToolResultRefs(repairToolSequence(path.slice(coveredIndex + 1).filter(row =>
+    !(Array.isArray(row.content) && row.content.length === 0)
+  )));
+
+  // Claude API format
+  const recent = recentRows.map(row => ({ role: row.role, content: row.content }));
+
+  const summaryMessages = latestSummary ? buildSummaryMessages(latestSummary.summary) : [];
+  const history = [...summaryMessages, ...recent];
+  const tokens = estimateHistoryTokens(history);
+
+  if (tokens <= COMPACTION_TRIGGER_TOKENS) {
+    return { history, compacted: false, summarizedCount: 0, tokens, leafId: branchLeafId };
+  }
+
+  const split = selectCompactionSplit(recent);
+
+  if (split === 0) {
+    console.warn(`⚠️  History is ~${tokens} tokens but no safe compaction point was found`);
+    return { history, compacted: false, summarizedCount: 0, tokens, leafId: branchLeafId };
+  }
+
+  console.log(`🗜️  History is ~${tokens} tokens (trigger: ${COMPACTION_TRIGGER_TOKENS}) - summarizing ${split} older messages...`);
+
+  try {
+    const summary = await summarizeMessages(
+      recent.slice(0, split),
+      latestSummary?.summary || null,
+      agentType
+    );
+
+    const compactedHistory = [...buildSummaryMessages(summary), ...recent.slice(split)];
+    const tokensAfter = estimateHistoryTokens(compactedHistory);
+
+    await saveConversationSummary(conversationId, {
+      summary,
+      coveredUntil: recentRows[split - 1].createdAt,
+      coveredMessageId: recentRows[split - 1].id,
+      messageCount: (latestSummary?.message_count || 0) + split,
+      tokensBefore: tokens,
+      tokensAfter,
+      model: SUMMARY_MODEL
+    });
+
+    console.log(`✓ History compacted: ~${tokens} → ~${tokensAfter} tokens`);
+
+    return {
+      history: compactedHistory,
+      compacted: true,
+      summarizedCount: split,
+      tokens: tokensAfter,
+      leafId: branchLeafId
+    };
+  } catch (error) {
+    // Never block the run on compaction - fall back to the uncompacted history
+    console.error('❌ Context compaction failed, using full history:', error.message);
+    return { history, compacted: false, summarizedCount: 0, tokens, leafId: branchLeafId };
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Max-Tokens Continuation
+ *
+ * Helpers for resuming a response that stopped at max_tokens:
+ * - Build the assistant prefill that Claude continues from
+ * - Stitch the continuation onto the truncated content
+ *
+ * The truncated text is sent back as the final assistant message; Claude
+ * picks up exactly where it stopped and the pieces are saved as one message.
+ */
+
+/**
+ * Build the assistant prefill for a continuation request
+ * @param {Array} content - Content blocks of the truncated response (index removed)
+ * @returns {Array|null} Prefill content blocks, or null if the response can't be continued
+ */
+export function buildContinuationPrefill(content) {
+  const lastBlock = content[content.length - 1];
+
+  // Only text can be continued - a truncated tool_use or thinking block can't
+  if (!lastBlock || lastBlock.type !== 'text') {
+    return null;
+  }
+
+  // Prefill can't carry thinking blocks, and the API rejects a final assistant
+  // message that ends in whitespace
+  const textBlocks = content
+    .filter(block => block.type === 'text' && block.text && block.text.trim() !== '')
+    .map(({ type, text }) => ({ type, text }));
+
+  if (textBlocks.length === 0) {
+    return null;
+  }
+
+  const last = textBlocks[textBlocks.length - 1];
+  last.text = last.text.trimEnd();
+
+  return textBlocks;
+}
+
+/**
+ * Stitch a continuation onto the truncated response content
+ * @param {Array} prefixContent - Content blocks of the truncated response
+ * @param {Array} continuationContent - Content blocks of the continuation
+ * @returns {Array} Combined content blocks
+ */
+export function mergeContinuation(prefixContent, continuationContent) {
+  const merged = prefixContent.map(block => ({ ...block }));
+  const [first, ...rest] = continuationContent;
+
+  const lastIndex = merged.length - 1;
+
+  if (first && first.type === 'text' && lastIndex >= 0 && merged[lastIndex].type === 'text') {
+    // Continue the truncated text block (trimmed the same way as the prefill)
+    merged[lastIndex] = {
+      ...merged[lastIndex],
+      text: merged[lastIndex].text.trimEnd() + (first.text || '')
+    };
+    return [...merged, ...rest];
+  }
+
+  return [...merged, ...continuationContent];
+}
@@ -0,0 +1,257 @@
+/**
+ * Sub-Agent Delegation
+ *
+ * Runs a specialist agent as a nested run for the delegate_to_agent tool:
+ * - The specialist gets its own prompt, model config and tools
+ * - Its progress streams to the parent's SSE connection as delegation_* events
+ * - Its final text goes back to the calling agent as the tool result
+ *
+ * Nested runs are not saved as conversation messages; the calling agent's
+ * transcript keeps the tool call and its result. With a record/replay fixture
+ * (agent-fixtures.js) the nested model and tool calls are recorded and
+ * replayed like the caller's.
+ *
+ * Limits:
+ * - MAX_DELEGATION_DEPTH: how many levels of nested runs (1 = the orchestrator
+ *   can delegate, specialists can't delegate further)
+ * - MAX_DELEGATED_LOOPS: agent loop iterations per nested run
+ * - An agent can't delegate to itself or to an agent already in the chain
+ */
+
+import { getProvider } from '../providers/index.js';
+import { getAgentManifest, isValidAgentType } from '../agents/load-agents.js';
+import { getActivePrompt } from '../agents/prompt-store.js';
+import { executeToolCalls } from '../tools/executor.js';
+import { getToolsForAgent, DELEGATE_TOOL_NAME } from '../tools/definitions.js';
+import { streamToSSE, sendSSE } from './streaming.js';
+import { getQueryConfig } from './query-classifier.js';
+import { recordResponseUsage } from './client.js';
+
+export const MAX_DELEGATION_DEPTH = parseInt(process.env.MAX_DELEGATION_DEPTH || '1', 10);
+export const MAX_DELEGATED_LOOPS = parseInt(process.env.MAX_DELEGATED_LOOPS || '10', 10);
+
+/**
+ * Wrap a response so SSE events from a nested run reach the parent stream
+ * as delegation_event envelopes
+ * @param {Object} res - Parent response (or parent nested stream)
+ * @param {Object} envelope - {delegationId, agentType, depth, sessionId}
+ * @returns {Object} Object accepted by sendSSE/streamToSSE in place of res
+ */
+export function createNestedStream(res, envelope) {
+  return {
+    streamSession: {
+      push: (event) => sendSSE(res, { type: 'delegation_event', ...envelope, event })
+    }
+  };
+}
+
+/**
+ * Check whether a delegation is allowed
+ * @param {string} targetAgent - Agent to delegate to
+ * @param {Object} delegation - Caller's delegation context {depth, chain}
+ * @returns {string|null} Reason it isn't allowed, or null if it is
+ */
+export function checkDelegation(targetAgent, { depth = 0, chain = [] } = {}) {
+  if (!isValidAgentType(targetAgent)) {
+    return `Unknown agent type: ${targetAgent}`;
+  }
+
+  if (depth >= MAX_DELEGATION_DEPTH) {
+    return `Delegation depth limit reached (${MAX_DELEGATION_DEPTH})`;
+  }
+
+  if (chain.includes(targetAgent)) {
+    return `Cannot delegate to ${targetAgent}: it is already running in this chain (${[...chain, targetAgent].join(' → ')})`;
+  }
+
+  return null;
+}
+
+/**
+ * Run an agent as a nested run and return its final output
+ * @param {Object} params - Delegation parameters
+ * @param {string} params.agentType - Agent to run
+ * @param {string} params.task - What the agent should do
+ * @param {string} params.context - Background from the calling agent (optional)
+ * @param {string} params.conversationId - Conversation UUID (shared with the caller)
+ * @param {number} params.userId - User ID
+ * @param {Object} params.delegation - Caller's context {res, sessionId, signal, depth, chain, toolUseId}
+ * @param {AgentFixture} params.fixture - Caller's record/replay fixture (optional)
+ * @returns {Promise<Object>} {success, agentType, output, iterations} or {success: false, error}
+ */
+export async function runDelegatedAgent({ agentType, task, context = null, conversationId, userId, delegation, fixture = null }) {
+  const { res, sessionId, signal = null, depth = 0, chain = [], toolUseId = null } = delegation;
+
+  const refusal = checkDelegation(agentType, delegation);
+  if (refusal) {
+    console.warn(`⚠️  Delegation refused: ${refusal}`);
+    return { success: false, error: refusal };
+  }
+
+  if (!task || typeof task !== 'string') {
+    return { success: false, error: 'delegate_to_agent requires a "task"' };
+  }
+
+  const nestedDepth = depth + 1;
+  const nestedChain = [...chain, agentType];
+  const envelope = { delegationId: toolUseId, agentType, depth: nestedDepth, sessionId };
+  const nestedRes = createNestedStream(res, envelope);
+
+  console.log(`\n🤝 Delegating to ${agentType} (${nestedChain.join(' → ')})`);
+
+  sendSSE(res, { type: 'delegation_start', ...envelope, task });
+
+  const result = await runNestedLoop({
+    agentType,
+    task,
+    context,
+    conversationId,
+    userId,
+    signal,
+    sessionId,
+    nestedRes,
+    fixture,
+    delegation: { res: nestedRes, sessionId, depth: nestedDepth, chain: nestedChain }
+  }).catch(error => {
+    console.error(`❌ Delegated run (${agentType}) failed:`, error);
+    return { success: false, error: error.message };
+  });
+
+  sendSSE(res, {
+    type: 'delegation_end',
+    ...envelope,
+    success: result.success,
+    iterations: result.iterations || 0
+  });
+
+  console.log(`🤝 ${agentType} ${result.success ? 'finished' : `failed: ${result.error}`}`);
+
+  return { agentType, ...result };
+}
+
+/**
+ * Agent loop for a nested run (no persistence, no continuations)
+ * @param {Object} params - See runDelegatedAgent
+ * @returns {Promise<Object>} {success, output, iterations} or {success: false, error, output}
+ */
+async function runNestedLoop({ agentType, task, context, conversationId, userId, signal, sessionId, nestedRes, fixture, delegation }) {
+  const manifest = getAgentManifest(agentType);
+  const activePrompt = await getActivePrompt(agentType);
+  const queryConfig = getQueryConfig(task, agentType, manifest);
+  const maxLoops = Math.min(queryConfig.maxIterations, MAX_DELEGATED_LOOPS);
+
+  const systemPrompt = `${activePrompt.content}
+
+## Delegated Task
+
+You are running as a sub-agent for ${delegation.chain[delegation.chain.length - 2]}. Complete the task
+and finish with a self-contained answer - your final message is returned to the calling agent as-is.
+You cannot ask the user follow-up questions.`;
+
+  // Specialists at the depth limit can't delegate any further
+  const tools = getToolsForAgent(agentType, manifest.toolGroups, manifest.knowledgeBases)
+    .filter(tool => tool.name !== DELEGATE_TOOL_NAME || delegation.depth < MAX_DELEGATION_DEPTH);
+
+  const messages = [{
+    role: 'user',
+    content: context ? `${task}\n\n<context>\n${context}\n</context>` : task
+  }];
+
+  let loopCount = 0;
+  let lastText = '';
+
+  while (loopCount < maxLoops) {
+    loopCount++;
+
+    sendSSE(nestedRes, { type: 'loop_iteration', iteration: loopCount, sessionId });
+
+    const apiParams = {
+      model: queryConfig.model,
+      max_tokens: queryConfig.maxTokens,
+      temperature: queryConfig.temperature,
+      system: [{ type: 'text', text: systemPrompt, cache_control: { type: 'ephemeral' } }],
+      messages,
+      tools
+    };
+
+    if (queryConfig.thinking) {
+      apiParams.thinking = queryConfig.thinking;
+    }
+
+    const provider = fixture ? fixture.provider : getProvider();
+    const stream = await provider.streamMessage(apiParams, {
+      headers: {
+        'anthropic-beta': 'web-fetch-2025-09-10,interleaved-thinking-2025-05-14,context-management-2025-06-27'
+      },
+      signal
+    });
+
+    const fullResponse = await streamToSSE(stream, nestedRes, sessionId, { signal });
+
+    recordResponseUsage({
+      conversationId,
+      sessionId,
+      agentType,
+      model: fullResponse.model || queryConfig.model,
+      iteration: loopCount,
+      response: fullResponse
+    });
+
+    const content = fullResponse.content
+      .filter(block => !(block.type === 'text' && (!block.text || block.text.trim() === '')))
+      .map(({ index, ...block }) => block);
+
+    const text = content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n\n');
+    if (text) {
+      lastText = text;
+    }
+
+    if (fullResponse.stop_reason === 'cancelled') {
+      return { success: false, error: 'Delegated run cancelled by user', cancelled: true, output: lastText, iterations: loopCount };
+    }
+
+    if (fullResponse.stop_reason !== 'tool_use') {
+      return {
+        success: true,
+        output: text,
+        iterations: loopCount,
+        truncated: fullResponse.stop_reason === 'max_tokens' || undefined
+      };
+    }
+
+    messages.push({ role: 'assistant', content });
+
+    const toolCalls = content
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ toolName: block.name, input: block.input, toolUseId: block.id }));
+
+    const toolResults = await executeToolCalls(
+      toolCalls,
+      { conversationId, userId, agentType, signal, fixture, delegation },
+      {
+        onToolStart: ({ toolName, input, toolUseId }) => {
+          sendSSE(nestedRes, { type: 'tool_use', toolId: toolUseId, toolName, input, sessionId });
+        },
+        onToolResult: ({ toolName, toolUseId }, result) => {
+          sendSSE(nestedRes, { type: 'tool_result', toolId: toolUseId, toolName, result, sessionId });
+        }
+      }
+    );
+
+    if (signal?.aborted) {
+      return { success: false, error: 'Delegated run cancelled by user', cancelled: true, output: lastText, iterations: loopCount };
+    }
+
+    messages.push({ role: 'user', content: toolResults });
+  }
+
+  return {
+    success: false,
+    error: `${agentType} exceeded its delegated loop limit (${maxLoops})`,
+    output: lastText,
+    iterations: loopCount
+  };
+}
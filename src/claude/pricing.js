@@ -0,0 +1,73 @@
+/**
+ * Model Pricing
+ *
+ * Per-model Claude API pricing used to turn recorded token usage into cost.
+ * Prices are USD per 1M tokens (standard API pricing, 5-minute cache writes).
+ *
+ * Update this table when Anthropic changes pricing or a new model is added.
+ */
+
+// Matched by model ID prefix - more specific prefixes must come first
+const MODEL_PRICING = [
+  { prefix: 'claude-opus-4-5', input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  { prefix: 'claude-opus-4', input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  { prefix: 'claude-sonnet-4', input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  { prefix: 'claude-3-7-sonnet', input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  { prefix: 'claude-3-5-sonnet', input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  { prefix: 'claude-haiku-4-5', input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  { prefix: 'claude-3-5-haiku', input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+  { prefix: 'claude-3-haiku', input: 0.25, output: 1.25, cacheWrite: 0.3, cacheRead: 0.03 }
+];
+
+// Unknown models are priced as Sonnet (the default agent model)
+const DEFAULT_PRICING = MODEL_PRICING.find(p => p.prefix === 'claude-sonnet-4');
+
+/**
+ * Get pricing for a model
+ * @param {string} model - Model ID (e.g. 'claude-sonnet-4-20250514')
+ * @returns {Object} {input, output, cacheWrite, cacheRead} in USD per 1M tokens
+ */
+export function getModelPricing(model) {
+  const pricing = MODEL_PRICING.find(p => (model || '').startsWith(p.prefix));
+
+  if (!pricing) {
+    console.warn(`⚠️  No pricing for model "${model}" - using Sonnet pricing`);
+    return DEFAULT_PRICING;
+  }
+
+  return pricing;
+}
+
+/**
+ * Calculate the cost of a usage record
+ * @param {Object} usage - Token counts
+ * @param {number} usage.input_tokens - Uncached input tokens
+ * @param {number} usage.output_tokens - Output tokens (including thinking)
+ * @param {number} usage.cache_creation_input_tokens - Tokens written to the prompt cache
+ * @param {number} usage.cache_read_input_tokens - Tokens read from the prompt cache
+ * @param {string} model - Model ID
+ * @returns {number} Cost in USD
+ */
+export function calculateCost(usage, model) {
+  const pricing = getModelPricing(model);
+
+  const cost =
+    (usage.input_tokens || 0) * pricing.input +
+    (usage.output_tokens || 0) * pricing.output +
+    (usage.cache_creation_input_tokens || 0) * pricing.cacheWrite +
+    (usage.cache_read_input_tokens || 0) * pricing.cacheRead;
+
+  return cost / 1000000;
+}
+
+/**
+ * Total tokens in a usage record (all input kinds plus output)
+ * @param {Object} usage - Token counts (same shape as calculateCost)
+ * @returns {number} Total tokens
+ */
+export function getTotalTokens(usage) {
+  return (usage.input_tokens || 0) +
+    (usage.output_tokens || 0) +
+    (usage.cache_creation_input_tokens || 0) +
+    (usage.cache_read_input_tokens || 0);
+}
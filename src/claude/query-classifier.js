@@ -171,26 +171,89 @@ export function getIterationLimit(queryComplexity) {
 
 /**
  * Get complete configuration for query
+ *
+ * The agent manifest (frontmatter in .claude/agents/*.md) can override the
+ * defaults: model for complex queries, thinking budget (0 = off) and max loops.
+ * Simple queries keep the fast model and never loop more than the manifest allows.
+ *
+ * Per-request overrides (e.g. regenerating a weak answer with another model)
+ * win over both. Extended thinking only runs at temperature 1, so a thinking
+ * budget forces temperature 1 and any other temperature turns thinking off.
+ *
  * @param {string} message - User's query
  * @param {string} agentType - Type of agent
+ * @param {Object} manifest - Agent manifest (optional)
+ * @param {Object} overrides - Validated request overrides (optional)
+ * @param {string} overrides.model - Model ID
+ * @param {number} overrides.thinkingBudget - Thinking budget (0 = off)
+ * @param {number} overrides.temperature - Sampling temperature
  * @returns {Object} Complete configuration
  */
-export function getQueryConfig(message, agentType) {
+export function getQueryConfig(message, agentType, manifest = null, overrides = null) {
   const complexity = classifyQuery(message, agentType);
 
+  let model = getModelForQuery(complexity);
+  let thinking = getThinkingConfig(complexity);
+  let maxTokens = getMaxTokens(complexity);
+  let temperature = getTemperature(complexity);
+  let maxIterations = getIterationLimit(complexity);
+
+  if (manifest) {
+    if (manifest.model && complexity === 'complex') {
+      model = manifest.model;
+    }
+
+    if (manifest.thinkingBudget === 0) {
+      thinking = undefined;
+    } else if (manifest.thinkingBudget && thinking) {
+      thinking = { ...thinking, budget_tokens: manifest.thinkingBudget };
+      // max_tokens must leave room for the answer after the thinking budget
+      maxTokens = Math.max(maxTokens, manifest.thinkingBudget + 4000);
+    }
+
+    if (manifest.maxLoops) {
+      maxIterations = complexity === 'complex'
+        ? manifest.maxLoops
+        : Math.min(maxIterations, manifest.maxLoops);
+    }
+  }
+
+  if (overrides) {
+    if (overrides.model) {
+      model = overrides.model;
+    }
+
+    if (overrides.thinkingBudget === 0) {
+      thinking = undefined;
+    } else if (overrides.thinkingBudget) {
+      thinking = { type: 'enabled', budget_tokens: overrides.thinkingBudget };
+      maxTokens = Math.max(maxTokens, overrides.thinkingBudget + 4000);
+      temperature = 1.0;
+    }
+
+    if (overrides.temperature !== undefined) {
+      temperature = overrides.temperature;
+      if (temperature !== 1) {
+        thinking = undefined;
+      }
+    }
+  }
+
   return {
     complexity,
-    model: getModelForQuery(complexity),
-    thinking: getThinkingConfig(complexity),
-    maxTokens: getMaxTokens(complexity),
-    temperature: getTemperature(complexity),
-    maxIterations: getIterationLimit(complexity),
+    model,
+    thinking,
+    maxTokens,
+    temperature,
+    maxIterations,
 
     // Metadata for logging
     metadata: {
       messageLength: message.length,
       agentType,
       classifiedAs: complexity,
+      fromManifest: Boolean(manifest),
+      overrides: overrides || null,
       timestamp: new Date().toISOString()
     }
   };
@@ -212,5 +275,8 @@ export function logConfigDecision(config, message) {
   console.log(`   Max Tokens: ${config.maxTokens}`);
   console.log(`   Temperature: ${config.temperature}`);
   console.log(`   Max Iterations: ${config.maxIterations}`);
+  if (config.metadata?.overrides) {
+    console.log(`   Overrides: ${JSON.stringify(config.metadata.overrides)}`);
+  }
   console.log('');
 }
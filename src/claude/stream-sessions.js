@@ -0,0 +1,201 @@
+/**
+ * SSE Stream Sessions
+ *
+ * Keeps a numbered, in-memory buffer of every SSE event emitted for a session
+ * so a client that loses its connection mid-run can reconnect and replay the
+ * events it missed (via Last-Event-ID), then keep following the live run.
+ *
+ * NOTE: Buffers live in process memory. This works for a single Railway
+ * instance; a multi-instance deployment would need sticky sessions or a
+ * shared store.
+ */
+
+// Maximum number of events buffered per session (oldest are dropped first)
+const MAX_BUFFERED_EVENTS = 20000;
+
+// How long a finished session stays available for replay
+const FINISHED_SESSION_TTL_MS = 5 * 60 * 1000;
+
+// Active and recently finished sessions, keyed by sessionId
+const sessions = new Map();
+
+/**
+ * Format an event as an SSE frame
+ * @param {number} id - Event ID
+ * @param {Object} data - Event payload
+ * @returns {string} SSE frame
+ */
+function formatFrame(id, data) {
+  return `id: ${id}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Check whether a response can still be written to
+ * @param {Object} res - Express response object
+ * @returns {boolean} True if writable
+ */
+function isWritable(res) {
+  return !res.writableEnded && !res.destroyed;
+}
+
+class StreamSession {
+  constructor(sessionId, metadata = {}) {
+    this.sessionId = sessionId;
+    this.userId = metadata.userId ?? null;
+    this.conversationId = metadata.conversationId ?? null;
+    this.agentType = metadata.agentType ?? null;
+    this.events = [];
+    this.nextEventId = 1;
+    this.subscribers = new Set();
+    this.finished = false;
+    this.cancelled = false;
+    this.abortController = new AbortController();
+    this.createdAt = new Date();
+  }
+
+  /**
+   * Abort signal for the run (aborted when the user cancels)
+   * @returns {AbortSignal} Signal passed to the model stream and tool calls
+   */
+  get signal() {
+    return this.abortController.signal;
+  }
+
+  /**
+   * Cancel the run: aborts the model stream and any pending tool calls.
+   * The agent loop notices the aborted signal, persists partial content and finishes.
+   * @returns {boolean} False if the run had already finished
+   */
+  cancel() {
+    if (this.finished) return false;
+
+    this.cancelled = true;
+    this.abortController.abort();
+    return true;
+  }
+
+  /**
+   * Number, buffer and broadcast an event to all connected subscribers
+   * @param {Object} data - Event payload
+   * @returns {number} Assigned event ID
+   */
+  push(data) {
+    const id = this.nextEventId++;
+    this.events.push({ id, data });
+
+    if (this.events.length > MAX_BUFFERED_EVENTS) {
+      this.events.shift();
+    }
+
+    const frame = formatFrame(id, data);
+    for (const res of this.subscribers) {
+      if (isWritable(res)) {
+        res.write(frame);
+      } else {
+        this.subscribers.delete(res);
+      }
+    }
+
+    return id;
+  }
+
+  /**
+   * Attach a response: replay buffered events after lastEventId, then follow live
+   * @param {Object} res - Express response object (SSE headers already set)
+   * @param {number} lastEventId - Last event ID the client received (0 = none)
+   */
+  subscribe(res, lastEventId = 0) {
+    const oldestId = this.events.length > 0 ? this.events[0].id : this.nextEventId;
+
+    // Events between lastEventId and the oldest buffered event were dropped
+    if (lastEventId + 1 < oldestId) {
+      res.write(`data: ${JSON.stringify({
+        type: 'replay_truncated',
+        sessionId: this.sessionId,
+        firstAvailableEventId: oldestId
+      })}\n\n`);
+    }
+
+    for (const { id, data } of this.events) {
+      if (id > lastEventId) {
+        res.write(formatFrame(id, data));
+      }
+    }
+
+    if (this.finished) {
+      res.end();
+      return;
+    }
+
+    this.subscribers.add(res);
+    res.on('close', () => this.subscribers.delete(res));
+  }
+
+  /**
+   * Detach a response without ending the run (e.g. client went away)
+   * @param {Object} res - Express response object
+   */
+  unsubscribe(res) {
+    this.subscribers.delete(res);
+  }
+
+  /**
+   * Mark the run as finished, end all subscribers and schedule cleanup
+   */
+  finish() {
+    if (this.finished) return;
+    this.finished = true;
+
+    for (const res of this.subscribers) {
+      if (isWritable(res)) {
+        res.end();
+      }
+    }
+    this.subscribers.clear();
+
+    const timer = setTimeout(() => sessions.delete(this.sessionId), FINISHED_SESSION_TTL_MS);
+    if (timer.unref) timer.unref();
+  }
+}
+
+/**
+ * Create (or replace) a stream session and attach the originating response
+ * @param {string} sessionId - Session UUID
+ * @param {Object} res - Express response object for the originating request
+ * @param {Object} metadata - {userId, conversationId, agentType}
+ * @returns {StreamSession} The new session
+ */
+export function createStreamSession(sessionId, res, metadata = {}) {
+  const session = new StreamSession(sessionId, metadata);
+  sessions.set(sessionId, session);
+
+  session.subscribers.add(res);
+  res.on('close', () => session.unsubscribe(res));
+
+  return session;
+}
+
+/**
+ * Get a stream session by ID
+ * @param {string} sessionId - Session UUID
+ * @returns {StreamSession|null} Session or null if unknown/expired
+ */
+export function getStreamSession(sessionId) {
+  return sessions.get(sessionId) || null;
+}
+
+/**
+ * Get counts for monitoring
+ * @returns {Object} {active, finished}
+ */
+export function getStreamSessionStats() {
+  let active = 0;
+  let finished = 0;
+
+  for (const session of sessions.values()) {
+    if (session.finished) finished++;
+    else active++;
+  }
+
+  return { active, finished };
+}
@@ -5,17 +5,25 @@
  * Streams chunks to the frontend in real-time and collects the full response.
  */
 
+import { createStreamSession } from './stream-sessions.js';
+
 /**
  * Stream Claude response to frontend via SSE and collect full response
  * @param {AsyncIterable} stream - Claude API stream
  * @param {Object} res - Express response object
  * @param {string} sessionId - Unique session ID for this request
+ * @param {Object} options - Optional settings
+ * @param {AbortSignal} options.signal - When aborted, stop streaming and return the
+ *   partial response with stop_reason 'cancelled' instead of throwing
  * @returns {Promise<Object>} Full collected response
  */
-export async function streamToSSE(stream, res, sessionId) {
+export async function streamToSSE(stream, res, sessionId, options = {}) {
+  const { signal = null } = options;
+
   const fullResponse = {
     content: [],
     stop_reason: null,
+    model: null,
     usage: null
   };
 
@@ -25,10 +33,14 @@ export async function streamToSSE(stream, res, sessionId) {
     for await (const event of stream) {
       // Message start event
       if (event.type === 'message_start') {
-        res.write(`data: ${JSON.stringify({
+        // Input and cache token counts are only reported here
+        fullResponse.model = event.message?.model || null;
+        fullResponse.usage = event.message?.usage ? { ...event.message.usage } : null;
+
+        sendSSE(res, {
           type: 'message_start',
           sessionId
-        })}\n\n`);
+        });
       }
 
       // Content block start
@@ -65,10 +77,10 @@ export async function streamToSSE(stream, res, sessionId) {
           currentContent.signature = ''; // Initialize signature field
 
           // Notify frontend that thinking started
-          res.write(`data: ${JSON.stringify({
+          sendSSE(res, {
             type: 'thinking_start',
             sessionId
-          })}\n\n`);
+          });
         }
       }
 
@@ -78,30 +90,30 @@ export async function streamToSSE(stream, res, sessionId) {
           currentContent.text += event.delta.text;
 
           // Stream text to frontend
-          res.write(`data: ${JSON.stringify({
+          sendSSE(res, {
             type: 'text_delta',
             text: event.delta.text,
             sessionId
-          })}\n\n`);
+          });
         } else if (event.delta.type === 'input_json_delta') {
           currentContent.input += event.delta.partial_json;
 
           // Optionally stream tool use progress
-          res.write(`data: ${JSON.stringify({
+          sendSSE(res, {
             type: 'tool_input_delta',
             toolName: currentContent.name,
             delta: event.delta.partial_json,
             sessionId
-          })}\n\n`);
+          });
         } else if (event.delta.type === 'thinking_delta') {
           currentContent.thinking += event.delta.thinking;
 
           // Stream thinking to frontend (optional - can be hidden from users)
-          res.write(`data: ${JSON.stringify({
+          sendSSE(res, {
             type: 'thinking_delta',
             thinking: event.delta.thinking,
             sessionId
-          })}\n\n`);
+          });
         } else if (event.delta.type === 'signature_delta') {
           // Capture signature for thinking blocks
           // Signature is required when passing thinking blocks back to API
@@ -124,13 +136,13 @@ export async function streamToSSE(stream, res, sessionId) {
           }
 
           // Notify frontend of complete tool use
-          res.write(`data: ${JSON.stringify({
+          sendSSE(res, {
             type: 'tool_use_complete',
             toolId: currentContent.id,
             toolName: currentContent.name,
             input: currentContent.input,
             sessionId
-          })}\n\n`);
+          });
         } else if (currentContent.type === 'server_tool_use') {
           // Server tool complete (web_search, web_fetch)
           // Parse accumulated JSON input
@@ -141,28 +153,28 @@ export async function streamToSSE(stream, res, sessionId) {
             currentContent.input = {};
           }
 
-          res.write(`data: ${JSON.stringify({
+          sendSSE(res, {
             type: 'server_tool_use_complete',
             toolId: currentContent.id,
             toolName: currentContent.name,
             input: currentContent.input,
             sessionId
-          })}\n\n`);
+          });
         } else if (currentContent.type === 'web_fetch_tool_result' || currentContent.type === 'web_search_tool_result') {
           // Server tool result complete
           // Content field should remain as string (not parsed as JSON)
-          res.write(`data: ${JSON.stringify({
+          sendSSE(res, {
             type: 'server_tool_result_complete',
             toolUseId: currentContent.tool_use_id,
             resultType: currentContent.type,
             sessionId
-          })}\n\n`);
+          });
         } else if (currentContent.type === 'thinking') {
           // Thinking block complete
-          res.write(`data: ${JSON.stringify({
+          sendSSE(res, {
             type: 'thinking_stop',
             sessionId
-          })}\n\n`);
+          });
         }
 
         fullResponse.content.push(currentContent);
@@ -175,7 +187,11 @@ export async function streamToSSE(stream, res, sessionId) {
           fullResponse.stop_reason = event.delta.stop_reason;
         }
         if (event.usage) {
-          fullResponse.usage = event.usage;
+          // Delta usage holds the final (cumulative) counts - merge over message_start
+          const deltaUsage = Object.fromEntries(
+            Object.entries(event.usage).filter(([, value]) => value !== null && value !== undefined)
+          );
+          fullResponse.usage = { ...(fullResponse.usage || {}), ...deltaUsage };
         }
       }
 
@@ -183,11 +199,11 @@ export async function streamToSSE(stream, res, sessionId) {
       if (event.type === 'message_stop') {
         // Message complete
         if (fullResponse.usage) {
-          res.write(`data: ${JSON.stringify({
+          sendSSE(res, {
             type: 'usage',
             usage: fullResponse.usage,
             sessionId
-          })}\n\n`);
+          });
 
           // Log token usage
           console.log(`📊 Token usage:`, {
@@ -202,11 +218,11 @@ export async function streamToSSE(stream, res, sessionId) {
       // Error event
       if (event.type === 'error') {
         console.error('Stream error:', event.error);
-        res.write(`data: ${JSON.stringify({
+        sendSSE(res, {
           type: 'error',
           error: event.error.message || 'Unknown error',
           sessionId
-        })}\n\n`);
+        });
 
         throw new Error(event.error.message || 'Stream error');
       }
@@ -215,14 +231,26 @@ export async function streamToSSE(stream, res, sessionId) {
     return fullResponse;
 
   } catch (error) {
+    // User cancelled the run: keep whatever text was streamed so far
+    if (signal?.aborted) {
+      console.log('⏹️  Stream aborted by user - returning partial response');
+
+      if (currentContent && currentContent.type === 'text' && currentContent.text) {
+        fullResponse.content.push(currentContent);
+      }
+
+      fullResponse.stop_reason = 'cancelled';
+      return fullResponse;
+    }
+
     console.error('Streaming error:', error);
 
     // Send error to frontend if not already sent
-    res.write(`data: ${JSON.stringify({
+    sendSSE(res, {
       type: 'error',
       error: error.message,
       sessionId
-    })}\n\n`);
+    });
 
     throw error;
   }
@@ -230,23 +258,38 @@ export async function streamToSSE(stream, res, sessionId) {
 
 /**
  * Send a standalone SSE event
+ * If the response belongs to a stream session, the event is numbered and
+ * buffered for replay, and broadcast to every connected subscriber.
  * @param {Object} res - Express response object
  * @param {Object} data - Data to send
  */
 export function sendSSE(res, data) {
-  res.write(`data: ${JSON.stringify(data)}\n\n`);
+  if (res.streamSession) {
+    res.streamSession.push(data);
+    return;
+  }
+
+  if (!res.writableEnded && !res.destroyed) {
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  }
 }
 
 /**
  * Setup SSE headers on Express response
  * @param {Object} res - Express response object
+ * @param {string} sessionId - Optional session UUID; enables event buffering and replay
+ * @param {Object} metadata - Optional session metadata {userId, conversationId, agentType}
  */
-export function setupSSE(res) {
+export function setupSSE(res, sessionId = null, metadata = {}) {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
   res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
   res.flushHeaders();
+
+  if (sessionId) {
+    res.streamSession = createStreamSession(sessionId, res, metadata);
+  }
 }
 
 /**
@@ -254,6 +297,12 @@ export function setupSSE(res) {
  * @param {Object} res - Express response object
  */
 export function closeSSE(res) {
-  res.write(`data: ${JSON.stringify({ type: 'done' })}\n\n`);
+  sendSSE(res, { type: 'done' });
+
+  if (res.streamSession) {
+    res.streamSession.finish();
+    return;
+  }
+
   res.end();
 }
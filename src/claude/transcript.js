@@ -0,0 +1,264 @@
+/**
+ * Agent Transcript Persistence
+ *
+ * Saves every turn of an agent run (not just the final answer) so follow-up
+ * questions keep the HubSpot/Drive data the agent already fetched, and so
+ * runs can be audited:
+ * - User message → assistant tool_use turns → tool_result turns → final answer
+ * - Large tool results are stored in tool_results and referenced from the
+ *   saved tool_result block (with a preview kept inline)
+ * - On load, references are resolved and the tool_use/tool_result pairing is
+ *   repaired so the history is always valid for the Claude API
+ */
+
+import { saveMessage } from '../database/messages.js';
+import { saveToolResult, getToolResults, linkToolResults } from '../database/tool-results.js';
+
+// Tool results larger than this (characters) are stored by reference
+const TOOL_RESULT_INLINE_LIMIT = 20000;
+
+// Characters of a referenced result kept inline as a preview
+const TOOL_RESULT_PREVIEW_CHARS = 2000;
+
+/**
+ * Whether a message is a tool_result turn (user role, answers tool_use blocks)
+ * @param {Object} message - {role, content}
+ * @returns {boolean} True for tool_result turns
+ */
+export function isToolResultTurn(message) {
+  return message.role === 'user' &&
+    Array.isArray(message.content) &&
+    message.content.some(block => block.type === 'tool_result');
+}
+
+/**
+ * Get the tool_use IDs requested by an assistant message
+ * @param {Object} message - {role, content}
+ * @returns {Array<string>} tool_use IDs (empty if none)
+ */
+function getToolUseIds(message) {
+  if (message.role !== 'assistant' || !Array.isArray(message.content)) {
+    return [];
+  }
+
+  return message.content
+    .filter(block => block.type === 'tool_use')
+    .map(block => block.id);
+}
+
+/**
+ * Repair tool_use/tool_result pairing so the history is valid for the API.
+ *
+ * Every tool_use must be answered by a tool_result in the next message, and
+ * every tool_result must answer a tool_use in the previous one. Runs that
+ * crashed or were cancelled mid-tool can leave either side dangling.
+ *
+ * @param {Array} messages - Messages in Claude API format (oldest first)
+ * @returns {Array} Repaired messages
+ */
+export function repairToolSequence(messages) {
+  const repaired = [];
+
+  for (let i = 0; i < messages.length; i++) {
+    const message = messages[i];
+
+    if (message.role === 'assistant') {
+      const toolUseIds = getToolUseIds(message);
+
+      if (toolUseIds.length > 0) {
+        const next = messages[i + 1];
+        const answeredIds = new Set(next && isToolResultTurn(next)
+          ? next.content.filter(block => block.type === 'tool_result').map(block => block.tool_use_id)
+          : []);
+
+        // Drop unanswered tool calls (keep any text the assistant wrote)
+        if (!toolUseIds.every(id => answeredIds.has(id))) {
+          const content = message.content.filter(block =>
+            block.type !== 'tool_use' || answeredIds.has(block.id)
+          );
+
+          if (content.length > 0) {
+            repaired.push({ ...message, content });
+          }
+          continue;
+        }
+      }
+
+      repaired.push(message);
+      continue;
+    }
+
+    if (isToolResultTurn(message)) {
+      const previous = repaired[repaired.length - 1];
+      const requestedIds = new Set(previous ? getToolUseIds(previous) : []);
+
+      // Drop results whose tool_use is no longer in the previous message
+      const content = message.content.filter(block =>
+        block.type !== 'tool_result' || requestedIds.has(block.tool_use_id)
+      );
+
+      if (content.length > 0) {
+        repaired.push({ ...message, content });
+      }
+      continue;
+    }
+
+    repaired.push(message);
+  }
+
+  return repaired;
+}
+
+/**
+ * Move large tool results out of a tool_result turn
+ * @param {string} conversationId - Conversation UUID
+ * @param {Array} content - tool_result turn content
+ * @param {Map} toolNames - tool_use_id → tool name
+ * @returns {Promise<Array>} Content with large results replaced by references
+ */
+async function externalizeToolResults(conversationId, content, toolNames) {
+  return Promise.all(content.map(async block => {
+    if (block.type !== 'tool_result' ||
+        typeof block.content !== 'string' ||
+        block.content.length <= TOOL_RESULT_INLINE_LIMIT) {
+      return block;
+    }
+
+    const resultRef = await saveToolResult({
+      conversationId,
+      toolUseId: block.tool_use_id,
+      toolName: toolNames.get(block.tool_use_id) || null,
+      content: block.content
+    });
+
+    return {
+      ...block,
+      content: `${block.content.substring(0, TOOL_RESULT_PREVIEW_CHARS)}\n[... ${block.content.length - TOOL_RESULT_PREVIEW_CHARS} more characters stored separately]`,
+      result_ref: resultRef
+    };
+  }));
+}
+
+/**
+ * Replace referenced tool results with their full content
+ * @param {Array} messages - Messages in Claude API format
+ * @returns {Promise<Array>} Messages with references resolved (result_ref removed)
+ */
+export async function resolveToolResultRefs(messages) {
+  const refs = messages.flatMap(message =>
+    isToolResultTurn(message)
+      ? message.content.filter(block => block.result_ref).map(block => block.result_ref)
+      : []
+  );
+
+  if (refs.length === 0) {
+    return messages;
+  }
+
+  const stored = await getToolResults(refs);
+
+  return messages.map(message => {
+    if (!isToolResultTurn(message)) {
+      return message;
+    }
+
+    return {
+      ...message,
+      content: message.content.map(block => {
+        if (!block.result_ref) {
+          return block;
+        }
+
+        const { result_ref: resultRef, ...cleanBlock } = block;
+
+        // Fall back to the inline preview if the stored result is gone
+        return stored.has(resultRef)
+          ? { ...cleanBlock, content: stored.get(resultRef) }
+          : cleanBlock;
+      })
+    };
+  });
+}
+
+/**
+ * Save a run's transcript: the user message, every intermediate tool turn,
+ * and (if the run produced one) the final assistant message
+ *
+ * Each message is saved as the child of the one before it, so the run
+ * extends the branch it was started from (see branches.js).
+ *
+ * @param {Object} params - Transcript parameters
+ * @param {string} params.conversationId - Conversation UUID
+ * @param {string} params.sessionId - Session UUID of the run
+ * @param {Array} params.userContent - User message content
+ * @param {Array} params.runMessages - Assistant tool_use / user tool_result turns from this run
+ * @param {Array|null} params.finalContent - Final assistant content (null if none)
+ * @param {Object} params.finalOptions - saveMessage options for the final message
+ * @param {string|null} params.parentId - Message the run continues from (null at the start of the conversation)
+ * @param {string|null} params.userMessageId - Already-saved user message being answered again (regenerate)
+ * @returns {Promise<Object>} {userMessageId, leafId} - IDs of the user message and the last saved message
+ */
+export async function saveRunTranscript({
+  conversationId,
+  sessionId,
+  userContent,
+  runMessages = [],
+  finalContent = null,
+  finalOptions = {},
+  parentId = null,
+  userMessageId = null
+}) {
+  const toolNames = new Map();
+
+  // Saved one at a time so created_at keeps the turns in order
+  if (!userMessageId) {
+    const userMessage = await saveMessage(conversationId, 'user', userContent, { parentId });
+    userMessageId = userMessage.id;
+  }
+
+  let leafId = userMessageId;
+
+  for (const message of runMessages) {
+    let saved;
+
+    if (message.role === 'assistant') {
+      for (const block of message.content) {
+        if (block.type === 'tool_use') {
+          toolNames.set(block.id, block.name);
+        }
+      }
+
+      saved = await saveMessage(conversationId, 'assistant', message.content, {
+        metadata: { sessionId, step: 'tool_use' },
+        parentId: leafId
+      });
+    } else {
+      const content = await externalizeToolResults(conversationId, message.content, toolNames);
+
+      saved = await saveMessage(conversationId, 'user', content, {
+        metadata: { sessionId, step: 'tool_result' },
+        parentId: leafId
+      });
+
+      await linkToolResults(
+        content.filter(block => block.result_ref).map(block => block.result_ref),
+        saved.id
+      );
+    }
+
+    leafId = saved.id;
+  }
+
+  if (finalContent) {
+    const { metadata = {}, ...options } = finalOptions;
+
+    const saved = await saveMessage(conversationId, 'assistant', finalContent, {
+      ...options,
+      metadata: { sessionId, ...metadata },
+      parentId: leafId
+    });
+    leafId = saved.id;
+  }
+
+  return { userMessageId, leafId };
+}
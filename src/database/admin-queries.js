@@ -5,6 +5,8 @@
  */
 
 import { query } from './connection.js';
+import { getConversationUsage } from './api-usage.js';
+import { calculateCost } from '../claude/pricing.js';
 
 /**
  * Get all users with pagination and filtering
@@ -231,10 +233,12 @@ export async function getConversationDetails(conversationId) {
     `SELECT
        c.*,
        u.email as user_email, u.name as user_name,
-       cs.tokens_used, cs.tool_calls_count, cs.error_count
+       cs.tokens_used, cs.tool_calls_count, cs.error_count,
+       pv.version as prompt_version
      FROM conversations c
      LEFT JOIN users u ON u.id = c.user_id
      LEFT JOIN conversation_stats cs ON cs.conversation_id = c.id
+     LEFT JOIN agent_prompt_versions pv ON pv.id = c.prompt_version_id
      WHERE c.id = $1`,
     [conversationId]
   );
@@ -256,6 +260,14 @@ export async function getConversationDetails(conversationId) {
 
   conversation.messages = messagesResult.rows;
 
+  // Per-call token usage with cost at each model's pricing
+  const usage = await getConversationUsage(conversationId);
+  conversation.usage = usage.map(row => ({
+    ...row,
+    cost: calculateCost(row, row.model)
+  }));
+  conversation.total_cost = conversation.usage.reduce((sum, row) => sum + row.cost, 0);
+
   return conversation;
 }
 
@@ -0,0 +1,245 @@
+/**
+ * Agent Prompt Operations
+ *
+ * Database operations for versioned agent prompts:
+ * - Create prompt versions (immutable, numbered per agent)
+ * - Publish a version (also used to roll back)
+ * - Look up the published prompt and version history
+ * - Record the prompt version a conversation ran with
+ */
+
+import { query, transaction } from './connection.js';
+
+/**
+ * Get the published prompt for an agent
+ * @param {string} agentType - Agent type
+ * @returns {Promise<Object|null>} {id, version, content} or null if none is published
+ */
+export async function getPublishedPrompt(agentType) {
+  try {
+    const result = await query(
+      `SELECT v.id, v.version, v.content
+       FROM agent_prompts p
+       JOIN agent_prompt_versions v ON v.id = p.published_version_id
+       WHERE p.agent_type = $1`,
+      [agentType]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error retrieving published prompt:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the published version and history size for every agent with stored prompts
+ * @returns {Promise<Array>} [{agent_type, published_version, published_version_id, updated_at, version_count, latest_version}]
+ */
+export async function listPromptSummaries() {
+  try {
+    const result = await query(
+      `SELECT
+         v.agent_type,
+         COUNT(*)::int as version_count,
+         MAX(v.version) as latest_version,
+         p.published_version_id,
+         pv.version as published_version,
+         p.updated_at
+       FROM agent_prompt_versions v
+       LEFT JOIN agent_prompts p ON p.agent_type = v.agent_type
+       LEFT JOIN agent_prompt_versions pv ON pv.id = p.published_version_id
+       GROUP BY v.agent_type, p.published_version_id, pv.version, p.updated_at
+       ORDER BY v.agent_type`
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing prompt summaries:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get an agent's version history (newest first, without content)
+ * @param {string} agentType - Agent type
+ * @returns {Promise<Array>} Versions with author and is_published
+ */
+export async function getPromptVersions(agentType) {
+  try {
+    const result = await query(
+      `SELECT
+         v.id, v.version, v.change_note, v.created_at, v.published_at,
+         LENGTH(v.content) as content_length,
+         u.email as author_email, u.name as author_name,
+         (p.published_version_id = v.id) as is_published
+       FROM agent_prompt_versions v
+       LEFT JOIN users u ON u.id = v.author_id
+       LEFT JOIN agent_prompts p ON p.agent_type = v.agent_type
+       WHERE v.agent_type = $1
+       ORDER BY v.version DESC`,
+      [agentType]
+    );
+
+    return result.rows.map(row => ({ ...row, is_published: row.is_published === true }));
+  } catch (error) {
+    console.error('Error retrieving prompt versions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a prompt version with its content
+ * @param {string} versionId - Version UUID
+ * @returns {Promise<Object|null>} Version or null if not found
+ */
+export async function getPromptVersion(versionId) {
+  try {
+    const result = await query(
+      `SELECT v.*, u.email as author_email, u.name as author_name
+       FROM agent_prompt_versions v
+       LEFT JOIN users u ON u.id = v.author_id
+       WHERE v.id = $1`,
+      [versionId]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error retrieving prompt version:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a new prompt version (not published)
+ * @param {Object} version - Version details
+ * @param {string} version.agentType - Agent type
+ * @param {string} version.content - Prompt text
+ * @param {string} version.changeNote - What changed and why
+ * @param {number} version.authorId - Admin user ID
+ * @returns {Promise<Object>} Created version
+ */
+export async function createPromptVersion({ agentType, content, changeNote = null, authorId = null }) {
+  try {
+    const result = await query(
+      `INSERT INTO agent_prompt_versions (agent_type, version, content, change_note, author_id)
+       SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4
+       FROM agent_prompt_versions
+       WHERE agent_type = $1
+       RETURNING *`,
+      [agentType, content, changeNote, authorId]
+    );
+
+    console.log(`✓ Prompt version created: ${agentType} v${result.rows[0].version}`);
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating prompt version:', error);
+    throw error;
+  }
+}
+
+/**
+ * Publish a prompt version (publishing an older version rolls back to it)
+ * @param {string} agentType - Agent type
+ * @param {string} versionId - Version UUID (must belong to agentType)
+ * @param {number} userId - Admin user ID
+ * @returns {Promise<Object|null>} Published version, or null if not found for this agent
+ */
+export async function publishPromptVersion(agentType, versionId, userId = null) {
+  try {
+    return await transaction(async (client) => {
+      const versionResult = await client.query(
+        `UPDATE agent_prompt_versions
+         SET published_at = NOW()
+         WHERE id = $1 AND agent_type = $2
+         RETURNING *`,
+        [versionId, agentType]
+      );
+
+      if (versionResult.rows.length === 0) {
+        return null;
+      }
+
+      await client.query(
+        `INSERT INTO agent_prompts (agent_type, published_version_id, published_by, updated_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (agent_type) DO UPDATE SET
+           published_version_id = EXCLUDED.published_version_id,
+           published_by = EXCLUDED.published_by,
+           updated_at = NOW()`,
+        [agentType, versionId, userId]
+      );
+
+      console.log(`✓ Prompt published: ${agentType} v${versionResult.rows[0].version}`);
+
+      return versionResult.rows[0];
+    });
+  } catch (error) {
+    console.error('Error publishing prompt version:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the version that was published before the current one
+ * @param {string} agentType - Agent type
+ * @returns {Promise<Object|null>} Previous version or null
+ */
+export async function getPreviousPublishedVersion(agentType) {
+  try {
+    const result = await query(
+      `SELECT v.id, v.version
+       FROM agent_prompt_versions v
+       LEFT JOIN agent_prompts p ON p.agent_type = v.agent_type
+       WHERE v.agent_type = $1
+         AND v.published_at IS NOT NULL
+         AND v.id IS DISTINCT FROM p.published_version_id
+       ORDER BY v.published_at DESC
+       LIMIT 1`,
+      [agentType]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error retrieving previous prompt version:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove the published version so the agent uses its prompt file again
+ * @param {string} agentType - Agent type
+ * @returns {Promise<boolean>} True if a published version was removed
+ */
+export async function unpublishPrompt(agentType) {
+  try {
+    const result = await query(
+      'DELETE FROM agent_prompts WHERE agent_type = $1',
+      [agentType]
+    );
+
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error unpublishing prompt:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record the prompt version a conversation ran with
+ * @param {string} conversationId - UUID of the conversation
+ * @param {string|null} versionId - Version UUID (null = prompt file)
+ * @returns {Promise<void>}
+ */
+export async function setConversationPromptVersion(conversationId, versionId) {
+  try {
+    await query(
+      'UPDATE conversations SET prompt_version_id = $1 WHERE id = $2',
+      [versionId, conversationId]
+    );
+  } catch (error) {
+    console.error('Error recording conversation prompt version:', error);
+    throw error;
+  }
+}
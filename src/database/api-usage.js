@@ -0,0 +1,95 @@
+/**
+ * API Usage Operations
+ *
+ * Database operations for Claude API token usage:
+ * - Record usage for each API call in the agent loop
+ * - Roll usage up into conversation_stats
+ * - Retrieve usage for a conversation
+ */
+
+import { query } from './connection.js';
+import { getTotalTokens } from '../claude/pricing.js';
+
+/**
+ * Record usage for a single Claude API call and add it to the conversation totals
+ * @param {Object} record - Usage details
+ * @param {string} record.conversationId - UUID of the conversation
+ * @param {string} record.sessionId - Session UUID of the run
+ * @param {string} record.agentType - Agent type
+ * @param {string} record.model - Model that served the call
+ * @param {number} record.iteration - Agent loop iteration (1-based)
+ * @param {Object} record.usage - Usage object from the API response
+ * @param {number} record.toolCallsCount - Tool calls requested in the response
+ * @param {string} record.stopReason - Stop reason of the response
+ * @returns {Promise<Object>} Saved usage record
+ */
+export async function recordApiUsage({
+  conversationId,
+  sessionId = null,
+  agentType = null,
+  model,
+  iteration = 1,
+  usage,
+  toolCallsCount = 0,
+  stopReason = null
+}) {
+  try {
+    const result = await query(
+      `INSERT INTO api_usage
+         (conversation_id, session_id, agent_type, model, iteration,
+          input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens,
+          tool_calls_count, stop_reason)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [
+        conversationId,
+        sessionId,
+        agentType,
+        model,
+        iteration,
+        usage.input_tokens || 0,
+        usage.output_tokens || 0,
+        usage.cache_creation_input_tokens || 0,
+        usage.cache_read_input_tokens || 0,
+        toolCallsCount,
+        stopReason
+      ]
+    );
+
+    await query(
+      `INSERT INTO conversation_stats (conversation_id, tokens_used, tool_calls_count)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (conversation_id) DO UPDATE SET
+         tokens_used = conversation_stats.tokens_used + EXCLUDED.tokens_used,
+         tool_calls_count = conversation_stats.tool_calls_count + EXCLUDED.tool_calls_count`,
+      [conversationId, getTotalTokens(usage), toolCallsCount]
+    );
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error recording API usage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get per-call usage for a conversation
+ * @param {string} conversationId - UUID of the conversation
+ * @returns {Promise<Array>} Usage records (oldest first)
+ */
+export async function getConversationUsage(conversationId) {
+  try {
+    const result = await query(
+      `SELECT *
+       FROM api_usage
+       WHERE conversation_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [conversationId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error retrieving conversation usage:', error);
+    throw error;
+  }
+}
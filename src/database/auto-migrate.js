@@ -14,6 +14,28 @@ const __dirname = path.dirname(__filename);
 // Track which migrations have been applied
 const appliedMigrations = new Set();
 
+// Incremental migrations applied on every startup, in order.
+// Each file must be idempotent (IF NOT EXISTS / CREATE OR REPLACE).
+const INCREMENTAL_MIGRATIONS = [
+  '009_add_message_status.sql',
+  '010_add_conversation_summaries.sql',
+  '011_add_api_usage.sql',
+  '012_add_tool_results.sql',
+  '013_add_agent_prompts.sql',
+  '014_add_prompt_experiments.sql',
+  '015_add_message_branches.sql',
+  '016_add_conversation_shares.sql',
+  '017_add_message_search.sql',
+  '018_add_conversation_hubspot_links.sql',
+  '019_add_background_jobs.sql',
+  '020_add_grant_card_batches.sql',
+  '021_add_grant_cards.sql',
+  '022_add_grant_card_revisions.sql',
+  '023_add_grant_card_batch_submitting.sql',
+  '024_add_grant_card_batch_item_repairing.sql',
+  '025_add_tool_result_message_id.sql'
+];
+
 /**
  * Check if the conversations table exists
  */
@@ -81,6 +103,15 @@ async function runMigration(migrationFile) {
   }
 }
 
+/**
+ * Apply incremental (idempotent) migrations
+ */
+async function runIncrementalMigrations() {
+  for (const migrationFile of INCREMENTAL_MIGRATIONS) {
+    await runMigration(migrationFile);
+  }
+}
+
 /**
  * Auto-apply necessary migrations based on current database state
  */
@@ -94,6 +125,7 @@ export async function autoMigrate() {
     if (!tablesExist) {
       console.log('⚠️  Database tables not found - creating initial schema...');
       await runMigration('000_initial_schema.sql');
+      await runIncrementalMigrations();
       console.log('✅ Initial schema created successfully');
       return true;
     }
@@ -112,10 +144,13 @@ export async function autoMigrate() {
       // Apply migration 005 (fix users.id)
       await runMigration('005_fix_users_id_type.sql');
 
+      await runIncrementalMigrations();
+
       console.log('✅ Schema migrations completed successfully');
       return true;
     } else if (userIdType === 'integer') {
       console.log('✅ Schema is up-to-date (user_id is INTEGER)');
+      await runIncrementalMigrations();
       return false;
     } else {
       console.warn('⚠️  Could not determine user_id type');
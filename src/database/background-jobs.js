@@ -0,0 +1,384 @@
+/**
+ * Background Job Operations
+ *
+ * Database operations for the durable job queue (see src/jobs/queue.js):
+ * - Enqueue jobs (optionally delayed or deduplicated)
+ * - Claim due jobs (FOR UPDATE SKIP LOCKED, so several workers can run)
+ * - Record success, or a failed attempt with its retry time
+ * - Cron-like schedules that enqueue recurring jobs
+ * - Status, failures and manual retry/cancel for the admin dashboard
+ */
+
+import { query, transaction } from './connection.js';
+
+/**
+ * Add a job to the queue
+ * @param {Object} job - Job details
+ * @param {string} job.jobType - Registered job type
+ * @param {Object} job.payload - JSON payload passed to the handler
+ * @param {number} job.delayMs - Run no earlier than this long from now
+ * @param {number} job.maxAttempts - Attempts before the job is marked failed
+ * @param {string|null} job.dedupeKey - Skip if a pending/running job has this key
+ * @param {string|null} job.scheduleName - Schedule that enqueued the job
+ * @returns {Promise<Object|null>} Job record, or null when deduplicated
+ */
+export async function insertJob({ jobType, payload = {}, delayMs = 0, maxAttempts = 5, dedupeKey = null, scheduleName = null }) {
+  try {
+    const result = await query(
+      `INSERT INTO background_jobs (job_type, payload, run_at, max_attempts, dedupe_key, schedule_name)
+       VALUES ($1, $2, NOW() + ($3 * INTERVAL '1 millisecond'), $4, $5, $6)
+       ON CONFLICT (dedupe_key) WHERE dedupe_key IS NOT NULL AND status IN ('pending', 'running')
+       DO NOTHING
+       RETURNING *`,
+      [jobType, JSON.stringify(payload), delayMs, maxAttempts, dedupeKey, scheduleName]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error enqueueing job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Claim the oldest due job of the given types
+ * @param {string} workerId - Worker claiming the job
+ * @param {Array<string>} jobTypes - Job types this worker can run
+ * @returns {Promise<Object|null>} Claimed job (status running, attempts incremented) or null
+ */
+export async function claimNextJob(workerId, jobTypes) {
+  try {
+    const result = await query(
+      `UPDATE background_jobs
+       SET status = 'running', attempts = attempts + 1, locked_by = $1, locked_at = NOW(), updated_at = NOW()
+       WHERE id = (
+         SELECT id FROM background_jobs
+         WHERE status = 'pending' AND run_at <= NOW() AND job_type = ANY($2)
+         ORDER BY run_at, id
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`,
+      [workerId, jobTypes]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error claiming job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a running job completed
+ * @param {number} jobId - Job ID
+ * @param {string} workerId - Worker that claimed the job
+ * @param {*} jobResult - Handler result (stored as JSON)
+ * @returns {Promise<boolean>} False if the worker no longer holds the job (released as stale)
+ */
+export async function completeJob(jobId, workerId, jobResult = null) {
+  try {
+    const result = await query(
+      `UPDATE background_jobs
+       SET status = 'completed', result = $2, last_error = NULL, locked_by = NULL, locked_at = NULL,
+           completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'running' AND locked_by = $3`,
+      [jobId, jobResult === undefined ? null : JSON.stringify(jobResult), workerId]
+    );
+
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error completing job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a failed attempt: back to pending after a delay, or failed for good
+ * @param {number} jobId - Job ID
+ * @param {string} workerId - Worker that claimed the job
+ * @param {string} errorMessage - Error from the handler
+ * @param {number|null} retryDelayMs - Delay before the next attempt (null = no more attempts)
+ * @returns {Promise<boolean>} False if the worker no longer holds the job (released as stale)
+ */
+export async function failJob(jobId, workerId, errorMessage, retryDelayMs = null) {
+  try {
+    const result = await query(
+      `UPDATE background_jobs
+       SET status = CASE WHEN $3::integer IS NULL THEN 'failed' ELSE 'pending' END,
+           run_at = CASE WHEN $3::integer IS NULL THEN run_at ELSE NOW() + ($3 * INTERVAL '1 millisecond') END,
+           last_error = $2, locked_by = NULL, locked_at = NULL,
+           completed_at = CASE WHEN $3::integer IS NULL THEN NOW() ELSE NULL END,
+           updated_at = NOW()
+       WHERE id = $1 AND status = 'running' AND locked_by = $4`,
+      [jobId, errorMessage, retryDelayMs, workerId]
+    );
+
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error recording job failure:', error);
+    throw error;
+  }
+}
+
+/**
+ * Requeue jobs whose worker stopped (restart/crash) without finishing them
+ * @param {number} lockTimeoutMs - How long a job may run before it is considered abandoned
+ * @returns {Promise<number>} Number of jobs requeued or failed
+ */
+export async function releaseStaleJobs(lockTimeoutMs) {
+  try {
+    const result = await query(
+      `UPDATE background_jobs
+       SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'pending' END,
+           last_error = COALESCE(last_error, 'Worker stopped before the job finished'),
+           completed_at = CASE WHEN attempts >= max_attempts THEN NOW() ELSE NULL END,
+           locked_by = NULL, locked_at = NULL, updated_at = NOW()
+       WHERE status = 'running' AND locked_at < NOW() - ($1 * INTERVAL '1 millisecond')`,
+      [lockTimeoutMs]
+    );
+
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error releasing stale jobs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create or update recurring job schedules (the code defines them; the
+ * enabled flag set by admins and the next run time are kept unless the cron changed)
+ * @param {Array<Object>} schedules - [{name, jobType, payload, cron, nextRunAt}]
+ * @returns {Promise<void>}
+ */
+export async function upsertJobSchedules(schedules) {
+  try {
+    for (const schedule of schedules) {
+      await query(
+        `INSERT INTO background_job_schedules (name, job_type, payload, cron, next_run_at)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (name) DO UPDATE
+         SET job_type = EXCLUDED.job_type,
+             payload = EXCLUDED.payload,
+             next_run_at = CASE WHEN background_job_schedules.cron = EXCLUDED.cron
+                                THEN background_job_schedules.next_run_at
+                                ELSE EXCLUDED.next_run_at END,
+             cron = EXCLUDED.cron,
+             updated_at = NOW()`,
+        [schedule.name, schedule.jobType, JSON.stringify(schedule.payload || {}), schedule.cron, schedule.nextRunAt]
+      );
+    }
+  } catch (error) {
+    console.error('Error saving job schedules:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enqueue a job for every enabled schedule that is due, and move each to its next run
+ * @param {Function} getNextRun - (cron, after) => Date
+ * @returns {Promise<Array>} Jobs enqueued
+ */
+export async function enqueueDueScheduledJobs(getNextRun) {
+  try {
+    return await transaction(async (client) => {
+      const due = await client.query(
+        `SELECT * FROM background_job_schedules
+         WHERE enabled = true AND next_run_at <= NOW()
+         FOR UPDATE SKIP LOCKED`
+      );
+
+      const jobs = [];
+
+      for (const schedule of due.rows) {
+        const job = await client.query(
+          `INSERT INTO background_jobs (job_type, payload, schedule_name, dedupe_key)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (dedupe_key) WHERE dedupe_key IS NOT NULL AND status IN ('pending', 'running')
+           DO NOTHING
+           RETURNING *`,
+          [schedule.job_type, JSON.stringify(schedule.payload), schedule.name, `schedule:${schedule.name}`]
+        );
+
+        await client.query(
+          `UPDATE background_job_schedules
+           SET next_run_at = $2, last_run_at = NOW(), last_job_id = COALESCE($3, last_job_id), updated_at = NOW()
+           WHERE name = $1`,
+          [schedule.name, getNextRun(schedule.cron, new Date()), job.rows[0]?.id || null]
+        );
+
+        if (job.rows[0]) {
+          jobs.push(job.rows[0]);
+        }
+      }
+
+      return jobs;
+    });
+  } catch (error) {
+    console.error('Error enqueueing scheduled jobs:', error);
+    throw error;
+  }
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} filters - {status, jobType, limit}
+ * @returns {Promise<Array>} Job records
+ */
+export async function listJobs({ status = null, jobType = null, limit = 100 } = {}) {
+  try {
+    const params = [];
+    const conditions = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (jobType) {
+      params.push(jobType);
+      conditions.push(`job_type = $${params.length}`);
+    }
+    params.push(limit);
+
+    const result = await query(
+      `SELECT * FROM background_jobs
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Job counts by type and status, with failures in the last 24 hours
+ * @returns {Promise<Array>} [{job_type, pending, running, completed, failed, cancelled, failed_24h, oldest_pending_at}]
+ */
+export async function getJobStats() {
+  try {
+    const result = await query(
+      `SELECT job_type,
+              COUNT(*) FILTER (WHERE status = 'pending') as pending,
+              COUNT(*) FILTER (WHERE status = 'running') as running,
+              COUNT(*) FILTER (WHERE status = 'completed') as completed,
+              COUNT(*) FILTER (WHERE status = 'failed') as failed,
+              COUNT(*) FILTER (WHERE status = 'cancelled') as cancelled,
+              COUNT(*) FILTER (WHERE status = 'failed' AND completed_at > NOW() - INTERVAL '24 hours') as failed_24h,
+              MIN(run_at) FILTER (WHERE status = 'pending') as oldest_pending_at
+       FROM background_jobs
+       GROUP BY job_type
+       ORDER BY job_type`
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting job stats:', error);
+    throw error;
+  }
+}
+
+/**
+ * List recurring job schedules
+ * @returns {Promise<Array>} Schedule records
+ */
+export async function listJobSchedules() {
+  try {
+    const result = await query('SELECT * FROM background_job_schedules ORDER BY name');
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing job schedules:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enable or disable a schedule
+ * @param {string} name - Schedule name
+ * @param {boolean} enabled - Whether it enqueues jobs
+ * @returns {Promise<Object|null>} Updated schedule or null if not found
+ */
+export async function setJobScheduleEnabled(name, enabled) {
+  try {
+    const result = await query(
+      `UPDATE background_job_schedules SET enabled = $2, updated_at = NOW()
+       WHERE name = $1
+       RETURNING *`,
+      [name, enabled]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating job schedule:', error);
+    throw error;
+  }
+}
+
+/**
+ * Run a failed or cancelled job again (one more attempt, now)
+ * @param {number} jobId - Job ID
+ * @returns {Promise<Object|null>} Requeued job or null if it isn't failed/cancelled
+ */
+export async function retryJob(jobId) {
+  try {
+    const result = await query(
+      `UPDATE background_jobs
+       SET status = 'pending', run_at = NOW(), max_attempts = GREATEST(max_attempts, attempts + 1),
+           completed_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND status IN ('failed', 'cancelled')
+       RETURNING *`,
+      [jobId]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel a pending job
+ * @param {number} jobId - Job ID
+ * @returns {Promise<Object|null>} Cancelled job or null if it isn't pending
+ */
+export async function cancelJob(jobId) {
+  try {
+    const result = await query(
+      `UPDATE background_jobs
+       SET status = 'cancelled', completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [jobId]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete finished jobs older than a number of days (failed jobs are kept)
+ * @param {number} days - Age in days
+ * @returns {Promise<number>} Number of jobs deleted
+ */
+export async function deleteOldJobs(days = 30) {
+  try {
+    const result = await query(
+      `DELETE FROM background_jobs
+       WHERE status IN ('completed', 'cancelled') AND completed_at < NOW() - ($1 * INTERVAL '1 day')`,
+      [days]
+    );
+
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error deleting old jobs:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Conversation HubSpot Link Operations
+ *
+ * Database operations for the HubSpot deals and companies a conversation is
+ * about. Links are added when an agent resolves a deal/company with
+ * load_company_context or get_grant_application, or manually by a user.
+ */
+
+import { query } from './connection.js';
+
+/**
+ * Link a conversation to a HubSpot deal or company
+ * Linking the same object again refreshes its name; a manual link stays manual.
+ * @param {Object} link - Link details
+ * @param {string} link.conversationId - UUID of the conversation
+ * @param {string} link.objectType - 'deal' or 'company'
+ * @param {string} link.objectId - HubSpot object ID
+ * @param {string|null} link.name - Deal or company name
+ * @param {string} link.source - 'tool' or 'manual'
+ * @param {number|null} link.linkedBy - User ID for manual links
+ * @returns {Promise<Object>} Saved link record
+ */
+export async function linkConversation({ conversationId, objectType, objectId, name = null, source = 'tool', linkedBy = null }) {
+  try {
+    const result = await query(
+      `INSERT INTO conversation_hubspot_links (conversation_id, object_type, object_id, name, source, linked_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (conversation_id, object_type, object_id) DO UPDATE
+       SET name = COALESCE(EXCLUDED.name, conversation_hubspot_links.name),
+           source = CASE WHEN conversation_hubspot_links.source = 'manual' THEN 'manual' ELSE EXCLUDED.source END,
+           linked_by = COALESCE(conversation_hubspot_links.linked_by, EXCLUDED.linked_by)
+       RETURNING *`,
+      [conversationId, objectType, String(objectId), name, source, linkedBy]
+    );
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error linking conversation to HubSpot:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the HubSpot links of a conversation
+ * @param {string} conversationId - UUID of the conversation
+ * @returns {Promise<Array>} Links (deals first, oldest first)
+ */
+export async function listConversationLinks(conversationId) {
+  try {
+    const result = await query(
+      `SELECT * FROM conversation_hubspot_links
+       WHERE conversation_id = $1
+       ORDER BY object_type = 'deal' DESC, created_at ASC, id ASC`,
+      [conversationId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing conversation links:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a HubSpot link
+ * @param {string} conversationId - UUID of the conversation
+ * @param {number} linkId - Link ID
+ * @returns {Promise<boolean>} True if a link was removed
+ */
+export async function deleteConversationLink(conversationId, linkId) {
+  try {
+    const result = await query(
+      'DELETE FROM conversation_hubspot_links WHERE id = $1 AND conversation_id = $2',
+      [linkId, conversationId]
+    );
+
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error removing conversation link:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the conversations about a deal, across agents, that a user can see
+ * (their own and those shared with them)
+ * @param {string} dealId - HubSpot deal ID
+ * @param {number} userId - User ID
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} Conversations with owner name, message count and last activity
+ */
+export async function listDealConversations(dealId, userId, limit = 50) {
+  try {
+    const result = await query(
+      `SELECT c.id, c.title, c.agent_type, c.user_id, c.created_at,
+              l.name as deal_name,
+              l.source as link_source,
+              owner.name as owner_name,
+              (SELECT COUNT(*) FROM messages m WHERE m.conversation_id = c.id) as message_count,
+              (SELECT MAX(m.created_at) FROM messages m WHERE m.conversation_id = c.id) as last_message_at
+       FROM conversation_hubspot_links l
+       JOIN conversations c ON c.id = l.conversation_id
+       LEFT JOIN users owner ON owner.id = c.user_id
+       WHERE l.object_type = 'deal' AND l.object_id = $1
+         AND (c.user_id = $2 OR EXISTS (
+           SELECT 1 FROM conversation_shares s
+           WHERE s.conversation_id = c.id AND (s.user_id = $2 OR s.user_id IS NULL)
+         ))
+       ORDER BY last_message_at DESC NULLS LAST, c.created_at DESC
+       LIMIT $3`,
+      [String(dealId), userId, limit]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing deal conversations:', error);
+    throw error;
+  }
+}
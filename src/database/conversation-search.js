@@ -0,0 +1,139 @@
+/**
+ * Conversation Search Operations
+ *
+ * Full-text search over the messages of conversations a user owns or that
+ * are shared with them. Messages and large tool results stored by reference
+ * are indexed (search_vector columns kept up to date by triggers, see
+ * migration 017).
+ */
+
+import { query } from './connection.js';
+
+// Highlight markers for ts_headline (control characters never appear in
+// stored text, so the API can escape the snippet and then mark the matches)
+export const HIGHLIGHT_START = '\u0001';
+export const HIGHLIGHT_END = '\u0002';
+
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter=" ... "`;
+
+// Characters of a matching message passed to ts_headline
+const HEADLINE_SOURCE_CHARS = 50000;
+
+/**
+ * Search a user's conversations
+ * @param {Object} options - Search options
+ * @param {number} options.userId - User searching (their own and shared conversations)
+ * @param {string} options.text - Search text (web search syntax: "phrases", OR, -exclude)
+ * @param {string|null} options.agentType - Only conversations with this agent
+ * @param {string|null} options.from - Only messages on or after this date (YYYY-MM-DD)
+ * @param {string|null} options.to - Only messages on or before this date (YYYY-MM-DD)
+ * @param {number} options.limit - Maximum number of matching messages
+ * @returns {Promise<Array>} Matches (best first) with conversation title, agent and a highlighted snippet
+ */
+export async function searchConversations({ userId, text, agentType = null, from = null, to = null, limit = 20 }) {
+  try {
+    const params = [userId, text, HEADLINE_OPTIONS];
+    const conversationFilters = [];
+    const dateFilters = [];
+
+    if (agentType) {
+      params.push(agentType);
+      conversationFilters.push(`c.agent_type = $${params.length}`);
+    }
+    if (from) {
+      params.push(from);
+      dateFilters.push(`created_at >= $${params.length}::date`);
+    }
+    if (to) {
+      params.push(to);
+      dateFilters.push(`created_at < $${params.length}::date + 1`);
+    }
+    params.push(limit);
+
+    const dateFilter = (alias) => dateFilters.map(filter => `AND ${alias}.${filter}`).join(' ');
+
+    const result = await query(
+      `WITH search AS (
+         SELECT websearch_to_tsquery('english', $2) AS tsquery
+       ),
+       accessible AS (
+         SELECT c.id, c.title, c.agent_type, c.user_id
+         FROM conversations c
+         WHERE (c.user_id = $1 OR EXISTS (
+           SELECT 1 FROM conversation_shares s
+           WHERE s.conversation_id = c.id AND (s.user_id = $1 OR s.user_id IS NULL)
+         ))
+         ${conversationFilters.map(filter => `AND ${filter}`).join(' ')}
+       ),
+       hits AS (
+         SELECT m.id AS message_id, m.conversation_id, m.role, m.created_at,
+                message_search_text(m.content) AS body,
+                ts_rank(m.search_vector, search.tsquery) AS rank
+         FROM messages m
+         JOIN accessible a ON a.id = m.conversation_id
+         CROSS JOIN search
+         WHERE m.search_vector @@ search.tsquery ${dateFilter('m')}
+         UNION ALL
+         -- Large tool results match through the tool_result message that references them
+         SELECT m.id, tr.conversation_id, m.role, tr.created_at,
+                tr.content,
+                ts_rank(tr.search_vector, search.tsquery)
+         FROM tool_results tr
+         JOIN accessible a ON a.id = tr.conversation_id
+         JOIN messages m ON m.id = tr.message_id
+         CROSS JOIN search
+         WHERE tr.search_vector @@ search.tsquery ${dateFilter('tr')}
+       ),
+       best AS (
+         SELECT DISTINCT ON (message_id) *
+         FROM hits
+         ORDER BY message_id, rank DESC
+       ),
+       top AS (
+         SELECT * FROM best
+         ORDER BY rank DESC, created_at DESC
+         LIMIT $${params.length}
+       )
+       SELECT top.message_id, top.conversation_id, top.role, top.created_at, top.rank,
+              a.title, a.agent_type, a.user_id,
+              ts_headline('english', left(top.body, ${HEADLINE_SOURCE_CHARS}), search.tsquery, $3) AS snippet
+       FROM top
+       JOIN accessible a ON a.id = top.conversation_id
+       CROSS JOIN search
+       ORDER BY top.rank DESC, top.created_at DESC`,
+      params
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error searching conversations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Index messages and stored tool results saved before search existed
+ * (new rows are indexed by triggers, see migration 017)
+ * @param {number} limit - Rows per table
+ * @returns {Promise<Object>} {messages, toolResults} rows indexed
+ */
+export async function backfillSearchVectors(limit = 500) {
+  try {
+    const messages = await query(
+      `UPDATE messages SET search_vector = message_search_vector(content)
+       WHERE id IN (SELECT id FROM messages WHERE search_vector IS NULL LIMIT $1)`,
+      [limit]
+    );
+
+    const toolResults = await query(
+      `UPDATE tool_results SET search_vector = tool_result_search_vector(content)
+       WHERE id IN (SELECT id FROM tool_results WHERE search_vector IS NULL LIMIT $1)`,
+      [limit]
+    );
+
+    return { messages: messages.rowCount, toolResults: toolResults.rowCount };
+  } catch (error) {
+    console.error('Error backfilling search vectors:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * Conversation Sharing Operations
+ *
+ * Database operations for shared conversations:
+ * - Grant a teammate (or the whole team) view, comment or continue access
+ * - Look up a user's shares for access checks
+ * - List conversations shared with a user
+ * - Comments on shared conversations
+ */
+
+import { query, transaction } from './connection.js';
+
+// Highest permission first when a user has both a personal and a team share
+const PERMISSION_RANK_SQL = `CASE s.permission WHEN 'continue' THEN 3 WHEN 'comment' THEN 2 ELSE 1 END`;
+
+/**
+ * Share a conversation (replaces an existing share for the same teammate/team)
+ * @param {Object} share - Share details
+ * @param {string} share.conversationId - UUID of the conversation
+ * @param {number|null} share.userId - Teammate user ID (null = the whole team)
+ * @param {string} share.permission - 'view', 'comment' or 'continue'
+ * @param {number} share.grantedBy - User ID of the owner sharing it
+ * @returns {Promise<Object>} Saved share record
+ */
+export async function shareConversation({ conversationId, userId = null, permission, grantedBy = null }) {
+  try {
+    const share = await transaction(async (client) => {
+      await client.query(
+        `DELETE FROM conversation_shares
+         WHERE conversation_id = $1 AND user_id IS NOT DISTINCT FROM $2`,
+        [conversationId, userId]
+      );
+
+      const result = await client.query(
+        `INSERT INTO conversation_shares (conversation_id, user_id, permission, granted_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [conversationId, userId, permission, grantedBy]
+      );
+
+      return result.rows[0];
+    });
+
+    console.log(`✓ Conversation ${conversationId} shared with ${userId ? `user ${userId}` : 'the team'} (${permission})`);
+
+    return share;
+  } catch (error) {
+    console.error('Error sharing conversation:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the shares of a conversation
+ * @param {string} conversationId - UUID of the conversation
+ * @returns {Promise<Array>} Shares with the teammate's name and email (team share first)
+ */
+export async function listConversationShares(conversationId) {
+  try {
+    const result = await query(
+      `SELECT s.*, u.name as user_name, u.email as user_email
+       FROM conversation_shares s
+       LEFT JOIN users u ON u.id = s.user_id
+       WHERE s.conversation_id = $1
+       ORDER BY s.user_id NULLS FIRST, s.created_at`,
+      [conversationId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing conversation shares:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a share
+ * @param {string} conversationId - UUID of the conversation
+ * @param {number} shareId - Share ID
+ * @returns {Promise<boolean>} True if a share was removed
+ */
+export async function deleteConversationShare(conversationId, shareId) {
+  try {
+    const result = await query(
+      'DELETE FROM conversation_shares WHERE id = $1 AND conversation_id = $2',
+      [shareId, conversationId]
+    );
+
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error removing conversation share:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the shares that apply to a user (their own and the team's)
+ * @param {string} conversationId - UUID of the conversation
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Share records
+ */
+export async function getSharesForUser(conversationId, userId) {
+  try {
+    const result = await query(
+      `SELECT *
+       FROM conversation_shares
+       WHERE conversation_id = $1 AND (user_id = $2 OR user_id IS NULL)`,
+      [conversationId, userId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error retrieving shares for user:', error);
+    throw error;
+  }
+}
+
+/**
+ * List conversations other users have shared with a user
+ * @param {number} userId - User ID
+ * @param {string|null} agentType - Optional filter by agent type
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} Conversations with permission and owner name/email
+ */
+export async function listSharedConversations(userId, agentType = null, limit = 50) {
+  try {
+    const params = [userId];
+    let agentFilter = '';
+
+    if (agentType) {
+      params.push(agentType);
+      agentFilter = `AND c.agent_type = $${params.length}`;
+    }
+    params.push(limit);
+
+    const result = await query(
+      `SELECT c.*,
+              share.permission,
+              owner.name as owner_name,
+              owner.email as owner_email,
+              (SELECT COUNT(*) FROM messages m WHERE m.conversation_id = c.id) as message_count,
+              (SELECT MAX(m.created_at) FROM messages m WHERE m.conversation_id = c.id) as last_message_at
+       FROM conversations c
+       JOIN LATERAL (
+         SELECT s.permission
+         FROM conversation_shares s
+         WHERE s.conversation_id = c.id AND (s.user_id = $1 OR s.user_id IS NULL)
+         ORDER BY ${PERMISSION_RANK_SQL} DESC
+         LIMIT 1
+       ) share ON true
+       LEFT JOIN users owner ON owner.id = c.user_id
+       WHERE c.user_id IS DISTINCT FROM $1 ${agentFilter}
+       ORDER BY last_message_at DESC NULLS LAST, c.created_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing shared conversations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find a user by email (to share with them)
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>} {id, email, name} or null
+ */
+export async function findUserByEmail(email) {
+  try {
+    const result = await query(
+      'SELECT id, email, name FROM users WHERE LOWER(email) = LOWER($1)',
+      [email]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding user by email:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a comment to a conversation
+ * @param {Object} comment - Comment details
+ * @param {string} comment.conversationId - UUID of the conversation
+ * @param {string|null} comment.messageId - Message the comment is about (optional)
+ * @param {number} comment.userId - Author user ID
+ * @param {string} comment.body - Comment text
+ * @returns {Promise<Object>} Saved comment record
+ */
+export async function addConversationComment({ conversationId, messageId = null, userId, body }) {
+  try {
+    const result = await query(
+      `INSERT INTO conversation_comments (conversation_id, message_id, user_id, body)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [conversationId, messageId, userId, body]
+    );
+
+    console.log(`✓ Comment added to conversation ${conversationId}`);
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error adding conversation comment:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the comments on a conversation, oldest first
+ * @param {string} conversationId - UUID of the conversation
+ * @returns {Promise<Array>} Comments with the author's name and email
+ */
+export async function listConversationComments(conversationId) {
+  try {
+    const result = await query(
+      `SELECT cc.*, u.name as user_name, u.email as user_email
+       FROM conversation_comments cc
+       LEFT JOIN users u ON u.id = cc.user_id
+       WHERE cc.conversation_id = $1
+       ORDER BY cc.created_at ASC`,
+      [conversationId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing conversation comments:', error);
+    throw error;
+  }
+}
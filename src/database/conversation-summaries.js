@@ -0,0 +1,73 @@
+/**
+ * Conversation Summary Operations
+ *
+ * Database operations for compacted conversation summaries:
+ * - Save a summary covering older turns
+ * - Retrieve a conversation's summaries (one branch each)
+ */
+
+import { query } from './connection.js';
+
+/**
+ * Save a conversation summary
+ * @param {string} conversationId - UUID of the conversation
+ * @param {Object} summary - Summary details
+ * @param {string} summary.summary - Summary text
+ * @param {Date|string} summary.coveredUntil - created_at of the last summarized message
+ * @param {string} summary.coveredMessageId - ID of the last summarized message
+ * @param {number} summary.messageCount - Number of raw messages the summary replaces
+ * @param {number} summary.tokensBefore - Estimated history tokens before compaction
+ * @param {number} summary.tokensAfter - Estimated history tokens after compaction
+ * @param {string} summary.model - Model used to write the summary
+ * @returns {Promise<Object>} Saved summary record
+ */
+export async function saveConversationSummary(conversationId, {
+  summary,
+  coveredUntil,
+  coveredMessageId = null,
+  messageCount,
+  tokensBefore = null,
+  tokensAfter = null,
+  model = null
+}) {
+  try {
+    const result = await query(
+      `INSERT INTO conversation_summaries
+         (conversation_id, summary, covered_until, covered_message_id, message_count, tokens_before, tokens_after, model)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [conversationId, summary, coveredUntil, coveredMessageId, messageCount, tokensBefore, tokensAfter, model]
+    );
+
+    console.log(`✓ Conversation summary saved for ${conversationId} (${messageCount} messages)`);
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error saving conversation summary:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all summaries for a conversation, newest first
+ * Each summary covers a prefix of one branch; the caller picks the one for
+ * the branch it is loading.
+ * @param {string} conversationId - UUID of the conversation
+ * @returns {Promise<Array>} Summary records (empty if never compacted)
+ */
+export async function getConversationSummaries(conversationId) {
+  try {
+    const result = await query(
+      `SELECT *
+       FROM conversation_summaries
+       WHERE conversation_id = $1
+       ORDER BY covered_until DESC, created_at DESC`,
+      [conversationId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error retrieving conversation summary:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,303 @@
+/**
+ * Grant Card Batch Operations
+ *
+ * Database operations for batch grant card generation (see
+ * src/services/grant-card-batches.js): batches of program documents, and
+ * each document's grant card or error.
+ */
+
+import { query, transaction } from './connection.js';
+import { saveGrantCard } from './grant-cards.js';
+
+/**
+ * Create a batch with its items
+ * @param {Object} batch - Batch details
+ * @param {number} batch.userId - User who created it
+ * @param {string} batch.name - Batch name (e.g. the intake)
+ * @param {string|null} batch.instructions - Extra instructions for every grant card
+ * @param {Array<Object>} batch.items - [{sourceType, sourceName, sourceUrl, fileId, error}]
+ *   Items with an error (e.g. failed upload) are stored as failed and not submitted.
+ * @returns {Promise<Object>} Created batch with items
+ */
+export async function createGrantCardBatch({ userId, name, instructions = null, items }) {
+  try {
+    const batchId = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO grant_card_batches (user_id, name, instructions)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+        [userId, name, instructions]
+      );
+
+      const id = result.rows[0].id;
+
+      for (const [position, item] of items.entries()) {
+        await client.query(
+          `INSERT INTO grant_card_batch_items
+             (batch_id, position, source_type, source_name, source_url, file_id, status, error)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [
+            id,
+            position,
+            item.sourceType,
+            item.sourceName,
+            item.sourceUrl || null,
+            item.fileId || null,
+            item.error ? 'failed' : 'pending',
+            item.error || null
+          ]
+        );
+      }
+
+      return id;
+    });
+
+    console.log(`✓ Grant card batch created: ${name} (${items.length} documents)`);
+
+    return getGrantCardBatch(batchId);
+  } catch (error) {
+    console.error('Error creating grant card batch:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a batch with its items
+ * @param {string} batchId - Batch UUID
+ * @returns {Promise<Object|null>} Batch with items (in upload order) or null if not found
+ */
+export async function getGrantCardBatch(batchId) {
+  try {
+    const batch = await query('SELECT * FROM grant_card_batches WHERE id = $1', [batchId]);
+
+    if (batch.rows.length === 0) {
+      return null;
+    }
+
+    const items = await query(
+      'SELECT * FROM grant_card_batch_items WHERE batch_id = $1 ORDER BY position',
+      [batchId]
+    );
+
+    return { ...batch.rows[0], items: items.rows };
+  } catch (error) {
+    console.error('Error getting grant card batch:', error);
+    throw error;
+  }
+}
+
+/**
+ * List a user's batches with item counts by status
+ * @param {number} userId - User ID
+ * @param {number} limit - Maximum number of batches
+ * @returns {Promise<Array>} Batches, newest first
+ */
+export async function listGrantCardBatches(userId, limit = 20) {
+  try {
+    const result = await query(
+      `SELECT b.*,
+              COUNT(i.id) as item_count,
+              COUNT(i.id) FILTER (WHERE i.status = 'succeeded') as succeeded_count,
+              COUNT(i.id) FILTER (WHERE i.status = 'failed') as failed_count
+       FROM grant_card_batches b
+       LEFT JOIN grant_card_batch_items i ON i.batch_id = b.id
+       WHERE b.user_id = $1
+       GROUP BY b.id
+       ORDER BY b.created_at DESC
+       LIMIT $2`,
+      [userId, limit]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing grant card batches:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a pending batch as being sent to the Message Batches API
+ * @param {string} batchId - Batch UUID
+ * @returns {Promise<boolean>} False if the batch is no longer pending
+ */
+export async function startGrantCardBatchSubmission(batchId) {
+  try {
+    const result = await query(
+      `UPDATE grant_card_batches SET status = 'submitting', updated_at = NOW()
+       WHERE id = $1 AND status = 'pending'`,
+      [batchId]
+    );
+
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error starting grant card batch submission:', error);
+    throw error;
+  }
+}
+
+/**
+ * Put a batch back to pending after the Message Batches API rejected it
+ * (no batch was created, so it can be sent again)
+ * @param {string} batchId - Batch UUID
+ * @returns {Promise<void>}
+ */
+export async function cancelGrantCardBatchSubmission(batchId) {
+  try {
+    await query(
+      `UPDATE grant_card_batches SET status = 'pending', updated_at = NOW()
+       WHERE id = $1 AND status = 'submitting'`,
+      [batchId]
+    );
+  } catch (error) {
+    console.error('Error cancelling grant card batch submission:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record that a batch was submitted to the Message Batches API
+ * @param {string} batchId - Batch UUID
+ * @param {string} providerBatchId - Message Batches API batch ID
+ * @param {string|null} promptVersionId - Prompt version the grant cards use
+ * @returns {Promise<void>}
+ */
+export async function markGrantCardBatchSubmitted(batchId, providerBatchId, promptVersionId = null) {
+  try {
+    await transaction(async (client) => {
+      await client.query(
+        `UPDATE grant_card_batches
+         SET status = 'processing', provider_batch_id = $2, prompt_version_id = $3, updated_at = NOW()
+         WHERE id = $1 AND status = 'submitting'`,
+        [batchId, providerBatchId, promptVersionId]
+      );
+
+      await client.query(
+        `UPDATE grant_card_batch_items SET status = 'processing', updated_at = NOW()
+         WHERE batch_id = $1 AND status = 'pending'`,
+        [batchId]
+      );
+    });
+  } catch (error) {
+    console.error('Error marking grant card batch submitted:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save the latest progress counts of a submitted batch
+ * @param {string} batchId - Batch UUID
+ * @param {Object} requestCounts - {processing, succeeded, errored, canceled, expired}
+ * @returns {Promise<void>}
+ */
+export async function updateGrantCardBatchProgress(batchId, requestCounts) {
+  try {
+    await query(
+      `UPDATE grant_card_batches SET request_counts = $2, updated_at = NOW() WHERE id = $1`,
+      [batchId, JSON.stringify(requestCounts)]
+    );
+  } catch (error) {
+    console.error('Error updating grant card batch progress:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save one item's grant card or error
+ * The card and the item's status are written in one transaction, so a poll
+ * retried after a crash never saves the item's card a second time.
+ * @param {number} itemId - Item ID
+ * @param {Object} result - {status: 'succeeded'|'failed'|'repairing', output, error, inputTokens, outputTokens}
+ * @param {Object} result.card - Validated grant card of a succeeded item (saved to grant_cards)
+ * @param {number|null} result.userId - User the card belongs to
+ * @returns {Promise<void>}
+ */
+export async function saveGrantCardBatchItemResult(itemId, { status, output = null, error = null, inputTokens = null, outputTokens = null, card = null, userId = null }) {
+  try {
+    await transaction(async (client) => {
+      if (card) {
+        await saveGrantCard({ userId, batchItemId: itemId, card }, client);
+      }
+
+      await client.query(
+        `UPDATE grant_card_batch_items
+         SET status = $2, output = $3, error = $4, input_tokens = $5, output_tokens = $6, updated_at = NOW()
+         WHERE id = $1`,
+        [itemId, status, output, error, inputTokens, outputTokens]
+      );
+    });
+  } catch (dbError) {
+    console.error('Error saving grant card batch item:', dbError);
+    throw dbError;
+  }
+}
+
+/**
+ * Finish a batch (completed, or failed with an error for the whole batch)
+ * Items still processing or waiting for a repair are marked failed with the batch error.
+ * @param {string} batchId - Batch UUID
+ * @param {string} status - 'completed' or 'failed'
+ * @param {string|null} errorMessage - Why the batch failed
+ * @returns {Promise<void>}
+ */
+export async function finishGrantCardBatch(batchId, status, errorMessage = null) {
+  try {
+    await transaction(async (client) => {
+      await client.query(
+        `UPDATE grant_card_batch_items
+         SET status = 'failed', error = COALESCE($2, 'No result returned for this document'), updated_at = NOW()
+         WHERE batch_id = $1 AND status IN ('pending', 'processing', 'repairing')`,
+        [batchId, errorMessage]
+      );
+
+      await client.query(
+        `UPDATE grant_card_batches
+         SET status = $2, error = $3, completed_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [batchId, status, errorMessage]
+      );
+    });
+
+    console.log(`✓ Grant card batch ${batchId} ${status}`);
+  } catch (error) {
+    console.error('Error finishing grant card batch:', error);
+    throw error;
+  }
+}
+
+/**
+ * Complete a batch whose results are saved, unless cards are still waiting
+ * for their repair job. Items without a result are marked failed.
+ * @param {string} batchId - Batch UUID
+ * @returns {Promise<boolean>} True if the batch was completed by this call
+ */
+export async function completeGrantCardBatchIfDone(batchId) {
+  try {
+    const completed = await transaction(async (client) => {
+      await client.query(
+        `UPDATE grant_card_batch_items
+         SET status = 'failed', error = 'No result returned for this document', updated_at = NOW()
+         WHERE batch_id = $1 AND status IN ('pending', 'processing')`,
+        [batchId]
+      );
+
+      const result = await client.query(
+        `UPDATE grant_card_batches
+         SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND status = 'processing'
+           AND NOT EXISTS (SELECT 1 FROM grant_card_batch_items WHERE batch_id = $1 AND status = 'repairing')`,
+        [batchId]
+      );
+
+      return result.rowCount > 0;
+    });
+
+    if (completed) {
+      console.log(`✓ Grant card batch ${batchId} completed`);
+    }
+
+    return completed;
+  } catch (error) {
+    console.error('Error completing grant card batch:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Grant Card Revision Operations
+ *
+ * Database operations for proposed grant card updates. A revision holds the
+ * updated card and its change report until a reviewer applies it (accepting
+ * or rejecting each section) or discards it.
+ */
+
+import { query, transaction } from './connection.js';
+import { GRANT_CARD_SCHEMA_VERSION } from '../grant-cards/schema.js';
+
+/**
+ * Error for a revision that can no longer be applied (resolved meanwhile, or
+ * the card changed after it was created)
+ */
+export class RevisionConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RevisionConflictError';
+  }
+}
+
+/**
+ * Create a pending revision
+ * @param {Object} revision - Revision details
+ * @param {string} revision.grantCardId - Card being updated
+ * @param {number|null} revision.userId - User who proposed it
+ * @param {string|null} revision.conversationId - Conversation it was proposed in
+ * @param {string|null} revision.sourceName - New program document (filename or URL)
+ * @param {Object} revision.priorCard - Stored card the report was computed against
+ * @param {Object} revision.proposedCard - Updated card
+ * @param {Object} revision.changes - Change report (diffGrantCards)
+ * @returns {Promise<Object>} Created revision row
+ */
+export async function createGrantCardRevision({
+  grantCardId,
+  userId = null,
+  conversationId = null,
+  sourceName = null,
+  priorCard,
+  proposedCard,
+  changes
+}) {
+  try {
+    const result = await query(
+      `INSERT INTO grant_card_revisions
+         (grant_card_id, user_id, conversation_id, source_name, prior_card, proposed_card, changes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        grantCardId,
+        userId,
+        conversationId,
+        sourceName ? sourceName.substring(0, 500) : null,
+        JSON.stringify(priorCard),
+        JSON.stringify(proposedCard),
+        JSON.stringify(changes)
+      ]
+    );
+
+    console.log(`✓ Grant card revision created: ${result.rows[0].id} (card ${grantCardId}, ${changes.summary.sectionsChanged} section(s) changed)`);
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating grant card revision:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a revision
+ * @param {string} revisionId - Revision UUID
+ * @returns {Promise<Object|null>} Revision row or null if not found
+ */
+export async function getGrantCardRevision(revisionId) {
+  try {
+    const result = await query('SELECT * FROM grant_card_revisions WHERE id = $1', [revisionId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting grant card revision:', error);
+    throw error;
+  }
+}
+
+/**
+ * List a card's revisions
+ * @param {string} grantCardId - Card UUID
+ * @param {number} limit - Maximum number of revisions
+ * @returns {Promise<Array>} Revisions, newest first (without the cards)
+ */
+export async function listGrantCardRevisions(grantCardId, limit = 20) {
+  try {
+    const result = await query(
+      `SELECT id, grant_card_id, user_id, conversation_id, source_name, changes, status, decisions, created_at, resolved_at
+       FROM grant_card_revisions
+       WHERE grant_card_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [grantCardId, limit]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing grant card revisions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Apply a pending revision: save the merged card and record the decisions
+ * Throws RevisionConflictError if the revision is no longer pending or the
+ * card was changed after the revision was created (its change report would
+ * be stale).
+ * @param {string} revisionId - Revision UUID
+ * @param {Object} resolution - {card: merged card, decisions: {sectionKey: accept|reject}}
+ * @returns {Promise<Object>} {grantCard, revision} updated rows
+ */
+export async function applyGrantCardRevision(revisionId, { card, decisions }) {
+  try {
+    return await transaction(async (client) => {
+      const revisionResult = await client.query(
+        'SELECT * FROM grant_card_revisions WHERE id = $1 FOR UPDATE',
+        [revisionId]
+      );
+      const revision = revisionResult.rows[0];
+
+      if (!revision || revision.status !== 'pending') {
+        throw new RevisionConflictError(`This revision was already ${revision ? revision.status : 'deleted'}`);
+      }
+
+      const cardResult = await client.query(
+        'SELECT updated_at FROM grant_cards WHERE id = $1 FOR UPDATE',
+        [revision.grant_card_id]
+      );
+
+      if (cardResult.rows[0].updated_at > revision.created_at) {
+        throw new RevisionConflictError('The grant card was changed after this revision was created - propose the update again');
+      }
+
+      const grantCard = await client.query(
+        `UPDATE grant_cards
+         SET card = $2, program_name = $3, grant_type = $4, schema_version = $5, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [revision.grant_card_id, JSON.stringify(card), card.program_name, card.grant_type.primary, GRANT_CARD_SCHEMA_VERSION]
+      );
+
+      const updated = await client.query(
+        `UPDATE grant_card_revisions
+         SET status = 'applied', decisions = $2, resolved_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [revisionId, JSON.stringify(decisions)]
+      );
+
+      console.log(`✓ Grant card revision applied: ${revisionId}`);
+
+      return { grantCard: grantCard.rows[0], revision: updated.rows[0] };
+    });
+  } catch (error) {
+    if (!(error instanceof RevisionConflictError)) {
+      console.error('Error applying grant card revision:', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Discard a pending revision
+ * @param {string} revisionId - Revision UUID
+ * @returns {Promise<Object|null>} Updated revision row, or null if it wasn't pending
+ */
+export async function discardGrantCardRevision(revisionId) {
+  try {
+    const result = await query(
+      `UPDATE grant_card_revisions
+       SET status = 'discarded', resolved_at = NOW()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [revisionId]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error discarding grant card revision:', error);
+    throw error;
+  }
+}
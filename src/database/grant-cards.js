@@ -0,0 +1,143 @@
+/**
+ * Grant Card Operations
+ *
+ * Database operations for structured grant cards (see src/grant-cards/schema.js).
+ * Cards are validated before they are saved; this module only stores them.
+ */
+
+import { query } from './connection.js';
+import { GRANT_CARD_SCHEMA_VERSION } from '../grant-cards/schema.js';
+
+/**
+ * Save a grant card
+ * A card for a batch document replaces that document's previous card.
+ * @param {Object} options - Card details
+ * @param {number|null} options.userId - User the card belongs to
+ * @param {string|null} options.conversationId - Conversation it was generated in
+ * @param {number|null} options.batchItemId - Batch document it was generated from
+ * @param {Object} options.card - Validated grant card
+ * @param {Object} client - Transaction client to save with (optional)
+ * @returns {Promise<Object>} Saved grant_cards row
+ */
+export async function saveGrantCard({ userId = null, conversationId = null, batchItemId = null, card }, client = null) {
+  const run = client ? (text, params) => client.query(text, params) : query;
+
+  try {
+    const params = [
+      userId,
+      conversationId,
+      batchItemId,
+      card.program_name,
+      card.grant_type.primary,
+      JSON.stringify(card),
+      GRANT_CARD_SCHEMA_VERSION
+    ];
+
+    const result = batchItemId
+      ? await run(
+        `INSERT INTO grant_cards (user_id, conversation_id, batch_item_id, program_name, grant_type, card, schema_version)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (batch_item_id) WHERE batch_item_id IS NOT NULL
+         DO UPDATE SET program_name = EXCLUDED.program_name,
+                       grant_type = EXCLUDED.grant_type,
+                       card = EXCLUDED.card,
+                       schema_version = EXCLUDED.schema_version,
+                       updated_at = NOW()
+         RETURNING *`,
+        params
+      )
+      : await run(
+        `INSERT INTO grant_cards (user_id, conversation_id, batch_item_id, program_name, grant_type, card, schema_version)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        params
+      );
+
+    console.log(`✓ Grant card saved: ${card.program_name} (${result.rows[0].id})`);
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error saving grant card:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a grant card
+ * @param {string} cardId - Card UUID
+ * @returns {Promise<Object|null>} grant_cards row or null if not found
+ */
+export async function getGrantCard(cardId) {
+  try {
+    const result = await query('SELECT * FROM grant_cards WHERE id = $1', [cardId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting grant card:', error);
+    throw error;
+  }
+}
+
+/**
+ * List grant cards
+ * @param {Object} filters - Filters (at least one of userId, conversationId)
+ * @param {number|null} filters.userId - Only cards belonging to this user
+ * @param {string|null} filters.conversationId - Only cards from this conversation
+ * @param {number} filters.limit - Maximum number of cards
+ * @returns {Promise<Array>} Cards, newest first (without the card body)
+ */
+export async function listGrantCards({ userId = null, conversationId = null, limit = 50 }) {
+  try {
+    const params = [];
+    const filters = [];
+
+    if (userId) {
+      params.push(userId);
+      filters.push(`user_id = $${params.length}`);
+    }
+    if (conversationId) {
+      params.push(conversationId);
+      filters.push(`conversation_id = $${params.length}`);
+    }
+    if (filters.length === 0) {
+      throw new Error('listGrantCards needs a userId or conversationId');
+    }
+    params.push(limit);
+
+    const result = await query(
+      `SELECT id, user_id, conversation_id, batch_item_id, program_name, grant_type, schema_version, created_at, updated_at
+       FROM grant_cards
+       WHERE ${filters.join(' AND ')}
+       ORDER BY created_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing grant cards:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the grant cards of a batch
+ * @param {string} batchId - Batch UUID
+ * @returns {Promise<Array>} Cards with their batch item ID (in document order)
+ */
+export async function getBatchGrantCards(batchId) {
+  try {
+    const result = await query(
+      `SELECT gc.*
+       FROM grant_cards gc
+       JOIN grant_card_batch_items i ON i.id = gc.batch_item_id
+       WHERE i.batch_id = $1
+       ORDER BY i.position`,
+      [batchId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting batch grant cards:', error);
+    throw error;
+  }
+}
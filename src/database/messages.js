@@ -14,9 +14,15 @@ import { query } from './connection.js';
  * @param {string} conversationId - UUID of the conversation
  * @param {string} role - Message role ('user' or 'assistant')
  * @param {*} content - Message content (will be JSON stringified)
+ * @param {Object} options - Optional message attributes
+ * @param {string} options.status - Message status ('complete' or 'cancelled')
+ * @param {Object} options.metadata - Extra metadata stored alongside the message
+ * @param {string|null} options.parentId - Previous message on the same branch (null for the first message)
  * @returns {Promise<Object>} Saved message record
  */
-export async function saveMessage(conversationId, role, content) {
+export async function saveMessage(conversationId, role, content, options = {}) {
+  const { status = 'complete', metadata = {}, parentId = null } = options;
+
   try {
     // Stringify content if it's not already a string
     const contentStr = typeof content === 'string'
@@ -24,13 +30,13 @@ export async function saveMessage(conversationId, role, content) {
       : JSON.stringify(content);
 
     const result = await query(
-      `INSERT INTO messages (conversation_id, role, content)
-       VALUES ($1, $2, $3)
-       RETURNING id, conversation_id, role, content, created_at`,
-      [conversationId, role, contentStr]
+      `INSERT INTO messages (conversation_id, role, content, status, metadata, parent_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, conversation_id, parent_id, role, content, status, metadata, created_at`,
+      [conversationId, role, contentStr, status, JSON.stringify(metadata), parentId]
     );
 
-    console.log(`✓ Message saved: ${role} message for conversation ${conversationId}`);
+    console.log(`✓ Message saved: ${role} message for conversation ${conversationId}${status !== 'complete' ? ` (${status})` : ''}`);
 
     return result.rows[0];
   } catch (error) {
@@ -39,6 +45,49 @@ export async function saveMessage(conversationId, role, content) {
   }
 }
 
+/**
+ * Parse stored message content into Claude API content
+ * @param {string} rawContent - Content column value
+ * @returns {string|Array} Plain text or cleaned content blocks
+ */
+function parseMessageContent(rawContent) {
+  let content;
+
+  try {
+    // Try to parse as JSON
+    content = JSON.parse(rawContent);
+
+    // Clean content blocks
+    if (Array.isArray(content)) {
+      content = content
+        .map(block => {
+          // Remove index field (added by streaming but not accepted by Claude API)
+          const { index, ...cleanBlock } = block;
+
+          // Fix server_tool_use blocks: ensure input is an object, not a string
+          if (cleanBlock.type === 'server_tool_use' && typeof cleanBlock.input === 'string') {
+            try {
+              cleanBlock.input = JSON.parse(cleanBlock.input);
+            } catch (e) {
+              console.error('Failed to parse server_tool_use input:', e);
+              cleanBlock.input = {};
+            }
+          }
+
+          return cleanBlock;
+        })
+        // Filter out thinking/redacted_thinking blocks entirely
+        // They cause issues when reloaded from database and aren't needed for conversation continuity
+        .filter(block => block.type !== 'thinking' && block.type !== 'redacted_thinking');
+    }
+  } catch (e) {
+    // If not valid JSON, treat as plain text
+    content = rawContent;
+  }
+
+  return content;
+}
+
 /**
  * Get all messages for a conversation
  * @param {string} conversationId - UUID of the conversation
@@ -56,46 +105,10 @@ export async function getConversationMessages(conversationId) {
 
     // Parse content JSON and format for Claude API
     const messages = result.rows
-      .map(row => {
-        let content;
-
-        try {
-          // Try to parse as JSON
-          content = JSON.parse(row.content);
-
-          // Clean content blocks
-          if (Array.isArray(content)) {
-            content = content
-              .map(block => {
-                // Remove index field (added by streaming but not accepted by Claude API)
-                const { index, ...cleanBlock } = block;
-
-                // Fix server_tool_use blocks: ensure input is an object, not a string
-                if (cleanBlock.type === 'server_tool_use' && typeof cleanBlock.input === 'string') {
-                  try {
-                    cleanBlock.input = JSON.parse(cleanBlock.input);
-                  } catch (e) {
-                    console.error('Failed to parse server_tool_use input:', e);
-                    cleanBlock.input = {};
-                  }
-                }
-
-                return cleanBlock;
-              })
-              // Filter out thinking/redacted_thinking blocks entirely
-              // They cause issues when reloaded from database and aren't needed for conversation continuity
-              .filter(block => block.type !== 'thinking' && block.type !== 'redacted_thinking');
-          }
-        } catch (e) {
-          // If not valid JSON, treat as plain text
-          content = row.content;
-        }
-
-        return {
-          role: row.role,
-          content: content
-        };
-      })
+      .map(row => ({
+        role: row.role,
+        content: parseMessageContent(row.content)
+      }))
       // Filter out messages with empty content arrays
       // This can happen when a message contained only thinking blocks
       .filter(msg => {
@@ -115,6 +128,76 @@ export async function getConversationMessages(conversationId) {
   }
 }
 
+/**
+ * Get all messages for a conversation with display metadata
+ * Unlike getConversationMessages, rows keep their id, status and metadata,
+ * so this is for the conversation view - not for sending to the Claude API.
+ * Rows from every branch are included; see claude/branches.js to pick one.
+ * @param {string} conversationId - UUID of the conversation
+ * @returns {Promise<Array>} Array of {id, parentId, role, content, status, metadata, createdAt}
+ */
+export async function getConversationMessagesWithMetadata(conversationId) {
+  try {
+    const result = await query(
+      `SELECT id, parent_id, role, content, status, metadata, created_at
+       FROM messages
+       WHERE conversation_id = $1
+       ORDER BY created_at ASC`,
+      [conversationId]
+    );
+
+    return result.rows.map(formatMessageRow);
+  } catch (error) {
+    console.error('Error retrieving messages with metadata:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a single message with display metadata
+ * @param {string} messageId - UUID of the message
+ * @returns {Promise<Object|null>} {id, conversationId, parentId, role, content, status, metadata, createdAt} or null
+ */
+export async function getMessageById(messageId) {
+  try {
+    const result = await query(
+      `SELECT id, conversation_id, parent_id, role, content, status, metadata, created_at
+       FROM messages
+       WHERE id = $1`,
+      [messageId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return {
+      conversationId: result.rows[0].conversation_id,
+      ...formatMessageRow(result.rows[0])
+    };
+  } catch (error) {
+    console.error('Error retrieving message:', error);
+    throw error;
+  }
+}
+
+/**
+ * Format a messages row for the conversation view
+ * @param {Object} row - Database row
+ * @returns {Object} {id, parentId, role, content, status, metadata, createdAt}
+ */
+function formatMessageRow(row) {
+  return {
+    id: row.id,
+    parentId: row.parent_id,
+    role: row.role,
+    content: parseMessageContent(row.content),
+    status: row.status,
+    metadata: row.metadata || {},
+    createdAt: row.created_at
+  };
+}
+
 /**
  * Get conversation metadata
  * @param {string} conversationId - UUID of the conversation
@@ -0,0 +1,267 @@
+/**
+ * Prompt Experiment Operations
+ *
+ * Database operations for prompt A/B experiments:
+ * - Create experiments with weighted variants (prompt versions)
+ * - Start/stop experiments (one running experiment per agent)
+ * - Record which variant each conversation was assigned to
+ * - Aggregate feedback ratings and sentiment per variant
+ */
+
+import { query, transaction } from './connection.js';
+
+// Variants with their prompt version number, in display order (control first)
+const VARIANTS_JSON = `
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'id', v.id,
+      'name', v.name,
+      'prompt_version_id', v.prompt_version_id,
+      'prompt_version', pv.version,
+      'weight', v.weight,
+      'position', v.position
+    ) ORDER BY v.position)
+    FROM prompt_experiment_variants v
+    LEFT JOIN agent_prompt_versions pv ON pv.id = v.prompt_version_id
+    WHERE v.experiment_id = e.id
+  ), '[]') as variants`;
+
+/**
+ * Create an experiment (status: draft)
+ * @param {Object} experiment - Experiment details
+ * @param {string} experiment.agentType - Agent type
+ * @param {string} experiment.name - Experiment name
+ * @param {string} experiment.description - What is being tested
+ * @param {Array} experiment.variants - [{name, promptVersionId, weight}] (first = control)
+ * @param {number} experiment.createdBy - Admin user ID
+ * @returns {Promise<Object>} Created experiment with variants
+ */
+export async function createExperiment({ agentType, name, description = null, variants, createdBy = null }) {
+  try {
+    const experimentId = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO prompt_experiments (agent_type, name, description, created_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [agentType, name, description, createdBy]
+      );
+
+      const id = result.rows[0].id;
+
+      for (const [position, variant] of variants.entries()) {
+        await client.query(
+          `INSERT INTO prompt_experiment_variants (experiment_id, name, prompt_version_id, weight, position)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [id, variant.name, variant.promptVersionId || null, variant.weight, position]
+        );
+      }
+
+      return id;
+    });
+
+    console.log(`✓ Prompt experiment created: ${name} (${agentType}, ${variants.length} variants)`);
+
+    return getExperiment(experimentId);
+  } catch (error) {
+    console.error('Error creating prompt experiment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get an experiment with its variants
+ * @param {string} experimentId - Experiment UUID
+ * @returns {Promise<Object|null>} Experiment or null if not found
+ */
+export async function getExperiment(experimentId) {
+  try {
+    const result = await query(
+      `SELECT e.*, ${VARIANTS_JSON}
+       FROM prompt_experiments e
+       WHERE e.id = $1`,
+      [experimentId]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error retrieving prompt experiment:', error);
+    throw error;
+  }
+}
+
+/**
+ * List experiments (newest first)
+ * @param {string} agentType - Filter by agent type (optional)
+ * @returns {Promise<Array>} Experiments with variants and assignment counts
+ */
+export async function listExperiments(agentType = null) {
+  try {
+    const result = await query(
+      `SELECT e.*, ${VARIANTS_JSON},
+         (SELECT COUNT(*)::int FROM prompt_experiment_assignments a WHERE a.experiment_id = e.id) as conversation_count
+       FROM prompt_experiments e
+       WHERE ($1::text IS NULL OR e.agent_type = $1)
+       ORDER BY e.created_at DESC`,
+      [agentType]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing prompt experiments:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the running experiment for an agent, with each variant's prompt content
+ * @param {string} agentType - Agent type
+ * @returns {Promise<Object|null>} {id, name, variants: [{id, name, weight, prompt_version_id, version, content}]} or null
+ */
+export async function getRunningExperiment(agentType) {
+  try {
+    const experimentResult = await query(
+      `SELECT id, name
+       FROM prompt_experiments
+       WHERE agent_type = $1 AND status = 'running'`,
+      [agentType]
+    );
+
+    if (experimentResult.rows.length === 0) {
+      return null;
+    }
+
+    const experiment = experimentResult.rows[0];
+
+    const variantsResult = await query(
+      `SELECT v.id, v.name, v.weight, v.prompt_version_id, pv.version, pv.content
+       FROM prompt_experiment_variants v
+       LEFT JOIN agent_prompt_versions pv ON pv.id = v.prompt_version_id
+       WHERE v.experiment_id = $1
+       ORDER BY v.position`,
+      [experiment.id]
+    );
+
+    return { ...experiment, variants: variantsResult.rows };
+  } catch (error) {
+    console.error('Error retrieving running prompt experiment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start a draft experiment
+ * @param {string} experimentId - Experiment UUID
+ * @returns {Promise<Object|null>} Updated experiment, or null if it isn't a draft
+ * @throws {Error} With code '23505' if the agent already has a running experiment
+ */
+export async function startExperiment(experimentId) {
+  try {
+    const result = await query(
+      `UPDATE prompt_experiments
+       SET status = 'running', started_at = NOW()
+       WHERE id = $1 AND status = 'draft'
+       RETURNING *`,
+      [experimentId]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error starting prompt experiment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stop a running experiment
+ * @param {string} experimentId - Experiment UUID
+ * @returns {Promise<Object|null>} Updated experiment, or null if it isn't running
+ */
+export async function stopExperiment(experimentId) {
+  try {
+    const result = await query(
+      `UPDATE prompt_experiments
+       SET status = 'stopped', ended_at = NOW()
+       WHERE id = $1 AND status = 'running'
+       RETURNING *`,
+      [experimentId]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error stopping prompt experiment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a conversation's variant in an experiment, assigning one if needed
+ * @param {string} conversationId - UUID of the conversation
+ * @param {string} experimentId - Experiment UUID
+ * @param {string} variantId - Variant to assign if the conversation has none yet
+ * @returns {Promise<string>} Assigned variant ID (the existing one wins)
+ */
+export async function assignVariant(conversationId, experimentId, variantId) {
+  try {
+    const result = await query(
+      `INSERT INTO prompt_experiment_assignments (conversation_id, experiment_id, variant_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (conversation_id, experiment_id) DO UPDATE SET
+         variant_id = prompt_experiment_assignments.variant_id
+       RETURNING variant_id`,
+      [conversationId, experimentId, variantId]
+    );
+
+    return result.rows[0].variant_id;
+  } catch (error) {
+    console.error('Error assigning experiment variant:', error);
+    throw error;
+  }
+}
+
+/**
+ * Aggregate feedback per variant
+ *
+ * A rating counts towards a variant when the rated message was written after
+ * the conversation was assigned and before the experiment ended.
+ *
+ * @param {string} experimentId - Experiment UUID
+ * @returns {Promise<Array>} [{id, name, weight, position, prompt_version, conversations, ratings, positive, avg_quality, sentiment_count, positive_sentiment, avg_sentiment}]
+ */
+export async function getVariantFeedbackStats(experimentId) {
+  try {
+    const result = await query(
+      `SELECT
+         v.id, v.name, v.weight, v.position,
+         pv.version as prompt_version,
+         COUNT(DISTINCT a.conversation_id)::int as conversations,
+         COUNT(cf.id)::int as ratings,
+         COUNT(cf.id) FILTER (WHERE cf.rating = 'positive')::int as positive,
+         AVG(cf.quality_score) as avg_quality,
+         COUNT(cf.sentiment)::int as sentiment_count,
+         COUNT(cf.id) FILTER (WHERE cf.sentiment = 'positive')::int as positive_sentiment,
+         AVG(cf.sentiment_score) as avg_sentiment
+       FROM prompt_experiment_variants v
+       JOIN prompt_experiments e ON e.id = v.experiment_id
+       LEFT JOIN agent_prompt_versions pv ON pv.id = v.prompt_version_id
+       LEFT JOIN prompt_experiment_assignments a ON a.variant_id = v.id
+       LEFT JOIN messages m ON m.conversation_id = a.conversation_id
+         AND m.role = 'assistant'
+         AND m.created_at >= a.assigned_at
+         AND (e.ended_at IS NULL OR m.created_at <= e.ended_at)
+       LEFT JOIN conversation_feedback cf ON cf.message_id = m.id
+       WHERE v.experiment_id = $1
+       GROUP BY v.id, pv.version
+       ORDER BY v.position`,
+      [experimentId]
+    );
+
+    return result.rows.map(row => ({
+      ...row,
+      avg_quality: row.avg_quality === null ? null : parseFloat(row.avg_quality),
+      avg_sentiment: row.avg_sentiment === null ? null : parseFloat(row.avg_sentiment)
+    }));
+  } catch (error) {
+    console.error('Error retrieving variant feedback stats:', error);
+    throw error;
+  }
+}
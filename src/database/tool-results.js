@@ -0,0 +1,82 @@
+/**
+ * Tool Result Operations
+ *
+ * Database operations for large tool results stored by reference:
+ * - Save a full tool result payload
+ * - Link payloads to the message that references them
+ * - Retrieve payloads referenced from saved tool_result blocks
+ */
+
+import { query } from './connection.js';
+
+/**
+ * Save a full tool result payload
+ * @param {Object} toolResult - Tool result details
+ * @param {string} toolResult.conversationId - UUID of the conversation
+ * @param {string} toolResult.toolUseId - tool_use_id the result answers
+ * @param {string} toolResult.toolName - Name of the tool
+ * @param {string} toolResult.content - Full result content
+ * @returns {Promise<string>} ID of the stored result
+ */
+export async function saveToolResult({ conversationId, toolUseId, toolName = null, content }) {
+  try {
+    const result = await query(
+      `INSERT INTO tool_results (conversation_id, tool_use_id, tool_name, content, size_chars)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [conversationId, toolUseId, toolName, content, content.length]
+    );
+
+    return result.rows[0].id;
+  } catch (error) {
+    console.error('Error saving tool result:', error);
+    throw error;
+  }
+}
+
+/**
+ * Link stored tool results to the tool_result message that references them
+ * @param {Array<string>} ids - Tool result IDs
+ * @param {string} messageId - UUID of the referencing message
+ * @returns {Promise<void>}
+ */
+export async function linkToolResults(ids, messageId) {
+  if (ids.length === 0) {
+    return;
+  }
+
+  try {
+    await query(
+      `UPDATE tool_results SET message_id = $2 WHERE id = ANY($1::uuid[])`,
+      [ids, messageId]
+    );
+  } catch (error) {
+    console.error('Error linking tool results:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get stored tool result payloads by ID
+ * @param {Array<string>} ids - Tool result IDs
+ * @returns {Promise<Map>} Map of id → content
+ */
+export async function getToolResults(ids) {
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  try {
+    const result = await query(
+      `SELECT id, content
+       FROM tool_results
+       WHERE id = ANY($1::uuid[])`,
+      [ids]
+    );
+
+    return new Map(result.rows.map(row => [row.id, row.content]));
+  } catch (error) {
+    console.error('Error retrieving tool results:', error);
+    throw error;
+  }
+}
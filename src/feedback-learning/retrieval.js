@@ -273,7 +273,8 @@ export async function getFeedbackStats(agentType) {
       FROM messages m
       JOIN conversations c ON m.conversation_id = c.id
       WHERE c.agent_type = $1
-        AND m.role = 'assistant'`,
+        AND m.role = 'assistant'
+        AND COALESCE(m.metadata->>'step', '') <> 'tool_use'`,
       [agentType]
     );
 
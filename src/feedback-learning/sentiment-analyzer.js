@@ -5,11 +5,7 @@
  * Provides deeper insights than simple quality scores alone.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+import { getProvider } from '../providers/index.js';
 
 /**
  * Analyze sentiment of feedback text using Claude
@@ -57,7 +53,7 @@ Guidelines:
 - key_phrases: Important phrases that capture the feedback essence
 - summary: Brief summary of what the user is saying`;
 
-    const response = await anthropic.messages.create({
+    const response = await getProvider().createMessage({
       model: 'claude-sonnet-4-5-20250929',
       max_tokens: 1024,
       messages: [{
@@ -265,7 +261,7 @@ Guidelines:
 - Use clear, concise language
 - Base insights ONLY on the data provided`;
 
-    const response = await anthropic.messages.create({
+    const response = await getProvider().createMessage({
       model: 'claude-sonnet-4-20250514',
       max_tokens: 4096,
       messages: [{
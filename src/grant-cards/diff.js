@@ -0,0 +1,267 @@
+/**
+ * Grant Card Diff
+ *
+ * Compares a stored grant card with an updated one (e.g. after a program's
+ * guide is revised for the new fiscal year) and merges them section by
+ * section once a reviewer has accepted or rejected each section's changes.
+ *
+ * Sections use the same keys as buildGrantCardSections (render.js). Each
+ * section owns whole top-level card fields, so a merged card keeps every
+ * cross-field rule of validateGrantCard (amount range, dated intakes, ...).
+ */
+
+import { diffLines } from '../utils/text-diff.js';
+import { validateGrantCard, getGrantTypeName } from './schema.js';
+import { formatAmount, formatDate } from './render.js';
+
+/**
+ * Review sections in display order, with the card fields each one owns
+ */
+export const GRANT_CARD_DIFF_SECTIONS = [
+  { key: 'overview', title: 'Overview', fields: ['program_name', 'funder', 'grant_type', 'summary'] },
+  { key: 'eligibility', title: 'Eligibility', fields: ['eligibility'] },
+  { key: 'funding', title: 'Funding', fields: ['funding'] },
+  { key: 'deadlines', title: 'Deadlines', fields: ['deadlines'] },
+  { key: 'eligible_activities', title: 'Eligible Activities', fields: ['eligible_activities'] },
+  { key: 'eligible_expenses', title: 'Eligible Expenses', fields: ['eligible_expenses'] },
+  { key: 'required_documents', title: 'Required Documents', fields: ['required_documents'] },
+  { key: 'insights', title: 'Insights', fields: ['insights'] },
+  { key: 'missing_info', title: 'Missing Information', fields: ['missing_info'] },
+  { key: 'source', title: 'Source', fields: ['source'] }
+];
+
+const FIELD_LABELS = {
+  program_name: 'Program name',
+  'funder.name': 'Funder',
+  'funder.level': 'Funder level',
+  'funder.website': 'Program page',
+  'grant_type.primary': 'Grant type',
+  'grant_type.secondary': 'Other grant types',
+  summary: 'Summary',
+  'eligibility.applicants': 'Who can apply',
+  'eligibility.requirements': 'Requirements',
+  'eligibility.ineligible': 'Not eligible',
+  'eligibility.regions': 'Regions',
+  'funding.min_amount': 'Minimum amount',
+  'funding.max_amount': 'Maximum amount',
+  'funding.currency': 'Currency',
+  'funding.cost_share_percent': 'Cost share',
+  'funding.description': 'Funding details',
+  'deadlines.intake': 'Intake',
+  'deadlines.dates': 'Deadline',
+  'deadlines.turnaround': 'Turnaround',
+  eligible_activities: 'Eligible activity',
+  eligible_expenses: 'Eligible expense',
+  required_documents: 'Required document',
+  insights: 'Insight',
+  missing_info: 'Missing information',
+  'source.title': 'Source title',
+  'source.url': 'Source URL'
+};
+
+/**
+ * Whether a value counts as empty (not stated)
+ * @param {*} value - Field value
+ * @returns {boolean} True for undefined, null, '' and []
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Display a scalar field value
+ * @param {string} field - Field path
+ * @param {*} value - Value
+ * @returns {string|null} Display text (null when empty)
+ */
+function displayValue(field, value) {
+  if (isEmpty(value)) return null;
+  if (field === 'funding.min_amount' || field === 'funding.max_amount') return formatAmount(value);
+  if (field === 'funding.cost_share_percent') return `${value}%`;
+  if (field === 'grant_type.primary') return getGrantTypeName(value);
+  return String(value);
+}
+
+/**
+ * Changes to a list of strings (one change per added or removed item)
+ * @param {string} field - Field path
+ * @param {Array<string>} before - Prior items
+ * @param {Array<string>} after - Updated items
+ * @returns {Array<Object>} Changes
+ */
+function diffList(field, before = [], after = []) {
+  const label = FIELD_LABELS[field] || field;
+  const clean = items => (items || []).map(item => String(item).replace(/\s*\n\s*/g, ' ').trim());
+
+  return diffLines(clean(before).join('\n'), clean(after).join('\n'))
+    .filter(line => line.type !== 'equal' && line.text !== '')
+    .map(line => ({
+      field,
+      label,
+      type: line.type,
+      before: line.type === 'removed' ? line.text : null,
+      after: line.type === 'added' ? line.text : null
+    }));
+}
+
+/**
+ * Changes to dated deadlines, matched by label (so a moved date is "modified")
+ * @param {Array<Object>} before - Prior [{label, date}]
+ * @param {Array<Object>} after - Updated [{label, date}]
+ * @returns {Array<Object>} Changes
+ */
+function diffDates(before = [], after = []) {
+  const field = 'deadlines.dates';
+  const key = entry => entry.label.trim().toLowerCase();
+  const describe = entry => `${entry.label}: ${formatDate(entry.date)}`;
+  const changes = [];
+
+  for (const entry of before || []) {
+    const match = (after || []).find(candidate => key(candidate) === key(entry));
+    if (!match) {
+      changes.push({ field, label: entry.label, type: 'removed', before: describe(entry), after: null });
+    } else if (match.date !== entry.date) {
+      changes.push({ field, label: entry.label, type: 'modified', before: formatDate(entry.date), after: formatDate(match.date) });
+    }
+  }
+
+  for (const entry of after || []) {
+    if (!(before || []).some(candidate => key(candidate) === key(entry))) {
+      changes.push({ field, label: entry.label, type: 'added', before: null, after: describe(entry) });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Changes to one field (recursing into objects)
+ * @param {string} field - Field path
+ * @param {*} before - Prior value
+ * @param {*} after - Updated value
+ * @returns {Array<Object>} Changes [{field, label, type, before, after}]
+ */
+function diffField(field, before, after) {
+  if (field === 'deadlines.dates') {
+    return diffDates(before, after);
+  }
+
+  if (Array.isArray(before) || Array.isArray(after)) {
+    if (field === 'grant_type.secondary') {
+      const names = value => (value || []).map(getGrantTypeName).join(', ');
+      return names(before) === names(after)
+        ? []
+        : [{ field, label: FIELD_LABELS[field], type: isEmpty(before) ? 'added' : isEmpty(after) ? 'removed' : 'modified', before: names(before) || null, after: names(after) || null }];
+    }
+    return diffList(field, before, after);
+  }
+
+  const isObject = value => value !== null && typeof value === 'object';
+  if (isObject(before) || isObject(after)) {
+    const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    return keys.flatMap(key => diffField(`${field}.${key}`, before?.[key], after?.[key]));
+  }
+
+  const beforeText = displayValue(field, before);
+  const afterText = displayValue(field, after);
+
+  if (beforeText === afterText) {
+    return [];
+  }
+
+  return [{
+    field,
+    label: FIELD_LABELS[field] || field,
+    type: beforeText === null ? 'added' : afterText === null ? 'removed' : 'modified',
+    before: beforeText,
+    after: afterText
+  }];
+}
+
+/**
+ * Field-by-field change report between two grant cards
+ * @param {Object} prior - Stored grant card
+ * @param {Object} updated - Updated grant card
+ * @returns {Object} {sections: [{key, title, changes}], summary: {added, removed, modified, sectionsChanged}}
+ */
+export function diffGrantCards(prior, updated) {
+  const sections = GRANT_CARD_DIFF_SECTIONS.map(section => ({
+    key: section.key,
+    title: section.title,
+    changes: section.fields.flatMap(field => diffField(field, prior[field], updated[field]))
+  }));
+
+  const all = sections.flatMap(section => section.changes);
+
+  return {
+    sections,
+    summary: {
+      added: all.filter(change => change.type === 'added').length,
+      removed: all.filter(change => change.type === 'removed').length,
+      modified: all.filter(change => change.type === 'modified').length,
+      sectionsChanged: sections.filter(section => section.changes.length > 0).length
+    }
+  };
+}
+
+/**
+ * Merge an updated card into the prior one, section by section
+ * @param {Object} prior - Stored grant card
+ * @param {Object} updated - Updated grant card
+ * @param {Object} decisions - {sectionKey: 'accept'|'reject'} (sections not listed are rejected)
+ * @returns {Object} {card, accepted: [sectionKey], valid, errors}
+ */
+export function mergeGrantCardSections(prior, updated, decisions = {}) {
+  const card = { ...prior };
+  const accepted = [];
+
+  for (const section of GRANT_CARD_DIFF_SECTIONS) {
+    if (decisions[section.key] !== 'accept') continue;
+
+    accepted.push(section.key);
+    for (const field of section.fields) {
+      if (updated[field] === undefined) {
+        delete card[field];
+      } else {
+        card[field] = updated[field];
+      }
+    }
+  }
+
+  const { valid, errors } = validateGrantCard(card);
+
+  return { card, accepted, valid, errors };
+}
+
+/**
+ * Render a change report as Markdown (for the agent and for reviewers)
+ * @param {Object} report - Output of diffGrantCards
+ * @returns {string} Markdown
+ */
+export function renderChangeReportMarkdown(report) {
+  const { added, removed, modified, sectionsChanged } = report.summary;
+
+  if (sectionsChanged === 0) {
+    return 'No changes: the updated card matches the stored card.\n';
+  }
+
+  const lines = [`**${sectionsChanged} section(s) changed** - ${added} added, ${removed} removed, ${modified} modified`, ''];
+
+  for (const section of report.sections) {
+    if (section.changes.length === 0) continue;
+
+    lines.push(`### ${section.title}`, '');
+    for (const change of section.changes) {
+      if (change.type === 'added') {
+        lines.push(`- ➕ **${change.label}:** ${change.after}`);
+      } else if (change.type === 'removed') {
+        lines.push(`- ➖ **${change.label}:** ~~${change.before}~~`);
+      } else {
+        lines.push(`- ✏️ **${change.label}:** ${change.before} → ${change.after}`);
+      }
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n').trim() + '\n';
+}
@@ -0,0 +1,281 @@
+/**
+ * GetGranted Export
+ *
+ * Turns structured grant cards (schema.js) into what the GetGranted platform
+ * imports, so published cards no longer have to be retyped:
+ * - JSON import payload ({format, version, grants: [record]})
+ * - CSV for bulk upload (one row per card, fixed column order)
+ * - Standalone HTML (the cards as rendered by render.js)
+ *
+ * validateGetGrantedRecord checks a record against the platform's field
+ * rules. Errors block the import; warnings are the card-writing limits the
+ * grant-card-generator is asked to follow.
+ */
+
+import { GRANT_TYPES, validateGrantCard } from './schema.js';
+import { formatFundingRange, formatDate, renderGrantCardHtml, wrapHtmlDocument } from './render.js';
+
+export const GETGRANTED_PAYLOAD_VERSION = 1;
+export const GETGRANTED_FORMATS = ['json', 'csv', 'html'];
+
+// Platform field limits (characters)
+const MAX_TITLE_LENGTH = 150;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+// Word limits per field (see CONCISENESS-FIX.md)
+const WORD_LIMITS = {
+  eligibility: 100,
+  eligible_activities: 120,
+  eligible_expenses: 80,
+  ineligible: 50,
+  application_requirements: 100
+};
+
+// CSV columns, in upload order
+const CSV_COLUMNS = [
+  'external_id',
+  'title',
+  'funder',
+  'funder_level',
+  'website',
+  'grant_type_id',
+  'grant_type',
+  'secondary_grant_types',
+  'description',
+  'amount_min',
+  'amount_max',
+  'currency',
+  'cost_share_percent',
+  'amount_text',
+  'funding_details',
+  'intake_type',
+  'deadline',
+  'deadline_text',
+  'turnaround',
+  'eligibility',
+  'ineligible',
+  'regions',
+  'eligible_activities',
+  'eligible_expenses',
+  'application_requirements',
+  'insights',
+  'status'
+];
+
+/**
+ * Earliest deadline of a card
+ * @param {Object} deadlines - card.deadlines
+ * @returns {string|null} YYYY-MM-DD, or null without dated deadlines
+ */
+function earliestDeadline(deadlines = {}) {
+  const dates = (deadlines.dates || []).map(entry => entry.date).sort();
+  return dates[0] || null;
+}
+
+/**
+ * Describe a card's deadlines in one line
+ * @param {Object} deadlines - card.deadlines
+ * @returns {string} e.g. "Application deadline: March 31, 2027"
+ */
+function describeDeadlines(deadlines = {}) {
+  if (deadlines.dates?.length > 0) {
+    return deadlines.dates.map(entry => `${entry.label}: ${formatDate(entry.date)}`).join('; ');
+  }
+
+  switch (deadlines.intake) {
+    case 'rolling': return 'Rolling intake';
+    case 'closed': return 'Closed';
+    default: return 'Not stated';
+  }
+}
+
+/**
+ * Build the GetGranted import record for a grant card
+ * (missing_info is internal and is not published)
+ * @param {Object} card - Validated grant card
+ * @param {Object} options - {externalId: our card ID, so re-imports update the same grant}
+ * @returns {Object} GetGranted record
+ */
+export function buildGetGrantedRecord(card, { externalId = null } = {}) {
+  const { funder = {}, grant_type: grantType = {}, eligibility = {}, funding = {}, deadlines = {} } = card;
+  const primaryType = GRANT_TYPES.find(type => type.key === grantType.primary);
+
+  return {
+    external_id: externalId,
+    title: card.program_name,
+    funder: funder.name,
+    funder_level: funder.level || null,
+    website: funder.website || card.source?.url || null,
+    grant_type_id: primaryType?.id || null,
+    grant_type: primaryType?.name || grantType.primary || null,
+    secondary_grant_types: (grantType.secondary || []).map(key => GRANT_TYPES.find(type => type.key === key)?.name || key),
+    description: card.summary,
+    amount_min: funding.min_amount ?? null,
+    amount_max: funding.max_amount ?? null,
+    currency: funding.currency || 'CAD',
+    cost_share_percent: funding.cost_share_percent ?? null,
+    amount_text: formatFundingRange(funding),
+    funding_details: funding.description || '',
+    intake_type: deadlines.intake || 'unknown',
+    deadline: earliestDeadline(deadlines),
+    deadline_text: describeDeadlines(deadlines),
+    turnaround: deadlines.turnaround || null,
+    eligibility: [...(eligibility.applicants || []), ...(eligibility.requirements || [])],
+    ineligible: eligibility.ineligible || [],
+    regions: eligibility.regions || [],
+    eligible_activities: card.eligible_activities || [],
+    eligible_expenses: card.eligible_expenses || [],
+    application_requirements: card.required_documents || [],
+    insights: card.insights || [],
+    status: 'draft'
+  };
+}
+
+/**
+ * Count the words in a field
+ * @param {string|Array<string>} value - Text or list of texts
+ * @returns {number} Word count
+ */
+function countWords(value) {
+  return [].concat(value || []).join(' ').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Validate a GetGranted record
+ * @param {Object} record - Record from buildGetGrantedRecord
+ * @param {Object} options - {today: YYYY-MM-DD used for past-deadline warnings}
+ * @returns {Array<Object>} Problems [{field, message, severity: 'error'|'warning'}]
+ */
+export function validateGetGrantedRecord(record, { today = new Date().toISOString().slice(0, 10) } = {}) {
+  const problems = [];
+  const error = (field, message) => problems.push({ field, message, severity: 'error' });
+  const warning = (field, message) => problems.push({ field, message, severity: 'warning' });
+
+  if (!record.title?.trim()) {
+    error('title', 'is required');
+  } else if (record.title.length > MAX_TITLE_LENGTH) {
+    error('title', `must be at most ${MAX_TITLE_LENGTH} characters (got ${record.title.length})`);
+  }
+
+  if (!record.funder?.trim()) {
+    error('funder', 'is required');
+  }
+
+  if (!record.website) {
+    error('website', 'is required (set funder.website or source.url on the card)');
+  } else if (!/^https?:\/\/[^\s/]+\.[^\s]+$/.test(record.website)) {
+    error('website', `must be an http(s) URL (got "${record.website}")`);
+  }
+
+  if (!record.grant_type_id) {
+    error('grant_type_id', `unknown grant type "${record.grant_type}"`);
+  }
+
+  if (!record.description?.trim()) {
+    error('description', 'is required');
+  } else if (record.description.length > MAX_DESCRIPTION_LENGTH) {
+    error('description', `must be at most ${MAX_DESCRIPTION_LENGTH} characters (got ${record.description.length})`);
+  }
+
+  if (record.eligibility.length === 0) {
+    error('eligibility', 'must list at least one item');
+  }
+
+  if (record.intake_type === 'fixed' && !record.deadline) {
+    error('deadline', 'is required for a fixed intake');
+  }
+
+  for (const [field, limit] of Object.entries(WORD_LIMITS)) {
+    const words = countWords(record[field]);
+    if (words > limit) {
+      warning(field, `is ${words} words (limit ${limit})`);
+    }
+  }
+
+  if (record.deadline && record.deadline < today && record.intake_type !== 'closed') {
+    warning('deadline', `${record.deadline} has passed`);
+  }
+
+  if (record.application_requirements.length === 0) {
+    warning('application_requirements', 'is empty');
+  }
+
+  return problems;
+}
+
+/**
+ * Build and validate the GetGranted records for grant cards
+ * Cards that no longer pass the grant card schema are reported too, with
+ * their schema path as the field.
+ * @param {Array<Object>} entries - [{id, card}] (e.g. grant_cards rows)
+ * @param {Object} options - Options passed to validateGetGrantedRecord
+ * @returns {Array<Object>} [{id, programName, record, problems}]
+ */
+export function prepareGetGrantedRecords(entries, options = {}) {
+  return entries.map(({ id, card }) => {
+    const schemaProblems = validateGrantCard(card).errors.map(error => ({
+      field: error.path.replace(/^\$\.?/, '') || 'card',
+      message: error.message,
+      severity: 'error'
+    }));
+    const record = buildGetGrantedRecord(card, { externalId: id });
+
+    return {
+      id,
+      programName: card.program_name,
+      record,
+      problems: [...schemaProblems, ...validateGetGrantedRecord(record, options)]
+    };
+  });
+}
+
+/**
+ * Quote a CSV cell (RFC 4180); list values become one item per line
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  const text = Array.isArray(value) ? value.join('\n') : String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render records as CSV for bulk upload
+ * @param {Array<Object>} records - GetGranted records
+ * @returns {string} CSV (header row first, CRLF line endings)
+ */
+export function renderGetGrantedCsv(records) {
+  const rows = [CSV_COLUMNS, ...records.map(record => CSV_COLUMNS.map(column => record[column]))];
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Export grant cards for GetGranted
+ * @param {Array<Object>} entries - [{id, card}] to export (already validated)
+ * @param {string} format - 'json', 'csv' or 'html'
+ * @param {Object} options - {title: HTML document title, exportedAt: ISO timestamp}
+ * @returns {Object} {body, contentType, extension}
+ */
+export function exportGetGranted(entries, format, { title = 'Grant Cards', exportedAt = new Date().toISOString() } = {}) {
+  const records = () => entries.map(({ id, card }) => buildGetGrantedRecord(card, { externalId: id }));
+
+  switch (format) {
+    case 'json': {
+      const payload = {
+        format: 'getgranted',
+        version: GETGRANTED_PAYLOAD_VERSION,
+        exported_at: exportedAt,
+        grants: records()
+      };
+      return { body: JSON.stringify(payload, null, 2) + '\n', contentType: 'application/json; charset=utf-8', extension: 'json' };
+    }
+    case 'csv':
+      return { body: renderGetGrantedCsv(records()), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+    case 'html': {
+      const articles = entries.map(({ card }) => renderGrantCardHtml(card, { standalone: false })).join('\n');
+      return { body: wrapHtmlDocument(title, articles), contentType: 'text/html; charset=utf-8', extension: 'html' };
+    }
+    default:
+      throw new Error(`Unknown GetGranted format: ${format}`);
+  }
+}
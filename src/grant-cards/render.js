@@ -0,0 +1,268 @@
+/**
+ * Grant Card Rendering
+ *
+ * Markdown, HTML and JSON renderings of a structured grant card (schema.js).
+ * All three come from the same section list (buildGrantCardSections), so the
+ * renderings never disagree about what a card says.
+ */
+
+import { GRANT_CARD_SCHEMA_VERSION, getGrantTypeName } from './schema.js';
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const FUNDER_LEVEL_NAMES = {
+  federal: 'Federal',
+  provincial: 'Provincial',
+  municipal: 'Municipal',
+  private: 'Private',
+  other: 'Other'
+};
+
+const INTAKE_NAMES = {
+  rolling: 'Rolling intake',
+  fixed: 'Fixed intake dates',
+  closed: 'Closed',
+  unknown: 'Not stated'
+};
+
+/**
+ * Format a dollar amount (no cents for whole amounts)
+ * @param {number} amount - Amount
+ * @returns {string} e.g. "$50,000"
+ */
+export function formatAmount(amount) {
+  const [whole, cents] = Math.abs(amount).toFixed(2).split('.');
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return `${amount < 0 ? '-' : ''}$${grouped}${cents === '00' ? '' : `.${cents}`}`;
+}
+
+/**
+ * Format a YYYY-MM-DD date
+ * @param {string} value - Date string
+ * @returns {string} e.g. "December 31, 2026" (the input if it isn't a date)
+ */
+export function formatDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return value || '';
+  return `${MONTHS[parseInt(match[2], 10) - 1] || match[2]} ${parseInt(match[3], 10)}, ${match[1]}`;
+}
+
+/**
+ * Describe the funding range
+ * @param {Object} funding - card.funding
+ * @returns {string} e.g. "$10,000 - $50,000 CAD", "Up to $50,000 CAD" or "Not stated"
+ */
+export function formatFundingRange(funding = {}) {
+  const { min_amount: min, max_amount: max, currency = 'CAD' } = funding;
+  const hasMin = typeof min === 'number' && min > 0;
+  const hasMax = typeof max === 'number';
+
+  if (hasMin && hasMax) return min === max ? `${formatAmount(max)} ${currency}` : `${formatAmount(min)} - ${formatAmount(max)} ${currency}`;
+  if (hasMax) return `Up to ${formatAmount(max)} ${currency}`;
+  if (hasMin) return `From ${formatAmount(min)} ${currency}`;
+  return 'Not stated';
+}
+
+/**
+ * The sections of a grant card, in display order
+ * Each section has a key, a title and blocks:
+ * {type: 'field', label, value} | {type: 'paragraph', text} | {type: 'list', label, items}
+ * Empty lists are left out.
+ * @param {Object} card - Validated grant card
+ * @returns {Array<Object>} Sections [{key, title, blocks}]
+ */
+export function buildGrantCardSections(card) {
+  const list = (label, items) => (items && items.length > 0 ? [{ type: 'list', label, items }] : []);
+  const { funder = {}, grant_type: grantType = {}, eligibility = {}, funding = {}, deadlines = {} } = card;
+
+  const grantTypes = [getGrantTypeName(grantType.primary)];
+  if (grantType.secondary?.length > 0) {
+    grantTypes.push(`also ${grantType.secondary.map(getGrantTypeName).join(', ')}`);
+  }
+
+  const sections = [
+    {
+      key: 'overview',
+      title: 'Overview',
+      blocks: [
+        { type: 'field', label: 'Funder', value: `${funder.name}${funder.level ? ` (${FUNDER_LEVEL_NAMES[funder.level] || funder.level})` : ''}` },
+        ...(funder.website ? [{ type: 'field', label: 'Program page', value: funder.website }] : []),
+        { type: 'field', label: 'Grant type', value: grantTypes.join('; ') },
+        { type: 'paragraph', text: card.summary }
+      ]
+    },
+    {
+      key: 'eligibility',
+      title: 'Eligibility',
+      blocks: [
+        ...list('Who can apply', eligibility.applicants),
+        ...list('Requirements', eligibility.requirements),
+        ...list('Not eligible', eligibility.ineligible),
+        ...list('Regions', eligibility.regions)
+      ]
+    },
+    {
+      key: 'funding',
+      title: 'Funding',
+      blocks: [
+        { type: 'field', label: 'Amount', value: formatFundingRange(funding) },
+        ...(typeof funding.cost_share_percent === 'number'
+          ? [{ type: 'field', label: 'Cost share', value: `${funding.cost_share_percent}% of eligible costs` }]
+          : []),
+        { type: 'paragraph', text: funding.description }
+      ]
+    },
+    {
+      key: 'deadlines',
+      title: 'Deadlines',
+      blocks: [
+        { type: 'field', label: 'Intake', value: INTAKE_NAMES[deadlines.intake] || deadlines.intake },
+        ...list('Dates', (deadlines.dates || []).map(entry => `${entry.label}: ${formatDate(entry.date)}`)),
+        ...(deadlines.turnaround ? [{ type: 'field', label: 'Turnaround', value: deadlines.turnaround }] : [])
+      ]
+    },
+    { key: 'eligible_activities', title: 'Eligible Activities', blocks: list(null, card.eligible_activities) },
+    { key: 'eligible_expenses', title: 'Eligible Expenses', blocks: list(null, card.eligible_expenses) },
+    { key: 'required_documents', title: 'Required Documents', blocks: list(null, card.required_documents) },
+    { key: 'insights', title: 'Insights', blocks: list(null, card.insights) },
+    { key: 'missing_info', title: 'Missing Information', blocks: list(null, card.missing_info) }
+  ];
+
+  if (card.source?.title || card.source?.url) {
+    sections.push({
+      key: 'source',
+      title: 'Source',
+      blocks: [{ type: 'paragraph', text: [card.source.title, card.source.url].filter(Boolean).join(' - ') }]
+    });
+  }
+
+  return sections.filter(section => section.blocks.length > 0);
+}
+
+/**
+ * Render a grant card as Markdown
+ * @param {Object} card - Validated grant card
+ * @returns {string} Markdown
+ */
+export function renderGrantCardMarkdown(card) {
+  const lines = [`# ${card.program_name}`, ''];
+
+  for (const section of buildGrantCardSections(card)) {
+    lines.push(`## ${section.title}`, '');
+
+    for (const block of section.blocks) {
+      if (block.type === 'field') {
+        lines.push(`**${block.label}:** ${block.value}  `);
+      } else if (block.type === 'paragraph') {
+        lines.push('', block.text, '');
+      } else if (block.type === 'list') {
+        if (block.label) lines.push('', `**${block.label}**`, '');
+        lines.push(...block.items.map(item => `- ${item}`), '');
+      }
+    }
+
+    lines.push('');
+  }
+
+  return lines.join('\n').replace(/ {2}\n(?=\n)/g, '\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a grant card as HTML
+ * @param {Object} card - Validated grant card
+ * @param {Object} options - {standalone: full HTML document (default) or just the card <article>}
+ * @returns {string} HTML
+ */
+export function renderGrantCardHtml(card, { standalone = true } = {}) {
+  const sections = buildGrantCardSections(card).map(section => {
+    const blocks = section.blocks.map(block => {
+      if (block.type === 'field') {
+        return `<p class="field"><strong>${escapeHtml(block.label)}:</strong> ${escapeHtml(block.value)}</p>`;
+      }
+      if (block.type === 'paragraph') {
+        return `<p>${escapeHtml(block.text)}</p>`;
+      }
+      return `${block.label ? `<h3>${escapeHtml(block.label)}</h3>` : ''}<ul>${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+    }).join('\n');
+
+    return `<section data-section="${section.key}">\n<h2>${escapeHtml(section.title)}</h2>\n${blocks}\n</section>`;
+  }).join('\n');
+
+  const article = `<article class="grant-card">\n<h1>${escapeHtml(card.program_name)}</h1>\n${sections}\n</article>`;
+
+  return standalone ? wrapHtmlDocument(card.program_name, article) : article;
+}
+
+/**
+ * Wrap grant card articles in a standalone HTML document
+ * @param {string} title - Document title
+ * @param {string} body - Body HTML (one or more grant card articles)
+ * @returns {string} HTML document
+ */
+export function wrapHtmlDocument(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2937; max-width: 760px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { font-size: 1.6rem; margin-bottom: 1rem; }
+  h2 { font-size: 1.15rem; border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; margin-top: 1.5rem; }
+  h3 { font-size: 0.95rem; margin: 0.75rem 0 0.25rem; }
+  .field { margin: 0.25rem 0; }
+  .grant-card + .grant-card { border-top: 2px solid #d1d5db; margin-top: 2.5rem; padding-top: 1rem; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a grant card as JSON (with the schema version it was validated against)
+ * @param {Object} card - Validated grant card
+ * @returns {string} Pretty-printed JSON
+ */
+export function renderGrantCardJson(card) {
+  return JSON.stringify({ schema_version: GRANT_CARD_SCHEMA_VERSION, ...card }, null, 2) + '\n';
+}
+
+/**
+ * Render a grant card in one of the supported formats
+ * @param {Object} card - Validated grant card
+ * @param {string} format - 'md', 'html' or 'json'
+ * @returns {Object} {body, contentType, extension}
+ */
+export function renderGrantCard(card, format) {
+  switch (format) {
+    case 'md':
+      return { body: renderGrantCardMarkdown(card), contentType: 'text/markdown; charset=utf-8', extension: 'md' };
+    case 'html':
+      return { body: renderGrantCardHtml(card), contentType: 'text/html; charset=utf-8', extension: 'html' };
+    case 'json':
+      return { body: renderGrantCardJson(card), contentType: 'application/json; charset=utf-8', extension: 'json' };
+    default:
+      throw new Error(`Unknown grant card format: ${format}`);
+  }
+}
+
+export const GRANT_CARD_FORMATS = ['md', 'html', 'json'];
@@ -0,0 +1,312 @@
+/**
+ * Grant Card Schema
+ *
+ * The structured form of a grant card. The grant-card-generator emits JSON
+ * that is validated against GRANT_CARD_SCHEMA; Markdown, HTML and JSON
+ * renderings are all produced from the validated object (see render.js).
+ *
+ * The schema is a JSON Schema subset so it can also be used as a tool
+ * input_schema (save_grant_card).
+ */
+
+export const GRANT_CARD_SCHEMA_VERSION = 1;
+
+/**
+ * Granted's 6-category grant type classification
+ * (keys match the document template grant types in tools/doc-templates)
+ */
+export const GRANT_TYPES = [
+  { id: 1, key: 'hiring', name: 'Hiring Grants' },
+  { id: 2, key: 'market-expansion', name: 'Market Expansion/Capital Costs/Systems and Processes Grants' },
+  { id: 3, key: 'training', name: 'Training Grants' },
+  { id: 4, key: 'rd', name: 'R&D Grants' },
+  { id: 5, key: 'loan', name: 'Loan Grants' },
+  { id: 6, key: 'investment', name: 'Investment Grants' }
+];
+
+const GRANT_TYPE_KEYS = GRANT_TYPES.map(type => type.key);
+
+export const FUNDER_LEVELS = ['federal', 'provincial', 'municipal', 'private', 'other'];
+export const INTAKE_TYPES = ['rolling', 'fixed', 'closed', 'unknown'];
+
+const stringList = (description, extra = {}) => ({
+  type: 'array',
+  items: { type: 'string', minLength: 1, maxLength: 500 },
+  maxItems: 30,
+  description,
+  ...extra
+});
+
+export const GRANT_CARD_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    program_name: {
+      type: 'string',
+      minLength: 3,
+      maxLength: 200,
+      description: 'Official program name (e.g., "CanExport SMEs")'
+    },
+    funder: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string', minLength: 2, maxLength: 200, description: 'Organization that funds the program' },
+        level: { type: 'string', enum: FUNDER_LEVELS, description: 'Level of government (or private)' },
+        website: { type: ['string', 'null'], pattern: '^https?://', description: 'Program page URL, or null' }
+      },
+      required: ['name', 'level']
+    },
+    grant_type: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        primary: { type: 'string', enum: GRANT_TYPE_KEYS, description: 'Primary grant type (6-category classification)' },
+        secondary: {
+          type: 'array',
+          items: { type: 'string', enum: GRANT_TYPE_KEYS },
+          maxItems: 5,
+          description: 'Other grant types the program also covers'
+        }
+      },
+      required: ['primary']
+    },
+    summary: {
+      type: 'string',
+      minLength: 20,
+      maxLength: 600,
+      description: 'Preview description: 1-2 sentences on what the program funds and for whom'
+    },
+    eligibility: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        applicants: stringList('Who can apply (business type, size, location, sector)', { minItems: 1 }),
+        requirements: stringList('Other eligibility requirements (revenue, years operating, etc.)'),
+        ineligible: stringList('Who or what is explicitly excluded'),
+        regions: stringList('Where applicants must be located (provinces, regions)')
+      },
+      required: ['applicants']
+    },
+    funding: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        min_amount: { type: ['number', 'null'], minimum: 0, description: 'Smallest award in dollars, or null' },
+        max_amount: { type: ['number', 'null'], minimum: 0, description: 'Largest award in dollars, or null' },
+        currency: { type: 'string', pattern: '^[A-Z]{3}$', description: 'ISO currency code (e.g., "CAD")' },
+        cost_share_percent: { type: ['number', 'null'], minimum: 0, maximum: 100, description: 'Share of eligible costs covered (e.g., 50), or null' },
+        description: { type: 'string', minLength: 10, maxLength: 1000, description: 'How funding works: amounts, cost share, stacking, payment' }
+      },
+      required: ['currency', 'description']
+    },
+    deadlines: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        intake: { type: 'string', enum: INTAKE_TYPES, description: 'rolling, fixed (dated intakes), closed or unknown' },
+        dates: {
+          type: 'array',
+          maxItems: 20,
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              label: { type: 'string', minLength: 2, maxLength: 200, description: 'What the date is (e.g., "Application deadline")' },
+              date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'YYYY-MM-DD' }
+            },
+            required: ['label', 'date']
+          },
+          description: 'Dated deadlines and intake windows'
+        },
+        turnaround: { type: ['string', 'null'], maxLength: 300, description: 'Time to a decision (e.g., "4-6 weeks"), or null' }
+      },
+      required: ['intake']
+    },
+    eligible_activities: stringList('Main eligible activity categories'),
+    eligible_expenses: stringList('Main eligible expense categories'),
+    required_documents: stringList('Documents needed to apply'),
+    insights: stringList('Strategic insights for applicants (what makes an application competitive)'),
+    missing_info: stringList('Information the source documents do not give (to confirm with the funder)'),
+    source: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        title: { type: 'string', maxLength: 300, description: 'Source document title' },
+        url: { type: ['string', 'null'], pattern: '^https?://', description: 'Source URL, or null' }
+      }
+    }
+  },
+  required: [
+    'program_name',
+    'funder',
+    'grant_type',
+    'summary',
+    'eligibility',
+    'funding',
+    'deadlines',
+    'required_documents',
+    'insights',
+    'missing_info'
+  ]
+};
+
+/**
+ * Name of a grant type key
+ * @param {string} key - Grant type key
+ * @returns {string} Display name (the key itself if unknown)
+ */
+export function getGrantTypeName(key) {
+  return GRANT_TYPES.find(type => type.key === key)?.name || key;
+}
+
+/**
+ * JSON type of a value as the schema names it
+ * @param {*} value - Any value
+ * @returns {string} 'null', 'array', 'number', 'string', 'boolean' or 'object'
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a (subset of) JSON Schema
+ * Supports type, enum, properties, required, additionalProperties: false,
+ * items, minItems, maxItems, minLength, maxLength, pattern, minimum, maximum.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value (for error messages)
+ * @returns {Array<Object>} Errors [{path, message}]
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  const errors = [];
+  const types = schema.type ? [].concat(schema.type) : null;
+  const type = jsonType(value);
+
+  if (value === undefined) {
+    return [{ path, message: 'is required' }];
+  }
+
+  if (types && !types.includes(type)) {
+    return [{ path, message: `must be ${types.join(' or ')} (got ${type})` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (type === 'string') {
+    if (schema.minLength != null && value.trim().length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters (got ${value.length})` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (type === 'number') {
+    if (!Number.isFinite(value)) {
+      errors.push({ path, message: 'must be a finite number' });
+    }
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items (got ${value.length})` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (type === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties[key];
+
+      if (!propertySchema) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: `${path}.${key}`, message: 'is not a grant card field' });
+        }
+        continue;
+      }
+
+      if (propertyValue !== undefined) {
+        errors.push(...validateAgainstSchema(propertyValue, propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Whether a YYYY-MM-DD string is a real calendar date
+ * @param {string} value - Date string
+ * @returns {boolean} True for a valid date
+ */
+function isCalendarDate(value) {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Validate a grant card: the schema plus rules it can't express
+ * (amount range, dated intakes, real dates, primary type not repeated)
+ * @param {Object} card - Grant card object
+ * @returns {Object} {valid, errors: [{path, message}]}
+ */
+export function validateGrantCard(card) {
+  const errors = validateAgainstSchema(card, GRANT_CARD_SCHEMA);
+
+  if (jsonType(card) === 'object') {
+    const { funding, deadlines, grant_type: grantType } = card;
+
+    if (typeof funding?.min_amount === 'number' && typeof funding?.max_amount === 'number' &&
+        funding.min_amount > funding.max_amount) {
+      errors.push({ path: '$.funding.min_amount', message: 'must not be greater than funding.max_amount' });
+    }
+
+    if (Array.isArray(deadlines?.dates)) {
+      deadlines.dates.forEach((entry, index) => {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(entry?.date || '') && !isCalendarDate(entry.date)) {
+          errors.push({ path: `$.deadlines.dates[${index}].date`, message: `${entry.date} is not a real date` });
+        }
+      });
+    }
+
+    if (deadlines?.intake === 'fixed' && !(deadlines.dates?.length > 0)) {
+      errors.push({ path: '$.deadlines.dates', message: 'must list at least one date when intake is "fixed"' });
+    }
+
+    if (Array.isArray(grantType?.secondary) && grantType.secondary.includes(grantType.primary)) {
+      errors.push({ path: '$.grant_type.secondary', message: 'must not repeat the primary grant type' });
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
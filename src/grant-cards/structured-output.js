@@ -0,0 +1,175 @@
+/**
+ * Structured Grant Card Output
+ *
+ * Gets a schema-valid grant card out of the model:
+ * - GRANT_CARD_JSON_INSTRUCTIONS asks for a JSON object matching the schema
+ * - parseGrantCard extracts and validates it
+ * - generateGrantCard sends a repair prompt listing the validation errors
+ *   until the card is valid (or the attempts run out)
+ */
+
+import { getProvider } from '../providers/index.js';
+import { GRANT_CARD_SCHEMA, validateGrantCard } from './schema.js';
+
+// Model calls per card: the first answer plus repairs
+export const MAX_GRANT_CARD_ATTEMPTS = 3;
+
+const DEFAULT_MODEL = 'claude-sonnet-4-5-20250929';
+const DEFAULT_MAX_TOKENS = 8192;
+
+// Validation errors listed in one repair prompt
+const MAX_REPAIR_ERRORS = 25;
+
+export const GRANT_CARD_JSON_INSTRUCTIONS = `Return the grant card as a single JSON object that matches this JSON Schema exactly - no Markdown, no commentary, nothing before or after the JSON:
+
+${JSON.stringify(GRANT_CARD_SCHEMA)}
+
+Rules:
+- grant_type.primary is one of Granted's 6 grant types: hiring, market-expansion, training, rd, loan, investment
+- Amounts are plain numbers in dollars (50000, not "$50K"); use null when the document doesn't say
+- Dates are YYYY-MM-DD; list every dated deadline under deadlines.dates
+- Anything the document doesn't answer goes in missing_info - never guess`;
+
+/**
+ * Error for a grant card that is still invalid after every repair attempt
+ */
+export class GrantCardValidationError extends Error {
+  constructor(errors, output = null) {
+    super(`Grant card failed validation: ${errors.slice(0, 3).map(error => `${error.path} ${error.message}`).join('; ')}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`);
+    this.name = 'GrantCardValidationError';
+    this.errors = errors;
+    this.output = output;
+  }
+}
+
+/**
+ * Extract the JSON object from a model response
+ * (tolerates a ```json fence or text around the object)
+ * @param {string} text - Model response
+ * @returns {string|null} JSON text, or null if there is no object
+ */
+export function extractJsonObject(text) {
+  const fenced = /```(?:json)?\s*\n([\s\S]*?)\n```/.exec(text || '');
+  const candidate = fenced ? fenced[1] : (text || '');
+
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+
+  return start !== -1 && end > start ? candidate.slice(start, end + 1) : null;
+}
+
+/**
+ * Parse and validate a grant card from a model response
+ * @param {string} text - Model response
+ * @returns {Object} {card, errors} - card is null unless it is valid
+ */
+export function parseGrantCard(text) {
+  const json = extractJsonObject(text);
+
+  if (!json) {
+    return { card: null, errors: [{ path: '$', message: 'no JSON object found in the response' }] };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    return { card: null, errors: [{ path: '$', message: `is not valid JSON (${error.message})` }] };
+  }
+
+  // Tolerate a schema_version from a previous JSON rendering
+  delete parsed.schema_version;
+
+  const { valid, errors } = validateGrantCard(parsed);
+
+  return { card: valid ? parsed : null, errors };
+}
+
+/**
+ * The follow-up prompt asking the model to fix an invalid grant card
+ * @param {Array<Object>} errors - Validation errors [{path, message}]
+ * @returns {string} Repair prompt
+ */
+export function buildRepairPrompt(errors) {
+  const listed = errors.slice(0, MAX_REPAIR_ERRORS).map(error => `- ${error.path} ${error.message}`);
+  if (errors.length > MAX_REPAIR_ERRORS) {
+    listed.push(`- ...and ${errors.length - MAX_REPAIR_ERRORS} more`);
+  }
+
+  return `The grant card JSON failed validation:
+
+${listed.join('\n')}
+
+Return the complete corrected grant card as a single JSON object matching the schema. Fix only what is listed; keep everything else the same.`;
+}
+
+/**
+ * Text of a Messages API response
+ * @param {Object} message - Messages API response
+ * @returns {string} Text blocks joined
+ */
+function responseText(message) {
+  return (message.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('')
+    .trim();
+}
+
+/**
+ * Ask the model for a grant card, repairing it until it validates
+ * @param {Object} options - Generation options
+ * @param {Array<Object>} options.messages - Conversation so far (ends with a user message asking for the card)
+ * @param {string|null} options.systemPrompt - System prompt
+ * @param {string|null} options.model - Model (default Sonnet)
+ * @param {number} options.maxTokens - Output token limit per call
+ * @param {number} options.maxAttempts - Model calls, including the first
+ * @param {Object|undefined} options.requestOptions - Request options (e.g. Files API beta header)
+ * @returns {Promise<Object>} {card, output, attempts, usage: {input_tokens, output_tokens}}
+ * @throws {GrantCardValidationError} When the card is still invalid after the last attempt
+ */
+export async function generateGrantCard({
+  messages,
+  systemPrompt = null,
+  model = null,
+  maxTokens = DEFAULT_MAX_TOKENS,
+  maxAttempts = MAX_GRANT_CARD_ATTEMPTS,
+  requestOptions = undefined
+}) {
+  const conversation = [...messages];
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  let errors = [];
+  let output = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const message = await getProvider().createMessage({
+      model: model || DEFAULT_MODEL,
+      max_tokens: maxTokens,
+      messages: conversation,
+      ...(systemPrompt && { system: systemPrompt })
+    }, requestOptions);
+
+    usage.input_tokens += message.usage?.input_tokens || 0;
+    usage.output_tokens += message.usage?.output_tokens || 0;
+
+    output = responseText(message);
+    const parsed = parseGrantCard(output);
+
+    if (parsed.card) {
+      return { card: parsed.card, output, attempts: attempt, usage };
+    }
+
+    errors = message.stop_reason === 'max_tokens'
+      ? [{ path: '$', message: 'was cut off at the output token limit - keep list items short' }, ...parsed.errors]
+      : parsed.errors;
+
+    console.warn(`⚠️  Grant card attempt ${attempt}/${maxAttempts} failed validation (${errors.length} error(s))`);
+
+    conversation.push(
+      { role: 'assistant', content: output || '(empty response)' },
+      { role: 'user', content: buildRepairPrompt(errors) }
+    );
+  }
+
+  throw new GrantCardValidationError(errors, output);
+}
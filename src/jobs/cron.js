@@ -0,0 +1,148 @@
+/**
+ * Cron Expressions
+ *
+ * Minimal five-field cron parser for recurring background jobs:
+ *   minute hour day-of-month month day-of-week
+ * Fields support *, numbers, ranges (1-5), lists (1,15) and steps (*\/15, 0-30/10).
+ * Day of week is 0-6 (Sunday = 0, 7 also means Sunday). Times are UTC.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Give up looking for a matching time after this many days (e.g. "0 0 31 2 *")
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} field - Field text
+ * @param {Object} spec - {name, min, max}
+ * @returns {Set<number>} Matching values
+ */
+function parseField(field, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+
+    if (!match) {
+      throw new Error(`Invalid cron ${name} field: ${field}`);
+    }
+
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : parseInt(start, 10);
+    const to = range === '*' ? max : end !== undefined ? parseInt(end, 10) : step ? max : from;
+    const increment = step ? parseInt(step, 10) : 1;
+
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`Invalid cron ${name} field: ${field} (allowed ${min}-${max})`);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field expression or @hourly/@daily/@weekly/@monthly
+ * @returns {Object} {minute, hour, dayOfMonth, month, dayOfWeek} value sets, plus whether
+ *   the day fields are restricted (when both are, a day matching either runs)
+ * @throws {Error} When the expression is invalid
+ */
+export function parseCron(expression) {
+  const text = ALIASES[String(expression).trim()] || String(expression).trim();
+  const parts = text.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}" (expected ${FIELDS.length} fields)`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((spec, i) => {
+    schedule[spec.name] = parseField(parts[i], spec);
+  });
+
+  if (schedule.dayOfWeek.has(7)) {
+    schedule.dayOfWeek.add(0);
+  }
+
+  schedule.dayOfMonthRestricted = parts[2] !== '*';
+  schedule.dayOfWeekRestricted = parts[4] !== '*';
+
+  return schedule;
+}
+
+/**
+ * Whether a cron schedule runs on a day
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Day (UTC)
+ * @returns {boolean} True if the day matches
+ */
+function matchesDay(schedule, date) {
+  if (!schedule.month.has(date.getUTCMonth() + 1)) {
+    return false;
+  }
+
+  const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Find the next time a cron expression fires, strictly after a given time
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Start time (default: now)
+ * @returns {Date} Next run time (UTC, whole minute)
+ * @throws {Error} When the expression is invalid or never fires
+ */
+export function nextCronRun(expression, after = new Date()) {
+  const schedule = parseCron(expression);
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return date;
+  }
+
+  throw new Error(`Cron expression "${expression}" never fires`);
+}
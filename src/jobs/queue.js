@@ -0,0 +1,332 @@
+/**
+ * Background Job Queue
+ *
+ * Durable replacement for fire-and-forget promises: jobs are rows in
+ * background_jobs, so they survive restarts and failed attempts are retried
+ * with exponential backoff. A worker loop (started from server.js) polls for
+ * due jobs, enqueues recurring jobs from cron schedules and requeues jobs
+ * abandoned by a stopped worker.
+ *
+ * Job types and schedules are registered in src/jobs/tasks.js.
+ */
+
+import os from 'os';
+import * as jobsDb from '../database/background-jobs.js';
+import { nextCronRun, parseCron } from './cron.js';
+import { withTimeout, TimeoutError } from '../utils/concurrency.js';
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 5,
+  backoffMs: 30 * 1000,
+  maxBackoffMs: 60 * 60 * 1000,
+  timeoutMs: 10 * 60 * 1000
+};
+
+// Running jobs are considered abandoned (worker restarted) this long after the
+// longest job timeout, so a job that is still running is never requeued
+const LOCK_TIMEOUT_MARGIN_MS = 10 * 60 * 1000;
+
+const handlers = new Map();
+const schedules = new Map();
+
+let worker = null;
+
+/**
+ * Error for a job that must not be retried (bad payload, missing record)
+ */
+export class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+/**
+ * Register the handler for a job type
+ * @param {string} jobType - Job type (e.g. 'conversation-title')
+ * @param {Function} handler - async (payload, job, {signal}) => result (stored as JSON); throw to retry.
+ *   signal is aborted when the job times out - long handlers should stop at the next step
+ * @param {Object} options - {maxAttempts, backoffMs, maxBackoffMs, timeoutMs}
+ */
+export function registerJobHandler(jobType, handler, options = {}) {
+  const merged = { ...DEFAULT_OPTIONS, ...options };
+
+  // Stale-lock detection (getLockTimeoutMs) needs every job to have a deadline
+  if (!Number.isFinite(merged.timeoutMs) || merged.timeoutMs <= 0) {
+    throw new Error(`Job type ${jobType} needs a finite timeoutMs`);
+  }
+
+  handlers.set(jobType, { handler, options: merged });
+}
+
+/**
+ * Options a job type was registered with
+ * @param {string} jobType - Job type
+ * @returns {Object|null} {maxAttempts, backoffMs, maxBackoffMs, timeoutMs}, or null if not registered
+ */
+export function getJobOptions(jobType) {
+  return handlers.get(jobType)?.options || null;
+}
+
+/**
+ * How long a job may stay locked before the worker loop requeues it:
+ * the longest registered job timeout plus a margin
+ * @returns {number} Lock timeout in milliseconds
+ */
+export function getLockTimeoutMs() {
+  const timeouts = [...handlers.values()].map(({ options }) => options.timeoutMs);
+  return Math.max(DEFAULT_OPTIONS.timeoutMs, ...timeouts) + LOCK_TIMEOUT_MARGIN_MS;
+}
+
+/**
+ * Register a recurring job (saved to background_job_schedules when the worker starts)
+ * @param {Object} schedule - Schedule
+ * @param {string} schedule.name - Unique schedule name
+ * @param {string} schedule.jobType - Job type to enqueue
+ * @param {string} schedule.cron - Cron expression (UTC, see cron.js)
+ * @param {Object} schedule.payload - Job payload
+ * @throws {Error} When the cron expression is invalid
+ */
+export function registerJobSchedule({ name, jobType, cron, payload = {} }) {
+  parseCron(cron);
+  schedules.set(name, { name, jobType, cron, payload });
+}
+
+/**
+ * Registered job types
+ * @returns {Array<string>} Job types
+ */
+export function getRegisteredJobTypes() {
+  return [...handlers.keys()];
+}
+
+/**
+ * Registered recurring jobs
+ * @returns {Array<Object>} Schedules
+ */
+export function getRegisteredJobSchedules() {
+  return [...schedules.values()];
+}
+
+/**
+ * Delay before retrying a failed attempt (exponential backoff)
+ * @param {number} attempt - Attempt that failed (1 = first)
+ * @param {Object} options - {backoffMs, maxBackoffMs}
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt, { backoffMs = DEFAULT_OPTIONS.backoffMs, maxBackoffMs = DEFAULT_OPTIONS.maxBackoffMs } = {}) {
+  return Math.min(backoffMs * 2 ** Math.max(attempt - 1, 0), maxBackoffMs);
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} jobType - Job type
+ * @param {Object} payload - Handler payload (JSON)
+ * @param {Object} options - {delayMs, maxAttempts, dedupeKey, scheduleName}
+ * @returns {Promise<Object|null>} Job record, or null when a pending/running job has the same dedupeKey
+ */
+export async function enqueueJob(jobType, payload = {}, options = {}) {
+  const registered = handlers.get(jobType);
+
+  const job = await jobsDb.insertJob({
+    jobType,
+    payload,
+    delayMs: options.delayMs || 0,
+    maxAttempts: options.maxAttempts || registered?.options.maxAttempts || DEFAULT_OPTIONS.maxAttempts,
+    dedupeKey: options.dedupeKey || null,
+    scheduleName: options.scheduleName || null
+  });
+
+  if (job) {
+    console.log(`📥 Job ${job.id} enqueued: ${jobType}`);
+  } else {
+    console.log(`📥 Job ${jobType} already queued (${options.dedupeKey})`);
+  }
+
+  return job;
+}
+
+/**
+ * Log a job whose outcome was not recorded because it is no longer running
+ * under this worker (requeued as abandoned, then possibly claimed again)
+ * @param {Object} job - background_jobs row
+ * @returns {string} 'lost'
+ */
+function reportLostLock(job) {
+  console.warn(`⚠️  Job ${job.id} (${job.job_type}) lost its lock to another run, outcome not recorded`);
+  return 'lost';
+}
+
+/**
+ * Run a claimed job and record the outcome
+ * The outcome is only recorded if this worker still holds the job's lock.
+ * @param {Object} job - background_jobs row (status running, locked_by this worker)
+ * @returns {Promise<string>} 'completed', 'retrying', 'failed' or 'lost'
+ */
+export async function runJob(job) {
+  const registered = handlers.get(job.job_type);
+  const startTime = Date.now();
+
+  if (!registered) {
+    await jobsDb.failJob(job.id, job.locked_by, `No handler registered for job type: ${job.job_type}`);
+    return 'failed';
+  }
+
+  const { handler, options } = registered;
+  const label = `Job ${job.id} (${job.job_type})`;
+
+  // Aborted on timeout so the handler can stop instead of running on unseen
+  const controller = new AbortController();
+  const execution = Promise.resolve().then(() => handler(job.payload || {}, job, { signal: controller.signal }));
+
+  try {
+    const result = await withTimeout(execution, options.timeoutMs, label, () => controller.abort());
+
+    if (!await jobsDb.completeJob(job.id, job.locked_by, result ?? null)) {
+      return reportLostLock(job);
+    }
+
+    console.log(`✅ Job ${job.id} completed: ${job.job_type} (${Date.now() - startTime}ms)`);
+
+    return 'completed';
+  } catch (error) {
+    // A timed-out job stays running (and locked) until its handler has
+    // stopped, so a retry never runs alongside the attempt that timed out
+    if (error instanceof TimeoutError) {
+      console.warn(`⏱️  ${label} timed out, waiting for the handler to stop`);
+      await execution.catch(() => {});
+    }
+
+    const canRetry = !(error instanceof PermanentJobError) && job.attempts < job.max_attempts;
+    const retryDelayMs = canRetry ? getRetryDelay(job.attempts, options) : null;
+
+    if (!await jobsDb.failJob(job.id, job.locked_by, error.message, retryDelayMs)) {
+      return reportLostLock(job);
+    }
+
+    if (canRetry) {
+      console.warn(`⚠️  Job ${job.id} (${job.job_type}) attempt ${job.attempts}/${job.max_attempts} failed, retrying in ${Math.round(retryDelayMs / 1000)}s: ${error.message}`);
+      return 'retrying';
+    }
+
+    console.error(`❌ Job ${job.id} (${job.job_type}) failed after ${job.attempts} attempt(s):`, error.message);
+    return 'failed';
+  }
+}
+
+/**
+ * One pass of the worker loop: requeue abandoned jobs, enqueue due scheduled
+ * jobs, then run due jobs until none are left (or the worker is stopping)
+ * @param {string} workerId - Worker ID recorded on claimed jobs
+ * @param {Function} shouldStop - () => boolean
+ * @returns {Promise<number>} Number of jobs run
+ */
+export async function runWorkerTick(workerId, shouldStop = () => false) {
+  const released = await jobsDb.releaseStaleJobs(getLockTimeoutMs());
+  if (released > 0) {
+    console.warn(`⚠️  Requeued ${released} job(s) abandoned by a stopped worker`);
+  }
+
+  await jobsDb.enqueueDueScheduledJobs(nextCronRun);
+
+  let count = 0;
+  const jobTypes = getRegisteredJobTypes();
+
+  while (!shouldStop() && jobTypes.length > 0) {
+    const job = await jobsDb.claimNextJob(workerId, jobTypes);
+    if (!job) break;
+
+    if (worker) worker.currentJob = job;
+    await runJob(job);
+    if (worker) worker.currentJob = null;
+    count++;
+  }
+
+  return count;
+}
+
+/**
+ * Start the worker loop (one job at a time per server instance)
+ * @param {Object} options - {pollIntervalMs}
+ * @returns {Promise<void>}
+ */
+export async function startJobWorker({ pollIntervalMs = 5000 } = {}) {
+  if (worker) return;
+
+  const workerId = `${os.hostname()}:${process.pid}`;
+
+  await jobsDb.upsertJobSchedules(getRegisteredJobSchedules().map(schedule => ({
+    ...schedule,
+    nextRunAt: nextCronRun(schedule.cron)
+  })));
+
+  worker = {
+    workerId,
+    pollIntervalMs,
+    stopping: false,
+    timer: null,
+    tick: null,
+    currentJob: null,
+    lastTickAt: null,
+    startedAt: new Date()
+  };
+
+  const loop = async () => {
+    const current = worker;
+    if (!current || current.stopping) return;
+
+    current.tick = runWorkerTick(workerId, () => current.stopping)
+      .catch(error => console.error('Job worker error:', error))
+      .finally(() => {
+        current.lastTickAt = new Date();
+        current.tick = null;
+        if (!current.stopping) {
+          current.timer = setTimeout(loop, pollIntervalMs);
+          if (current.timer.unref) current.timer.unref();
+        }
+      });
+  };
+
+  console.log(`👷 Job worker started (${workerId}): ${getRegisteredJobTypes().join(', ')}`);
+  loop();
+}
+
+/**
+ * Stop the worker loop, waiting for the running job to finish
+ * @returns {Promise<void>}
+ */
+export async function stopJobWorker() {
+  if (!worker) return;
+
+  const current = worker;
+  current.stopping = true;
+  clearTimeout(current.timer);
+
+  if (current.tick) {
+    await current.tick;
+  }
+
+  worker = null;
+  console.log('✓ Job worker stopped');
+}
+
+/**
+ * Status of this server's worker (for the admin dashboard)
+ * @returns {Object} {running, workerId, startedAt, lastTickAt, currentJob, pollIntervalMs}
+ */
+export function getJobWorkerStatus() {
+  if (!worker) {
+    return { running: false };
+  }
+
+  return {
+    running: true,
+    workerId: worker.workerId,
+    startedAt: worker.startedAt,
+    lastTickAt: worker.lastTickAt,
+    pollIntervalMs: worker.pollIntervalMs,
+    currentJob: worker.currentJob
+      ? { id: worker.currentJob.id, jobType: worker.currentJob.job_type, attempt: worker.currentJob.attempts }
+      : null
+  };
+}
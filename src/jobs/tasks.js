@@ -0,0 +1,330 @@
+/**
+ * Background Job Tasks
+ *
+ * Job types run by the job worker, and the recurring schedules that enqueue them:
+ * - conversation-title: smart title for a new conversation
+ * - feedback-learning: learn from feedback for one agent, or fan out to every agent with feedback
+ * - sentiment-backfill: sentiment analysis for feedback that has none yet
+ * - job-cleanup: delete old completed/cancelled jobs
+ * - message-search-backfill: index messages saved before conversation search existed
+ * - grant-card-batch-submit / grant-card-batch-poll: send a grant card batch to the
+ *   Message Batches API, then check it until it ends and save the grant cards
+ * - grant-card-batch-repair: repair one batch grant card that failed validation
+ *
+ * Importing this module registers everything with the queue.
+ */
+
+import { registerJobHandler, registerJobSchedule, enqueueJob, PermanentJobError } from './queue.js';
+import { generateAndSaveTitle } from '../utils/conversation-titles.js';
+import { runFeedbackLearning } from '../feedback-learning/orchestrator.js';
+import { getAgentTypesWithFeedback } from '../feedback-learning/retrieval.js';
+import { analyzeBatchSentiment, calculateSentimentStats } from '../feedback-learning/sentiment-analyzer.js';
+import { getFeedbackPendingAnalysis, saveFeedbackSentiment } from '../database/sentiment.js';
+import { deleteOldJobs } from '../database/background-jobs.js';
+import { backfillSearchVectors } from '../database/conversation-search.js';
+import {
+  submitGrantCardBatch,
+  pollGrantCardBatch,
+  repairGrantCardBatchItem,
+  failGrantCardBatchRepair
+} from '../services/grant-card-batches.js';
+import { finishGrantCardBatch } from '../database/grant-card-batches.js';
+
+export const JOB_TYPES = {
+  CONVERSATION_TITLE: 'conversation-title',
+  FEEDBACK_LEARNING: 'feedback-learning',
+  SENTIMENT_BACKFILL: 'sentiment-backfill',
+  JOB_CLEANUP: 'job-cleanup',
+  MESSAGE_SEARCH_BACKFILL: 'message-search-backfill',
+  GRANT_CARD_BATCH_SUBMIT: 'grant-card-batch-submit',
+  GRANT_CARD_BATCH_POLL: 'grant-card-batch-poll',
+  GRANT_CARD_BATCH_REPAIR: 'grant-card-batch-repair'
+};
+
+// Feedback items per sentiment batch, and batches per backfill job
+const SENTIMENT_BATCH_SIZE = 100;
+const SENTIMENT_MAX_BATCHES = 10;
+
+// Days completed/cancelled jobs are kept
+const JOB_RETENTION_DAYS = 30;
+
+// Rows per table per search backfill batch, and batches per job
+const SEARCH_BACKFILL_BATCH_SIZE = 500;
+const SEARCH_BACKFILL_MAX_BATCHES = 40;
+
+// How often a submitted grant card batch is checked
+const GRANT_CARD_BATCH_POLL_MS = 60 * 1000;
+
+/**
+ * Generate and save a conversation title
+ * @param {Object} payload - {conversationId, message, agentType}
+ * @returns {Promise<Object>} {title}
+ */
+async function runConversationTitleJob({ conversationId, message, agentType }) {
+  if (!conversationId || !message) {
+    throw new PermanentJobError('conversation-title job needs conversationId and message');
+  }
+
+  try {
+    const title = await generateAndSaveTitle(conversationId, message, agentType);
+    return { title };
+  } catch (error) {
+    // Conversation deleted before the job ran
+    if (error.message === 'Conversation not found') {
+      throw new PermanentJobError(error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run feedback learning for one agent, or enqueue a job per agent with feedback
+ * (so one agent failing is retried without re-running the others)
+ * @param {Object} payload - {agentType} (omit for all agents)
+ * @returns {Promise<Object>} Learning result, or {enqueued: [agentType]}
+ */
+async function runFeedbackLearningJob({ agentType = null }) {
+  if (!agentType) {
+    const agents = await getAgentTypesWithFeedback();
+    const enqueued = [];
+
+    for (const agent of agents) {
+      const job = await enqueueJob(JOB_TYPES.FEEDBACK_LEARNING, { agentType: agent.agent_type }, {
+        dedupeKey: `${JOB_TYPES.FEEDBACK_LEARNING}:${agent.agent_type}`
+      });
+      if (job) enqueued.push(agent.agent_type);
+    }
+
+    return { enqueued };
+  }
+
+  const result = await runFeedbackLearning(agentType);
+
+  if (!result.success) {
+    throw new Error(result.error || `Feedback learning failed for ${agentType}`);
+  }
+
+  return {
+    agentType,
+    status: result.status,
+    report: result.report || null,
+    filesWritten: result.filesWritten || []
+  };
+}
+
+/**
+ * Analyze sentiment for feedback that has none, in batches until none is left
+ * (or the job times out - finished batches are already saved)
+ * @param {Object} payload - {maxBatches}
+ * @param {Object} job - background_jobs row
+ * @param {Object} context - {signal}
+ * @returns {Promise<Object>} {analyzed, remaining, stats}
+ */
+async function runSentimentBackfillJob({ maxBatches = SENTIMENT_MAX_BATCHES }, job, { signal }) {
+  const analyses = [];
+  let remaining = false;
+
+  for (let batch = 0; batch < maxBatches && !signal.aborted; batch++) {
+    const pendingFeedback = await getFeedbackPendingAnalysis(SENTIMENT_BATCH_SIZE);
+
+    if (pendingFeedback.length === 0) {
+      remaining = false;
+      break;
+    }
+
+    console.log(`📊 Sentiment backfill: analyzing ${pendingFeedback.length} feedback items`);
+    const batchAnalyses = await analyzeBatchSentiment(pendingFeedback);
+
+    // Saved per batch, so a retry only re-analyzes what is still pending
+    for (let i = 0; i < pendingFeedback.length; i++) {
+      await saveFeedbackSentiment(pendingFeedback[i].id, batchAnalyses[i], pendingFeedback[i].source_table);
+    }
+
+    analyses.push(...batchAnalyses);
+    remaining = pendingFeedback.length === SENTIMENT_BATCH_SIZE;
+  }
+
+  return {
+    analyzed: analyses.length,
+    remaining,
+    stats: analyses.length > 0 ? calculateSentimentStats(analyses) : null
+  };
+}
+
+/**
+ * Index messages and tool results that have no search vector yet, in small
+ * batches so no long-running update holds row locks on the messages table
+ * @param {Object} payload - {maxBatches}
+ * @param {Object} job - background_jobs row
+ * @param {Object} context - {signal}
+ * @returns {Promise<Object>} {messages, toolResults, remaining}
+ */
+async function runMessageSearchBackfillJob({ maxBatches = SEARCH_BACKFILL_MAX_BATCHES }, job, { signal }) {
+  const indexed = { messages: 0, toolResults: 0 };
+  let remaining = false;
+
+  for (let batch = 0; batch < maxBatches && !signal.aborted; batch++) {
+    const { messages, toolResults } = await backfillSearchVectors(SEARCH_BACKFILL_BATCH_SIZE);
+
+    indexed.messages += messages;
+    indexed.toolResults += toolResults;
+    remaining = messages === SEARCH_BACKFILL_BATCH_SIZE || toolResults === SEARCH_BACKFILL_BATCH_SIZE;
+
+    if (!remaining) break;
+  }
+
+  if (indexed.messages > 0 || indexed.toolResults > 0) {
+    console.log(`🔎 Search backfill: indexed ${indexed.messages} messages and ${indexed.toolResults} tool results`);
+  }
+
+  return { ...indexed, remaining };
+}
+
+/**
+ * Mark a grant card batch failed when its job has used its last attempt,
+ * so the batch does not stay "processing" forever
+ * @param {Object} job - background_jobs row
+ * @param {string} batchId - Batch UUID
+ * @param {Error} error - Job error
+ */
+async function failGrantCardBatchOnLastAttempt(job, batchId, error) {
+  if (error instanceof PermanentJobError || job.attempts >= job.max_attempts) {
+    await finishGrantCardBatch(batchId, 'failed', error.message);
+  }
+}
+
+/**
+ * Submit a grant card batch, then start polling it
+ * @param {Object} payload - {batchId}
+ * @param {Object} job - background_jobs row
+ * @returns {Promise<Object>} Submit result
+ */
+async function runGrantCardBatchSubmitJob({ batchId }, job) {
+  if (!batchId) {
+    throw new PermanentJobError('grant-card-batch-submit job needs batchId');
+  }
+
+  try {
+    const result = await submitGrantCardBatch(batchId);
+
+    if (result.submitted) {
+      await enqueueJob(JOB_TYPES.GRANT_CARD_BATCH_POLL, { batchId }, { delayMs: GRANT_CARD_BATCH_POLL_MS });
+    }
+
+    return result;
+  } catch (error) {
+    await failGrantCardBatchOnLastAttempt(job, batchId, error);
+    throw error;
+  }
+}
+
+/**
+ * Check a grant card batch; until it has ended, enqueue the next check
+ * (a new job each time, since a running job keeps its own dedupe key).
+ * Once it has ended, enqueue a repair job per card that failed validation.
+ * @param {Object} payload - {batchId}
+ * @param {Object} job - background_jobs row
+ * @returns {Promise<Object>} {done, requestCounts, repairItemIds}
+ */
+async function runGrantCardBatchPollJob({ batchId }, job) {
+  if (!batchId) {
+    throw new PermanentJobError('grant-card-batch-poll job needs batchId');
+  }
+
+  try {
+    const result = await pollGrantCardBatch(batchId);
+
+    if (!result.done) {
+      await enqueueJob(JOB_TYPES.GRANT_CARD_BATCH_POLL, { batchId }, { delayMs: GRANT_CARD_BATCH_POLL_MS });
+    }
+
+    for (const itemId of result.repairItemIds) {
+      await enqueueJob(JOB_TYPES.GRANT_CARD_BATCH_REPAIR, { batchId, itemId }, {
+        dedupeKey: `${JOB_TYPES.GRANT_CARD_BATCH_REPAIR}:${itemId}`
+      });
+    }
+
+    return result;
+  } catch (error) {
+    await failGrantCardBatchOnLastAttempt(job, batchId, error);
+    throw error;
+  }
+}
+
+/**
+ * Repair one batch grant card that failed validation; when the job has used
+ * its last attempt the card is marked failed, so the batch can still complete
+ * @param {Object} payload - {batchId, itemId}
+ * @param {Object} job - background_jobs row
+ * @param {Object} context - {signal}
+ * @returns {Promise<Object>} {itemId, status, batchCompleted}
+ */
+async function runGrantCardBatchRepairJob({ batchId, itemId }, job, { signal }) {
+  if (!batchId || !itemId) {
+    throw new PermanentJobError('grant-card-batch-repair job needs batchId and itemId');
+  }
+
+  try {
+    return await repairGrantCardBatchItem(batchId, itemId, { signal });
+  } catch (error) {
+    if (job.attempts >= job.max_attempts) {
+      await failGrantCardBatchRepair(batchId, itemId, error.message);
+    }
+    throw error;
+  }
+}
+
+registerJobHandler(JOB_TYPES.CONVERSATION_TITLE, runConversationTitleJob, {
+  maxAttempts: 3,
+  backoffMs: 10 * 1000,
+  timeoutMs: 60 * 1000
+});
+
+registerJobHandler(JOB_TYPES.FEEDBACK_LEARNING, runFeedbackLearningJob, {
+  maxAttempts: 3,
+  backoffMs: 5 * 60 * 1000,
+  timeoutMs: 15 * 60 * 1000
+});
+
+registerJobHandler(JOB_TYPES.SENTIMENT_BACKFILL, runSentimentBackfillJob, {
+  maxAttempts: 5,
+  backoffMs: 60 * 1000,
+  timeoutMs: 20 * 60 * 1000
+});
+
+registerJobHandler(JOB_TYPES.JOB_CLEANUP, async () => ({
+  deleted: await deleteOldJobs(JOB_RETENTION_DAYS)
+}), { maxAttempts: 2 });
+
+registerJobHandler(JOB_TYPES.MESSAGE_SEARCH_BACKFILL, runMessageSearchBackfillJob, {
+  maxAttempts: 3,
+  backoffMs: 5 * 60 * 1000,
+  timeoutMs: 10 * 60 * 1000
+});
+
+registerJobHandler(JOB_TYPES.GRANT_CARD_BATCH_SUBMIT, runGrantCardBatchSubmitJob, {
+  maxAttempts: 3,
+  backoffMs: 60 * 1000,
+  timeoutMs: 5 * 60 * 1000
+});
+
+registerJobHandler(JOB_TYPES.GRANT_CARD_BATCH_POLL, runGrantCardBatchPollJob, {
+  maxAttempts: 5,
+  backoffMs: 60 * 1000,
+  timeoutMs: 10 * 60 * 1000
+});
+
+// One card: up to two model calls with 8K-token answers
+registerJobHandler(JOB_TYPES.GRANT_CARD_BATCH_REPAIR, runGrantCardBatchRepairJob, {
+  maxAttempts: 3,
+  backoffMs: 60 * 1000,
+  timeoutMs: 15 * 60 * 1000
+});
+
+// Nightly learning at 09:00 UTC (early morning Pacific), hourly sentiment backfill
+registerJobSchedule({ name: 'feedback-learning-nightly', jobType: JOB_TYPES.FEEDBACK_LEARNING, cron: '0 9 * * *' });
+registerJobSchedule({ name: 'sentiment-backfill-hourly', jobType: JOB_TYPES.SENTIMENT_BACKFILL, cron: '15 * * * *' });
+registerJobSchedule({ name: 'job-cleanup-daily', jobType: JOB_TYPES.JOB_CLEANUP, cron: '30 10 * * *' });
+
+// Search backfill every 10 minutes until older messages are indexed (a no-op after that)
+registerJobSchedule({ name: 'message-search-backfill', jobType: JOB_TYPES.MESSAGE_SEARCH_BACKFILL, cron: '*/10 * * * *' });
@@ -0,0 +1,119 @@
+/**
+ * BM25 Index
+ *
+ * Small in-memory Okapi BM25 index for the local knowledge base. No external
+ * service: documents are tokenized with a light English normalizer and scored
+ * with the standard BM25 formula (k1 = 1.2, b = 0.75).
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'so', 'such',
+  'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'was',
+  'we', 'were', 'what', 'when', 'where', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Reduce a word to a rough stem (plurals and common verb endings)
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into index terms
+ * @param {string} text - Text
+ * @returns {Array<string>} Terms (lowercased, stemmed, without stopwords)
+ */
+export function tokenize(text) {
+  return (String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[a-z0-9]+/g) || [])
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Build a BM25 index
+ * @param {Array<Object>} documents - [{id, text, ...}] (other fields are returned with results)
+ * @returns {Object} Index for searchIndex
+ */
+export function buildIndex(documents) {
+  const entries = documents.map(document => {
+    const terms = tokenize(document.text);
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    return { document, length: terms.length, frequencies };
+  });
+
+  const documentFrequency = new Map();
+  for (const entry of entries) {
+    for (const term of entry.frequencies.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const totalLength = entries.reduce((sum, entry) => sum + entry.length, 0);
+
+  return {
+    entries,
+    documentFrequency,
+    averageLength: entries.length > 0 ? totalLength / entries.length : 0
+  };
+}
+
+/**
+ * Search a BM25 index
+ * @param {Object} index - Output of buildIndex
+ * @param {string} queryText - Search query
+ * @param {number} limit - Maximum number of results
+ * @returns {Array<Object>} [{document, score}], best first (only documents matching a query term)
+ */
+export function searchIndex(index, queryText, limit = 5) {
+  const queryTerms = [...new Set(tokenize(queryText))];
+  const total = index.entries.length;
+
+  if (queryTerms.length === 0 || total === 0) {
+    return [];
+  }
+
+  const idf = new Map(queryTerms.map(term => {
+    const frequency = index.documentFrequency.get(term) || 0;
+    return [term, Math.log(1 + (total - frequency + 0.5) / (frequency + 0.5))];
+  }));
+
+  const results = [];
+
+  for (const entry of index.entries) {
+    let score = 0;
+
+    for (const term of queryTerms) {
+      const frequency = entry.frequencies.get(term);
+      if (!frequency) continue;
+
+      const norm = K1 * (1 - B + B * (entry.length / (index.averageLength || 1)));
+      score += idf.get(term) * ((frequency * (K1 + 1)) / (frequency + norm));
+    }
+
+    if (score > 0) {
+      results.push({ document: entry.document, score });
+    }
+  }
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
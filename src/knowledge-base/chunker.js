@@ -0,0 +1,120 @@
+/**
+ * Knowledge Base Chunker
+ *
+ * Splits knowledge base documents into passages for retrieval. Markdown is
+ * split at headings so every passage carries its heading path (used in
+ * citations); long sections are split again at paragraph breaks.
+ */
+
+export const MAX_CHUNK_CHARS = 1500;
+
+/**
+ * Split a section's lines into chunks of at most MAX_CHUNK_CHARS,
+ * breaking at blank lines where possible
+ * @param {Array<Object>} lines - [{text, line}]
+ * @returns {Array<Array<Object>>} Groups of lines
+ */
+function packLines(lines) {
+  const groups = [];
+  let current = [];
+  let size = 0;
+
+  const flush = () => {
+    if (current.some(entry => entry.text.trim())) groups.push(current);
+    current = [];
+    size = 0;
+  };
+
+  // Paragraphs: runs of lines separated by blank lines
+  const paragraphs = [];
+  let paragraph = [];
+  for (const entry of lines) {
+    paragraph.push(entry);
+    if (!entry.text.trim()) {
+      paragraphs.push(paragraph);
+      paragraph = [];
+    }
+  }
+  if (paragraph.length > 0) paragraphs.push(paragraph);
+
+  for (const block of paragraphs) {
+    const blockSize = block.reduce((sum, entry) => sum + entry.text.length + 1, 0);
+
+    if (size > 0 && size + blockSize > MAX_CHUNK_CHARS) {
+      flush();
+    }
+
+    // A single paragraph over the limit is split line by line
+    if (blockSize > MAX_CHUNK_CHARS) {
+      for (const entry of block) {
+        if (size > 0 && size + entry.text.length + 1 > MAX_CHUNK_CHARS) flush();
+        current.push(entry);
+        size += entry.text.length + 1;
+      }
+      continue;
+    }
+
+    current.push(...block);
+    size += blockSize;
+  }
+
+  flush();
+  return groups;
+}
+
+/**
+ * Split a document into passages
+ * @param {string} content - Document text (Markdown or plain text)
+ * @param {string} source - Path relative to the knowledge base root (e.g. "canexport-claims/guide.md")
+ * @returns {Array<Object>} [{id, source, title, headings, startLine, endLine, text}]
+ */
+export function chunkDocument(content, source) {
+  const isMarkdown = /\.(md|markdown)$/i.test(source);
+  const lines = content.replace(/\r\n?/g, '\n').split('\n');
+  const chunks = [];
+  const headings = [];
+  let title = null;
+  let section = [];
+  let inCodeBlock = false;
+
+  const flushSection = () => {
+    for (const group of packLines(section)) {
+      chunks.push({
+        id: `${source}#${chunks.length + 1}`,
+        source,
+        title,
+        headings: headings.filter(Boolean).map(heading => heading.text),
+        startLine: group[0].line,
+        endLine: group[group.length - 1].line,
+        text: group.map(entry => entry.text).join('\n').trim()
+      });
+    }
+    section = [];
+  };
+
+  lines.forEach((text, index) => {
+    if (/^\s*```/.test(text)) inCodeBlock = !inCodeBlock;
+
+    const heading = isMarkdown && !inCodeBlock ? /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(text) : null;
+
+    if (heading) {
+      flushSection();
+
+      const level = heading[1].length;
+      if (level === 1 && !title) {
+        title = heading[2];
+        return;
+      }
+
+      headings.length = level - 1;
+      headings[level - 1] = { level, text: heading[2] };
+      return;
+    }
+
+    section.push({ text, line: index + 1 });
+  });
+
+  flushSection();
+
+  return chunks.map(chunk => ({ ...chunk, title: chunk.title || title }));
+}
@@ -0,0 +1,173 @@
+/**
+ * Local Knowledge Base
+ *
+ * Indexes the documents under knowledge-base/ for retrieval by agents. Each
+ * top-level directory is a knowledge base (e.g. knowledge-base/canexport-claims/);
+ * an agent searches the knowledge bases in its scope (getKnowledgeBaseScopes).
+ *
+ * Documents are chunked (chunker.js) and indexed with BM25 (bm25.js) in memory.
+ * An index is built on the first search of a scope and rebuilt when any of its
+ * files change, so edits to knowledge-base/ need no restart.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { chunkDocument } from './chunker.js';
+import { buildIndex, searchIndex } from './bm25.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Knowledge base every agent searches unless its manifest declares knowledge_bases
+export const SHARED_KNOWLEDGE_BASE = 'shared';
+
+const DOCUMENT_EXTENSIONS = new Set(['.md', '.markdown', '.txt']);
+const MAX_DOCUMENT_BYTES = 2 * 1024 * 1024;
+
+// Indexes by scope key ("canexport-claims,shared") -> {signature, index, chunkCount}
+const indexCache = new Map();
+
+/**
+ * Get path to the knowledge base directory
+ * @returns {string} Absolute path to knowledge-base/
+ */
+export function getKnowledgeBaseDirectory() {
+  // Go up from src/knowledge-base/ to project root
+  return process.env.KNOWLEDGE_BASE_DIR || path.join(__dirname, '../../knowledge-base');
+}
+
+/**
+ * List the documents of one knowledge base (recursively)
+ * @param {string} name - Knowledge base (top-level directory name)
+ * @returns {Array<Object>} [{source, fullPath, mtimeMs, size}]
+ */
+function listDocuments(name) {
+  const root = getKnowledgeBaseDirectory();
+  const directory = path.join(root, name);
+  const documents = [];
+
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue;
+
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.isFile() && DOCUMENT_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+        const stats = fs.statSync(fullPath);
+        if (stats.size <= MAX_DOCUMENT_BYTES) {
+          documents.push({
+            source: path.relative(root, fullPath).split(path.sep).join('/'),
+            fullPath,
+            mtimeMs: stats.mtimeMs,
+            size: stats.size
+          });
+        } else {
+          console.warn(`⚠️  Skipping knowledge base document over ${MAX_DOCUMENT_BYTES} bytes: ${fullPath}`);
+        }
+      }
+    }
+  };
+
+  if (/^[a-z0-9][a-z0-9_-]*$/i.test(name) && fs.existsSync(directory) && fs.statSync(directory).isDirectory()) {
+    walk(directory);
+  }
+
+  return documents.sort((a, b) => a.source.localeCompare(b.source));
+}
+
+/**
+ * List the knowledge bases (top-level directories that contain documents)
+ * @returns {Array<Object>} [{name, documentCount}]
+ */
+export function listKnowledgeBases() {
+  const root = getKnowledgeBaseDirectory();
+
+  if (!fs.existsSync(root)) {
+    return [];
+  }
+
+  return fs.readdirSync(root, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map(entry => ({ name: entry.name, documentCount: listDocuments(entry.name).length }))
+    .filter(knowledgeBase => knowledgeBase.documentCount > 0);
+}
+
+/**
+ * Knowledge bases an agent may search
+ * @param {string} agentType - Agent type
+ * @param {Array<string>|null} knowledgeBases - knowledge_bases from the agent manifest (null = not declared)
+ * @returns {Array<string>} Knowledge base names (default: the agent's own directory plus shared/)
+ */
+export function getKnowledgeBaseScopes(agentType, knowledgeBases = null) {
+  return knowledgeBases || [agentType, SHARED_KNOWLEDGE_BASE];
+}
+
+/**
+ * Whether any of the knowledge bases has documents
+ * @param {Array<string>} names - Knowledge base names
+ * @returns {boolean} True if there is something to search
+ */
+export function hasKnowledgeBase(names) {
+  return names.some(name => listDocuments(name).length > 0);
+}
+
+/**
+ * Get the index for a set of knowledge bases, building it if the files changed
+ * @param {Array<string>} names - Knowledge base names
+ * @returns {Object} {index, documentCount, chunkCount}
+ */
+function getIndex(names) {
+  const unique = [...new Set(names)].sort();
+  const key = unique.join(',');
+  const documents = unique.flatMap(listDocuments);
+  const signature = documents.map(document => `${document.source}:${document.mtimeMs}:${document.size}`).join('|');
+
+  const cached = indexCache.get(key);
+  if (cached && cached.signature === signature) {
+    return cached;
+  }
+
+  const chunks = documents.flatMap(document =>
+    chunkDocument(fs.readFileSync(document.fullPath, 'utf-8'), document.source)
+  );
+
+  // Headings are indexed with the passage so section names match queries
+  const entry = {
+    signature,
+    index: buildIndex(chunks.map(chunk => ({
+      chunk,
+      text: [chunk.title, ...chunk.headings, chunk.text].filter(Boolean).join('\n')
+    }))),
+    documentCount: documents.length,
+    chunkCount: chunks.length
+  };
+
+  indexCache.set(key, entry);
+  console.log(`📚 Indexed knowledge base ${key || '(none)'}: ${documents.length} document(s), ${chunks.length} passage(s)`);
+
+  return entry;
+}
+
+/**
+ * Search knowledge bases
+ * @param {string} queryText - Search query
+ * @param {Object} options - Search options
+ * @param {Array<string>} options.knowledgeBases - Knowledge bases to search
+ * @param {number} options.limit - Maximum number of passages
+ * @returns {Array<Object>} [{source, title, headings, startLine, endLine, text, score}], best first
+ */
+export function searchKnowledgeBase(queryText, { knowledgeBases, limit = 5 }) {
+  const { index } = getIndex(knowledgeBases);
+
+  return searchIndex(index, queryText, limit).map(({ document: { chunk }, score }) => ({
+    source: chunk.source,
+    title: chunk.title,
+    headings: chunk.headings,
+    startLine: chunk.startLine,
+    endLine: chunk.endLine,
+    text: chunk.text,
+    score: Math.round(score * 1000) / 1000
+  }));
+}
@@ -0,0 +1,102 @@
+/**
+ * Conversation Access Middleware
+ *
+ * Checks what the current user may do with a conversation:
+ * - owner: everything, including sharing and deleting
+ * - continue: read, comment and send messages (edit/regenerate included)
+ * - comment: read and comment
+ * - view: read only
+ *
+ * Owners are the conversation's user_id. Conversations without an owner
+ * (started anonymously) stay open to everyone, as before sharing existed.
+ * Other users get the highest permission of their own share and the team share.
+ */
+
+import { getConversation } from '../database/messages.js';
+import { getSharesForUser } from '../database/conversation-shares.js';
+
+/**
+ * Access levels, lowest first
+ */
+export const ACCESS_LEVELS = ['view', 'comment', 'continue', 'owner'];
+
+/**
+ * Work out a user's access to a conversation
+ * @param {Object} conversation - Conversation record ({user_id})
+ * @param {Object|null} user - Authenticated user ({id}) or null
+ * @param {Array} shares - Shares that apply to the user ({permission})
+ * @returns {string|null} Access level, or null for no access
+ */
+export function resolveConversationAccess(conversation, user, shares = []) {
+  if (conversation.user_id == null || (user && conversation.user_id === user.id)) {
+    return 'owner';
+  }
+
+  if (!user) {
+    return null;
+  }
+
+  return shares.reduce((best, share) =>
+    best === null || ACCESS_LEVELS.indexOf(share.permission) > ACCESS_LEVELS.indexOf(best)
+      ? share.permission
+      : best,
+  null);
+}
+
+/**
+ * Whether an access level includes another
+ * @param {string|null} access - The user's access level
+ * @param {string} required - Level needed
+ * @returns {boolean} True if access is at least required
+ */
+export function hasConversationAccess(access, required) {
+  return access !== null && ACCESS_LEVELS.indexOf(access) >= ACCESS_LEVELS.indexOf(required);
+}
+
+/**
+ * Require a level of access to the conversation in req.params.id
+ * (or req.body.conversationId for POST /api/chat; requests without one pass).
+ * Must be used after authenticateUser. Sets req.conversation and
+ * req.conversationAccess.
+ *
+ * @param {string} required - 'view', 'comment', 'continue' or 'owner'
+ * @returns {Function} Express middleware
+ */
+export function requireConversationAccess(required) {
+  return async (req, res, next) => {
+    try {
+      const conversationId = req.params.id || req.body?.conversationId;
+
+      if (!conversationId) {
+        return next();
+      }
+
+      const conversation = await getConversation(conversationId);
+
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      const shares = req.user && conversation.user_id !== req.user.id
+        ? await getSharesForUser(conversationId, req.user.id)
+        : [];
+      const access = resolveConversationAccess(conversation, req.user, shares);
+
+      if (!hasConversationAccess(access, required)) {
+        console.warn(`⚠️  Conversation access denied: ${req.user?.email || 'anonymous'} needs ${required} on ${conversationId} (has ${access || 'none'})`);
+        return res.status(access ? 403 : 404).json({
+          error: access
+            ? `Forbidden: this conversation is shared with you as ${access} only`
+            : 'Conversation not found'
+        });
+      }
+
+      req.conversation = conversation;
+      req.conversationAccess = access;
+      next();
+    } catch (error) {
+      console.error('Conversation access check error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
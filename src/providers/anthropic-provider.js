@@ -0,0 +1,63 @@
+/**
+ * Anthropic Model Provider
+ *
+ * Default provider: forwards every call to the Anthropic API via the official SDK.
+ * The SDK client is created on first use so the mock provider can run without an API key.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+
+export class AnthropicProvider {
+  constructor({ apiKey = process.env.ANTHROPIC_API_KEY } = {}) {
+    this.name = 'anthropic';
+    this.apiKey = apiKey;
+    this.client = null;
+  }
+
+  /**
+   * Get (or create) the SDK client
+   * @returns {Anthropic} SDK client
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new Anthropic({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  /**
+   * Create a message (non-streaming)
+   * @param {Object} params - Messages API parameters
+   * @param {Object} options - Request options ({headers, signal})
+   * @returns {Promise<Object>} Message
+   */
+  async createMessage(params, options = {}) {
+    return this.getClient().messages.create(params, options);
+  }
+
+  /**
+   * Create a streaming message
+   * @param {Object} params - Messages API parameters (stream is set automatically)
+   * @param {Object} options - Request options ({headers, signal})
+   * @returns {Promise<AsyncIterable>} Raw stream events
+   */
+  async streamMessage(params, options = {}) {
+    return this.getClient().messages.create({ ...params, stream: true }, options);
+  }
+
+  /**
+   * Files API (beta)
+   * @returns {Object} {upload, list, retrieveMetadata, delete, download}
+   */
+  get files() {
+    return this.getClient().beta.files;
+  }
+
+  /**
+   * Message Batches API
+   * @returns {Object} {create, retrieve, results}
+   */
+  get batches() {
+    return this.getClient().messages.batches;
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Model Providers
+ *
+ * Single entry point for every model call in the app. A provider implements:
+ * - createMessage(params, options)  → Promise<Message>
+ * - streamMessage(params, options)  → Promise<AsyncIterable<StreamEvent>> (raw Messages API events)
+ * - files                           → {upload, list, retrieveMetadata, delete, download}
+ * - batches                         → {create, retrieve, results}
+ *
+ * Providers:
+ * - anthropic (default) - Anthropic API via the official SDK
+ * - mock - scriptable offline provider (MODEL_PROVIDER=mock, optional
+ *   MOCK_PROVIDER_SCRIPT=path/to/turns.json)
+ */
+
+import fs from 'fs';
+import { AnthropicProvider } from './anthropic-provider.js';
+import { MockProvider } from './mock-provider.js';
+
+let activeProvider = null;
+
+/**
+ * Create a provider by name
+ * @param {string} name - 'anthropic' or 'mock'
+ * @param {Object} options - Provider constructor options
+ * @returns {Object} Provider
+ */
+export function createProvider(name = 'anthropic', options = {}) {
+  switch (name) {
+    case 'anthropic':
+      return new AnthropicProvider(options);
+
+    case 'mock': {
+      const scriptPath = options.scriptPath || process.env.MOCK_PROVIDER_SCRIPT;
+      const script = scriptPath
+        ? JSON.parse(fs.readFileSync(scriptPath, 'utf-8'))
+        : [];
+
+      return new MockProvider({ script, ...options });
+    }
+
+    default:
+      throw new Error(`Unknown model provider: ${name}`);
+  }
+}
+
+/**
+ * Get the active provider (created from MODEL_PROVIDER on first use)
+ * @returns {Object} Provider
+ */
+export function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider(process.env.MODEL_PROVIDER || 'anthropic');
+    console.log(`🔌 Model provider: ${activeProvider.name}`);
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider (tests, record/replay)
+ * @param {Object|null} provider - Provider to use (null = recreate from MODEL_PROVIDER)
+ */
+export function setProvider(provider) {
+  activeProvider = provider;
+}
+
+export { AnthropicProvider, MockProvider };
@@ -0,0 +1,353 @@
+/**
+ * Mock Model Provider
+ *
+ * Scriptable offline stand-in for the Anthropic API. Each call consumes the
+ * next scripted turn and returns it as a message, or as the same raw stream
+ * events the Messages API emits (message_start, content_block_start/delta/stop,
+ * message_delta, message_stop), so the agent loop, the SSE contract and tool
+ * routing can be exercised without network access.
+ *
+ * A turn looks like:
+ *   {
+ *     content: [
+ *       { type: 'thinking', thinking: 'Checking the deal first' },
+ *       { type: 'text', text: 'Let me look that up.' },
+ *       { type: 'tool_use', name: 'search_hubspot_companies', input: { query: 'Acme' } },
+ *       { type: 'server_tool_use', name: 'web_search', input: { query: 'CanExport 2025' } },
+ *       { type: 'web_search_tool_result', tool_use_id: 'srvtoolu_1', content: [] }
+ *     ],
+ *     stop_reason: 'tool_use',          // default: 'tool_use' if a tool_use block is present, else 'end_turn'
+ *     usage: { input_tokens: 1200 },    // optional overrides
+ *     error: 'overloaded_error'         // optional: fail the call instead
+ *   }
+ *
+ * A turn can also be a function (params) => turn, to respond based on the request.
+ */
+
+import { AbortError } from '../utils/concurrency.js';
+
+// Characters per text/thinking/JSON delta
+const DEFAULT_CHUNK_SIZE = 12;
+
+/**
+ * Default turn when the script runs out: a short text reply
+ * @param {Object} params - Messages API parameters
+ * @returns {Object} Turn
+ */
+function defaultTurn(params) {
+  const lastMessage = params.messages?.[params.messages.length - 1];
+  const lastText = typeof lastMessage?.content === 'string'
+    ? lastMessage.content
+    : (lastMessage?.content || []).filter(block => block.type === 'text').map(block => block.text).join(' ');
+
+  return {
+    content: [{ type: 'text', text: `Mock response to: ${lastText.substring(0, 100)}` }]
+  };
+}
+
+/**
+ * Split a string into fixed-size chunks
+ * @param {string} text - Text to split
+ * @param {number} size - Chunk size
+ * @returns {Array<string>} Chunks (at least one)
+ */
+function chunk(text, size) {
+  if (!text) return [''];
+
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) {
+    chunks.push(text.substring(i, i + size));
+  }
+  return chunks;
+}
+
+export class MockProvider {
+  /**
+   * @param {Object} options - Mock options
+   * @param {Array} options.script - Turns returned in order (objects or functions)
+   * @param {Function} options.fallback - (params) => turn used once the script is exhausted
+   * @param {number} options.chunkSize - Characters per streamed delta
+   * @param {number} options.delayMs - Delay between stream events (0 = none)
+   */
+  constructor({ script = [], fallback = defaultTurn, chunkSize = DEFAULT_CHUNK_SIZE, delayMs = 0 } = {}) {
+    this.name = 'mock';
+    this.script = [...script];
+    this.fallback = fallback;
+    this.chunkSize = chunkSize;
+    this.delayMs = delayMs;
+    this.calls = [];
+    this.idCounter = 0;
+    this.storedFiles = new Map();
+    this.storedBatches = new Map();
+  }
+
+  /**
+   * Append turns to the script
+   * @param {...Object} turns - Turns (objects or functions)
+   * @returns {MockProvider} this
+   */
+  enqueue(...turns) {
+    this.script.push(...turns);
+    return this;
+  }
+
+  /**
+   * Generate a unique ID with the given prefix
+   * @param {string} prefix - ID prefix
+   * @returns {string} ID
+   */
+  nextId(prefix) {
+    this.idCounter++;
+    return `${prefix}_mock_${String(this.idCounter).padStart(4, '0')}`;
+  }
+
+  /**
+   * Take the next turn and normalize it into a complete message
+   * @param {Object} params - Messages API parameters
+   * @param {Object} options - Request options
+   * @returns {Object} Message (as the API would return it)
+   */
+  resolveTurn(params, options) {
+    this.calls.push({ params, options });
+
+    const next = this.script.length > 0 ? this.script.shift() : this.fallback;
+    const turn = typeof next === 'function' ? next(params) : next;
+
+    if (turn.error) {
+      const error = new Error(`Mock provider error: ${turn.error}`);
+      error.type = turn.error;
+      throw error;
+    }
+
+    const content = turn.content.map(block => {
+      switch (block.type) {
+        case 'tool_use':
+          return { id: block.id || this.nextId('toolu'), type: 'tool_use', name: block.name, input: block.input || {} };
+        case 'server_tool_use':
+          return { id: block.id || this.nextId('srvtoolu'), type: 'server_tool_use', name: block.name, input: block.input || {} };
+        case 'thinking':
+          return { type: 'thinking', thinking: block.thinking, signature: block.signature || this.nextId('sig') };
+        default:
+          return { ...block };
+      }
+    });
+
+    const hasToolUse = content.some(block => block.type === 'tool_use');
+    const outputChars = content.reduce((sum, block) =>
+      sum + (block.text || block.thinking || JSON.stringify(block.input || '')).length, 0);
+
+    return {
+      id: this.nextId('msg'),
+      type: 'message',
+      role: 'assistant',
+      model: params.model,
+      content,
+      stop_reason: turn.stop_reason || (hasToolUse ? 'tool_use' : 'end_turn'),
+      stop_sequence: null,
+      usage: {
+        input_tokens: Math.ceil(JSON.stringify(params.messages || []).length / 4),
+        output_tokens: Math.max(1, Math.ceil(outputChars / 4)),
+        cache_creation_input_tokens: 0,
+        cache_read_input_tokens: 0,
+        ...(turn.usage || {})
+      }
+    };
+  }
+
+  /**
+   * Create a message (non-streaming)
+   * @param {Object} params - Messages API parameters
+   * @param {Object} options - Request options ({headers, signal})
+   * @returns {Promise<Object>} Message
+   */
+  async createMessage(params, options = {}) {
+    if (options.signal?.aborted) {
+      throw new AbortError('Request was aborted');
+    }
+
+    return this.resolveTurn(params, options);
+  }
+
+  /**
+   * Create a streaming message
+   * @param {Object} params - Messages API parameters
+   * @param {Object} options - Request options ({headers, signal})
+   * @returns {Promise<AsyncIterable>} Raw stream events
+   */
+  async streamMessage(params, options = {}) {
+    const message = this.resolveTurn(params, options);
+    return this.streamEvents(message, options.signal);
+  }
+
+  /**
+   * Yield the raw stream events for a message
+   * @param {Object} message - Complete message
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {AsyncGenerator} Stream events
+   */
+  async *streamEvents(message, signal = null) {
+    const emit = async (event) => {
+      if (this.delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.delayMs));
+      }
+      if (signal?.aborted) {
+        throw new AbortError('Request was aborted');
+      }
+      return event;
+    };
+
+    yield await emit({
+      type: 'message_start',
+      message: {
+        ...message,
+        content: [],
+        stop_reason: null,
+        usage: { ...message.usage, output_tokens: 1 }
+      }
+    });
+
+    for (const [index, block] of message.content.entries()) {
+      switch (block.type) {
+        case 'text':
+          yield await emit({ type: 'content_block_start', index, content_block: { type: 'text', text: '' } });
+          for (const text of chunk(block.text, this.chunkSize)) {
+            yield await emit({ type: 'content_block_delta', index, delta: { type: 'text_delta', text } });
+          }
+          break;
+
+        case 'thinking':
+          yield await emit({ type: 'content_block_start', index, content_block: { type: 'thinking', thinking: '' } });
+          for (const thinking of chunk(block.thinking, this.chunkSize)) {
+            yield await emit({ type: 'content_block_delta', index, delta: { type: 'thinking_delta', thinking } });
+          }
+          yield await emit({ type: 'content_block_delta', index, delta: { type: 'signature_delta', signature: block.signature } });
+          break;
+
+        case 'tool_use':
+        case 'server_tool_use':
+          yield await emit({
+            type: 'content_block_start',
+            index,
+            content_block: { type: block.type, id: block.id, name: block.name, input: {} }
+          });
+          for (const partial_json of chunk(JSON.stringify(block.input), this.chunkSize)) {
+            yield await emit({ type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json } });
+          }
+          break;
+
+        default:
+          // Server tool results arrive whole in content_block_start
+          yield await emit({ type: 'content_block_start', index, content_block: block });
+      }
+
+      yield await emit({ type: 'content_block_stop', index });
+    }
+
+    yield await emit({
+      type: 'message_delta',
+      delta: { stop_reason: message.stop_reason, stop_sequence: null },
+      usage: { output_tokens: message.usage.output_tokens }
+    });
+
+    yield await emit({ type: 'message_stop' });
+  }
+
+  /**
+   * In-memory Files API
+   * @returns {Object} {upload, list, retrieveMetadata, delete, download}
+   */
+  get files() {
+    return {
+      upload: async ({ file: upload }) => {
+        const data = Buffer.from(await upload.arrayBuffer());
+        const file = {
+          id: this.nextId('file'),
+          type: 'file',
+          filename: upload.name,
+          mime_type: upload.type,
+          size_bytes: data.length,
+          created_at: new Date().toISOString(),
+          data
+        };
+        this.storedFiles.set(file.id, file);
+
+        const { data: _data, ...metadata } = file;
+        return metadata;
+      },
+      list: async () => ({
+        data: [...this.storedFiles.values()].map(({ data, ...metadata }) => metadata)
+      }),
+      retrieveMetadata: async (fileId) => {
+        const file = this.storedFiles.get(fileId);
+        if (!file) throw new Error(`File not found: ${fileId}`);
+
+        const { data, ...metadata } = file;
+        return metadata;
+      },
+      delete: async (fileId) => {
+        this.storedFiles.delete(fileId);
+        return { id: fileId, type: 'file_deleted' };
+      },
+      download: async (fileId) => {
+        const file = this.storedFiles.get(fileId);
+        if (!file) throw new Error(`File not found: ${fileId}`);
+        return file.data;
+      }
+    };
+  }
+
+  /**
+   * In-memory Message Batches API (requests are answered immediately)
+   * @returns {Object} {create, retrieve, results}
+   */
+  get batches() {
+    return {
+      create: async ({ requests }) => {
+        const results = requests.map(request => {
+          try {
+            return {
+              custom_id: request.custom_id,
+              result: { type: 'succeeded', message: this.resolveTurn(request.params, {}) }
+            };
+          } catch (error) {
+            return {
+              custom_id: request.custom_id,
+              result: { type: 'errored', error: { type: error.type || 'api_error', message: error.message } }
+            };
+          }
+        });
+
+        const batch = {
+          id: this.nextId('msgbatch'),
+          type: 'message_batch',
+          processing_status: 'ended',
+          request_counts: {
+            processing: 0,
+            succeeded: results.filter(r => r.result.type === 'succeeded').length,
+            errored: results.filter(r => r.result.type === 'errored').length,
+            canceled: 0,
+            expired: 0
+          },
+          created_at: new Date().toISOString(),
+          ended_at: new Date().toISOString()
+        };
+
+        this.storedBatches.set(batch.id, { batch, results });
+        return batch;
+      },
+      retrieve: async (batchId) => {
+        const stored = this.storedBatches.get(batchId);
+        if (!stored) throw new Error(`Batch not found: ${batchId}`);
+        return stored.batch;
+      },
+      results: async (batchId) => {
+        const stored = this.storedBatches.get(batchId);
+        if (!stored) throw new Error(`Batch not found: ${batchId}`);
+
+        return (async function* () {
+          yield* stored.results;
+        })();
+      }
+    };
+  }
+}
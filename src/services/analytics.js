@@ -5,6 +5,7 @@
  */
 
 import { query } from '../database/connection.js';
+import { calculateCost, getTotalTokens } from '../claude/pricing.js';
 
 /**
  * Get dashboard overview statistics
@@ -100,51 +101,130 @@ export async function getUsageTrends(days = 7) {
 }
 
 /**
- * Get cost estimates based on token usage
+ * Get costs based on recorded token usage
  *
- * Pricing (as of 2025):
- * - Claude 3.5 Sonnet: $3 per 1M input tokens, $15 per 1M output tokens
- * - Estimate: ~60% input, ~40% output
+ * Every Claude API call made by the agent loop is recorded in api_usage with
+ * its model and input/output/cache token counts. Cost is calculated per model
+ * (Haiku for simple queries, Sonnet for complex ones - see query-classifier.js)
+ * using the pricing table in src/claude/pricing.js.
  *
  * @param {number} days - Number of days to analyze
  * @returns {Promise<Object>} Cost breakdown
  */
 export async function getCostEstimates(days = 30) {
-  const result = await query(
-    `SELECT
-       c.agent_type,
-       COUNT(*) as conversation_count,
-       COALESCE(SUM(cs.tokens_used), 0) as total_tokens,
-       COALESCE(AVG(cs.tokens_used), 0) as avg_tokens_per_conversation
-     FROM conversations c
-     LEFT JOIN conversation_stats cs ON cs.conversation_id = c.id
-     WHERE c.created_at >= NOW() - INTERVAL '${days} days'
-     GROUP BY c.agent_type
-     ORDER BY total_tokens DESC`
+  const [usageResult, conversationsResult] = await Promise.all([
+    // Token usage per agent and model
+    query(
+      `SELECT
+         COALESCE(au.agent_type, c.agent_type) as agent_type,
+         au.model,
+         COUNT(*) as api_calls,
+         COALESCE(SUM(au.input_tokens), 0) as input_tokens,
+         COALESCE(SUM(au.output_tokens), 0) as output_tokens,
+         COALESCE(SUM(au.cache_creation_input_tokens), 0) as cache_creation_input_tokens,
+         COALESCE(SUM(au.cache_read_input_tokens), 0) as cache_read_input_tokens
+       FROM api_usage au
+       LEFT JOIN conversations c ON c.id = au.conversation_id
+       WHERE au.created_at >= NOW() - INTERVAL '${days} days'
+       GROUP BY COALESCE(au.agent_type, c.agent_type), au.model`
+    ),
+
+    // Conversations with usage per agent
+    query(
+      `SELECT
+         COALESCE(au.agent_type, c.agent_type) as agent_type,
+         COUNT(DISTINCT au.conversation_id) as conversation_count
+       FROM api_usage au
+       LEFT JOIN conversations c ON c.id = au.conversation_id
+       WHERE au.created_at >= NOW() - INTERVAL '${days} days'
+       GROUP BY COALESCE(au.agent_type, c.agent_type)`
+    )
+  ]);
+
+  const conversationCounts = new Map(
+    conversationsResult.rows.map(row => [row.agent_type, parseInt(row.conversation_count)])
   );
 
-  // Calculate estimated costs (rough estimate)
-  // Assume 60% input ($3/1M) and 40% output ($15/1M) = $9/1M average
-  const costPerMillionTokens = 9;
+  const usageRows = usageResult.rows.map(row => {
+    const usage = {
+      input_tokens: parseInt(row.input_tokens),
+      output_tokens: parseInt(row.output_tokens),
+      cache_creation_input_tokens: parseInt(row.cache_creation_input_tokens),
+      cache_read_input_tokens: parseInt(row.cache_read_input_tokens)
+    };
 
-  const agentCosts = result.rows.map(row => ({
-    agentType: row.agent_type,
-    conversationCount: parseInt(row.conversation_count),
-    totalTokens: parseInt(row.total_tokens),
-    avgTokensPerConversation: Math.round(parseFloat(row.avg_tokens_per_conversation)),
-    estimatedCost: (parseInt(row.total_tokens) / 1000000) * costPerMillionTokens
-  }));
+    return {
+      agentType: row.agent_type,
+      model: row.model,
+      apiCalls: parseInt(row.api_calls),
+      usage,
+      totalTokens: getTotalTokens(usage),
+      cost: calculateCost(usage, row.model)
+    };
+  });
+
+  // Roll up by agent and by model
+  const byAgent = new Map();
+  const byModel = new Map();
+
+  for (const row of usageRows) {
+    const agent = byAgent.get(row.agentType) || {
+      agentType: row.agentType,
+      conversationCount: conversationCounts.get(row.agentType) || 0,
+      apiCalls: 0,
+      totalTokens: 0,
+      estimatedCost: 0
+    };
+    agent.apiCalls += row.apiCalls;
+    agent.totalTokens += row.totalTokens;
+    agent.estimatedCost += row.cost;
+    byAgent.set(row.agentType, agent);
+
+    const model = byModel.get(row.model) || {
+      model: row.model,
+      apiCalls: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheCreationTokens: 0,
+      cacheReadTokens: 0,
+      cost: 0
+    };
+    model.apiCalls += row.apiCalls;
+    model.inputTokens += row.usage.input_tokens;
+    model.outputTokens += row.usage.output_tokens;
+    model.cacheCreationTokens += row.usage.cache_creation_input_tokens;
+    model.cacheReadTokens += row.usage.cache_read_input_tokens;
+    model.cost += row.cost;
+    byModel.set(row.model, model);
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+
+  const agentCosts = [...byAgent.values()]
+    .map(agent => ({
+      ...agent,
+      avgTokensPerConversation: agent.conversationCount > 0
+        ? Math.round(agent.totalTokens / agent.conversationCount)
+        : 0,
+      estimatedCost: round(agent.estimatedCost)
+    }))
+    .sort((a, b) => b.totalTokens - a.totalTokens);
+
+  const modelCosts = [...byModel.values()]
+    .map(model => ({ ...model, cost: round(model.cost) }))
+    .sort((a, b) => b.cost - a.cost);
 
-  const totalTokens = agentCosts.reduce((sum, agent) => sum + agent.totalTokens, 0);
-  const totalCost = agentCosts.reduce((sum, agent) => sum + agent.estimatedCost, 0);
+  const totalTokens = usageRows.reduce((sum, row) => sum + row.totalTokens, 0);
+  const totalCost = usageRows.reduce((sum, row) => sum + row.cost, 0);
 
   return {
     period: `${days} days`,
     totalTokens,
-    totalCost: Math.round(totalCost * 100) / 100, // Round to 2 decimals
-    avgDailyCost: Math.round((totalCost / days) * 100) / 100,
-    projectedMonthlyCost: Math.round((totalCost / days) * 30 * 100) / 100,
-    byAgent: agentCosts
+    totalCost: round(totalCost),
+    avgDailyCost: round(totalCost / days),
+    projectedMonthlyCost: round((totalCost / days) * 30),
+    byAgent: agentCosts,
+    byModel: modelCosts
   };
 }
 
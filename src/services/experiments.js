@@ -0,0 +1,152 @@
+/**
+ * Prompt Experiments Service
+ *
+ * Variant assignment and reporting for prompt A/B experiments:
+ * - Deterministic weighted assignment (a conversation always lands in the same variant)
+ * - Per-variant positive rate, quality and sentiment from /api/feedback ratings
+ * - Two-proportion z-test of each variant's positive rate against the control
+ */
+
+import { createHash } from 'crypto';
+import { getExperiment, getVariantFeedbackStats } from '../database/prompt-experiments.js';
+
+// Below this many ratings per variant the significance test isn't meaningful
+export const MIN_RATINGS_FOR_SIGNIFICANCE = 30;
+
+const SIGNIFICANCE_LEVEL = 0.05;
+
+/**
+ * Pick a variant for a conversation, weighted by variant.weight
+ * @param {Array} variants - [{id, weight}]
+ * @param {string} conversationId - UUID of the conversation
+ * @param {string} experimentId - Experiment UUID (so experiments split independently)
+ * @returns {Object|null} Chosen variant, or null if there are none
+ */
+export function pickVariant(variants, conversationId, experimentId) {
+  if (!variants || variants.length === 0) {
+    return null;
+  }
+
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const hash = createHash('sha256').update(`${experimentId}:${conversationId}`).digest();
+  let point = hash.readUInt32BE(0) % totalWeight;
+
+  for (const variant of variants) {
+    if (point < variant.weight) {
+      return variant;
+    }
+    point -= variant.weight;
+  }
+
+  return variants[variants.length - 1];
+}
+
+/**
+ * Standard normal cumulative distribution function
+ * (Abramowitz-Stegun 7.1.26 approximation of erf, error < 1.5e-7)
+ * @param {number} z - Z score
+ * @returns {number} P(Z <= z)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided two-proportion z-test
+ * @param {number} successesA - Positive ratings for the control
+ * @param {number} totalA - Total ratings for the control
+ * @param {number} successesB - Positive ratings for the variant
+ * @param {number} totalB - Total ratings for the variant
+ * @returns {Object|null} {z, pValue, significant}, or null if either side has no ratings
+ */
+export function twoProportionZTest(successesA, totalA, successesB, totalB) {
+  if (totalA === 0 || totalB === 0) {
+    return null;
+  }
+
+  const pooled = (successesA + successesB) / (totalA + totalB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+
+  if (standardError === 0) {
+    // All ratings identical on both sides - no difference to detect
+    return { z: 0, pValue: 1, significant: false };
+  }
+
+  const z = (successesB / totalB - successesA / totalA) / standardError;
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+
+  return { z, pValue, significant: pValue < SIGNIFICANCE_LEVEL };
+}
+
+/**
+ * Build the per-variant report, comparing each variant to the control (first variant)
+ * @param {Array} stats - Output of getVariantFeedbackStats (control first)
+ * @returns {Array} Variants with positiveRate and, for non-control variants, comparison
+ */
+export function buildVariantReport(stats) {
+  const rows = stats.map(row => ({
+    id: row.id,
+    name: row.name,
+    weight: row.weight,
+    promptVersion: row.prompt_version,
+    conversations: row.conversations,
+    ratings: row.ratings,
+    positive: row.positive,
+    positiveRate: row.ratings > 0 ? row.positive / row.ratings : null,
+    avgQuality: row.avg_quality,
+    sentimentCount: row.sentiment_count,
+    positiveSentimentRate: row.sentiment_count > 0 ? row.positive_sentiment / row.sentiment_count : null,
+    avgSentiment: row.avg_sentiment,
+    isControl: false,
+    comparison: null
+  }));
+
+  const [control, ...variants] = rows;
+  if (!control) {
+    return rows;
+  }
+  control.isControl = true;
+
+  for (const variant of variants) {
+    const test = twoProportionZTest(control.positive, control.ratings, variant.positive, variant.ratings);
+    if (!test) {
+      continue;
+    }
+
+    const enoughData = control.ratings >= MIN_RATINGS_FOR_SIGNIFICANCE && variant.ratings >= MIN_RATINGS_FOR_SIGNIFICANCE;
+
+    variant.comparison = {
+      lift: variant.positiveRate - control.positiveRate,
+      z: test.z,
+      pValue: test.pValue,
+      significant: enoughData && test.significant,
+      enoughData
+    };
+  }
+
+  return rows;
+}
+
+/**
+ * Get an experiment with its feedback report
+ * @param {string} experimentId - Experiment UUID
+ * @returns {Promise<Object|null>} {experiment, variants, minRatings} or null if not found
+ */
+export async function getExperimentReport(experimentId) {
+  const experiment = await getExperiment(experimentId);
+  if (!experiment) {
+    return null;
+  }
+
+  const stats = await getVariantFeedbackStats(experimentId);
+
+  return {
+    experiment,
+    variants: buildVariantReport(stats),
+    minRatings: MIN_RATINGS_FOR_SIGNIFICANCE
+  };
+}
@@ -0,0 +1,521 @@
+/**
+ * Grant Card Batch Service
+ *
+ * Turns many program documents (uploaded PDFs or URLs) into grant cards at once,
+ * for when a funding intake opens:
+ * - Every document is sent with the grant-card-generator prompt in one
+ *   Message Batches request (pdfAPI.processBatch), asking for a structured card
+ * - Background jobs submit the batch and poll it until it ends (src/jobs/tasks.js)
+ * - Cards that fail schema validation get a repair prompt (structured-output.js),
+ *   one repair job per card once the batch's results are saved
+ * - Results are downloadable as a ZIP bundle with a summary of per-document errors
+ */
+
+import JSZip from 'jszip';
+import { pdfAPI, FILES_API_BETA } from '../anthropic-client.js';
+import { getActivePrompt } from '../agents/prompt-store.js';
+import { getAgentManifest } from '../agents/load-agents.js';
+import { EXPORT_FORMATS } from '../utils/conversation-export.js';
+import { renderDocx } from '../utils/docx-renderer.js';
+import { renderPdf } from '../utils/pdf-renderer.js';
+import { renderGrantCardMarkdown } from '../grant-cards/render.js';
+import {
+  GRANT_CARD_JSON_INSTRUCTIONS,
+  parseGrantCard,
+  buildRepairPrompt,
+  generateGrantCard
+} from '../grant-cards/structured-output.js';
+import { getPromptVersion } from '../database/agent-prompts.js';
+import * as batchesDb from '../database/grant-card-batches.js';
+
+export const GRANT_CARD_AGENT = 'grant-card-generator';
+export const MAX_BATCH_DOCUMENTS = 50;
+
+const SUBMISSION_INTERRUPTED_ERROR = 'Submitting the batch was interrupted, so it may already be running - create a new batch to try again';
+
+const GRANT_CARD_MAX_TOKENS = 8192;
+
+// Model calls to repair a card that failed validation (after the batch answer)
+const BATCH_REPAIR_ATTEMPTS = 2;
+
+export const GRANT_CARD_BATCH_PROMPT = `Generate the complete grant card (Generate Criteria) for the funding program described in this document.
+
+This is one document in a batch - there is no conversation, so do not ask follow-up questions. Work only from the document: where information is missing, put it in missing_info instead of guessing.
+
+${GRANT_CARD_JSON_INSTRUCTIONS}`;
+
+/**
+ * Slug for a file name
+ * @param {string} text - Source text
+ * @param {string} fallback - Used when nothing is left
+ * @returns {string} Lowercase, dash-separated slug
+ */
+function slugify(text, fallback) {
+  return String(text || '')
+    .replace(/\.pdf$/i, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, 60) || fallback;
+}
+
+/**
+ * The user prompt for each document
+ * @param {string|null} instructions - Extra instructions for the whole batch
+ * @returns {string} Prompt
+ */
+export function buildBatchPrompt(instructions = null) {
+  return instructions && instructions.trim()
+    ? `${GRANT_CARD_BATCH_PROMPT}\n\nAdditional instructions for this intake:\n${instructions.trim()}`
+    : GRANT_CARD_BATCH_PROMPT;
+}
+
+/**
+ * Build the Message Batches requests for a batch's pending items
+ * @param {Object} batch - Batch with items
+ * @param {Object} options - {systemPrompt, model}
+ * @returns {Array<Object>} pdfAPI.processBatch requests (customId item-<itemId>)
+ */
+export function buildBatchRequests(batch, { systemPrompt, model = null }) {
+  const prompt = buildBatchPrompt(batch.instructions);
+
+  return batch.items
+    .filter(item => item.status === 'pending')
+    .map(item => ({
+      customId: `item-${item.id}`,
+      ...(item.source_type === 'file' ? { fileId: item.file_id } : { url: item.source_url }),
+      title: item.source_name,
+      prompt,
+      systemPrompt,
+      ...(model && { model }),
+      maxTokens: GRANT_CARD_MAX_TOKENS
+    }));
+}
+
+/**
+ * The first user message for a batch item (the same document and prompt the batch sent)
+ * @param {Object} batch - Batch
+ * @param {Object} item - Batch item
+ * @returns {Object} Messages API user message
+ */
+function buildItemMessage(batch, item) {
+  const source = item.source_type === 'file'
+    ? { type: 'file', file_id: item.file_id }
+    : { type: 'url', url: item.source_url };
+
+  return {
+    role: 'user',
+    content: [
+      { type: 'document', source, title: item.source_name },
+      { type: 'text', text: buildBatchPrompt(batch.instructions) }
+    ]
+  };
+}
+
+/**
+ * Validate a batch answer
+ * @param {string} output - Model output
+ * @param {boolean} truncated - The answer stopped at the output token limit
+ * @returns {Object} {card, errors} (card is null when the errors need a repair prompt)
+ */
+function validateBatchOutput(output, truncated) {
+  const { card, errors } = parseGrantCard(output);
+
+  return {
+    card,
+    errors: card ? [] : truncated
+      ? [{ path: '$', message: 'was cut off at the output token limit - keep list items short' }, ...errors]
+      : errors
+  };
+}
+
+/**
+ * Turn one Message Batches result into an item result
+ * Succeeded requests are parsed and validated: a valid card is 'succeeded',
+ * a card that needs a repair prompt is 'invalid' (with its errors and output).
+ * @param {Object} entry - {custom_id, result: {type, message|error}}
+ * @returns {Object|null} {itemId, status, card, output, errors, error, inputTokens, outputTokens},
+ *   or null for unknown IDs
+ */
+export function parseBatchResult(entry) {
+  const match = /^item-(\d+)$/.exec(entry?.custom_id || '');
+  if (!match) return null;
+
+  const itemId = parseInt(match[1], 10);
+  const { result = {} } = entry;
+
+  if (result.type === 'succeeded') {
+    const message = result.message || {};
+    const output = (message.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('')
+      .trim();
+
+    const { card, errors } = validateBatchOutput(output, message.stop_reason === 'max_tokens');
+
+    return {
+      itemId,
+      status: card ? 'succeeded' : 'invalid',
+      card,
+      output: output || null,
+      errors,
+      error: null,
+      inputTokens: message.usage?.input_tokens ?? null,
+      outputTokens: message.usage?.output_tokens ?? null
+    };
+  }
+
+  const errors = {
+    errored: `Request failed: ${result.error?.error?.message || result.error?.message || result.error?.type || 'unknown error'}`,
+    canceled: 'Request was canceled',
+    expired: 'Request expired before it was processed (batches must finish within 24 hours)'
+  };
+
+  return {
+    itemId,
+    status: 'failed',
+    card: null,
+    output: null,
+    errors: [],
+    error: errors[result.type] || `Unexpected result type: ${result.type}`,
+    inputTokens: null,
+    outputTokens: null
+  };
+}
+
+/**
+ * Repair a batch card that failed validation: continue the item's
+ * conversation with a repair prompt listing the errors
+ * @param {Object} batch - Batch
+ * @param {Object} item - Batch item
+ * @param {Object} result - parseBatchResult result with status 'invalid'
+ * @param {Object} generation - {systemPrompt, model}
+ * @param {AbortSignal} signal - Optional signal that cancels the model calls
+ * @returns {Promise<Object>} Item result ('succeeded' with the card, or 'failed')
+ */
+async function repairBatchResult(batch, item, result, { systemPrompt, model }, signal = undefined) {
+  try {
+    const repaired = await generateGrantCard({
+      messages: [
+        buildItemMessage(batch, item),
+        { role: 'assistant', content: result.output || '(empty response)' },
+        { role: 'user', content: buildRepairPrompt(result.errors) }
+      ],
+      systemPrompt,
+      model,
+      maxTokens: GRANT_CARD_MAX_TOKENS,
+      maxAttempts: BATCH_REPAIR_ATTEMPTS,
+      requestOptions: {
+        ...(item.source_type === 'file' && { headers: { 'anthropic-beta': FILES_API_BETA } }),
+        ...(signal && { signal })
+      }
+    });
+
+    return {
+      ...result,
+      status: 'succeeded',
+      card: repaired.card,
+      inputTokens: (result.inputTokens || 0) + repaired.usage.input_tokens,
+      outputTokens: (result.outputTokens || 0) + repaired.usage.output_tokens
+    };
+  } catch (error) {
+    console.warn(`⚠️  Could not repair grant card for batch item ${item.id}: ${error.message}`);
+    return { ...result, status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Save an item result: the card (with its Markdown rendering as the item output),
+ * the error, or an invalid answer waiting for its repair job ('repairing')
+ * @param {Object} batch - Batch
+ * @param {Object} result - Item result
+ * @returns {Promise<void>}
+ */
+async function saveItemResult(batch, result) {
+  const succeeded = result.status === 'succeeded';
+
+  await batchesDb.saveGrantCardBatchItemResult(result.itemId, {
+    status: result.status === 'invalid' ? 'repairing' : result.status,
+    output: succeeded ? renderGrantCardMarkdown(result.card) : result.output,
+    error: succeeded ? null : result.error,
+    inputTokens: result.inputTokens,
+    outputTokens: result.outputTokens,
+    ...(succeeded && { card: result.card, userId: batch.user_id })
+  });
+}
+
+/**
+ * Progress of a batch from its items
+ * @param {Array} items - Batch items
+ * @returns {Object} {total, succeeded, failed, remaining, percent}
+ */
+export function summarizeBatchProgress(items) {
+  const total = items.length;
+  const succeeded = items.filter(item => item.status === 'succeeded').length;
+  const failed = items.filter(item => item.status === 'failed').length;
+
+  return {
+    total,
+    succeeded,
+    failed,
+    remaining: total - succeeded - failed,
+    percent: total === 0 ? 100 : Math.round(((succeeded + failed) / total) * 100)
+  };
+}
+
+/**
+ * Model the grant-card-generator runs with
+ * @returns {string|null} Model from the manifest, or null for the default
+ */
+export function getGrantCardModel() {
+  try {
+    return getAgentManifest(GRANT_CARD_AGENT).model;
+  } catch (error) {
+    console.warn(`⚠️  Could not read ${GRANT_CARD_AGENT} manifest, using the default model: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Submit a batch's documents to the Message Batches API (the submit job)
+ * @param {string} batchId - Batch UUID
+ * @returns {Promise<Object>} {submitted, providerBatchId, requestCount}
+ */
+export async function submitGrantCardBatch(batchId) {
+  const batch = await batchesDb.getGrantCardBatch(batchId);
+
+  if (!batch) {
+    throw new Error(`Grant card batch not found: ${batchId}`);
+  }
+
+  // An earlier attempt stopped after starting to send the batch: it may have
+  // been created, so it is not sent again (that would run every document twice)
+  if (batch.status === 'submitting') {
+    await batchesDb.finishGrantCardBatch(batchId, 'failed', SUBMISSION_INTERRUPTED_ERROR);
+    return { submitted: false, providerBatchId: null, requestCount: 0 };
+  }
+
+  // Already submitted (job retried after the batch was created)
+  if (batch.status !== 'pending') {
+    return { submitted: batch.status === 'processing', providerBatchId: batch.provider_batch_id, requestCount: 0 };
+  }
+
+  const prompt = await getActivePrompt(GRANT_CARD_AGENT);
+  const requests = buildBatchRequests(batch, { systemPrompt: prompt.content, model: getGrantCardModel() });
+
+  if (requests.length === 0) {
+    await batchesDb.finishGrantCardBatch(batchId, 'failed', 'None of the documents could be uploaded');
+    return { submitted: false, providerBatchId: null, requestCount: 0 };
+  }
+
+  // Another attempt got to it first
+  if (!await batchesDb.startGrantCardBatchSubmission(batchId)) {
+    return { submitted: false, providerBatchId: null, requestCount: 0 };
+  }
+
+  let providerBatch;
+  try {
+    providerBatch = await pdfAPI.processBatch(requests);
+  } catch (error) {
+    // An error response means no batch was created, so a retry can send it;
+    // a network error or timeout leaves the batch 'submitting'
+    if (error.cause?.status) {
+      await batchesDb.cancelGrantCardBatchSubmission(batchId);
+    }
+    throw error;
+  }
+
+  await batchesDb.markGrantCardBatchSubmitted(batchId, providerBatch.id, prompt.versionId);
+
+  console.log(`📦 Grant card batch ${batchId} submitted: ${providerBatch.id} (${requests.length} documents)`);
+
+  return { submitted: true, providerBatchId: providerBatch.id, requestCount: requests.length };
+}
+
+/**
+ * The system prompt and model a batch ran with, for its repair prompts
+ * @param {Object} batch - Batch
+ * @returns {Promise<Object>} {systemPrompt, model}
+ */
+async function getBatchGeneration(batch) {
+  const version = batch.prompt_version_id ? await getPromptVersion(batch.prompt_version_id) : null;
+
+  return {
+    systemPrompt: version?.content || (await getActivePrompt(GRANT_CARD_AGENT)).content,
+    model: getGrantCardModel()
+  };
+}
+
+/**
+ * Check a submitted batch and save its results once it has ended (the poll job)
+ * Invalid cards are saved as 'repairing': the batch completes once their
+ * repair jobs (repairGrantCardBatchItem) have run.
+ * @param {string} batchId - Batch UUID
+ * @returns {Promise<Object>} {done, requestCounts, repairItemIds}
+ */
+export async function pollGrantCardBatch(batchId) {
+  const batch = await batchesDb.getGrantCardBatch(batchId);
+
+  if (!batch || batch.status !== 'processing') {
+    return { done: true, requestCounts: batch?.request_counts || null, repairItemIds: [] };
+  }
+
+  const status = await pdfAPI.getBatchStatus(batch.provider_batch_id);
+  await batchesDb.updateGrantCardBatchProgress(batchId, status.request_counts);
+
+  if (status.processing_status !== 'ended') {
+    return { done: false, requestCounts: status.request_counts, repairItemIds: [] };
+  }
+
+  const items = new Map(batch.items.map(item => [item.id, item]));
+  const results = await pdfAPI.getBatchResults(batch.provider_batch_id);
+
+  // Including items saved for repair by an earlier attempt of this job
+  const repairItemIds = batch.items.filter(item => item.status === 'repairing').map(item => item.id);
+
+  for await (const entry of results) {
+    const result = parseBatchResult(entry);
+    const item = result && items.get(result.itemId);
+
+    // Unknown, or already saved by an earlier attempt of this job
+    if (!item || !['pending', 'processing'].includes(item.status)) continue;
+
+    await saveItemResult(batch, result);
+    if (result.status === 'invalid') repairItemIds.push(item.id);
+  }
+
+  await batchesDb.completeGrantCardBatchIfDone(batchId);
+
+  return { done: true, requestCounts: status.request_counts, repairItemIds };
+}
+
+/**
+ * Repair one card of an ended batch that failed validation (the repair job)
+ * @param {string} batchId - Batch UUID
+ * @param {number} itemId - Item saved as 'repairing' by the poll
+ * @param {Object} options - {signal} cancels the model calls
+ * @returns {Promise<Object>} {itemId, status, batchCompleted}
+ */
+export async function repairGrantCardBatchItem(batchId, itemId, { signal } = {}) {
+  const batch = await batchesDb.getGrantCardBatch(batchId);
+  const item = batch?.items.find(batchItem => batchItem.id === itemId);
+
+  // Already saved by an earlier attempt of this job (or the batch failed)
+  if (!item || item.status !== 'repairing') {
+    return { itemId, status: item?.status || null, batchCompleted: false };
+  }
+
+  // The batch answer hit the token limit if it used all of it
+  const { errors } = validateBatchOutput(item.output || '', item.output_tokens >= GRANT_CARD_MAX_TOKENS);
+  const result = await repairBatchResult(batch, item, {
+    itemId,
+    output: item.output,
+    errors,
+    inputTokens: item.input_tokens,
+    outputTokens: item.output_tokens
+  }, await getBatchGeneration(batch), signal);
+
+  await saveItemResult(batch, result);
+  const batchCompleted = await batchesDb.completeGrantCardBatchIfDone(batchId);
+
+  return { itemId, status: result.status, batchCompleted };
+}
+
+/**
+ * Give up on repairing a card (its repair job failed for good)
+ * @param {string} batchId - Batch UUID
+ * @param {number} itemId - Item ID
+ * @param {string} errorMessage - Why the repair failed
+ * @returns {Promise<void>}
+ */
+export async function failGrantCardBatchRepair(batchId, itemId, errorMessage) {
+  const batch = await batchesDb.getGrantCardBatch(batchId);
+  const item = batch?.items.find(batchItem => batchItem.id === itemId);
+
+  if (item?.status === 'repairing') {
+    await batchesDb.saveGrantCardBatchItemResult(itemId, { status: 'failed', error: `Could not repair the grant card: ${errorMessage}` });
+  }
+
+  await batchesDb.completeGrantCardBatchIfDone(batchId);
+}
+
+/**
+ * Summary of a batch for the bundle
+ * @param {Object} batch - Batch with items
+ * @param {Map<number, string>} fileNames - Item ID to grant card file name
+ * @returns {string} Markdown
+ */
+function bundleSummary(batch, fileNames) {
+  const progress = summarizeBatchProgress(batch.items);
+  const cell = (text) => String(text || '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+
+  return [
+    `# ${batch.name}`,
+    '',
+    `${progress.succeeded} of ${progress.total} grant cards generated, ${progress.failed} failed.`,
+    '',
+    '| # | Document | Status | Grant card | Error |',
+    '|---|---|---|---|---|',
+    ...batch.items.map(item => `| ${item.position + 1} | ${cell(item.source_name)} | ${item.status} | ${cell(fileNames.get(item.id))} | ${cell(item.error)} |`),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Build the downloadable ZIP bundle of a batch: one grant card per document,
+ * a summary (with per-document errors) and a results.json manifest
+ * @param {Object} batch - Batch with items
+ * @param {string} format - Grant card format: 'md', 'docx' or 'pdf'
+ * @returns {Promise<Object>} {body: Buffer, contentType, filename}
+ */
+export async function buildBatchBundle(batch, format = 'md') {
+  const { extension } = EXPORT_FORMATS[format];
+  const zip = new JSZip();
+  const fileNames = new Map();
+
+  for (const item of batch.items) {
+    if (item.status !== 'succeeded' || !item.output) continue;
+
+    const title = item.source_name;
+    const fileName = `${String(item.position + 1).padStart(2, '0')}-${slugify(title, `document-${item.position + 1}`)}.${extension}`;
+
+    let body;
+    if (format === 'docx') {
+      body = await renderDocx(item.output, { title });
+    } else if (format === 'pdf') {
+      body = renderPdf(item.output, { title });
+    } else {
+      body = Buffer.from(item.output, 'utf8');
+    }
+
+    zip.file(`grant-cards/${fileName}`, body);
+    fileNames.set(item.id, `grant-cards/${fileName}`);
+  }
+
+  zip.file('summary.md', bundleSummary(batch, fileNames));
+  zip.file('results.json', JSON.stringify({
+    batch: {
+      id: batch.id,
+      name: batch.name,
+      status: batch.status,
+      createdAt: batch.created_at,
+      completedAt: batch.completed_at
+    },
+    documents: batch.items.map(item => ({
+      position: item.position + 1,
+      source: item.source_url || item.source_name,
+      status: item.status,
+      file: fileNames.get(item.id) || null,
+      error: item.error || null
+    }))
+  }, null, 2));
+
+  const body = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+  return {
+    body,
+    contentType: 'application/zip',
+    filename: `${slugify(batch.name, 'grant-cards')}-grant-cards.zip`
+  };
+}
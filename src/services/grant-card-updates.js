@@ -0,0 +1,109 @@
+/**
+ * Grant Card Updates
+ *
+ * Diff mode for the grant-card-generator: when a program's guidelines change
+ * (e.g. a new fiscal-year CanExport guide), the stored card and the new
+ * program document go to the model, which returns the updated card. The
+ * update is stored as a pending revision with a field-by-field change report
+ * (src/grant-cards/diff.js) for a reviewer to accept or reject by section.
+ */
+
+import { FILES_API_BETA } from '../anthropic-client.js';
+import { getActivePrompt } from '../agents/prompt-store.js';
+import { GRANT_CARD_JSON_INSTRUCTIONS, generateGrantCard } from '../grant-cards/structured-output.js';
+import { diffGrantCards } from '../grant-cards/diff.js';
+import { createGrantCardRevision } from '../database/grant-card-revisions.js';
+import { GRANT_CARD_AGENT, getGrantCardModel } from './grant-card-batches.js';
+
+const GRANT_CARD_MAX_TOKENS = 8192;
+
+/**
+ * The user prompt asking for an updated card
+ * @param {Object} priorCard - Stored grant card
+ * @param {string|null} instructions - Extra instructions from the reviewer
+ * @returns {string} Prompt
+ */
+export function buildUpdatePrompt(priorCard, instructions = null) {
+  const prompt = `This document is a new version of the program guidelines for an existing grant card. Update the grant card (Generate Criteria) so it matches the new document.
+
+Current grant card:
+${JSON.stringify(priorCard, null, 2)}
+
+Rules:
+- The new document wins wherever it differs from the current card (amounts, eligibility, deadlines, documents)
+- Keep the current wording where the new document says the same thing, so reviewers only see real changes
+- Drop deadlines and requirements the new document no longer has; do not carry old dates forward
+- Anything the new document doesn't answer goes in missing_info - never guess
+
+${GRANT_CARD_JSON_INSTRUCTIONS}`;
+
+  return instructions ? `${prompt}\n\nAdditional instructions:\n${instructions}` : prompt;
+}
+
+/**
+ * Store an updated card as a pending revision of a stored card
+ * @param {Object} grantCard - grant_cards row being updated
+ * @param {Object} proposedCard - Validated updated card
+ * @param {Object} context - {userId, conversationId, sourceName}
+ * @returns {Promise<Object>} {revision, changes}
+ */
+export async function proposeGrantCardRevision(grantCard, proposedCard, { userId = null, conversationId = null, sourceName = null } = {}) {
+  const changes = diffGrantCards(grantCard.card, proposedCard);
+
+  const revision = await createGrantCardRevision({
+    grantCardId: grantCard.id,
+    userId,
+    conversationId,
+    sourceName,
+    priorCard: grantCard.card,
+    proposedCard,
+    changes
+  });
+
+  return { revision, changes };
+}
+
+/**
+ * Generate an updated card from a new program document and store it as a revision
+ * @param {Object} grantCard - grant_cards row being updated
+ * @param {Object} document - New program document: {fileId} (Files API), {url} or {text}, plus {name}
+ * @param {Object} options - {instructions, userId, conversationId}
+ * @returns {Promise<Object>} {revision, changes, usage}
+ * @throws {GrantCardValidationError} When the model can't produce a valid card
+ */
+export async function generateGrantCardRevision(grantCard, document, { instructions = null, userId = null, conversationId = null } = {}) {
+  let source;
+  if (document.fileId) {
+    source = { type: 'file', file_id: document.fileId };
+  } else if (document.url) {
+    source = { type: 'url', url: document.url };
+  } else {
+    source = { type: 'text', media_type: 'text/plain', data: document.text };
+  }
+
+  const prompt = await getActivePrompt(GRANT_CARD_AGENT, conversationId);
+
+  const { card, attempts, usage } = await generateGrantCard({
+    messages: [{
+      role: 'user',
+      content: [
+        { type: 'document', source, title: document.name },
+        { type: 'text', text: buildUpdatePrompt(grantCard.card, instructions) }
+      ]
+    }],
+    systemPrompt: prompt.content,
+    model: getGrantCardModel(),
+    maxTokens: GRANT_CARD_MAX_TOKENS,
+    requestOptions: document.fileId ? { headers: { 'anthropic-beta': FILES_API_BETA } } : undefined
+  });
+
+  console.log(`🔁 Updated grant card ${grantCard.id} from ${document.name} (${attempts} attempt(s))`);
+
+  const { revision, changes } = await proposeGrantCardRevision(grantCard, card, {
+    userId,
+    conversationId,
+    sourceName: document.name
+  });
+
+  return { revision, changes, usage };
+}
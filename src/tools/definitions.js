@@ -6,6 +6,9 @@
  * - Client tools (executed locally)
  */
 
+import { GRANT_CARD_SCHEMA } from '../grant-cards/schema.js';
+import { getKnowledgeBaseScopes, hasKnowledgeBase } from '../knowledge-base/index.js';
+
 // ============================================================================
 // SERVER TOOLS
 // These are executed by Anthropic's servers
@@ -504,6 +507,100 @@ export const GOOGLE_DOCS_TOOLS = [
   }
 ];
 
+// ============================================================================
+// GRANT CARD TOOLS
+// Structured grant cards validated against the grant card schema
+// ============================================================================
+
+export const GRANT_CARD_TOOLS = [
+  {
+    name: 'save_grant_card',
+    description: 'Save a complete grant card as structured data. Call this whenever you have generated a full grant card (Generate Criteria), with every field filled from the program documents. The card is validated against the grant card schema: if validation fails you get the list of errors back - fix exactly those fields and call the tool again with the whole corrected card. On success it returns the card ID and a Markdown rendering to show the user. Put anything the documents don\'t answer in missing_info instead of guessing.',
+    input_schema: GRANT_CARD_SCHEMA
+  },
+  {
+    name: 'get_grant_card',
+    description: 'Get a stored grant card as structured data by its card ID (from save_grant_card, or given by the user). Use it before update_grant_card so you update the card from its current content.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        card_id: { type: 'string', description: 'Grant card ID' }
+      },
+      required: ['card_id']
+    }
+  },
+  {
+    name: 'update_grant_card',
+    description: 'Diff mode: propose an update to a stored grant card after the program\'s guidelines changed (e.g. a new fiscal-year guide). Get the current card with get_grant_card, then call this with the complete updated card built from the new document - keep the current wording wherever the new document says the same thing, so only real changes show up. Nothing is overwritten: the update is saved as a pending revision and you get back a field-by-field change report (added, removed, modified) to show the user. A reviewer then accepts or rejects each section. Validation errors come back like save_grant_card\'s.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        card_id: { type: 'string', description: 'ID of the grant card being updated' },
+        card: { ...GRANT_CARD_SCHEMA, description: 'The complete updated grant card' }
+      },
+      required: ['card_id', 'card']
+    }
+  }
+];
+
+// ============================================================================
+// KNOWLEDGE BASE TOOLS
+// BM25 search over the agent's knowledge-base/ directories (see knowledge-base/index.js)
+// ============================================================================
+
+export const KNOWLEDGE_BASE_TOOLS = [
+  {
+    name: 'search_knowledge_base',
+    description: 'Search your knowledge base: the reference guides and templates for your work (program rules, checklists, worked examples). Returns the most relevant passages, each with a source citation (file, section and lines). Use it before answering questions the guides cover, and cite the passages you rely on by their citation. Use specific terms from the question (e.g., "funding agreement project period", "Category B eligible expenses").',
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'What to look for (keywords or a short question)'
+        },
+        limit: {
+          type: 'number',
+          description: 'Optional: Number of passages to return (default: 5, max: 10)'
+        }
+      },
+      required: ['query']
+    }
+  }
+];
+
+// ============================================================================
+// DELEGATION TOOLS
+// Run a specialist agent as a nested run (see claude/delegation.js)
+// ============================================================================
+
+export const DELEGATE_TOOL_NAME = 'delegate_to_agent';
+
+export const DELEGATION_TOOLS = [
+  {
+    name: DELEGATE_TOOL_NAME,
+    description: 'Hand a task to a specialist agent and get its final answer back. The specialist runs with its own instructions and tools (HubSpot, Google Drive, etc.) and cannot see this conversation, so include everything it needs in the task and context. Specialists: grant-card-generator (grant cards from program guidelines), etg-writer (BC Employer Training Grant applications), bcafe-writer (BC Agriculture and Food Export applications), canexport-claims (CanExport SMEs claim review), readiness-strategist (readiness assessments and interview materials). Independent tasks can be delegated in parallel.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        agent_type: {
+          type: 'string',
+          description: 'Specialist to run (e.g., "grant-card-generator", "etg-writer", "canexport-claims")'
+        },
+        task: {
+          type: 'string',
+          description: 'What the specialist should do, written as a complete request'
+        },
+        context: {
+          type: 'string',
+          description: 'Optional: Background the specialist needs (client details, documents already found, decisions made)'
+        }
+      },
+      required: ['agent_type', 'task']
+    }
+  }
+];
+
 // ============================================================================
 // TOOL AGGREGATION
 // ============================================================================
@@ -520,49 +617,61 @@ export const ALL_TOOLS = [
   ...GOOGLE_DOCS_TOOLS
 ];
 
+/**
+ * Tool groups an agent can declare in its manifest (tool_groups frontmatter).
+ * Every agent also gets the base tools: server tools and memory.
+ */
+export const TOOL_GROUPS = {
+  hubspot: HUBSPOT_TOOLS,
+  'google-drive': GOOGLE_DRIVE_TOOLS,
+  'google-docs': GOOGLE_DOCS_TOOLS,
+  delegation: DELEGATION_TOOLS,
+  'grant-cards': GRANT_CARD_TOOLS,
+  all: ALL_TOOLS
+};
+
+/**
+ * Tool groups for agents whose manifest doesn't declare tool_groups yet
+ */
+const LEGACY_AGENT_TOOL_GROUPS = {
+  'grant-card-generator': ['hubspot', 'google-drive', 'grant-cards'],
+  'etg-writer': ['hubspot', 'google-drive'],
+  'bcafe-writer': ['hubspot', 'google-drive'],
+  'canexport-claims': ['hubspot', 'google-drive'],
+  'readiness-strategist': ['hubspot', 'google-drive', 'google-docs'],
+  orchestrator: ['all', 'delegation']
+};
+
 /**
  * Get tools for a specific agent type
+ * Agents with documents in their knowledge bases also get search_knowledge_base.
  * @param {string} agentType - The type of agent
+ * @param {Array<string>|null} toolGroups - Tool groups from the agent manifest (null = not declared)
+ * @param {Array<string>|null} knowledgeBases - Knowledge bases from the agent manifest (null = not declared)
  * @returns {Array} Array of tool definitions for this agent
  */
-export function getToolsForAgent(agentType) {
-  // All agents get server tools and memory (file-based + database)
-  const baseTools = [...SERVER_TOOLS, ANTHROPIC_MEMORY_TOOL, ...MEMORY_TOOLS];
-
-  switch (agentType) {
-    case 'grant-card-generator':
-      // Grant card generator gets all tools
-      return [...baseTools, ...HUBSPOT_TOOLS, ...GOOGLE_DRIVE_TOOLS];
+export function getToolsForAgent(agentType, toolGroups = null, knowledgeBases = null) {
+  // All agents get server tools and memory (file-based + database), plus knowledge base search when they have documents
+  const baseTools = [
+    ...SERVER_TOOLS,
+    ANTHROPIC_MEMORY_TOOL,
+    ...MEMORY_TOOLS,
+    ...(hasKnowledgeBase(getKnowledgeBaseScopes(agentType, knowledgeBases)) ? KNOWLEDGE_BASE_TOOLS : [])
+  ];
 
-    case 'etg-writer':
-      // ETG writer gets CRM and documents
-      return [...baseTools, ...HUBSPOT_TOOLS, ...GOOGLE_DRIVE_TOOLS];
+  const groups = toolGroups || LEGACY_AGENT_TOOL_GROUPS[agentType];
 
-    case 'bcafe-writer':
-      // BCAFE writer gets CRM and documents
-      return [...baseTools, ...HUBSPOT_TOOLS, ...GOOGLE_DRIVE_TOOLS];
-
-    case 'canexport-claims':
-      // Claims auditor gets CRM and documents
-      return [...baseTools, ...HUBSPOT_TOOLS, ...GOOGLE_DRIVE_TOOLS];
-
-    case 'readiness-strategist':
-      // Readiness strategist gets full toolset:
-      // - Server tools (WebSearch/WebFetch) for grant program research
-      // - Google Drive for example assessments and Question Bank
-      // - HubSpot for client context, deal integration, and assessment storage
-      // - Google Docs for creating formatted readiness assessment documents
-      return [...baseTools, ...HUBSPOT_TOOLS, ...GOOGLE_DRIVE_TOOLS, ...GOOGLE_DOCS_TOOLS];
+  if (!groups) {
+    console.warn(`No tool_groups declared for agent type: ${agentType}, using base tools only`);
+    return baseTools;
+  }
 
-    case 'orchestrator':
-      // Orchestrator gets everything
-      return ALL_TOOLS;
+  // 'all' expands to every group except delegation, which has to be requested explicitly
+  const resolvedGroups = groups.includes('all')
+    ? Object.keys(TOOL_GROUPS).filter(group => group !== 'all' && (group !== 'delegation' || groups.includes('delegation')))
+    : groups;
 
-    default:
-      // Unknown agent types get base tools only
-      console.warn(`Unknown agent type: ${agentType}, using base tools only`);
-      return baseTools;
-  }
+  return [...baseTools, ...resolvedGroups.flatMap(group => TOOL_GROUPS[group] || [])];
 }
 
 /**
@@ -12,7 +12,11 @@ import * as googleDocs from './google-docs.js';
 import * as googleSheets from './google-sheets.js';
 import { createAdvancedDocumentTool } from './google-docs-advanced.js';
 import { createAdvancedBudgetTool } from './google-sheets-advanced.js';
-import { isServerTool } from './definitions.js';
+import { linkConversationFromToolResult } from './hubspot-links.js';
+import { saveGrantCardTool, getGrantCardTool, updateGrantCardTool } from './grant-cards.js';
+import { searchKnowledgeBaseTool } from './knowledge-base.js';
+import { isServerTool, HUBSPOT_TOOLS, GOOGLE_DRIVE_TOOLS, GOOGLE_DOCS_TOOLS, DELEGATE_TOOL_NAME } from './definitions.js';
+import { createLimiter, withTimeout, withAbort, createChildAbortController, TimeoutError, AbortError } from '../utils/concurrency.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -26,12 +30,24 @@ const __dirname = path.dirname(__filename);
  * @param {string} conversationId - UUID of the conversation
  * @param {number} userId - User ID (for domain-wide delegation)
  * @param {string} agentType - Agent type (for agent-specific tool behavior)
+ * @param {AgentFixture} fixture - Optional record/replay fixture (see claude/agent-fixtures.js)
+ * @param {Object} delegation - Nested-run context for delegate_to_agent {res, sessionId, signal, depth, chain, toolUseId}
  * @returns {Promise<Object>} Tool execution result
  */
-export async function executeToolCall(toolName, input, conversationId, userId = null, agentType = null) {
+export async function executeToolCall(toolName, input, conversationId, userId = null, agentType = null, fixture = null, delegation = null) {
   console.log(`🔧 Executing tool: ${toolName}`);
   console.log(`   Input:`, JSON.stringify(input, null, 2));
 
+  // delegate_to_agent is not recorded itself: its nested run records (and
+  // replays) its own model and tool calls through the same fixture
+  const recordsResult = toolName !== DELEGATE_TOOL_NAME;
+
+  // Replay: return the recorded result instead of calling HubSpot/Google
+  if (fixture?.mode === 'replay' && recordsResult) {
+    console.log(`📼 Replaying recorded result for ${toolName}`);
+    return fixture.replayToolCall(toolName, input);
+  }
+
   // Get user email for domain-wide delegation (Google Drive search tool)
   // Note: Google Docs creation now uses userId directly with OAuth
   let userEmail = null;
@@ -246,6 +262,65 @@ export async function executeToolCall(toolName, input, conversationId, userId =
         });
         break;
 
+      // ============================================================================
+      // GRANT CARD TOOLS
+      // ============================================================================
+
+      case 'save_grant_card':
+        result = await saveGrantCardTool(input, {
+          conversationId,
+          userId
+        });
+        break;
+
+      case 'get_grant_card':
+        result = await getGrantCardTool(input.card_id, {
+          conversationId,
+          userId
+        });
+        break;
+
+      case 'update_grant_card':
+        result = await updateGrantCardTool(input.card_id, input.card, {
+          conversationId,
+          userId
+        });
+        break;
+
+      // ============================================================================
+      // KNOWLEDGE BASE TOOLS
+      // ============================================================================
+
+      case 'search_knowledge_base':
+        result = await searchKnowledgeBaseTool(input, { agentType });
+        break;
+
+      // ============================================================================
+      // DELEGATION TOOLS
+      // ============================================================================
+
+      case DELEGATE_TOOL_NAME: {
+        if (!delegation) {
+          result = {
+            success: false,
+            error: 'Delegation is not available in this context'
+          };
+          break;
+        }
+
+        const { runDelegatedAgent } = await import('../claude/delegation.js');
+        result = await runDelegatedAgent({
+          agentType: input.agent_type,
+          task: input.task,
+          context: input.context,
+          conversationId,
+          userId,
+          delegation,
+          fixture
+        });
+        break;
+      }
+
       // ============================================================================
       // UNKNOWN TOOL
       // ============================================================================
@@ -261,31 +336,172 @@ export async function executeToolCall(toolName, input, conversationId, userId =
     console.log(`✅ Tool ${toolName} completed`);
     console.log(`   Result:`, JSON.stringify(result, null, 2).substring(0, 500) + '...');
 
+    if (fixture?.mode === 'record' && recordsResult) {
+      fixture.recordToolCall(toolName, input, result);
+    }
+
+    // Attach resolved deals/companies to the conversation
+    await linkConversationFromToolResult(conversationId, toolName, result);
+
     return result;
 
   } catch (error) {
     console.error(`❌ Tool ${toolName} failed:`, error);
 
-    return {
+    const result = {
       success: false,
       error: error.message,
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
     };
+
+    if (fixture?.mode === 'record' && recordsResult) {
+      fixture.recordToolCall(toolName, input, result);
+    }
+
+    return result;
   }
 }
 
+/**
+ * Concurrency limits per tool group.
+ * Limiters are module-level so the limits hold across concurrent agent runs
+ * (HubSpot private apps share one rate limit across all requests).
+ */
+const TOOL_CONCURRENCY_LIMITS = {
+  hubspot: 3,
+  google: 4,
+  // Not limited: a nested run's own tools wait for slots in the other groups,
+  // so delegations holding slots here could deadlock
+  delegation: Infinity,
+  default: 5
+};
+
+/**
+ * Per-tool timeout (ms). PDF/file reads can be slow, so keep this generous.
+ */
+const TOOL_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS || '120000', 10);
+
+/**
+ * Timeout (ms) for delegate_to_agent - a whole nested agent run
+ */
+const DELEGATION_TIMEOUT_MS = parseInt(process.env.DELEGATION_TIMEOUT_MS || '600000', 10);
+
+const HUBSPOT_TOOL_NAMES = new Set(HUBSPOT_TOOLS.map(tool => tool.name));
+const GOOGLE_TOOL_NAMES = new Set([...GOOGLE_DRIVE_TOOLS, ...GOOGLE_DOCS_TOOLS].map(tool => tool.name));
+
+const toolLimiters = Object.fromEntries(
+  Object.entries(TOOL_CONCURRENCY_LIMITS).map(([group, limit]) => [group, createLimiter(limit)])
+);
+
+/**
+ * Get the concurrency group for a tool
+ * @param {string} toolName - Name of the tool
+ * @returns {string} Group name (key of TOOL_CONCURRENCY_LIMITS)
+ */
+export function getToolConcurrencyGroup(toolName) {
+  if (HUBSPOT_TOOL_NAMES.has(toolName)) return 'hubspot';
+  if (GOOGLE_TOOL_NAMES.has(toolName)) return 'google';
+  if (toolName === DELEGATE_TOOL_NAME) return 'delegation';
+  return 'default';
+}
+
 /**
  * Execute multiple tool calls in parallel
+ *
+ * Calls run concurrently, subject to per-group concurrency limits and a
+ * per-tool timeout. A failing or timed-out tool produces an error result
+ * without affecting the others; a timed-out tool keeps its concurrency slot
+ * until its request actually finishes. Results are returned in the original order.
+ * When the abort signal fires, queued tools are skipped and running tools
+ * are abandoned with a cancelled result.
+ *
  * @param {Array} toolCalls - Array of {toolName, input, toolUseId}
- * @param {string} conversationId - UUID of the conversation
- * @returns {Promise<Array>} Array of tool results
+ * @param {Object} context - Execution context
+ * @param {string} context.conversationId - UUID of the conversation
+ * @param {number} context.userId - User ID (for domain-wide delegation)
+ * @param {string} context.agentType - Agent type (for agent-specific tool behavior)
+ * @param {AbortSignal} context.signal - Optional signal to cancel remaining tools
+ * @param {AgentFixture} context.fixture - Optional record/replay fixture
+ * @param {Object} context.delegation - Optional nested-run context {res, sessionId, depth, chain}
+ *   (enables delegate_to_agent)
+ * @param {Object} hooks - Optional callbacks
+ * @param {Function} hooks.onToolStart - Called with (toolCall) when a tool starts executing
+ * @param {Function} hooks.onToolResult - Called with (toolCall, result) as each tool finishes
+ * @returns {Promise<Array>} Array of tool_result blocks (same order as toolCalls)
  */
-export async function executeToolCalls(toolCalls, conversationId) {
+export async function executeToolCalls(toolCalls, context = {}, hooks = {}) {
+  // Backwards compatibility: second argument used to be the conversationId
+  const { conversationId, userId = null, agentType = null, signal = null, fixture = null, delegation = null } =
+    typeof context === 'string' ? { conversationId: context } : context;
+  const { onToolStart, onToolResult } = hooks;
+
   console.log(`🔧 Executing ${toolCalls.length} tool calls in parallel`);
+  const start = Date.now();
 
   const results = await Promise.all(
-    toolCalls.map(async ({ toolName, input, toolUseId }) => {
-      const result = await executeToolCall(toolName, input, conversationId);
+    toolCalls.map(async (toolCall) => {
+      const { toolName, input, toolUseId } = toolCall;
+      const limiter = toolLimiters[getToolConcurrencyGroup(toolName)];
+
+      // The result is returned as soon as the tool finishes, times out or is
+      // abandoned, but its limiter slot is only freed once the call itself
+      // settles: a timed-out HubSpot/Google request is still in flight and
+      // still counts against the group's limit
+      const result = await new Promise((resolve) => {
+        limiter(async () => {
+          // Run was cancelled while this tool was queued - skip it
+          if (signal?.aborted) {
+            console.log(`⏭️  Skipping tool ${toolName} (run cancelled)`);
+            resolve({ success: false, error: 'Tool skipped: run cancelled by user', cancelled: true });
+            return;
+          }
+
+          if (onToolStart) onToolStart(toolCall);
+
+          // A delegation runs under its own signal so a timeout stops the nested
+          // run instead of leaving it calling the model and tools in the background
+          const isDelegation = toolName === DELEGATE_TOOL_NAME;
+          const child = isDelegation ? createChildAbortController(signal) : null;
+
+          const execution = executeToolCall(
+            toolName, input, conversationId, userId, agentType, fixture,
+            delegation && { ...delegation, signal: child ? child.controller.signal : signal, toolUseId }
+          );
+
+          resolve(
+            withAbort(
+              withTimeout(
+                execution,
+                isDelegation ? DELEGATION_TIMEOUT_MS : TOOL_TIMEOUT_MS,
+                `Tool ${toolName}`,
+                child && (() => child.controller.abort())
+              ),
+              signal
+            ).catch(error => {
+              if (error instanceof AbortError) {
+                return { success: false, error: 'Tool abandoned: run cancelled by user', cancelled: true };
+              }
+
+              console.error(`❌ Tool ${toolName} failed:`, error.message);
+              return {
+                success: false,
+                error: error.message,
+                timedOut: error instanceof TimeoutError
+              };
+            })
+          );
+
+          try {
+            await execution;
+          } catch {
+            // Already reported through the result above
+          } finally {
+            child?.release();
+          }
+        });
+      });
+
+      if (onToolResult) onToolResult(toolCall, result);
 
       return {
         type: 'tool_result',
@@ -295,7 +511,7 @@ export async function executeToolCalls(toolCalls, conversationId) {
     })
   );
 
-  console.log(`✅ All ${toolCalls.length} tool calls completed`);
+  console.log(`✅ All ${toolCalls.length} tool calls completed in ${Date.now() - start}ms`);
 
   return results;
 }
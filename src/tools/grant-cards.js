@@ -0,0 +1,129 @@
+/**
+ * Grant Card Tools
+ *
+ * save_grant_card: validates a structured grant card from the agent and saves it.
+ * Validation errors go back to the agent as a repair prompt, so it can fix the
+ * listed fields and call the tool again.
+ *
+ * get_grant_card / update_grant_card: diff mode. The agent reads a stored card
+ * and proposes an updated one; the update is held as a pending revision with
+ * a change report until a reviewer accepts or rejects it section by section.
+ */
+
+import { validateGrantCard } from '../grant-cards/schema.js';
+import { renderGrantCardMarkdown } from '../grant-cards/render.js';
+import { buildRepairPrompt } from '../grant-cards/structured-output.js';
+import { renderChangeReportMarkdown } from '../grant-cards/diff.js';
+import { saveGrantCard, getGrantCard } from '../database/grant-cards.js';
+import { proposeGrantCardRevision } from '../services/grant-card-updates.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Tool result for a card that failed validation
+ * @param {Array<Object>} errors - Validation errors [{path, message}]
+ * @returns {Object} {success: false, error, validation_errors, repair_instructions}
+ */
+function validationFailure(errors) {
+  return {
+    success: false,
+    error: `Grant card failed validation (${errors.length} error(s)) - nothing was saved`,
+    validation_errors: errors,
+    repair_instructions: buildRepairPrompt(errors)
+  };
+}
+
+/**
+ * Load a stored card the agent may use: the user's own, or one saved in
+ * the current conversation
+ * @param {string} cardId - Card UUID
+ * @param {Object} context - {conversationId, userId}
+ * @returns {Promise<Object|null>} grant_cards row, or null
+ */
+async function loadAgentGrantCard(cardId, { conversationId = null, userId = null }) {
+  const row = UUID_PATTERN.test(cardId || '') ? await getGrantCard(cardId) : null;
+
+  if (!row) return null;
+  if (userId && row.user_id === userId) return row;
+  if (conversationId && row.conversation_id === conversationId) return row;
+  return null;
+}
+
+/**
+ * Validate and save a grant card
+ * @param {Object} card - Grant card (tool input)
+ * @param {Object} context - {conversationId, userId}
+ * @returns {Promise<Object>} {success, card_id, markdown} or {success: false, validation_errors, repair_instructions}
+ */
+export async function saveGrantCardTool(card, { conversationId = null, userId = null } = {}) {
+  const { valid, errors } = validateGrantCard(card);
+
+  if (!valid) {
+    return validationFailure(errors);
+  }
+
+  const saved = await saveGrantCard({ userId, conversationId, card });
+
+  return {
+    success: true,
+    card_id: saved.id,
+    program_name: card.program_name,
+    markdown: renderGrantCardMarkdown(card),
+    message: 'Grant card saved. Show the user the Markdown rendering; it can also be downloaded as HTML or JSON.'
+  };
+}
+
+/**
+ * Get a stored grant card
+ * @param {string} cardId - Card UUID
+ * @param {Object} context - {conversationId, userId}
+ * @returns {Promise<Object>} {success, card_id, card, updated_at} or {success: false, error}
+ */
+export async function getGrantCardTool(cardId, context = {}) {
+  const row = await loadAgentGrantCard(cardId, context);
+
+  if (!row) {
+    return { success: false, error: `Grant card not found: ${cardId}` };
+  }
+
+  return {
+    success: true,
+    card_id: row.id,
+    card: row.card,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Propose an update to a stored grant card (diff mode)
+ * @param {string} cardId - Card UUID
+ * @param {Object} card - Complete updated grant card
+ * @param {Object} context - {conversationId, userId}
+ * @returns {Promise<Object>} {success, revision_id, summary, change_report} or a validation failure
+ */
+export async function updateGrantCardTool(cardId, card, { conversationId = null, userId = null } = {}) {
+  const row = await loadAgentGrantCard(cardId, { conversationId, userId });
+
+  if (!row) {
+    return { success: false, error: `Grant card not found: ${cardId}` };
+  }
+
+  const { valid, errors } = validateGrantCard(card);
+
+  if (!valid) {
+    return validationFailure(errors);
+  }
+
+  const { revision, changes } = await proposeGrantCardRevision(row, card, { userId, conversationId });
+
+  return {
+    success: true,
+    card_id: row.id,
+    revision_id: revision.id,
+    summary: changes.summary,
+    change_report: renderChangeReportMarkdown(changes),
+    message: changes.summary.sectionsChanged === 0
+      ? 'The updated card is identical to the stored card - nothing to review.'
+      : 'Update saved as a pending revision - the stored card is unchanged. Show the user the change report; a reviewer accepts or rejects each section before it is applied.'
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * HubSpot Conversation Links
+ *
+ * Attaches the deals and companies resolved by load_company_context and
+ * get_grant_application to the conversation that called them, so every
+ * conversation about a client can be found from its deal.
+ */
+
+import { linkConversation } from '../database/conversation-links.js';
+
+// Tools whose results identify the deal/company a conversation is about
+export const LINKING_TOOLS = ['load_company_context', 'get_grant_application'];
+
+/**
+ * Extract the deals and companies from a tool result
+ * @param {string} toolName - Tool that produced the result
+ * @param {Object} result - Tool result
+ * @returns {Array<{objectType: string, objectId: string, name: string|null}>} Objects to link (no duplicates)
+ */
+export function extractHubSpotLinks(toolName, result) {
+  if (!LINKING_TOOLS.includes(toolName) || !result?.success) {
+    return [];
+  }
+
+  const links = new Map();
+  const add = (objectType, objectId, name = null) => {
+    if (!objectId) return;
+    const key = `${objectType}:${objectId}`;
+    if (!links.has(key) || (name && !links.get(key).name)) {
+      links.set(key, { objectType, objectId: String(objectId), name: name || null });
+    }
+  };
+
+  if (toolName === 'get_grant_application') {
+    add('deal', result.application?.id, result.application?.dealname);
+    for (const company of result.associations?.companies?.results || []) {
+      add('company', company.id);
+    }
+  } else {
+    add('company', result.company?.id, result.company?.name);
+    for (const application of result.applications || []) {
+      add('deal', application.deal_id || application.id, application.dealname);
+      for (const company of application.companies || []) {
+        add('company', company.id);
+      }
+    }
+  }
+
+  return [...links.values()];
+}
+
+/**
+ * Link a conversation to the deals/companies in a tool result
+ * Never throws - a failed link must not fail the tool call.
+ * @param {string} conversationId - UUID of the conversation
+ * @param {string} toolName - Tool that produced the result
+ * @param {Object} result - Tool result
+ * @returns {Promise<number>} Number of objects linked
+ */
+export async function linkConversationFromToolResult(conversationId, toolName, result) {
+  const links = extractHubSpotLinks(toolName, result);
+
+  if (!conversationId || links.length === 0) {
+    return 0;
+  }
+
+  try {
+    for (const link of links) {
+      await linkConversation({ conversationId, ...link, source: 'tool' });
+    }
+
+    console.log(`🔗 Linked conversation ${conversationId} to ${links.map(link => `${link.objectType} ${link.objectId}`).join(', ')}`);
+
+    return links.length;
+  } catch (error) {
+    console.warn(`⚠️  Could not link conversation to HubSpot: ${error.message}`);
+    return 0;
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Knowledge Base Tool
+ *
+ * search_knowledge_base: BM25 search over the knowledge bases in the calling
+ * agent's scope (its own knowledge-base/ directory and shared/, or the
+ * knowledge_bases declared in its manifest). Passages come back with source
+ * citations the agent can quote.
+ */
+
+import { getAgentManifest } from '../agents/load-agents.js';
+import { getKnowledgeBaseScopes, searchKnowledgeBase } from '../knowledge-base/index.js';
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 10;
+
+/**
+ * Knowledge bases in an agent's scope
+ * @param {string} agentType - Agent type
+ * @returns {Array<string>} Knowledge base names
+ */
+function resolveScopes(agentType) {
+  let knowledgeBases = null;
+
+  try {
+    knowledgeBases = getAgentManifest(agentType).knowledgeBases;
+  } catch (error) {
+    console.warn(`⚠️  Could not read ${agentType} manifest, using its default knowledge bases: ${error.message}`);
+  }
+
+  return getKnowledgeBaseScopes(agentType, knowledgeBases);
+}
+
+/**
+ * Format a passage's citation
+ * @param {Object} passage - Search result
+ * @returns {string} e.g. "canexport-claims/guide.md § Document Detection › Funding Agreement (lines 32-44)"
+ */
+export function formatCitation(passage) {
+  const section = passage.headings.length > 0 ? ` § ${passage.headings.join(' › ')}` : '';
+  return `${passage.source}${section} (lines ${passage.startLine}-${passage.endLine})`;
+}
+
+/**
+ * Search the agent's knowledge bases
+ * @param {Object} input - {query, limit}
+ * @param {Object} context - {agentType}
+ * @returns {Promise<Object>} {success, query, knowledge_bases, passages: [{citation, source, title, section, lines, score, text}]}
+ */
+export async function searchKnowledgeBaseTool({ query, limit = DEFAULT_LIMIT }, { agentType }) {
+  if (typeof query !== 'string' || !query.trim()) {
+    return { success: false, error: 'query is required' };
+  }
+
+  const knowledgeBases = resolveScopes(agentType);
+  const passages = searchKnowledgeBase(query, {
+    knowledgeBases,
+    limit: Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+  });
+
+  console.log(`📚 Knowledge base search (${knowledgeBases.join(', ')}): "${query}" -> ${passages.length} passage(s)`);
+
+  if (passages.length === 0) {
+    return {
+      success: true,
+      query,
+      knowledge_bases: knowledgeBases,
+      passages: [],
+      message: 'No passages matched. Try other keywords, or answer without the knowledge base and say so.'
+    };
+  }
+
+  return {
+    success: true,
+    query,
+    knowledge_bases: knowledgeBases,
+    passages: passages.map((passage, index) => ({
+      citation: `[${index + 1}] ${formatCitation(passage)}`,
+      source: passage.source,
+      title: passage.title,
+      section: passage.headings.join(' › ') || null,
+      lines: `${passage.startLine}-${passage.endLine}`,
+      score: passage.score,
+      text: passage.text
+    })),
+    message: 'Cite the passages you use by their citation (e.g. "[1] canexport-claims/...").'
+  };
+}
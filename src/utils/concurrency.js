@@ -0,0 +1,151 @@
+/**
+ * Concurrency Utilities
+ *
+ * Small helpers for running async work in parallel without overwhelming
+ * rate-limited APIs (HubSpot, Google Drive):
+ * - Concurrency limiter (semaphore)
+ * - Promise timeout wrapper
+ * - Abort signal wrapper and linked (child) abort controllers
+ */
+
+/**
+ * Error thrown when a promise does not settle before its deadline
+ */
+export class TimeoutError extends Error {
+  constructor(message, timeoutMs) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Error thrown when work is abandoned because its AbortSignal fired
+ */
+export class AbortError extends Error {
+  constructor(message = 'Operation cancelled') {
+    super(message);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Create a limiter that runs at most `limit` tasks at the same time.
+ * Tasks beyond the limit wait in FIFO order until a slot is released.
+ * @param {number} limit - Maximum number of concurrent tasks (Infinity = no limit)
+ * @returns {Function} run(task) - Schedules an async task and resolves with its result
+ */
+export function createLimiter(limit = Infinity) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) {
+      return;
+    }
+
+    active++;
+    const { task, resolve, reject } = queue.shift();
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  const run = (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+
+  // Expose counters for logging/debugging
+  Object.defineProperties(run, {
+    activeCount: { get: () => active },
+    pendingCount: { get: () => queue.length }
+  });
+
+  return run;
+}
+
+/**
+ * Reject with a TimeoutError if a promise takes longer than `timeoutMs`.
+ * The underlying work is not cancelled - its result is simply ignored -
+ * unless `onTimeout` cancels it (e.g. by aborting a controller it listens to).
+ * @param {Promise} promise - Promise to wait on
+ * @param {number} timeoutMs - Timeout in milliseconds (0 or Infinity = no timeout)
+ * @param {string} label - Label used in the error message
+ * @param {Function} onTimeout - Optional callback run when the timeout fires
+ * @returns {Promise<*>} Result of the promise
+ */
+export function withTimeout(promise, timeoutMs, label = 'Operation', onTimeout = null) {
+  if (!timeoutMs || timeoutMs === Infinity) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      if (onTimeout) onTimeout();
+      reject(new TimeoutError(`${label} timed out after ${timeoutMs}ms`, timeoutMs));
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Reject with an AbortError as soon as `signal` is aborted.
+ * Like withTimeout, the underlying work is not cancelled - only abandoned.
+ * @param {Promise} promise - Promise to wait on
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<*>} Result of the promise
+ */
+export function withAbort(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  if (signal.aborted) {
+    return Promise.reject(new AbortError());
+  }
+
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(new AbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([promise, aborted]).finally(() => {
+    signal.removeEventListener('abort', onAbort);
+  });
+}
+
+/**
+ * Create an AbortController that is also aborted when `parent` aborts, so
+ * work can be cancelled on its own (e.g. on timeout) or with the whole run.
+ * @param {AbortSignal} parent - Optional parent signal
+ * @returns {Object} {controller, release} - release() detaches from the parent once the work is done
+ */
+export function createChildAbortController(parent) {
+  const controller = new AbortController();
+
+  if (!parent) {
+    return { controller, release: () => {} };
+  }
+
+  if (parent.aborted) {
+    controller.abort(parent.reason);
+    return { controller, release: () => {} };
+  }
+
+  const onAbort = () => controller.abort(parent.reason);
+  parent.addEventListener('abort', onAbort, { once: true });
+
+  return {
+    controller,
+    release: () => parent.removeEventListener('abort', onAbort)
+  };
+}
@@ -0,0 +1,294 @@
+/**
+ * Conversation Export
+ *
+ * Renders a conversation branch (or selected assistant messages) as a
+ * Markdown document with an appendix of the tool calls made and the
+ * citations returned, then converts it to DOCX or PDF locally.
+ */
+
+import { isToolResultTurn } from '../claude/transcript.js';
+import { renderDocx } from './docx-renderer.js';
+import { renderPdf } from './pdf-renderer.js';
+
+/**
+ * Supported export formats
+ */
+export const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// Longest tool input/result summary in the appendix table (characters)
+const SUMMARY_CHARS = 100;
+
+/**
+ * Truncate text for a one-line summary
+ * @param {string} text - Text
+ * @param {number} limit - Maximum characters
+ * @returns {string} Single-line text
+ */
+function truncate(text, limit = SUMMARY_CHARS) {
+  const line = String(text).replace(/\s+/g, ' ').trim();
+  return line.length > limit ? `${line.substring(0, limit - 3)}...` : line;
+}
+
+/**
+ * Escape a table cell
+ * @param {string} text - Cell text
+ * @returns {string} Text safe inside a pipe table
+ */
+function tableCell(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+/**
+ * Shift Markdown headings down so message headings nest under the export's
+ * own headings (fenced code is left alone)
+ * @param {string} markdown - Message text
+ * @param {number} levels - Levels to shift by
+ * @returns {string} Markdown with shifted headings
+ */
+export function shiftHeadings(markdown, levels) {
+  let inCode = false;
+
+  return markdown.split('\n').map(line => {
+    if (line.trim().startsWith('```')) {
+      inCode = !inCode;
+    }
+    if (inCode) {
+      return line;
+    }
+    return line.replace(/^(\s{0,3})(#{1,6})(?=\s)/, (_, indent, hashes) =>
+      indent + '#'.repeat(Math.min(hashes.length + levels, 6))
+    );
+  }).join('\n');
+}
+
+/**
+ * Group branch messages into turns
+ * @param {Array} messages - Rows on the branch (oldest first)
+ * @returns {Array<Object>} [{user, answers: [row], toolCalls: [{name, input, result}]}]
+ */
+export function groupTurns(messages) {
+  const turns = [];
+  let turn = null;
+
+  for (const message of messages) {
+    if (message.role === 'user' && !isToolResultTurn(message)) {
+      turn = { user: message, answers: [], toolCalls: [] };
+      turns.push(turn);
+      continue;
+    }
+
+    if (!turn) {
+      turn = { user: null, answers: [], toolCalls: [] };
+      turns.push(turn);
+    }
+
+    const blocks = Array.isArray(message.content) ? message.content : [];
+
+    if (isToolResultTurn(message)) {
+      for (const block of blocks.filter(b => b.type === 'tool_result')) {
+        const call = turn.toolCalls.find(c => c.id === block.tool_use_id);
+        if (call) call.result = block;
+      }
+    } else if (blocks.some(block => block.type === 'tool_use')) {
+      for (const block of blocks.filter(b => b.type === 'tool_use')) {
+        turn.toolCalls.push({ id: block.id, name: block.name, input: block.input || {}, result: null });
+      }
+    } else {
+      turn.answers.push(message);
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Get the text of a message, numbering its citations
+ * @param {Object} message - {content}
+ * @param {Array} citations - Collected citations (appended to)
+ * @returns {string} Markdown text with [n] citation markers
+ */
+function messageText(message, citations) {
+  if (typeof message.content === 'string') {
+    return message.content;
+  }
+
+  return message.content.map(block => {
+    if (block.type === 'text') {
+      const markers = (block.citations || []).map(citation => {
+        citations.push(citation);
+        return `[${citations.length}]`;
+      });
+      return markers.length > 0 ? `${block.text} ${markers.join('')}` : block.text;
+    }
+
+    if (block.type === 'document' || block.type === 'image') {
+      return `_[Attachment: ${block.title || block.source?.filename || block.type}]_`;
+    }
+
+    // Thinking and tool blocks aren't part of the written answer
+    return '';
+  }).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Summarize a tool call's input
+ * @param {Object} input - Tool input
+ * @returns {string} One-line summary
+ */
+function summarizeInput(input) {
+  return truncate(
+    Object.entries(input)
+      .map(([key, value]) => `${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`)
+      .join(', ') || '-'
+  );
+}
+
+/**
+ * Summarize a tool call's result
+ * @param {Object|null} result - tool_result block
+ * @returns {string} One-line summary
+ */
+function summarizeResult(result) {
+  if (!result) {
+    return 'No result (run stopped)';
+  }
+
+  const text = typeof result.content === 'string'
+    ? result.content
+    : (result.content || []).filter(block => block.type === 'text').map(block => block.text).join(' ');
+
+  if (result.is_error) {
+    return `Error: ${truncate(text, SUMMARY_CHARS - 7)}`;
+  }
+
+  return result.result_ref ? 'Large result (stored separately)' : `${text.length.toLocaleString('en-US')} characters`;
+}
+
+/**
+ * Describe where a citation points
+ * @param {Object} citation - Citation from a text block
+ * @returns {string} Markdown description
+ */
+function describeCitation(citation) {
+  const source = citation.document_title || citation.title || citation.url || 'Untitled';
+  let location = '';
+
+  if (citation.type === 'page_location') {
+    const end = citation.end_page_number - 1;
+    location = end > citation.start_page_number ? `, pp. ${citation.start_page_number}-${end}` : `, p. ${citation.start_page_number}`;
+  } else if (citation.url && citation.url !== source) {
+    location = ` (${citation.url})`;
+  }
+
+  const quote = citation.cited_text ? ` - "${truncate(citation.cited_text, 200)}"` : '';
+
+  return `**${source}**${location}${quote}`;
+}
+
+/**
+ * Build the export Markdown
+ * @param {Object} options - Export options
+ * @param {Object} options.conversation - Conversation record ({title, agent_type})
+ * @param {Array} options.messages - Rows on the exported branch (oldest first)
+ * @param {Array<string>|null} options.messageIds - Assistant messages to export (null = whole conversation)
+ * @param {Date} options.exportedAt - Export time
+ * @returns {string} Markdown document
+ */
+export function buildConversationMarkdown({ conversation, messages, messageIds = null, exportedAt = new Date() }) {
+  const selected = messageIds ? new Set(messageIds) : null;
+  const citations = [];
+  const toolCalls = [];
+  const sections = [];
+
+  for (const turn of groupTurns(messages)) {
+    const answers = selected ? turn.answers.filter(answer => selected.has(answer.id)) : turn.answers;
+
+    if (selected && answers.length === 0) {
+      continue;
+    }
+
+    toolCalls.push(...turn.toolCalls);
+
+    if (!selected && turn.user) {
+      sections.push(`## User\n\n${shiftHeadings(messageText(turn.user, citations), 2)}`);
+    }
+
+    for (const answer of answers) {
+      const text = shiftHeadings(messageText(answer, citations), selected ? 1 : 2);
+      sections.push(selected ? text : `## Assistant\n\n${text}`);
+    }
+  }
+
+  const title = conversation.title || 'Conversation';
+  const lines = [
+    `# ${title}`,
+    '',
+    `**Agent:** ${conversation.agent_type || 'unknown'}  `,
+    `**Exported:** ${exportedAt.toISOString().split('T')[0]}`,
+    '',
+    '---',
+    '',
+    sections.join('\n\n---\n\n')
+  ];
+
+  if (toolCalls.length > 0 || citations.length > 0) {
+    lines.push('', '---', '', '## Appendix');
+  }
+
+  if (toolCalls.length > 0) {
+    lines.push(
+      '',
+      '### Tool calls',
+      '',
+      '| # | Tool | Input | Result |',
+      '|---|------|-------|--------|',
+      ...toolCalls.map((call, i) =>
+        `| ${i + 1} | ${tableCell(call.name)} | ${tableCell(summarizeInput(call.input))} | ${tableCell(summarizeResult(call.result))} |`
+      )
+    );
+  }
+
+  if (citations.length > 0) {
+    lines.push(
+      '',
+      '### Citations',
+      '',
+      ...citations.map((citation, i) => `${i + 1}. ${describeCitation(citation)}`)
+    );
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a conversation export
+ * @param {string} format - 'md', 'docx' or 'pdf'
+ * @param {Object} options - See buildConversationMarkdown
+ * @returns {Promise<Object>} {body: Buffer, contentType, filename}
+ */
+export async function exportConversation(format, options) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const markdown = buildConversationMarkdown(options);
+  const title = options.conversation.title || 'Conversation';
+
+  let body;
+  if (format === 'docx') {
+    body = await renderDocx(markdown, { title });
+  } else if (format === 'pdf') {
+    body = renderPdf(markdown, { title });
+  } else {
+    body = Buffer.from(markdown, 'utf8');
+  }
+
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 60) || 'conversation';
+
+  return {
+    body,
+    contentType,
+    filename: `${slug}-${(options.exportedAt || new Date()).toISOString().split('T')[0]}.${extension}`
+  };
+}
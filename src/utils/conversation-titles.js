@@ -5,11 +5,7 @@
  * Similar to how Claude.ai automatically names conversations.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+import { getProvider } from '../providers/index.js';
 
 /**
  * Generate a smart title for a conversation based on the first user message
@@ -25,7 +21,7 @@ export async function generateConversationTitle(firstMessage, agentType = null)
     }
 
     // Use Claude to generate a concise title
-    const response = await anthropic.messages.create({
+    const response = await getProvider().createMessage({
       model: 'claude-3-5-haiku-20241022', // Fast, cheap model for titles
       max_tokens: 100,
       temperature: 0.3, // Low temperature for consistent titles
@@ -93,6 +89,8 @@ export async function updateConversationTitle(conversationId, title) {
 
 /**
  * Generate and save title for a new conversation
+ * Runs as a 'conversation-title' background job (see src/jobs/tasks.js), so
+ * database errors are thrown for the queue to retry.
  * @param {string} conversationId - UUID of the conversation
  * @param {string} firstMessage - First user message
  * @param {string} agentType - Agent type
@@ -100,6 +98,8 @@ export async function updateConversationTitle(conversationId, title) {
  */
 export async function generateAndSaveTitle(conversationId, firstMessage, agentType) {
   const title = await generateConversationTitle(firstMessage, agentType);
-  await updateConversationTitle(conversationId, title);
+  const { updateConversationTitle: dbUpdateTitle } = await import('../database/messages.js');
+  await dbUpdateTitle(conversationId, title);
+  console.log(`✓ Updated conversation title: "${title}"`);
   return title;
 }
@@ -0,0 +1,223 @@
+/**
+ * DOCX Renderer
+ *
+ * Builds a Word document from Markdown blocks (see markdown-blocks.js)
+ * locally with JSZip - headings, lists, tables and code keep Word styles
+ * so the export can be restyled in Word.
+ */
+
+import JSZip from 'jszip';
+import { parseMarkdownBlocks, parseInline, tableColumnWidths } from './markdown-blocks.js';
+
+const BULLET_NUM_ID = 1;
+
+/**
+ * Escape text for XML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text (invalid XML characters removed)
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build runs (<w:r>) for inline Markdown
+ * @param {string} text - Text with inline Markdown
+ * @param {Object} style - Extra run style ({bold})
+ * @returns {string} Run XML
+ */
+function runsXml(text, style = {}) {
+  return parseInline(text).map(run => {
+    const props = [
+      run.bold || style.bold ? '<w:b/>' : '',
+      run.italic ? '<w:i/>' : '',
+      run.code ? '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New"/>' : ''
+    ].join('');
+
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(run.text)}</w:t></w:r>`;
+  }).join('');
+}
+
+/**
+ * Build a paragraph
+ * @param {string} runs - Run XML
+ * @param {string} props - Paragraph property XML
+ * @returns {string} Paragraph XML
+ */
+function paragraphXml(runs, props = '') {
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${runs}</w:p>`;
+}
+
+/**
+ * Build a table
+ * @param {Object} block - {header, rows}
+ * @returns {string} Table XML
+ */
+function tableXml(block) {
+  // Text width of a Letter page with 1" margins, in twentieths of a point
+  const widths = tableColumnWidths(block).map(fraction => Math.floor(fraction * 9360));
+
+  const rowXml = (cells, header) => `<w:tr>${
+    widths.map((width, i) =>
+      `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${header ? '<w:shd w:val="clear" w:color="auto" w:fill="E8EEF9"/>' : ''}</w:tcPr>${
+        paragraphXml(runsXml(cells[i] || '', { bold: header }))
+      }</w:tc>`
+    ).join('')
+  }</w:tr>`;
+
+  return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr>` +
+    `<w:tblGrid>${widths.map(width => `<w:gridCol w:w="${width}"/>`).join('')}</w:tblGrid>` +
+    rowXml(block.header, true) +
+    block.rows.map(row => rowXml(row, false)).join('') +
+    '</w:tbl>' +
+    paragraphXml('');
+}
+
+/**
+ * Render Markdown as a DOCX file
+ * @param {string} markdown - Document Markdown
+ * @param {Object} options - {title}
+ * @returns {Promise<Buffer>} DOCX file
+ */
+export async function renderDocx(markdown, { title = 'Conversation' } = {}) {
+  const blocks = parseMarkdownBlocks(markdown);
+  const numberedLists = [];
+  const body = [];
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case 'heading':
+        body.push(paragraphXml(runsXml(block.text), `<w:pStyle w:val="Heading${Math.min(block.level, 4)}"/>`));
+        break;
+      case 'paragraph':
+        body.push(paragraphXml(runsXml(block.text)));
+        break;
+      case 'quote':
+        body.push(paragraphXml(runsXml(block.text), '<w:pStyle w:val="Quote"/>'));
+        break;
+      case 'code':
+        block.text.split('\n').forEach(line =>
+          body.push(paragraphXml(`<w:r><w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r>`, '<w:pStyle w:val="Code"/>'))
+        );
+        break;
+      case 'rule':
+        body.push(paragraphXml('', '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="CCCCCC"/></w:pBdr>'));
+        break;
+      case 'list': {
+        // Every numbered list gets its own numbering instance so it restarts
+        let numId = BULLET_NUM_ID;
+        if (block.ordered) {
+          numberedLists.push(block.start);
+          numId = BULLET_NUM_ID + numberedLists.length;
+        }
+        block.items.forEach(item =>
+          body.push(paragraphXml(
+            runsXml(item.text),
+            `<w:pStyle w:val="ListParagraph"/><w:numPr><w:ilvl w:val="${item.level}"/><w:numId w:val="${item.ordered ? numId : BULLET_NUM_ID}"/></w:numPr>`
+          ))
+        );
+        break;
+      }
+      case 'table':
+        body.push(tableXml(block));
+        break;
+    }
+  }
+
+  const zip = new JSZip();
+
+  zip.file('[Content_Types].xml', CONTENT_TYPES_XML);
+  zip.file('_rels/.rels', ROOT_RELS_XML);
+  zip.file('docProps/core.xml', coreXml(title));
+  zip.file('word/_rels/document.xml.rels', DOCUMENT_RELS_XML);
+  zip.file('word/styles.xml', STYLES_XML);
+  zip.file('word/numbering.xml', numberingXml(numberedLists));
+  zip.file('word/document.xml',
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body.join('')}` +
+    '<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>' +
+    '</w:body></w:document>'
+  );
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * Build the numbering part (one bullet list, one instance per numbered list)
+ * @param {Array<number>} numberedLists - Start number of each numbered list
+ * @returns {string} numbering.xml
+ */
+function numberingXml(numberedLists) {
+  const levels = (format, text) => [0, 1, 2].map(level =>
+    `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${format}"/><w:lvlText w:val="${text(level)}"/><w:lvlJc w:val="left"/>` +
+    `<w:pPr><w:ind w:left="${720 * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`
+  ).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">` +
+    `<w:abstractNum w:abstractNumId="0">${levels('bullet', level => ['•', '◦', '▪'][level])}</w:abstractNum>` +
+    `<w:abstractNum w:abstractNumId="1">${levels('decimal', level => `%${level + 1}.`)}</w:abstractNum>` +
+    `<w:num w:numId="${BULLET_NUM_ID}"><w:abstractNumId w:val="0"/></w:num>` +
+    numberedLists.map((start, i) =>
+      `<w:num w:numId="${BULLET_NUM_ID + i + 1}"><w:abstractNumId w:val="1"/>` +
+      `<w:lvlOverride w:ilvl="0"><w:startOverride w:val="${start}"/></w:lvlOverride></w:num>`
+    ).join('') +
+    '</w:numbering>';
+}
+
+/**
+ * Build the core properties part
+ * @param {string} title - Document title
+ * @returns {string} core.xml
+ */
+function coreXml(title) {
+  const now = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">` +
+    `<dc:title>${escapeXml(title)}</dc:title><dc:creator>Granted Consulting</dc:creator>` +
+    `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>` +
+    '</cp:coreProperties>';
+}
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const ROOT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+</Relationships>`;
+
+// Granted blue headings, matching the Google Docs exports
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:color w:val="1F4E9E"/><w:sz w:val="36"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:color w:val="1F4E9E"/><w:sz w:val="28"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="200" w:after="80"/><w:outlineLvl w:val="2"/></w:pPr><w:rPr><w:b/><w:sz w:val="24"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading4"><w:name w:val="heading 4"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:outlineLvl w:val="3"/></w:pPr><w:rPr><w:b/><w:i/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="40"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="720"/></w:pPr><w:rPr><w:i/><w:color w:val="555555"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/><w:shd w:val="clear" w:color="auto" w:fill="F3F4F6"/></w:pPr><w:rPr><w:rFonts w:ascii="Courier New" w:hAnsi="Courier New"/><w:sz w:val="18"/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders><w:top w:val="single" w:sz="4" w:color="BFBFBF"/><w:left w:val="single" w:sz="4" w:color="BFBFBF"/><w:bottom w:val="single" w:sz="4" w:color="BFBFBF"/><w:right w:val="single" w:sz="4" w:color="BFBFBF"/><w:insideH w:val="single" w:sz="4" w:color="BFBFBF"/><w:insideV w:val="single" w:sz="4" w:color="BFBFBF"/></w:tblBorders><w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
@@ -0,0 +1,178 @@
+/**
+ * Markdown Blocks
+ *
+ * Small Markdown parser for the document exporters (DOCX/PDF). Covers what
+ * the agents write: headings, paragraphs, bullet/numbered lists, pipe
+ * tables, fenced code, block quotes, horizontal rules and inline
+ * bold/italic/code/links.
+ */
+
+/**
+ * Parse Markdown into blocks
+ * @param {string} markdown - Markdown text
+ * @returns {Array<Object>} Blocks:
+ *   {type: 'heading', level, text} | {type: 'paragraph', text} |
+ *   {type: 'list', ordered, start, items: [{text, ordered, level}]} |
+ *   {type: 'table', header: [text], rows: [[text]]} |
+ *   {type: 'code', text} | {type: 'quote', text} | {type: 'rule'}
+ */
+export function parseMarkdownBlocks(markdown) {
+  const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+      flushParagraph();
+      continue;
+    }
+
+    // Fenced code block
+    if (trimmed.startsWith('```')) {
+      flushParagraph();
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith('```'); i++) {
+        code.push(lines[i]);
+      }
+      blocks.push({ type: 'code', text: code.join('\n') });
+      continue;
+    }
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      continue;
+    }
+
+    if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+      flushParagraph();
+      blocks.push({ type: 'rule' });
+      continue;
+    }
+
+    // Pipe table: header row followed by a |---|---| separator
+    if (trimmed.startsWith('|') && i + 1 < lines.length && /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?$/.test(lines[i + 1].trim())) {
+      flushParagraph();
+      const header = splitTableRow(trimmed);
+      const rows = [];
+      for (i += 2; i < lines.length && lines[i].trim().startsWith('|'); i++) {
+        rows.push(splitTableRow(lines[i].trim()));
+      }
+      i--;
+      blocks.push({ type: 'table', header, rows });
+      continue;
+    }
+
+    const listItem = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (listItem) {
+      flushParagraph();
+      const ordered = /\d/.test(listItem[2]);
+      const previous = blocks[blocks.length - 1];
+      const item = { text: listItem[3], ordered, level: Math.min(Math.floor(listItem[1].replace(/\t/g, '  ').length / 2), 2) };
+
+      // Continue the previous list unless there was a blank line or the list type changed (nested items may differ)
+      if (previous && previous.type === 'list' && (previous.ordered === ordered || item.level > 0) && lines[i - 1]?.trim()) {
+        previous.items.push(item);
+      } else {
+        blocks.push({ type: 'list', ordered, start: ordered ? parseInt(listItem[2], 10) : 1, items: [item] });
+      }
+      continue;
+    }
+
+    if (trimmed.startsWith('>')) {
+      flushParagraph();
+      const quote = [];
+      for (; i < lines.length && lines[i].trim().startsWith('>'); i++) {
+        quote.push(lines[i].trim().replace(/^>\s?/, ''));
+      }
+      i--;
+      blocks.push({ type: 'quote', text: quote.join(' ') });
+      continue;
+    }
+
+    paragraph.push(trimmed);
+  }
+
+  flushParagraph();
+
+  return blocks;
+}
+
+/**
+ * Split a pipe table row into cells
+ * @param {string} row - "| a | b |"
+ * @returns {Array<string>} Cell texts
+ */
+function splitTableRow(row) {
+  return row
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Parse inline Markdown into styled runs
+ * @param {string} text - Text with **bold**, *italic*, `code` and [links](url)
+ * @returns {Array<Object>} [{text, bold, italic, code}]
+ */
+export function parseInline(text) {
+  const runs = [];
+  const pattern = /(\*\*|__)(.+?)\1|(?<![\w*])([*_])(?!\s)(.+?)\3(?!\w)|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)/g;
+  let last = 0;
+  let match;
+
+  const push = (value, style = {}) => {
+    if (value) {
+      runs.push({ text: value, bold: false, italic: false, code: false, ...style });
+    }
+  };
+
+  while ((match = pattern.exec(text || '')) !== null) {
+    push(text.slice(last, match.index));
+
+    if (match[2] !== undefined) {
+      // Bold may contain italic
+      parseInline(match[2]).forEach(run => push(run.text, { ...run, bold: true }));
+    } else if (match[4] !== undefined) {
+      push(match[4], { italic: true });
+    } else if (match[5] !== undefined) {
+      push(match[5], { code: true });
+    } else {
+      push(match[6] === match[7] ? match[7] : `${match[6]} (${match[7]})`);
+    }
+
+    last = match.index + match[0].length;
+  }
+
+  push((text || '').slice(last));
+
+  return runs;
+}
+
+/**
+ * Relative column widths for a table, from the longest cell in each column
+ * (clamped so short columns stay readable and long ones don't take over)
+ * @param {Object} block - Table block ({header, rows})
+ * @returns {Array<number>} Column fractions (sum to 1)
+ */
+export function tableColumnWidths(block) {
+  const columns = Math.max(block.header.length, ...block.rows.map(row => row.length));
+  const weights = Array.from({ length: columns }, (_, i) =>
+    Math.min(Math.max(...[block.header, ...block.rows].map(row => (row[i] || '').length), 4), 40)
+  );
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return weights.map(weight => weight / total);
+}
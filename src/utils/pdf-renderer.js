@@ -0,0 +1,467 @@
+/**
+ * PDF Renderer
+ *
+ * Lays out Markdown blocks (see markdown-blocks.js) on Letter pages and
+ * writes the PDF directly - no headless browser or external service.
+ * Uses the standard Helvetica/Courier fonts (WinAnsi encoding), so
+ * characters outside Latin-1 are transliterated or dropped.
+ */
+
+import zlib from 'zlib';
+import { parseMarkdownBlocks, parseInline, tableColumnWidths } from './markdown-blocks.js';
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 72;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const BODY_SIZE = 10.5;
+const CODE_SIZE = 9;
+const LINE_HEIGHT = 1.4;
+const HEADING_SIZES = { 1: 18, 2: 15, 3: 13 };
+
+// Granted blue (matches the Google Docs exports)
+const HEADING_COLOR = '0.12 0.31 0.62';
+
+const FONTS = {
+  regular: { ref: 'F1', name: 'Helvetica' },
+  bold: { ref: 'F2', name: 'Helvetica-Bold' },
+  italic: { ref: 'F3', name: 'Helvetica-Oblique' },
+  boldItalic: { ref: 'F4', name: 'Helvetica-BoldOblique' },
+  code: { ref: 'F5', name: 'Courier' }
+};
+
+// Glyph widths (1/1000 em) for characters 32-126, from the standard font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsi has (or that have a close substitute)
+const WIN_ANSI = {
+  '€': '\x80', '…': '\x85', '‘': '\x91', '’': '\x92', '“': '\x93', '”': '\x94',
+  '•': '\x95', '–': '\x96', '—': '\x97', '™': '\x99',
+  '→': '->', '←': '<-', '✓': '+', '✔': '+', '✅': '+', '❌': 'x', '✗': 'x', '≥': '>=', '≤': '<='
+};
+
+/**
+ * Convert text to the WinAnsi byte string used by the standard fonts
+ * @param {string} text - Unicode text
+ * @returns {string} One character per byte
+ */
+function toWinAnsi(text) {
+  let result = '';
+
+  for (const char of String(text).replace(/\t/g, '    ')) {
+    const code = char.codePointAt(0);
+
+    if (WIN_ANSI[char]) {
+      result += WIN_ANSI[char];
+    } else if ((code >= 32 && code < 127) || (code >= 160 && code <= 255)) {
+      result += char;
+    }
+    // Emoji and other symbols are dropped
+  }
+
+  return result;
+}
+
+/**
+ * Measure a WinAnsi string
+ * @param {string} text - WinAnsi text
+ * @param {Object} font - Entry of FONTS
+ * @param {number} size - Font size
+ * @returns {number} Width in points
+ */
+function textWidth(text, font, size) {
+  if (font === FONTS.code) {
+    return text.length * 0.6 * size;
+  }
+
+  const widths = font === FONTS.bold || font === FONTS.boldItalic ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let width = 0;
+
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    width += code >= 32 && code < 127 ? widths[code - 32] : 556;
+  }
+
+  return (width / 1000) * size;
+}
+
+/**
+ * Escape a WinAnsi string for a PDF string literal
+ * @param {string} text - WinAnsi text
+ * @returns {string} Escaped text
+ */
+function pdfString(text) {
+  return `(${text.replace(/[\\()]/g, match => `\\${match}`)})`;
+}
+
+/**
+ * Pick the font for a styled run
+ * @param {Object} run - {bold, italic, code}
+ * @returns {Object} Entry of FONTS
+ */
+function runFont(run) {
+  if (run.code) return FONTS.code;
+  if (run.bold && run.italic) return FONTS.boldItalic;
+  if (run.bold) return FONTS.bold;
+  if (run.italic) return FONTS.italic;
+  return FONTS.regular;
+}
+
+/**
+ * Wrap styled runs into lines
+ * @param {Array} runs - [{text, bold, italic, code}]
+ * @param {number} maxWidth - Line width in points
+ * @param {number} size - Font size
+ * @returns {Array<Array>} Lines of segments [{text, font, width}]
+ */
+function wrapRuns(runs, maxWidth, size) {
+  const lines = [[]];
+  let lineWidth = 0;
+
+  const place = (text, font) => {
+    const width = textWidth(text, font, size);
+    const line = lines[lines.length - 1];
+    const last = line[line.length - 1];
+
+    if (last && last.font === font) {
+      last.text += text;
+      last.width += width;
+    } else {
+      line.push({ text, font, width });
+    }
+    lineWidth += width;
+  };
+
+  for (const run of runs) {
+    const font = runFont(run);
+
+    for (const token of toWinAnsi(run.text).split(/(\s+)/)) {
+      if (!token) continue;
+
+      const isSpace = /^\s+$/.test(token);
+
+      if (isSpace) {
+        // Spaces at the start of a line are dropped
+        if (lineWidth > 0) place(' ', font);
+        continue;
+      }
+
+      if (lineWidth > 0 && lineWidth + textWidth(token, font, size) > maxWidth) {
+        const line = lines[lines.length - 1];
+        const last = line[line.length - 1];
+        if (last && last.text.endsWith(' ')) {
+          last.text = last.text.slice(0, -1);
+          last.width -= textWidth(' ', last.font, size);
+        }
+        lines.push([]);
+        lineWidth = 0;
+      }
+
+      // Words longer than a line are broken anywhere
+      let rest = token;
+      while (textWidth(rest, font, size) > maxWidth) {
+        let cut = rest.length - 1;
+        while (cut > 1 && textWidth(rest.slice(0, cut), font, size) > maxWidth - lineWidth) cut--;
+        place(rest.slice(0, cut), font);
+        lines.push([]);
+        lineWidth = 0;
+        rest = rest.slice(cut);
+      }
+      place(rest, font);
+    }
+  }
+
+  return lines.filter((line, i) => line.length > 0 || i === 0);
+}
+
+/**
+ * Page layout state: the content operators of each page and the cursor
+ */
+function createLayout() {
+  const layout = {
+    pages: [],
+    y: 0,
+
+    newPage() {
+      layout.pages.push([]);
+      layout.y = PAGE_HEIGHT - MARGIN;
+    },
+
+    ensureSpace(height) {
+      if (layout.y - height < MARGIN) {
+        layout.newPage();
+      }
+    },
+
+    op(operator) {
+      layout.pages[layout.pages.length - 1].push(operator);
+    },
+
+    text(x, y, segments, size, color = null) {
+      let cursor = x;
+      const ops = [];
+
+      for (const segment of segments) {
+        ops.push(`/${segment.font.ref} ${size} Tf 1 0 0 1 ${cursor.toFixed(2)} ${y.toFixed(2)} Tm ${pdfString(segment.text)} Tj`);
+        cursor += segment.width;
+      }
+
+      if (ops.length > 0) {
+        layout.op(`BT ${color ? `${color} rg ` : ''}${ops.join(' ')} ET${color ? ' 0 g' : ''}`);
+      }
+    },
+
+    // Draw wrapped lines at the cursor, breaking pages as needed
+    lines(lines, x, size, color = null) {
+      const height = size * LINE_HEIGHT;
+
+      for (const line of lines) {
+        layout.ensureSpace(height);
+        layout.y -= height;
+        layout.text(x, layout.y + (height - size) / 2 + size * 0.22, line, size, color);
+      }
+    }
+  };
+
+  layout.newPage();
+
+  return layout;
+}
+
+/**
+ * Lay out a table (header row shaded)
+ * @param {Object} layout - Layout state
+ * @param {Object} block - {header, rows}
+ */
+function layoutTable(layout, block) {
+  const widths = tableColumnWidths(block).map(fraction => fraction * CONTENT_WIDTH);
+  const offsets = widths.map((_, i) => widths.slice(0, i).reduce((sum, width) => sum + width, 0));
+  const padding = 4;
+  const size = 9;
+  const lineHeight = size * LINE_HEIGHT;
+
+  [block.header, ...block.rows].forEach((row, rowIndex) => {
+    const cells = widths.map((columnWidth, i) =>
+      wrapRuns(
+        parseInline(row[i] || '').map(run => ({ ...run, bold: run.bold || rowIndex === 0 })),
+        columnWidth - padding * 2,
+        size
+      )
+    );
+    const rowHeight = Math.max(...cells.map(lines => lines.length)) * lineHeight + padding * 2;
+
+    layout.ensureSpace(rowHeight);
+    const top = layout.y;
+
+    cells.forEach((lines, i) => {
+      const x = MARGIN + offsets[i];
+      const columnWidth = widths[i];
+
+      if (rowIndex === 0) {
+        layout.op(`0.91 0.93 0.98 rg ${x.toFixed(2)} ${(top - rowHeight).toFixed(2)} ${columnWidth.toFixed(2)} ${rowHeight.toFixed(2)} re f 0 g`);
+      }
+      layout.op(`0.75 G 0.5 w ${x.toFixed(2)} ${(top - rowHeight).toFixed(2)} ${columnWidth.toFixed(2)} ${rowHeight.toFixed(2)} re S 0 G`);
+
+      lines.forEach((line, lineIndex) => {
+        const baseline = top - padding - (lineIndex + 1) * lineHeight + (lineHeight - size) / 2 + size * 0.22;
+        layout.text(x + padding, baseline, line, size);
+      });
+    });
+
+    layout.y = top - rowHeight;
+  });
+
+  layout.y -= BODY_SIZE * 0.6;
+}
+
+/**
+ * Lay out one block
+ * @param {Object} layout - Layout state
+ * @param {Object} block - Markdown block
+ */
+function layoutBlock(layout, block) {
+  const spacing = BODY_SIZE * 0.6;
+
+  switch (block.type) {
+    case 'heading': {
+      const size = HEADING_SIZES[block.level] || 11.5;
+      const runs = parseInline(block.text).map(run => ({ ...run, bold: true }));
+
+      // Keep headings with the first line after them
+      layout.ensureSpace(size * LINE_HEIGHT * 2 + BODY_SIZE * LINE_HEIGHT);
+      layout.y -= size * 0.5;
+      layout.lines(wrapRuns(runs, CONTENT_WIDTH, size), MARGIN, size, block.level <= 2 ? HEADING_COLOR : null);
+      layout.y -= size * 0.3;
+      break;
+    }
+
+    case 'paragraph':
+      layout.lines(wrapRuns(parseInline(block.text), CONTENT_WIDTH, BODY_SIZE), MARGIN, BODY_SIZE);
+      layout.y -= spacing;
+      break;
+
+    case 'quote': {
+      const runs = parseInline(block.text).map(run => ({ ...run, italic: true }));
+      const top = layout.y;
+      const startPage = layout.pages.length;
+      layout.lines(wrapRuns(runs, CONTENT_WIDTH - 18, BODY_SIZE), MARGIN + 18, BODY_SIZE, '0.33 0.33 0.33');
+      if (layout.pages.length === startPage) {
+        layout.op(`0.8 G 2 w ${MARGIN + 6} ${top.toFixed(2)} m ${MARGIN + 6} ${layout.y.toFixed(2)} l S 0 G`);
+      }
+      layout.y -= spacing;
+      break;
+    }
+
+    case 'list':
+      // Numbering per nesting level, restarting when a shallower item follows
+      const counters = [];
+      block.items.forEach(item => {
+        counters.length = item.level + 1;
+        counters[item.level] = (counters[item.level] || (item.level === 0 ? block.start : 1) - 1) + 1;
+
+        const indent = 18 * (item.level + 1);
+        const marker = item.ordered ? `${counters[item.level]}.` : '\x95';
+        const lines = wrapRuns(parseInline(item.text), CONTENT_WIDTH - indent, BODY_SIZE);
+        const markerWidth = textWidth(marker, FONTS.regular, BODY_SIZE);
+
+        layout.ensureSpace(BODY_SIZE * LINE_HEIGHT);
+        const markerY = layout.y - BODY_SIZE * LINE_HEIGHT + (BODY_SIZE * LINE_HEIGHT - BODY_SIZE) / 2 + BODY_SIZE * 0.22;
+        layout.text(MARGIN + indent - markerWidth - 5, markerY, [{ text: marker, font: FONTS.regular, width: markerWidth }], BODY_SIZE);
+        layout.lines(lines, MARGIN + indent, BODY_SIZE);
+        layout.y -= 2;
+      });
+      layout.y -= spacing;
+      break;
+
+    case 'code': {
+      // Monospaced, so long lines are cut at a fixed number of characters (spaces kept)
+      const perLine = Math.floor((CONTENT_WIDTH - 12) / (0.6 * CODE_SIZE));
+      const lines = block.text.split('\n').flatMap(line => {
+        const text = toWinAnsi(line);
+        const chunks = [];
+        for (let i = 0; i < text.length || i === 0; i += perLine) {
+          chunks.push(text.slice(i, i + perLine));
+        }
+        return chunks;
+      });
+      for (const text of lines) {
+        const height = CODE_SIZE * LINE_HEIGHT;
+        layout.ensureSpace(height);
+        layout.op(`0.95 0.96 0.96 rg ${MARGIN} ${(layout.y - height).toFixed(2)} ${CONTENT_WIDTH} ${height.toFixed(2)} re f 0 g`);
+        layout.lines([[{ text, font: FONTS.code, width: textWidth(text, FONTS.code, CODE_SIZE) }]], MARGIN + 6, CODE_SIZE);
+      }
+      layout.y -= spacing;
+      break;
+    }
+
+    case 'rule':
+      layout.ensureSpace(spacing * 2);
+      layout.y -= spacing;
+      layout.op(`0.8 G 0.5 w ${MARGIN} ${layout.y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${layout.y.toFixed(2)} l S 0 G`);
+      layout.y -= spacing;
+      break;
+
+    case 'table':
+      layoutTable(layout, block);
+      break;
+  }
+}
+
+/**
+ * Render Markdown as a PDF file
+ * @param {string} markdown - Document Markdown
+ * @param {Object} options - {title}
+ * @returns {Buffer} PDF file
+ */
+export function renderPdf(markdown, { title = 'Conversation' } = {}) {
+  const layout = createLayout();
+
+  for (const block of parseMarkdownBlocks(markdown)) {
+    layoutBlock(layout, block);
+  }
+
+  // Page numbers
+  layout.pages.forEach((ops, i) => {
+    const label = `Page ${i + 1} of ${layout.pages.length}`;
+    const width = textWidth(label, FONTS.regular, 8);
+    ops.push(`BT 0.5 g /F1 8 Tf 1 0 0 1 ${(PAGE_WIDTH - MARGIN - width).toFixed(2)} ${MARGIN / 2} Tm ${pdfString(label)} Tj ET 0 g`);
+  });
+
+  // Objects: 1 catalog, 2 page tree, 3 info, then fonts, then a page + content stream per page
+  const objects = [];
+  const fontIds = {};
+  const fontList = Object.values(FONTS);
+
+  objects[3] = `<< /Title ${pdfString(toWinAnsi(title))} /Producer (Granted Consulting) >>`;
+
+  fontList.forEach((font, i) => {
+    fontIds[font.ref] = 4 + i;
+    objects[4 + i] = `<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`;
+  });
+
+  const fontResources = fontList.map(font => `/${font.ref} ${fontIds[font.ref]} 0 R`).join(' ');
+  const pageIds = [];
+  let nextId = 4 + fontList.length;
+
+  for (const ops of layout.pages) {
+    const pageId = nextId++;
+    const contentId = nextId++;
+    const stream = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+
+    pageIds.push(pageId);
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`;
+    objects[contentId] = Buffer.concat([
+      Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+      stream,
+      Buffer.from('\nendstream', 'latin1')
+    ]);
+  }
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+
+  for (let id = 1; id < objects.length; id++) {
+    const body = Buffer.isBuffer(objects[id]) ? objects[id] : Buffer.from(objects[id], 'latin1');
+    const chunk = Buffer.concat([Buffer.from(`${id} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+    offsets[id] = length;
+    chunks.push(chunk);
+    length += chunk.length;
+  }
+
+  const xref = [
+    'xref',
+    `0 ${objects.length}`,
+    '0000000000 65535 f ',
+    ...offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF'
+  ].join('\n');
+
+  chunks.push(Buffer.from(xref + '\n', 'latin1'));
+
+  return Buffer.concat(chunks);
+}
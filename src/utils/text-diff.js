@@ -0,0 +1,86 @@
+/**
+ * Line Diff
+ *
+ * Minimal line-based diff (longest common subsequence) for comparing prompt
+ * versions and other documents in the admin dashboard.
+ */
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array<Object>} [{type: 'equal'|'added'|'removed', text, oldLine, newLine}]
+ */
+export function diffLines(oldText, newText) {
+  const oldLines = (oldText || '').split('\n');
+  const newLines = (newText || '').split('\n');
+
+  // Skip the common prefix/suffix so the LCS table only covers the changed region
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+
+  // lcs[i][j] = length of the LCS of a[i:] and b[j:]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  const equal = (oldIndex, newIndex) => diff.push({
+    type: 'equal', text: oldLines[oldIndex], oldLine: oldIndex + 1, newLine: newIndex + 1
+  });
+
+  for (let k = 0; k < start; k++) {
+    equal(k, k);
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      equal(start + i, start + j);
+      i++;
+      j++;
+    } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      // Removals first, like a unified diff
+      diff.push({ type: 'removed', text: a[i], oldLine: start + i + 1, newLine: null });
+      i++;
+    } else {
+      diff.push({ type: 'added', text: b[j], oldLine: null, newLine: start + j + 1 });
+      j++;
+    }
+  }
+
+  for (let k = 0; k < oldLines.length - oldEnd; k++) {
+    equal(oldEnd + k, newEnd + k);
+  }
+
+  return diff;
+}
+
+/**
+ * Count added/removed lines in a diff
+ * @param {Array<Object>} diff - Output of diffLines
+ * @returns {Object} {added, removed, unchanged}
+ */
+export function diffStats(diff) {
+  return {
+    added: diff.filter(line => line.type === 'added').length,
+    removed: diff.filter(line => line.type === 'removed').length,
+    unchanged: diff.filter(line => line.type === 'equal').length
+  };
+}
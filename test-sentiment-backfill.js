@@ -34,8 +34,8 @@ async function testBackfill() {
     return;
   }
 
-  // Trigger analysis
-  console.log('🚀 Triggering sentiment analysis...\n');
+  // Queue analysis (runs as a background job)
+  console.log('🚀 Queueing sentiment analysis...\n');
 
   const analyzeResponse = await fetch(`${baseUrl}/api/sentiment-analysis`, {
     method: 'POST',
@@ -54,15 +54,8 @@ async function testBackfill() {
   }
 
   const result = await analyzeResponse.json();
-  console.log('✅ Analysis complete!');
-  console.log(`   Analyzed: ${result.analyzed} items`);
-  console.log(`\n📊 Results:`);
-  console.log(`   Positive: ${result.stats.positive} (${result.stats.positivePercent.toFixed(1)}%)`);
-  console.log(`   Negative: ${result.stats.negative} (${result.stats.negativePercent.toFixed(1)}%)`);
-  console.log(`   Neutral: ${result.stats.neutral} (${result.stats.neutralPercent.toFixed(1)}%)`);
-  console.log(`   Mixed: ${result.stats.mixed} (${result.stats.mixedPercent.toFixed(1)}%)`);
-  console.log(`   Average Sentiment Score: ${result.stats.averageScore.toFixed(2)} (range: -1.0 to 1.0)`);
-  console.log(`   Average Confidence: ${result.stats.averageConfidence.toFixed(2)}`);
+  console.log(result.queued ? `✅ Sentiment backfill queued (job ${result.jobId})` : `ℹ️  ${result.message}`);
+  console.log('   Progress and results: Admin dashboard > Background Jobs');
 }
 
 testBackfill().catch(console.error);
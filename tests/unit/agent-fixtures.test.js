@@ -0,0 +1,105 @@
+/**
+ * Agent Fixture (Record / Replay) Unit Tests
+ *
+ * Tests recording model streams and tool results, and replaying them
+ */
+
+import { createRecorder, loadReplay, ReplayMismatchError } from '../../src/claude/agent-fixtures.js';
+import { MockProvider } from '../../src/providers/mock-provider.js';
+import { executeToolCall, executeToolCalls } from '../../src/tools/executor.js';
+
+const params = { model: 'claude-sonnet-4-20250514', max_tokens: 1000, messages: [{ role: 'user', content: 'Find Acme' }] };
+
+/**
+ * Collect every event from a stream
+ */
+async function collect(stream) {
+  const events = [];
+  for await (const event of stream) {
+    events.push(event);
+  }
+  return events;
+}
+
+/**
+ * Record one tool-calling stream and one text stream from a mock provider
+ */
+async function recordRun() {
+  const recorder = createRecorder({
+    name: 'acme-lookup',
+    metadata: { agentType: 'grant-cards' },
+    provider: new MockProvider({
+      script: [
+        { content: [{ type: 'tool_use', name: 'search_hubspot_companies', input: { query: 'Acme', limit: 5 } }] },
+        { content: [{ type: 'text', text: 'Acme Corp is in Vancouver.' }] }
+      ]
+    })
+  });
+
+  const firstEvents = await collect(await recorder.provider.streamMessage(params));
+  const secondEvents = await collect(await recorder.provider.streamMessage(params));
+  recorder.recordToolCall('search_hubspot_companies', { query: 'Acme', limit: 5 }, { success: true, companies: [{ name: 'Acme Corp' }] });
+
+  return { recorder, firstEvents, secondEvents };
+}
+
+describe('Agent Fixtures', () => {
+  test('should replay recorded stream events and tool results after a JSON round trip', async () => {
+    const { recorder, firstEvents, secondEvents } = await recordRun();
+    const replay = loadReplay(JSON.parse(JSON.stringify(recorder.data)));
+
+    expect(await collect(await replay.provider.streamMessage(params))).toEqual(firstEvents);
+    expect(await collect(await replay.provider.streamMessage(params))).toEqual(secondEvents);
+
+    // Inputs match regardless of key order
+    expect(replay.replayToolCall('search_hubspot_companies', { limit: 5, query: 'Acme' }))
+      .toEqual({ success: true, companies: [{ name: 'Acme Corp' }] });
+
+    expect(() => replay.assertFullyReplayed()).not.toThrow();
+  });
+
+  test('should fail when the run makes more model calls than were recorded', async () => {
+    const { recorder } = await recordRun();
+    const replay = loadReplay(recorder.data);
+
+    await replay.provider.streamMessage(params);
+    await replay.provider.streamMessage(params);
+
+    await expect(replay.provider.streamMessage(params)).rejects.toThrow(ReplayMismatchError);
+    expect(() => replay.assertFullyReplayed()).toThrow(/was not recorded/);
+  });
+
+  test('should report unrecorded tool calls and recordings that were never used', async () => {
+    const { recorder } = await recordRun();
+    const replay = loadReplay(recorder.data);
+
+    const result = replay.replayToolCall('search_hubspot_companies', { query: 'Globex' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Replay mismatch');
+    expect(() => replay.assertFullyReplayed()).toThrow(/2 recorded model call\(s\) were never made/);
+  });
+
+  test('should record tool results through executeToolCall and replay them without running the tool', async () => {
+    const recorder = createRecorder({ name: 'unknown-tool', provider: new MockProvider() });
+
+    const recorded = await executeToolCall('not_a_real_tool', { id: 1 }, 'conv-1', null, null, recorder);
+    expect(recorder.data.toolCalls).toEqual([{ toolName: 'not_a_real_tool', input: { id: 1 }, result: recorded }]);
+
+    // Replace the recorded result so the replay provably comes from the fixture
+    recorder.data.toolCalls[0].result = { success: true, replayed: true };
+    const replay = loadReplay(recorder.data);
+
+    const [toolResult] = await executeToolCalls(
+      [{ toolName: 'not_a_real_tool', input: { id: 1 }, toolUseId: 'toolu_1' }],
+      { conversationId: 'conv-1', fixture: replay }
+    );
+
+    expect(JSON.parse(toolResult.content)).toEqual({ success: true, replayed: true });
+    expect(() => replay.assertFullyReplayed()).not.toThrow();
+  });
+
+  test('should reject fixtures from an unknown version', () => {
+    expect(() => loadReplay({ version: 99, modelCalls: [], toolCalls: [] })).toThrow(/Unsupported agent fixture version/);
+  });
+});
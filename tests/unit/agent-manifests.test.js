@@ -0,0 +1,138 @@
+/**
+ * Agent Manifest Unit Tests
+ *
+ * Tests frontmatter parsing, manifest validation and how manifests drive
+ * tool access and query configuration
+ */
+
+import { parseFrontmatter } from '../../src/agents/frontmatter.js';
+import { validateAgentManifest, MODEL_ALIASES, ATTACHMENT_TYPES } from '../../src/agents/load-agents.js';
+import { getToolsForAgent, HUBSPOT_TOOLS, GOOGLE_DOCS_TOOLS, ALL_TOOLS } from '../../src/tools/definitions.js';
+import { getQueryConfig } from '../../src/claude/query-classifier.js';
+
+const AGENT_FILE = `---
+name: etg-writer
+display_name: "ETG Business Case Writer"
+description: >
+  Writes BC Employer Training Grant
+  business cases
+tools: Read, Grep
+tool_groups: [hubspot, google-drive]
+model: sonnet
+thinking_budget: 12000
+max_loops: 12
+attachments:
+  - pdf
+---
+
+# ETG Writer
+
+You write business cases.`;
+
+describe('Agent Manifests', () => {
+  test('should parse frontmatter scalars, folded text and lists', () => {
+    const { attributes, body, hasFrontmatter } = parseFrontmatter(AGENT_FILE);
+
+    expect(hasFrontmatter).toBe(true);
+    expect(attributes).toEqual({
+      name: 'etg-writer',
+      display_name: 'ETG Business Case Writer',
+      description: 'Writes BC Employer Training Grant business cases',
+      tools: 'Read, Grep',
+      tool_groups: ['hubspot', 'google-drive'],
+      model: 'sonnet',
+      thinking_budget: 12000,
+      max_loops: 12,
+      attachments: ['pdf']
+    });
+    expect(body).toBe('# ETG Writer\n\nYou write business cases.');
+  });
+
+  test('should build a manifest and fall back to the prompt for missing fields', () => {
+    const { attributes, body } = parseFrontmatter(AGENT_FILE);
+    const { manifest, errors } = validateAgentManifest('etg-writer', attributes, body);
+
+    expect(errors).toEqual([]);
+    expect(manifest).toMatchObject({
+      type: 'etg-writer',
+      displayName: 'ETG Business Case Writer',
+      toolGroups: ['hubspot', 'google-drive'],
+      model: MODEL_ALIASES.sonnet,
+      thinkingBudget: 12000,
+      maxLoops: 12,
+      attachments: ['pdf']
+    });
+
+    const { manifest: bare } = validateAgentManifest('new-agent', {}, '# New Agent\n\nHelps with things.');
+    expect(bare).toMatchObject({
+      displayName: 'New Agent',
+      description: 'Helps with things.',
+      toolGroups: null,
+      model: null,
+      attachments: ATTACHMENT_TYPES
+    });
+  });
+
+  test('should report every invalid field', () => {
+    const { errors, warnings } = validateAgentManifest('broken', {
+      tool_groups: ['hubspot', 'salesforce'],
+      model: 'gpt-4',
+      thinking_budget: 500,
+      max_loops: 0,
+      attachments: ['pdf', 'video'],
+      colour: 'blue'
+    });
+
+    expect(errors).toHaveLength(5);
+    expect(errors.join('\n')).toMatch(/salesforce[\s\S]*gpt-4[\s\S]*thinking_budget[\s\S]*max_loops[\s\S]*video/);
+    expect(warnings).toEqual(['Unknown frontmatter field "colour" (ignored)']);
+  });
+
+  test('should resolve tools from declared groups, falling back for legacy agents', () => {
+    const tools = getToolsForAgent('new-agent', ['google-docs']).map(tool => tool.name);
+
+    expect(tools).toEqual(expect.arrayContaining(GOOGLE_DOCS_TOOLS.map(tool => tool.name)));
+    expect(tools).not.toContain(HUBSPOT_TOOLS[0].name);
+    expect(getToolsForAgent('anything', ['all']).map(tool => tool.name)).toEqual(expect.arrayContaining([
+      ...ALL_TOOLS.map(tool => tool.name),
+      'save_grant_card'
+    ]));
+    expect(getToolsForAgent('etg-writer').map(tool => tool.name)).toContain(HUBSPOT_TOOLS[0].name);
+  });
+
+  test('should apply manifest model, thinking budget and loop limits to query config', () => {
+    const manifest = { model: 'claude-opus-4-1-20250805', thinkingBudget: 20000, maxLoops: 4 };
+
+    const complex = getQueryConfig('Analyze this eligibility question', 'etg-writer', manifest);
+    expect(complex.model).toBe('claude-opus-4-1-20250805');
+    expect(complex.thinking.budget_tokens).toBe(20000);
+    expect(complex.maxTokens).toBeGreaterThan(20000);
+    expect(complex.maxIterations).toBe(4);
+
+    const simple = getQueryConfig('find Acme', 'etg-writer', manifest);
+    expect(simple.model).toBe('claude-haiku-4-5');
+    expect(simple.thinking).toBeUndefined();
+    expect(simple.maxIterations).toBe(4);
+
+    const noThinking = getQueryConfig('Analyze this', 'etg-writer', { thinkingBudget: 0 });
+    expect(noThinking.thinking).toBeUndefined();
+  });
+
+  test('should let request overrides replace the classifier and manifest settings', () => {
+    const manifest = { model: 'claude-opus-4-1-20250805', thinkingBudget: 20000 };
+
+    // A simple query regenerated with Sonnet and thinking
+    const upgraded = getQueryConfig('find Acme', 'etg-writer', manifest, { model: 'claude-sonnet-4-20250514', thinkingBudget: 8000 });
+    expect(upgraded.model).toBe('claude-sonnet-4-20250514');
+    expect(upgraded.thinking).toEqual({ type: 'enabled', budget_tokens: 8000 });
+    expect(upgraded.temperature).toBe(1);
+    expect(upgraded.maxTokens).toBeGreaterThanOrEqual(12000);
+
+    // Thinking only runs at temperature 1
+    const focused = getQueryConfig('Analyze this', 'etg-writer', manifest, { temperature: 0.2 });
+    expect(focused.model).toBe('claude-opus-4-1-20250805');
+    expect(focused.thinking).toBeUndefined();
+    expect(focused.temperature).toBe(0.2);
+    expect(focused.metadata.overrides).toEqual({ temperature: 0.2 });
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Anthropic Provider Unit Tests
+ *
+ * Runs streaming, cancellation, the Files API, Message Batches and grant card
+ * revision upload paths against the real AnthropicProvider and SDK client. Only fetch (the SDK's
+ * HTTP layer) is replaced, so a missing SDK surface fails here.
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/database/grant-cards.js', () => ({
+  saveGrantCard: jest.fn(),
+  getGrantCard: jest.fn(),
+  listGrantCards: jest.fn(),
+  getBatchGrantCards: jest.fn()
+}));
+
+jest.unstable_mockModule('../../src/database/grant-card-revisions.js', () => ({
+  createGrantCardRevision: jest.fn(async (revision) => ({
+    id: 'revision-uuid',
+    grant_card_id: revision.grantCardId,
+    source_name: revision.sourceName,
+    status: 'pending',
+    changes: revision.changes,
+    proposed_card: revision.proposedCard
+  })),
+  getGrantCardRevision: jest.fn(),
+  listGrantCardRevisions: jest.fn(),
+  applyGrantCardRevision: jest.fn(),
+  discardGrantCardRevision: jest.fn(),
+  RevisionConflictError: class RevisionConflictError extends Error {}
+}));
+
+jest.unstable_mockModule('../../src/agents/prompt-store.js', () => ({
+  getActivePrompt: jest.fn(async () => ({ content: 'You write grant cards', versionId: null }))
+}));
+
+jest.unstable_mockModule('../../src/agents/load-agents.js', () => ({
+  getAgentManifest: jest.fn(() => ({ model: null }))
+}));
+
+const { APIUserAbortError } = await import('@anthropic-ai/sdk');
+const { AnthropicProvider, setProvider } = await import('../../src/providers/index.js');
+const { filesAPI, pdfAPI, FILES_API_BETA } = await import('../../src/anthropic-client.js');
+const { getGrantCard } = await import('../../src/database/grant-cards.js');
+const { createGrantCardRevision } = await import('../../src/database/grant-card-revisions.js');
+const { handleCreateRevision } = await import('../../src/api/grant-card-revisions.js');
+
+const CARD_ID = '7d3f1c2a-4b5e-4f60-8a91-0b2c3d4e5f60';
+
+const card = {
+  program_name: 'CanExport SMEs',
+  funder: { name: 'Global Affairs Canada', level: 'federal', website: 'https://www.tradecommissioner.gc.ca/canexport' },
+  grant_type: { primary: 'market-expansion' },
+  summary: 'Funds Canadian SMEs entering new international markets, covering up to 50% of eligible marketing costs.',
+  eligibility: { applicants: ['Canadian for-profit SMEs'], requirements: ['Fewer than 500 employees'] },
+  funding: { min_amount: 10000, max_amount: 50000, currency: 'CAD', cost_share_percent: 50, description: 'Reimburses 50% of eligible costs.' },
+  deadlines: { intake: 'fixed', dates: [{ label: 'Application deadline', date: '2027-01-31' }] },
+  eligible_expenses: ['Travel'],
+  required_documents: ['Export plan'],
+  insights: ['Name specific target markets'],
+  missing_info: []
+};
+
+/**
+ * JSON response as the API would send it
+ */
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+/**
+ * Server-sent events response as the streaming Messages API would send it
+ */
+function sseResponse(events) {
+  const body = events.map(event => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`).join('');
+  return new Response(body, { status: 200, headers: { 'content-type': 'text/event-stream' } });
+}
+
+/**
+ * Replace fetch with an API stub: routes are {"METHOD /path": (init) => Response}
+ * @returns {jest.Mock} The fetch mock (calls are [url, init])
+ */
+function stubApi(routes) {
+  const fetchMock = jest.fn(async (url, init = {}) => {
+    const route = `${(init.method || 'GET').toUpperCase()} ${new URL(url).pathname}`;
+    if (!routes[route]) {
+      return jsonResponse({ type: 'error', error: { type: 'not_found_error', message: `No stub for ${route}` } }, 404);
+    }
+    return routes[route](init);
+  });
+
+  globalThis.fetch = fetchMock;
+  return fetchMock;
+}
+
+/**
+ * The init of the first fetch call to an API path
+ */
+function requestTo(fetchMock, pathname) {
+  const call = fetchMock.mock.calls.find(([url]) => new URL(url).pathname === pathname);
+  return call && call[1];
+}
+
+/**
+ * Headers of a fetch call as a plain lowercase object
+ */
+function headersOf(init) {
+  return Object.fromEntries(new Headers(init.headers).entries());
+}
+
+describe('AnthropicProvider (HTTP layer stubbed)', () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setProvider(new AnthropicProvider({ apiKey: 'test-key' }));
+  });
+
+  afterAll(() => {
+    globalThis.fetch = originalFetch;
+    setProvider(null);
+  });
+
+  test('streamMessage yields the streamed events', async () => {
+    const events = [
+      { type: 'message_start', message: { id: 'msg_1', type: 'message', role: 'assistant', model: 'claude-sonnet-4-5-20250929', content: [], stop_reason: null, usage: { input_tokens: 10, output_tokens: 0 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hello' } },
+      { type: 'content_block_stop', index: 0 },
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 1 } },
+      { type: 'message_stop' }
+    ];
+    const fetchMock = stubApi({ 'POST /v1/messages': () => sseResponse(events) });
+
+    const provider = new AnthropicProvider({ apiKey: 'test-key' });
+    const stream = await provider.streamMessage({
+      model: 'claude-sonnet-4-5-20250929',
+      max_tokens: 100,
+      messages: [{ role: 'user', content: 'Hi' }]
+    });
+
+    const received = [];
+    for await (const event of stream) {
+      received.push(event);
+    }
+
+    expect(received.map(event => event.type)).toEqual(events.map(event => event.type));
+    expect(received[2].delta.text).toBe('Hello');
+    expect(JSON.parse(requestTo(fetchMock, '/v1/messages').body).stream).toBe(true);
+  });
+
+  test('an aborted signal cancels the request', async () => {
+    stubApi({
+      'POST /v1/messages': (init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted', 'AbortError')));
+      })
+    });
+
+    const provider = new AnthropicProvider({ apiKey: 'test-key' });
+    const controller = new AbortController();
+    const request = provider.streamMessage({
+      model: 'claude-sonnet-4-5-20250929',
+      max_tokens: 100,
+      messages: [{ role: 'user', content: 'Hi' }]
+    }, { signal: controller.signal });
+
+    controller.abort();
+
+    await expect(request).rejects.toBeInstanceOf(APIUserAbortError);
+  });
+
+  test('filesAPI.upload sends the PDF as multipart to the Files API', async () => {
+    const fetchMock = stubApi({
+      'POST /v1/files': () => jsonResponse({ id: 'file_abc', type: 'file', filename: 'guide.pdf', size_bytes: 8 })
+    });
+
+    const uploaded = await filesAPI.upload(null, 'guide.pdf', 'application/pdf', Buffer.from('%PDF-1.7'));
+
+    expect(uploaded.id).toBe('file_abc');
+
+    const init = requestTo(fetchMock, '/v1/files');
+    const file = init.body.get('file');
+    expect(file.name).toBe('guide.pdf');
+    expect(file.type).toBe('application/pdf');
+    expect(Buffer.from(await file.arrayBuffer()).toString()).toBe('%PDF-1.7');
+    expect(headersOf(init)['anthropic-beta']).toContain(FILES_API_BETA);
+  });
+
+  test('pdfAPI submits, polls and reads a Message Batch', async () => {
+    const batch = {
+      id: 'msgbatch_1',
+      type: 'message_batch',
+      processing_status: 'ended',
+      request_counts: { processing: 0, succeeded: 1, errored: 0, canceled: 0, expired: 0 },
+      results_url: 'https://api.anthropic.com/v1/messages/batches/msgbatch_1/results'
+    };
+    const result = { custom_id: 'item-1', result: { type: 'succeeded', message: { content: [{ type: 'text', text: '{}' }] } } };
+
+    const fetchMock = stubApi({
+      'POST /v1/messages/batches': () => jsonResponse({ ...batch, processing_status: 'in_progress' }),
+      'GET /v1/messages/batches/msgbatch_1': () => jsonResponse(batch),
+      'GET /v1/messages/batches/msgbatch_1/results': () => new Response(`${JSON.stringify(result)}\n`, {
+        status: 200,
+        headers: { 'content-type': 'application/binary' }
+      })
+    });
+
+    const created = await pdfAPI.processBatch([
+      { customId: 'item-1', url: 'https://example.com/guide.pdf', prompt: 'Generate the card' },
+      { customId: 'item-2', fileId: 'file_abc', prompt: 'Generate the card' }
+    ]);
+    expect(created.id).toBe('msgbatch_1');
+
+    const createInit = requestTo(fetchMock, '/v1/messages/batches');
+    const { requests } = JSON.parse(createInit.body);
+    expect(requests.map(request => request.custom_id)).toEqual(['item-1', 'item-2']);
+    expect(requests[1].params.messages[0].content[0].source).toEqual({ type: 'file', file_id: 'file_abc' });
+    expect(headersOf(createInit)['anthropic-beta']).toContain(FILES_API_BETA);
+
+    const status = await pdfAPI.getBatchStatus('msgbatch_1');
+    expect(status.processing_status).toBe('ended');
+
+    const entries = [];
+    for await (const entry of await pdfAPI.getBatchResults('msgbatch_1')) {
+      entries.push(entry);
+    }
+    expect(entries).toEqual([result]);
+  });
+
+  test('a grant card revision from an uploaded PDF uploads it and sends the file to the model', async () => {
+    getGrantCard.mockResolvedValue({ id: CARD_ID, user_id: 1, conversation_id: null, card });
+
+    const updated = { ...card, funding: { ...card.funding, max_amount: 75000 } };
+    const fetchMock = stubApi({
+      'POST /v1/files': () => jsonResponse({ id: 'file_guide', type: 'file', filename: 'guide-2027.pdf', size_bytes: 8 }),
+      'POST /v1/messages': () => jsonResponse({
+        id: 'msg_1',
+        type: 'message',
+        role: 'assistant',
+        model: 'claude-sonnet-4-5-20250929',
+        content: [{ type: 'text', text: JSON.stringify(updated) }],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 1200, output_tokens: 800 }
+      })
+    });
+
+    const req = {
+      params: { cardId: CARD_ID },
+      user: { id: 1 },
+      body: {},
+      file: { originalname: 'guide-2027.pdf', mimetype: 'application/pdf', buffer: Buffer.from('%PDF-1.7') }
+    };
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+
+    await handleCreateRevision(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0].revision.sourceName).toBe('guide-2027.pdf');
+
+    const messageInit = requestTo(fetchMock, '/v1/messages');
+    const { messages } = JSON.parse(messageInit.body);
+    expect(messages[0].content[0].source).toEqual({ type: 'file', file_id: 'file_guide' });
+    expect(headersOf(messageInit)['anthropic-beta']).toContain(FILES_API_BETA);
+
+    expect(createGrantCardRevision).toHaveBeenCalledWith(expect.objectContaining({
+      grantCardId: CARD_ID,
+      proposedCard: updated
+    }));
+  });
+});
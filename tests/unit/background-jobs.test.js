@@ -0,0 +1,148 @@
+/**
+ * Background Job Queue Unit Tests
+ *
+ * Tests cron schedules, retry backoff and how a job's outcome is recorded
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/database/background-jobs.js', () => ({
+  insertJob: jest.fn(),
+  claimNextJob: jest.fn(),
+  completeJob: jest.fn(),
+  failJob: jest.fn(),
+  releaseStaleJobs: jest.fn(),
+  upsertJobSchedules: jest.fn(),
+  enqueueDueScheduledJobs: jest.fn(),
+  deleteOldJobs: jest.fn()
+}));
+
+const jobsDb = await import('../../src/database/background-jobs.js');
+const { nextCronRun, parseCron } = await import('../../src/jobs/cron.js');
+const {
+  registerJobHandler,
+  enqueueJob,
+  runJob,
+  runWorkerTick,
+  getRetryDelay,
+  getJobOptions,
+  getLockTimeoutMs,
+  PermanentJobError
+} = await import('../../src/jobs/queue.js');
+
+/**
+ * A claimed job row
+ */
+function claimedJob(overrides = {}) {
+  return { id: 1, job_type: 'test-job', payload: { value: 2 }, attempts: 1, max_attempts: 3, locked_by: 'worker-1', ...overrides };
+}
+
+describe('Background Jobs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jobsDb.completeJob.mockResolvedValue(true);
+    jobsDb.failJob.mockResolvedValue(true);
+  });
+
+  test('should find the next cron run in UTC', () => {
+    const after = new Date('2026-10-19T10:07:30Z');
+
+    expect(nextCronRun('*/15 * * * *', after).toISOString()).toBe('2026-10-19T10:15:00.000Z');
+    expect(nextCronRun('0 9 * * *', after).toISOString()).toBe('2026-10-20T09:00:00.000Z');
+    expect(nextCronRun('0 0 * * 1', after).toISOString()).toBe('2026-10-26T00:00:00.000Z');
+    expect(nextCronRun('@monthly', after).toISOString()).toBe('2026-11-01T00:00:00.000Z');
+    expect(nextCronRun('0 0 29 2 *', after).toISOString()).toBe('2028-02-29T00:00:00.000Z');
+    expect(() => parseCron('61 * * * *')).toThrow('Invalid cron minute field');
+    expect(() => parseCron('0 9 * *')).toThrow('expected 5 fields');
+    expect(() => nextCronRun('0 0 31 2 *', after)).toThrow('never fires');
+  });
+
+  test('should back off exponentially up to the maximum', () => {
+    const options = { backoffMs: 1000, maxBackoffMs: 5000 };
+
+    expect([1, 2, 3, 4].map(attempt => getRetryDelay(attempt, options))).toEqual([1000, 2000, 4000, 5000]);
+  });
+
+  test('should complete a job with the handler result', async () => {
+    const handler = jest.fn(async ({ value }) => ({ doubled: value * 2 }));
+    registerJobHandler('test-job', handler);
+
+    await expect(runJob(claimedJob())).resolves.toBe('completed');
+    expect(handler).toHaveBeenCalledWith({ value: 2 }, expect.objectContaining({ id: 1 }), { signal: expect.any(AbortSignal) });
+    expect(jobsDb.completeJob).toHaveBeenCalledWith(1, 'worker-1', { doubled: 4 });
+  });
+
+  test('should retry failed attempts and fail for good after the last one', async () => {
+    registerJobHandler('test-job', async () => { throw new Error('HubSpot 502'); }, { backoffMs: 1000 });
+
+    await expect(runJob(claimedJob({ attempts: 2 }))).resolves.toBe('retrying');
+    expect(jobsDb.failJob).toHaveBeenLastCalledWith(1, 'worker-1', 'HubSpot 502', 2000);
+
+    await expect(runJob(claimedJob({ attempts: 3 }))).resolves.toBe('failed');
+    expect(jobsDb.failJob).toHaveBeenLastCalledWith(1, 'worker-1', 'HubSpot 502', null);
+
+    registerJobHandler('test-job', async () => { throw new PermanentJobError('Conversation not found'); });
+    await expect(runJob(claimedJob())).resolves.toBe('failed');
+    expect(jobsDb.failJob).toHaveBeenLastCalledWith(1, 'worker-1', 'Conversation not found', null);
+  });
+
+  test('should abort a timed-out handler and keep the job until it stops', async () => {
+    const stopped = jest.fn();
+    registerJobHandler('test-job', (payload, job, { signal }) => new Promise(resolve => {
+      signal.addEventListener('abort', () => setTimeout(() => { stopped(); resolve('partial'); }, 30));
+    }), { timeoutMs: 20, backoffMs: 1000 });
+
+    await expect(runJob(claimedJob())).resolves.toBe('retrying');
+    expect(jobsDb.failJob).toHaveBeenCalledWith(1, 'worker-1', 'Job 1 (test-job) timed out after 20ms', 1000);
+    expect(stopped.mock.invocationCallOrder[0]).toBeLessThan(jobsDb.failJob.mock.invocationCallOrder[0]);
+    expect(jobsDb.completeJob).not.toHaveBeenCalled();
+  });
+
+  test('should not record the outcome of a job that lost its lock', async () => {
+    registerJobHandler('test-job', async () => 'ok');
+    jobsDb.completeJob.mockResolvedValue(false);
+
+    await expect(runJob(claimedJob())).resolves.toBe('lost');
+    expect(jobsDb.failJob).not.toHaveBeenCalled();
+  });
+
+  test('should enqueue with the handler defaults and run due jobs in a tick', async () => {
+    registerJobHandler('test-job', async () => 'ok', { maxAttempts: 7 });
+    jobsDb.insertJob.mockResolvedValue({ id: 5 });
+
+    await enqueueJob('test-job', { value: 1 }, { dedupeKey: 'test:1' });
+    expect(jobsDb.insertJob).toHaveBeenCalledWith({
+      jobType: 'test-job', payload: { value: 1 }, delayMs: 0, maxAttempts: 7, dedupeKey: 'test:1', scheduleName: null
+    });
+
+    jobsDb.releaseStaleJobs.mockResolvedValue(0);
+    jobsDb.enqueueDueScheduledJobs.mockResolvedValue([]);
+    jobsDb.claimNextJob
+      .mockResolvedValueOnce(claimedJob({ id: 5 }))
+      .mockResolvedValueOnce(claimedJob({ id: 6 }))
+      .mockResolvedValueOnce(null);
+
+    await expect(runWorkerTick('worker-1')).resolves.toBe(2);
+    expect(jobsDb.enqueueDueScheduledJobs).toHaveBeenCalledWith(nextCronRun);
+    expect(jobsDb.claimNextJob).toHaveBeenCalledWith('worker-1', ['test-job']);
+    expect(jobsDb.completeJob).toHaveBeenCalledTimes(2);
+  });
+
+  test('should keep the lock timeout longer than every job timeout', async () => {
+    expect(() => registerJobHandler('unbounded-job', async () => {}, { timeoutMs: Infinity })).toThrow('needs a finite timeoutMs');
+
+    // Registered last: the other tests expect only test-job to be registered
+    const { JOB_TYPES } = await import('../../src/jobs/tasks.js');
+
+    for (const jobType of Object.values(JOB_TYPES)) {
+      expect(getJobOptions(jobType).timeoutMs).toBeLessThan(getLockTimeoutMs());
+    }
+
+    jobsDb.releaseStaleJobs.mockResolvedValue(0);
+    jobsDb.enqueueDueScheduledJobs.mockResolvedValue([]);
+    jobsDb.claimNextJob.mockResolvedValue(null);
+
+    await runWorkerTick('worker-1', () => true);
+    expect(jobsDb.releaseStaleJobs).toHaveBeenCalledWith(getLockTimeoutMs());
+  });
+});
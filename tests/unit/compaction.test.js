@@ -0,0 +1,86 @@
+/**
+ * Context Compaction Unit Tests
+ *
+ * Tests token estimation and split selection for history compaction
+ */
+
+import {
+  estimateMessageTokens,
+  estimateHistoryTokens,
+  selectCompactionSplit,
+  buildSummaryMessages
+} from '../../src/claude/compaction.js';
+
+const text = (role, chars) => ({ role, content: [{ type: 'text', text: 'x'.repeat(chars) }] });
+
+describe('Context Compaction', () => {
+  describe('Token Estimation', () => {
+    test('should estimate text at ~4 characters per token', () => {
+      expect(estimateMessageTokens({ role: 'user', content: 'a'.repeat(400) })).toBe(100);
+      expect(estimateMessageTokens(text('assistant', 800))).toBe(200);
+    });
+
+    test('should count attachments by type', () => {
+      const message = {
+        role: 'user',
+        content: [
+          { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'abc' } },
+          { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: 'a'.repeat(2500) } }
+        ]
+      };
+
+      expect(estimateMessageTokens(message)).toBe(1600 + 100);
+    });
+
+    test('should sum message estimates for a history', () => {
+      expect(estimateHistoryTokens([text('user', 40), text('assistant', 80)])).toBe(30);
+    });
+  });
+
+  describe('Split Selection', () => {
+    test('should keep recent messages and split at a user turn', () => {
+      const history = [
+        text('user', 4000), text('assistant', 4000),
+        text('user', 4000), text('assistant', 4000),
+        text('user', 4000), text('assistant', 4000)
+      ];
+
+      const split = selectCompactionSplit(history, { keepTokens: 2000, minRecent: 2 });
+
+      expect(split).toBe(4);
+      expect(history[split].role).toBe('user');
+    });
+
+    test('should never split right before a tool_result turn', () => {
+      const history = [
+        text('user', 4000),
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'get_deal_files', input: {} }] },
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: 'x'.repeat(4000) }] },
+        text('assistant', 4000),
+        text('user', 400),
+        text('assistant', 400)
+      ];
+
+      const split = selectCompactionSplit(history, { keepTokens: 1000, minRecent: 2 });
+
+      expect(split).toBe(4);
+    });
+
+    test('should return 0 when there is nothing older to summarize', () => {
+      const history = [text('user', 100), text('assistant', 100)];
+
+      expect(selectCompactionSplit(history, { keepTokens: 1000, minRecent: 4 })).toBe(0);
+    });
+  });
+
+  describe('Summary Messages', () => {
+    test('should produce an alternating user/assistant pair', () => {
+      const [user, assistant] = buildSummaryMessages('- Client: Acme Corp');
+
+      expect(user.role).toBe('user');
+      expect(user.content[0].text).toContain('<conversation_summary>');
+      expect(user.content[0].text).toContain('Acme Corp');
+      expect(assistant.role).toBe('assistant');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Concurrency Utilities Unit Tests
+ *
+ * Tests the limiter and timeout helpers used for parallel tool execution,
+ * and the per-group limits they enforce in executeToolCalls
+ */
+
+import { jest } from '@jest/globals';
+import { createLimiter, withTimeout, TimeoutError } from '../../src/utils/concurrency.js';
+
+// Short enough for the limit test; read when executor.js is imported
+process.env.TOOL_TIMEOUT_MS = '50';
+
+// HubSpot searches that stay in flight until the test settles them
+const pendingSearches = [];
+jest.unstable_mockModule('../../src/tools/hubspot.js', () => ({
+  searchHubSpotCompanies: jest.fn(() => new Promise(resolve => pendingSearches.push(resolve)))
+}));
+
+const hubspot = await import('../../src/tools/hubspot.js');
+const { executeToolCalls } = await import('../../src/tools/executor.js');
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+describe('Concurrency Utilities', () => {
+  describe('createLimiter', () => {
+    test('should never run more than the limit at once', async () => {
+      const limit = createLimiter(2);
+      let running = 0;
+      let maxRunning = 0;
+
+      const task = async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await delay(20);
+        running--;
+      };
+
+      await Promise.all([1, 2, 3, 4, 5].map(() => limit(task)));
+
+      expect(maxRunning).toBe(2);
+    });
+
+    test('should resolve each task with its own result', async () => {
+      const limit = createLimiter(1);
+
+      const results = await Promise.all([
+        limit(() => delay(30, 'a')),
+        limit(() => delay(5, 'b')),
+        limit(() => 'c')
+      ]);
+
+      expect(results).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should release the slot when a task rejects', async () => {
+      const limit = createLimiter(1);
+
+      await expect(limit(() => Promise.reject(new Error('boom')))).rejects.toThrow('boom');
+      await expect(limit(() => 'next')).resolves.toBe('next');
+    });
+  });
+
+  describe('withTimeout', () => {
+    test('should resolve when the promise settles in time', async () => {
+      await expect(withTimeout(delay(5, 'ok'), 100)).resolves.toBe('ok');
+    });
+
+    test('should reject with TimeoutError when the deadline passes', async () => {
+      const promise = withTimeout(delay(100, 'late'), 10, 'Tool slow_tool');
+
+      await expect(promise).rejects.toBeInstanceOf(TimeoutError);
+      await expect(promise).rejects.toThrow('Tool slow_tool timed out after 10ms');
+    });
+
+    test('should not apply a timeout when timeoutMs is 0', async () => {
+      await expect(withTimeout(delay(5, 'ok'), 0)).resolves.toBe('ok');
+    });
+  });
+
+  describe('executeToolCalls', () => {
+    test('should keep a timed-out tool\'s slot until its request finishes', async () => {
+      const toolCalls = [1, 2, 3, 4].map(n => ({ toolName: 'search_hubspot_companies', input: { query: `Company ${n}` }, toolUseId: `toolu_${n}` }));
+
+      const running = executeToolCalls(toolCalls, { conversationId: 'conv-1' });
+
+      // The first three time out, but their requests are still in flight:
+      // the fourth must not start past the hubspot limit of 3
+      await delay(150);
+      expect(hubspot.searchHubSpotCompanies).toHaveBeenCalledTimes(3);
+
+      pendingSearches.splice(0).forEach(resolve => resolve({ success: true, companies: [] }));
+      await delay(20);
+      expect(hubspot.searchHubSpotCompanies).toHaveBeenCalledTimes(4);
+      pendingSearches.splice(0).forEach(resolve => resolve({ success: true, companies: [] }));
+
+      const results = (await running).map(result => JSON.parse(result.content));
+      expect(results.slice(0, 3).every(result => result.timedOut)).toBe(true);
+      expect(results[3]).toEqual({ success: true, companies: [] });
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Max-Tokens Continuation Unit Tests
+ *
+ * Tests prefill construction and stitching of continued responses
+ */
+
+import { buildContinuationPrefill, mergeContinuation } from '../../src/claude/continuation.js';
+
+describe('Max-Tokens Continuation', () => {
+  describe('Prefill', () => {
+    test('should keep text blocks and trim trailing whitespace', () => {
+      const prefill = buildContinuationPrefill([
+        { type: 'thinking', thinking: 'Planning the business case', signature: 'sig' },
+        { type: 'text', text: '## Training Plan\n\nThe employer will ' }
+      ]);
+
+      expect(prefill).toEqual([{ type: 'text', text: '## Training Plan\n\nThe employer will' }]);
+    });
+
+    test('should not continue a response cut off inside a tool call', () => {
+      const prefill = buildContinuationPrefill([
+        { type: 'text', text: 'Let me check HubSpot.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'search_hubspot_companies', input: {} }
+      ]);
+
+      expect(prefill).toBeNull();
+    });
+
+    test('should not modify the truncated content', () => {
+      const content = [{ type: 'text', text: 'Eligibility:  ' }];
+      buildContinuationPrefill(content);
+
+      expect(content[0].text).toBe('Eligibility:  ');
+    });
+  });
+
+  describe('Stitching', () => {
+    test('should append continuation text to the truncated text block', () => {
+      const merged = mergeContinuation(
+        [
+          { type: 'thinking', thinking: 'Plan', signature: 'sig' },
+          { type: 'text', text: 'The program covers 2/3 of eligible ' }
+        ],
+        [{ type: 'text', text: ' training costs, up to $10,000.' }]
+      );
+
+      expect(merged).toHaveLength(2);
+      expect(merged[0].type).toBe('thinking');
+      expect(merged[1].text).toBe('The program covers 2/3 of eligible training costs, up to $10,000.');
+    });
+
+    test('should keep blocks that follow the continued text', () => {
+      const merged = mergeContinuation(
+        [{ type: 'text', text: 'Part one' }],
+        [
+          { type: 'text', text: ' and part two.' },
+          { type: 'tool_use', id: 'toolu_2', name: 'get_deal_files', input: { dealId: '123' } }
+        ]
+      );
+
+      expect(merged.map(block => block.type)).toEqual(['text', 'tool_use']);
+      expect(merged[0].text).toBe('Part one and part two.');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Conversation Access Unit Tests
+ *
+ * Tests resolving a user's access to owned and shared conversations
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/database/messages.js', () => ({
+  getConversation: jest.fn()
+}));
+
+jest.unstable_mockModule('../../src/database/conversation-shares.js', () => ({
+  getSharesForUser: jest.fn()
+}));
+
+const { getConversation } = await import('../../src/database/messages.js');
+const { getSharesForUser } = await import('../../src/database/conversation-shares.js');
+const {
+  resolveConversationAccess,
+  hasConversationAccess,
+  requireConversationAccess
+} = await import('../../src/middleware/conversation-access.js');
+
+const owner = { id: 1, email: 'owner@grantedconsulting.ca' };
+const teammate = { id: 2, email: 'teammate@grantedconsulting.ca' };
+
+/**
+ * Run the middleware and capture the response
+ */
+async function runMiddleware(required, req) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  const next = jest.fn();
+
+  await requireConversationAccess(required)(req, res, next);
+
+  return { res, next };
+}
+
+describe('Conversation Access', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should give owners and ownerless conversations full access', () => {
+    expect(resolveConversationAccess({ user_id: 1 }, owner)).toBe('owner');
+    expect(resolveConversationAccess({ user_id: null }, teammate)).toBe('owner');
+    expect(resolveConversationAccess({ user_id: null }, null)).toBe('owner');
+  });
+
+  test('should use the highest of the personal and team shares', () => {
+    const conversation = { user_id: 1 };
+
+    expect(resolveConversationAccess(conversation, teammate, [])).toBeNull();
+    expect(resolveConversationAccess(conversation, teammate, [{ permission: 'view' }])).toBe('view');
+    expect(resolveConversationAccess(conversation, teammate, [
+      { permission: 'continue' },
+      { permission: 'comment' }
+    ])).toBe('continue');
+    expect(resolveConversationAccess(conversation, null, [{ permission: 'continue' }])).toBeNull();
+  });
+
+  test('should compare access levels', () => {
+    expect(hasConversationAccess('owner', 'continue')).toBe(true);
+    expect(hasConversationAccess('comment', 'view')).toBe(true);
+    expect(hasConversationAccess('comment', 'continue')).toBe(false);
+    expect(hasConversationAccess(null, 'view')).toBe(false);
+  });
+
+  test('should reject insufficient access with 403 and no access with 404', async () => {
+    getConversation.mockResolvedValue({ id: 'conv-1', user_id: 1 });
+
+    getSharesForUser.mockResolvedValue([{ permission: 'view' }]);
+    let { res, next } = await runMiddleware('continue', { params: { id: 'conv-1' }, user: teammate });
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+
+    getSharesForUser.mockResolvedValue([]);
+    ({ res, next } = await runMiddleware('view', { params: { id: 'conv-1' }, user: teammate }));
+    expect(res.statusCode).toBe(404);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should attach the conversation and access level when allowed', async () => {
+    getConversation.mockResolvedValue({ id: 'conv-1', user_id: 1 });
+    getSharesForUser.mockResolvedValue([{ permission: 'comment' }]);
+
+    const req = { params: { id: 'conv-1' }, user: teammate };
+    const { next } = await runMiddleware('comment', req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.conversationAccess).toBe('comment');
+    expect(req.conversation.id).toBe('conv-1');
+
+    const ownerReq = { params: { id: 'conv-1' }, user: owner };
+    await runMiddleware('owner', ownerReq);
+    expect(ownerReq.conversationAccess).toBe('owner');
+    expect(getSharesForUser).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Conversation Export Unit Tests
+ *
+ * Tests the export document (turns, appendix, selected responses) and the
+ * Markdown parsing behind the DOCX/PDF renderers
+ */
+
+import {
+  buildConversationMarkdown,
+  exportConversation,
+  shiftHeadings
+} from '../../src/utils/conversation-export.js';
+import { parseMarkdownBlocks, parseInline } from '../../src/utils/markdown-blocks.js';
+
+const conversation = { title: 'Acme ETG case', agent_type: 'etg-writer' };
+
+const messages = [
+  { id: 'u1', role: 'user', content: 'Draft the ETG case for Acme' },
+  {
+    id: 't1',
+    role: 'assistant',
+    content: [
+      { type: 'text', text: 'Looking up Acme.' },
+      { type: 'tool_use', id: 'toolu_1', name: 'search_hubspot_companies', input: { query: 'Acme' } }
+    ]
+  },
+  { id: 'r1', role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '{"total":1}' }] },
+  {
+    id: 'a1',
+    role: 'assistant',
+    content: [{
+      type: 'text',
+      text: '# Business Case\n\nAcme trains 12 staff.',
+      citations: [{ type: 'page_location', document_title: 'ETG Guide', start_page_number: 3, end_page_number: 4, cited_text: 'Up to 80%' }]
+    }]
+  },
+  { id: 'u2', role: 'user', content: 'Add a budget' },
+  { id: 'a2', role: 'assistant', content: '| Item | Cost |\n|---|---|\n| Training | $5,000 |' }
+];
+
+const exportedAt = new Date('2026-03-02T12:00:00Z');
+
+describe('Conversation Export', () => {
+  test('should render every turn with a tool call and citation appendix', () => {
+    const markdown = buildConversationMarkdown({ conversation, messages, exportedAt });
+
+    expect(markdown).toMatch(/^# Acme ETG case\n/);
+    expect(markdown).toContain('## User\n\nDraft the ETG case for Acme');
+    expect(markdown).toContain('## Assistant\n\n### Business Case\n\nAcme trains 12 staff. [1]');
+    expect(markdown).not.toContain('Looking up Acme.');
+    expect(markdown).toContain('| 1 | search_hubspot_companies | query: Acme | 11 characters |');
+    expect(markdown).toContain('1. **ETG Guide**, p. 3 - "Up to 80%"');
+  });
+
+  test('should export only the selected responses and their tool calls', () => {
+    const markdown = buildConversationMarkdown({ conversation, messages, messageIds: ['a2'], exportedAt });
+
+    expect(markdown).not.toContain('## User');
+    expect(markdown).not.toContain('Business Case');
+    expect(markdown).toContain('| Training | $5,000 |');
+    expect(markdown).not.toContain('## Appendix');
+  });
+
+  test('should nest message headings without touching code blocks', () => {
+    expect(shiftHeadings('# Title\n```\n# comment\n```\n## Section', 2))
+      .toBe('### Title\n```\n# comment\n```\n#### Section');
+  });
+
+  test('should parse headings, lists, tables and inline styles', () => {
+    const blocks = parseMarkdownBlocks('## Budget\n\n1. First\n2. Second\n   - detail\n\n| A | B |\n|---|---|\n| 1 | 2 |');
+
+    expect(blocks.map(block => block.type)).toEqual(['heading', 'list', 'table']);
+    expect(blocks[1].items.map(item => [item.level, item.ordered])).toEqual([[0, true], [0, true], [1, false]]);
+    expect(blocks[2]).toMatchObject({ header: ['A', 'B'], rows: [['1', '2']] });
+    expect(parseInline('a **b** *c* `d`').filter(run => run.bold || run.italic || run.code))
+      .toEqual([
+        { text: 'b', bold: true, italic: false, code: false },
+        { text: 'c', bold: false, italic: true, code: false },
+        { text: 'd', bold: false, italic: false, code: true }
+      ]);
+  });
+
+  test('should produce DOCX and PDF files', async () => {
+    const docx = await exportConversation('docx', { conversation, messages, exportedAt });
+    const pdf = await exportConversation('pdf', { conversation, messages, exportedAt });
+
+    expect(docx.filename).toBe('acme-etg-case-2026-03-02.docx');
+    expect(docx.body.subarray(0, 2).toString()).toBe('PK');
+    expect(pdf.body.subarray(0, 8).toString()).toBe('%PDF-1.4');
+    expect(pdf.body.toString('latin1')).toMatch(/%%EOF\n$/);
+  });
+});
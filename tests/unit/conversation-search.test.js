@@ -0,0 +1,90 @@
+/**
+ * Conversation Search Unit Tests
+ *
+ * Tests search request validation and highlighted snippet formatting
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/database/conversation-search.js', () => ({
+  searchConversations: jest.fn(),
+  HIGHLIGHT_START: '\u0001',
+  HIGHLIGHT_END: '\u0002'
+}));
+
+jest.unstable_mockModule('../../src/agents/load-agents.js', () => ({
+  isValidAgentType: jest.fn(agentType => agentType === 'bcafe-writer')
+}));
+
+const { searchConversations } = await import('../../src/database/conversation-search.js');
+const { handleSearchConversations, formatSnippet } = await import('../../src/api/search.js');
+
+/**
+ * Run the handler and capture the response
+ */
+async function search(queryParams, user = { id: 7 }) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+
+  await handleSearchConversations({ query: queryParams, user }, res);
+
+  return res;
+}
+
+describe('Conversation Search', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should escape snippets and mark the matches', () => {
+    expect(formatSnippet('the <b>winery</b> \u0001budget\u0002 for\n\nspring'))
+      .toBe('the &lt;b&gt;winery&lt;/b&gt; <mark>budget</mark> for spring');
+    expect(formatSnippet(null)).toBe('');
+  });
+
+  test('should reject short queries, unknown agents and bad dates', async () => {
+    expect((await search({ q: 'a' })).statusCode).toBe(400);
+    expect((await search({ q: 'budget', agentType: 'unknown' })).statusCode).toBe(400);
+    expect((await search({ q: 'budget', from: 'last spring' })).statusCode).toBe(400);
+    expect((await search({ q: 'budget' }, null)).statusCode).toBe(401);
+    expect(searchConversations).not.toHaveBeenCalled();
+  });
+
+  test('should pass filters through and format results', async () => {
+    searchConversations.mockResolvedValue([{
+      conversation_id: 'conv-1',
+      message_id: 'msg-1',
+      title: 'Winery BCAFE',
+      agent_type: 'bcafe-writer',
+      role: 'assistant',
+      user_id: 3,
+      created_at: '2026-04-10T10:00:00Z',
+      snippet: 'marketing \u0001budget\u0002'
+    }]);
+
+    const res = await search({ q: ' winery budget ', agentType: 'bcafe-writer', from: '2026-03-01', to: '2026-05-31', limit: '500' });
+
+    expect(searchConversations).toHaveBeenCalledWith({
+      userId: 7,
+      text: 'winery budget',
+      agentType: 'bcafe-writer',
+      from: '2026-03-01',
+      to: '2026-05-31',
+      limit: 50
+    });
+    expect(res.body.results).toEqual([{
+      conversationId: 'conv-1',
+      messageId: 'msg-1',
+      title: 'Winery BCAFE',
+      agentType: 'bcafe-writer',
+      role: 'assistant',
+      shared: true,
+      createdAt: '2026-04-10T10:00:00Z',
+      snippet: 'marketing <mark>budget</mark>'
+    }]);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Sub-Agent Delegation Unit Tests
+ *
+ * Tests the delegate_to_agent limits and nested runs against the mock provider
+ */
+
+import { jest } from '@jest/globals';
+
+// Short enough for the timeout test; read when executor.js is imported
+process.env.DELEGATION_TIMEOUT_MS = '100';
+
+jest.unstable_mockModule('../../src/agents/load-agents.js', () => ({
+  isValidAgentType: (agentType) => ['orchestrator', 'etg-writer', 'grant-card-generator'].includes(agentType),
+  getAgentManifest: () => ({ toolGroups: null, model: null, thinkingBudget: 0, maxLoops: null })
+}));
+
+jest.unstable_mockModule('../../src/agents/prompt-store.js', () => ({
+  getActivePrompt: async (agentType) => ({ content: `You are ${agentType}`, versionId: null, version: null, source: 'file' })
+}));
+
+jest.unstable_mockModule('../../src/database/api-usage.js', () => ({
+  recordApiUsage: async () => {}
+}));
+
+const { MockProvider, setProvider } = await import('../../src/providers/index.js');
+const { runDelegatedAgent, checkDelegation, MAX_DELEGATED_LOOPS } = await import('../../src/claude/delegation.js');
+const { getToolsForAgent, DELEGATE_TOOL_NAME } = await import('../../src/tools/definitions.js');
+const { executeToolCall, executeToolCalls } = await import('../../src/tools/executor.js');
+const { createRecorder, loadReplay } = await import('../../src/claude/agent-fixtures.js');
+
+/**
+ * Minimal Express response that records SSE payloads
+ */
+function createMockResponse() {
+  const events = [];
+  return {
+    events,
+    writableEnded: false,
+    destroyed: false,
+    write(frame) {
+      const data = frame.split('\n').find(line => line.startsWith('data: '));
+      if (data) events.push(JSON.parse(data.substring(6)));
+      return true;
+    }
+  };
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const delegationFor = (res) => ({ res, sessionId: 'session-uuid', depth: 0, chain: ['orchestrator'], toolUseId: 'toolu_parent' });
+
+describe('Sub-Agent Delegation', () => {
+  test('should give the delegation tool to the orchestrator only', () => {
+    expect(getToolsForAgent('orchestrator').some(tool => tool.name === DELEGATE_TOOL_NAME)).toBe(true);
+    expect(getToolsForAgent('etg-writer').some(tool => tool.name === DELEGATE_TOOL_NAME)).toBe(false);
+    expect(getToolsForAgent('etg-writer', ['all']).some(tool => tool.name === DELEGATE_TOOL_NAME)).toBe(false);
+  });
+
+  test('should refuse unknown agents, cycles and delegation past the depth limit', async () => {
+    expect(checkDelegation('etg-writer', { depth: 0, chain: ['orchestrator'] })).toBeNull();
+    expect(checkDelegation('mystery-agent', { depth: 0, chain: ['orchestrator'] })).toMatch(/Unknown agent type/);
+    expect(checkDelegation('orchestrator', { depth: 0, chain: ['orchestrator'] })).toMatch(/already running/);
+    expect(checkDelegation('grant-card-generator', { depth: 1, chain: ['orchestrator', 'etg-writer'] })).toMatch(/depth limit/);
+
+    const result = await executeToolCall(DELEGATE_TOOL_NAME, { agent_type: 'etg-writer', task: 'Draft it' }, 'conversation-uuid');
+    expect(result).toEqual({ success: false, error: 'Delegation is not available in this context' });
+  });
+
+  test('should run the specialist with its own prompt and tools and return its final answer', async () => {
+    const provider = new MockProvider({
+      script: [
+        { content: [{ type: 'tool_use', name: 'lookup_program', input: { program: 'ETG' } }] },
+        { content: [{ type: 'text', text: 'ETG covers 80% of training costs.' }] }
+      ]
+    });
+    setProvider(provider);
+    const res = createMockResponse();
+
+    const result = await runDelegatedAgent({
+      agentType: 'etg-writer',
+      task: 'Summarize ETG funding',
+      context: 'Client: Acme',
+      conversationId: 'conversation-uuid',
+      userId: 1,
+      delegation: delegationFor(res)
+    });
+
+    expect(result).toMatchObject({ success: true, agentType: 'etg-writer', output: 'ETG covers 80% of training costs.', iterations: 2 });
+
+    const [firstCall, secondCall] = provider.calls;
+    expect(firstCall.params.system[0].text).toContain('You are etg-writer');
+    expect(firstCall.params.messages[0].content).toContain('<context>\nClient: Acme\n</context>');
+    expect(firstCall.params.tools.some(tool => tool.name === DELEGATE_TOOL_NAME)).toBe(false);
+    expect(secondCall.params.messages[2].content[0]).toMatchObject({ type: 'tool_result' });
+
+    expect(res.events[0]).toMatchObject({ type: 'delegation_start', delegationId: 'toolu_parent', agentType: 'etg-writer', depth: 1 });
+    expect(res.events[res.events.length - 1]).toMatchObject({ type: 'delegation_end', success: true, iterations: 2 });
+    expect(res.events.find(event => event.type === 'delegation_event' && event.event.type === 'tool_use').event)
+      .toMatchObject({ toolName: 'lookup_program', input: { program: 'ETG' } });
+    expect(res.events.every(event => event.type.startsWith('delegation_'))).toBe(true);
+  });
+
+  test('should stop a specialist that keeps calling tools at the loop limit', async () => {
+    const provider = new MockProvider({
+      fallback: () => ({ content: [{ type: 'tool_use', name: 'lookup_program', input: {} }] })
+    });
+    setProvider(provider);
+
+    const result = await runDelegatedAgent({
+      agentType: 'etg-writer',
+      task: 'Loop forever',
+      conversationId: 'conversation-uuid',
+      userId: 1,
+      delegation: delegationFor(createMockResponse())
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/loop limit/);
+    expect(provider.calls.length).toBeLessThanOrEqual(MAX_DELEGATED_LOOPS);
+  });
+
+  test('should abort the nested run when the delegation times out', async () => {
+    const provider = new MockProvider({
+      delayMs: 10,
+      fallback: () => ({ content: [{ type: 'tool_use', name: 'lookup_program', input: {} }] })
+    });
+    setProvider(provider);
+
+    const [toolResult] = await executeToolCalls(
+      [{ toolName: DELEGATE_TOOL_NAME, input: { agent_type: 'etg-writer', task: 'Loop forever' }, toolUseId: 'toolu_parent' }],
+      { conversationId: 'conversation-uuid', userId: 1, agentType: 'orchestrator', delegation: delegationFor(createMockResponse()) }
+    );
+
+    expect(JSON.parse(toolResult.content)).toMatchObject({ success: false, timedOut: true });
+    expect(provider.calls[0].options.signal.aborted).toBe(true);
+
+    // The nested run stops instead of continuing in the background
+    const callsAtTimeout = provider.calls.length;
+    await delay(300);
+    expect(provider.calls.length).toBe(callsAtTimeout);
+  });
+
+  test('should record a delegated run in the caller\'s fixture and replay it offline', async () => {
+    const delegateCall = [{ toolName: DELEGATE_TOOL_NAME, input: { agent_type: 'etg-writer', task: 'Summarize ETG funding' }, toolUseId: 'toolu_parent' }];
+    const context = (fixture) => ({
+      conversationId: 'conversation-uuid',
+      userId: 1,
+      agentType: 'orchestrator',
+      fixture,
+      delegation: delegationFor(createMockResponse())
+    });
+
+    const recorder = createRecorder({
+      name: 'delegated-etg',
+      provider: new MockProvider({
+        script: [
+          { content: [{ type: 'tool_use', name: 'lookup_program', input: { program: 'ETG' } }] },
+          { content: [{ type: 'text', text: 'ETG covers 80% of training costs.' }] }
+        ]
+      })
+    });
+
+    const [recorded] = await executeToolCalls(delegateCall, context(recorder));
+    expect(recorder.data.modelCalls).toHaveLength(2);
+    expect(recorder.data.toolCalls.map(call => call.toolName)).toEqual(['lookup_program']);
+
+    // Replay must not reach the live provider
+    const live = new MockProvider({ fallback: () => ({ error: 'live_call_during_replay' }) });
+    setProvider(live);
+    const replay = loadReplay(recorder.data);
+
+    const [replayed] = await executeToolCalls(delegateCall, context(replay));
+
+    expect(JSON.parse(replayed.content)).toEqual(JSON.parse(recorded.content));
+    expect(JSON.parse(replayed.content)).toMatchObject({ success: true, output: 'ETG covers 80% of training costs.' });
+    expect(live.calls).toHaveLength(0);
+    expect(() => replay.assertFullyReplayed()).not.toThrow();
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * GetGranted Export Unit Tests
+ *
+ * Tests the GetGranted record mapping and field validation, the JSON/CSV/HTML
+ * exports and the single-card export endpoint
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/database/grant-cards.js', () => ({
+  getGrantCard: jest.fn(),
+  listGrantCards: jest.fn()
+}));
+
+const { getGrantCard } = await import('../../src/database/grant-cards.js');
+const {
+  buildGetGrantedRecord,
+  validateGetGrantedRecord,
+  prepareGetGrantedRecords,
+  exportGetGranted
+} = await import('../../src/grant-cards/getgranted.js');
+const { handleExportGrantCardGetGranted } = await import('../../src/api/grant-cards.js');
+
+const CARD_ID = '7d3f1c2a-4b5e-4f60-8a91-0b2c3d4e5f60';
+
+const card = {
+  program_name: 'CanExport SMEs',
+  funder: { name: 'Global Affairs Canada', level: 'federal', website: 'https://www.tradecommissioner.gc.ca/canexport' },
+  grant_type: { primary: 'market-expansion', secondary: ['training'] },
+  summary: 'Funds Canadian SMEs entering new international markets, covering up to 50% of eligible marketing costs.',
+  eligibility: {
+    applicants: ['Canadian for-profit SMEs'],
+    requirements: ['$100,000 to $100M annual revenue'],
+    ineligible: ['Crown corporations']
+  },
+  funding: { min_amount: 10000, max_amount: 50000, currency: 'CAD', cost_share_percent: 50, description: 'Reimburses 50% of eligible costs, paid on claims.' },
+  deadlines: { intake: 'fixed', dates: [{ label: 'Second intake', date: '2027-06-30' }, { label: 'First intake', date: '2027-01-15' }], turnaround: null },
+  eligible_activities: ['Trade shows, "virtual" events'],
+  eligible_expenses: ['Travel', 'Translation'],
+  required_documents: ['Export plan'],
+  insights: ['Name specific target markets'],
+  missing_info: ['Stacking limits']
+};
+
+/**
+ * Mock Express response
+ */
+function mockResponse() {
+  const res = {
+    headers: {},
+    status: jest.fn(() => res),
+    json: jest.fn(() => res),
+    send: jest.fn(() => res),
+    setHeader: jest.fn((name, value) => { res.headers[name] = value; })
+  };
+  return res;
+}
+
+describe('GetGranted Export', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should map a card to a GetGranted record', () => {
+    const record = buildGetGrantedRecord(card, { externalId: CARD_ID });
+
+    expect(record).toMatchObject({
+      external_id: CARD_ID,
+      title: 'CanExport SMEs',
+      funder: 'Global Affairs Canada',
+      grant_type_id: 2,
+      secondary_grant_types: ['Training Grants'],
+      amount_text: '$10,000 - $50,000 CAD',
+      deadline: '2027-01-15',
+      deadline_text: 'Second intake: June 30, 2027; First intake: January 15, 2027',
+      eligibility: ['Canadian for-profit SMEs', '$100,000 to $100M annual revenue'],
+      application_requirements: ['Export plan'],
+      status: 'draft'
+    });
+    expect(record).not.toHaveProperty('missing_info');
+    expect(validateGetGrantedRecord(record, { today: '2026-10-19' })).toEqual([]);
+  });
+
+  test('should report field-level errors and warnings', () => {
+    const record = buildGetGrantedRecord({
+      ...card,
+      program_name: 'A'.repeat(160),
+      funder: { name: 'Global Affairs Canada', level: 'federal', website: null },
+      eligible_expenses: Array(9).fill('Ten words of eligible expense description for this program here')
+    });
+
+    const problems = validateGetGrantedRecord(record, { today: '2027-03-01' });
+
+    expect(problems).toEqual([
+      { field: 'title', message: 'must be at most 150 characters (got 160)', severity: 'error' },
+      expect.objectContaining({ field: 'website', severity: 'error' }),
+      { field: 'eligible_expenses', message: 'is 90 words (limit 80)', severity: 'warning' },
+      { field: 'deadline', message: '2027-01-15 has passed', severity: 'warning' }
+    ]);
+
+    const [prepared] = prepareGetGrantedRecords([{ id: CARD_ID, card: { ...card, summary: 'Too short' } }]);
+    expect(prepared.problems).toContainEqual({ field: 'summary', message: 'must be at least 20 characters', severity: 'error' });
+  });
+
+  test('should export JSON, CSV and HTML', () => {
+    const entries = [{ id: CARD_ID, card }];
+
+    const json = exportGetGranted(entries, 'json', { exportedAt: '2026-10-19T00:00:00.000Z' });
+    expect(json.extension).toBe('json');
+    expect(JSON.parse(json.body)).toMatchObject({ format: 'getgranted', version: 1, grants: [{ external_id: CARD_ID }] });
+
+    const csv = exportGetGranted(entries, 'csv');
+    const [header, row] = csv.body.split('\r\n');
+    expect(csv.contentType).toBe('text/csv; charset=utf-8');
+    expect(header.split(',')[1]).toBe('title');
+    expect(row).toContain('"Trade shows, ""virtual"" events"');
+    expect(csv.body).toContain('"Travel\nTranslation"');
+
+    const html = exportGetGranted(entries, 'html', { title: 'Export' });
+    expect(html.body).toMatch(/^<!DOCTYPE html>/);
+    expect(html.body).toContain('<title>Export</title>');
+    expect(html.body).toContain('<article class="grant-card">');
+  });
+
+  test('should list validation errors instead of exporting an invalid card', async () => {
+    getGrantCard.mockResolvedValue({ id: CARD_ID, user_id: 1, program_name: card.program_name, card: { ...card, funder: { ...card.funder, website: null } } });
+
+    const res = mockResponse();
+    await handleExportGrantCardGetGranted({ params: { cardId: CARD_ID }, query: { format: 'csv' }, user: { id: 1 } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.json.mock.calls[0][0].errors).toEqual([
+      expect.objectContaining({ cardId: CARD_ID, programName: 'CanExport SMEs', field: 'website', severity: 'error' })
+    ]);
+    expect(res.send).not.toHaveBeenCalled();
+
+    getGrantCard.mockResolvedValue({ id: CARD_ID, user_id: 1, program_name: card.program_name, card });
+
+    const download = mockResponse();
+    await handleExportGrantCardGetGranted({ params: { cardId: CARD_ID }, query: { format: 'json' }, user: { id: 1 } }, download);
+
+    expect(download.headers['Content-Disposition']).toBe('attachment; filename="canexport-smes-getgranted.json"');
+    expect(JSON.parse(download.send.mock.calls[0][0]).grants).toHaveLength(1);
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Grant Card Batch Unit Tests
+ *
+ * Tests batch request building, submitting, result parsing and repair, polling and the download bundle
+ */
+
+import { jest } from '@jest/globals';
+import JSZip from 'jszip';
+
+jest.unstable_mockModule('../../src/anthropic-client.js', () => ({
+  FILES_API_BETA: 'files-api-2025-04-14',
+  pdfAPI: {
+    processBatch: jest.fn(),
+    getBatchStatus: jest.fn(),
+    getBatchResults: jest.fn()
+  }
+}));
+
+jest.unstable_mockModule('../../src/agents/prompt-store.js', () => ({
+  getActivePrompt: jest.fn()
+}));
+
+jest.unstable_mockModule('../../src/agents/load-agents.js', () => ({
+  getAgentManifest: jest.fn(() => ({ model: null }))
+}));
+
+jest.unstable_mockModule('../../src/database/grant-card-batches.js', () => ({
+  getGrantCardBatch: jest.fn(),
+  startGrantCardBatchSubmission: jest.fn(),
+  cancelGrantCardBatchSubmission: jest.fn(),
+  markGrantCardBatchSubmitted: jest.fn(),
+  updateGrantCardBatchProgress: jest.fn(),
+  saveGrantCardBatchItemResult: jest.fn(),
+  finishGrantCardBatch: jest.fn(),
+  completeGrantCardBatchIfDone: jest.fn()
+}));
+
+jest.unstable_mockModule('../../src/database/grant-cards.js', () => ({
+  saveGrantCard: jest.fn(async ({ card }) => ({ id: 'card-uuid', card }))
+}));
+
+jest.unstable_mockModule('../../src/database/agent-prompts.js', () => ({
+  getPromptVersion: jest.fn(async () => ({ content: 'You write grant cards' }))
+}));
+
+const { pdfAPI } = await import('../../src/anthropic-client.js');
+const { getActivePrompt } = await import('../../src/agents/prompt-store.js');
+const batchesDb = await import('../../src/database/grant-card-batches.js');
+const { saveGrantCard } = await import('../../src/database/grant-cards.js');
+const { MockProvider, setProvider } = await import('../../src/providers/index.js');
+const {
+  buildBatchRequests,
+  submitGrantCardBatch,
+  parseBatchResult,
+  pollGrantCardBatch,
+  repairGrantCardBatchItem,
+  buildBatchBundle
+} = await import('../../src/services/grant-card-batches.js');
+
+const card = {
+  program_name: 'CanExport SMEs',
+  funder: { name: 'Trade Commissioner Service', level: 'federal' },
+  grant_type: { primary: 'market-expansion' },
+  summary: 'Funds Canadian SMEs entering new international markets.',
+  eligibility: { applicants: ['Canadian for-profit SMEs'] },
+  funding: { min_amount: 10000, max_amount: 50000, currency: 'CAD', description: 'Reimburses up to 50% of eligible costs.' },
+  deadlines: { intake: 'rolling' },
+  required_documents: ['Export plan'],
+  insights: ['Apply early in the fiscal year'],
+  missing_info: []
+};
+
+const succeeded = (text, extra = {}) => ({ type: 'succeeded', message: { content: [{ type: 'text', text }], ...extra } });
+
+const batch = {
+  id: '3f1c2a9e-0000-4000-8000-000000000001',
+  name: 'Spring 2026 Intake',
+  instructions: 'Use Canadian spelling',
+  status: 'processing',
+  provider_batch_id: 'msgbatch_1',
+  prompt_version_id: 'version-uuid',
+  user_id: 7,
+  items: [
+    { id: 11, position: 0, source_type: 'file', source_name: 'CanExport SMEs.pdf', file_id: 'file_1', status: 'pending' },
+    { id: 12, position: 1, source_type: 'url', source_name: 'etg-guide.pdf', source_url: 'https://example.com/etg-guide.pdf', status: 'pending' },
+    { id: 13, position: 2, source_type: 'file', source_name: 'Broken | scan.pdf', status: 'failed', error: 'File upload failed: too large' }
+  ]
+};
+
+describe('Grant Card Batches', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should build one request per pending document', () => {
+    const requests = buildBatchRequests(batch, { systemPrompt: 'You write grant cards', model: 'claude-test' });
+
+    expect(requests).toHaveLength(2);
+    expect(requests[0]).toMatchObject({ customId: 'item-11', fileId: 'file_1', title: 'CanExport SMEs.pdf', model: 'claude-test' });
+    expect(requests[1]).toMatchObject({ customId: 'item-12', url: 'https://example.com/etg-guide.pdf' });
+    expect(requests[0].prompt).toContain('Use Canadian spelling');
+    expect(requests[0].systemPrompt).toBe('You write grant cards');
+  });
+
+  test('should never send a batch twice when a submit is retried', async () => {
+    const pending = { ...batch, status: 'pending', provider_batch_id: null };
+    getActivePrompt.mockResolvedValue({ content: 'You write grant cards', versionId: 'version-uuid' });
+    batchesDb.getGrantCardBatch.mockResolvedValue(pending);
+    batchesDb.startGrantCardBatchSubmission.mockResolvedValue(true);
+
+    // Rejected by the API: nothing was created, so the batch can be sent again
+    pdfAPI.processBatch.mockRejectedValueOnce(new Error('Batch processing failed: Overloaded', { cause: { status: 529 } }));
+    await expect(submitGrantCardBatch(batch.id)).rejects.toThrow('Overloaded');
+    expect(batchesDb.cancelGrantCardBatchSubmission).toHaveBeenCalledWith(batch.id);
+
+    // No response: the batch may exist, so it stays 'submitting'
+    pdfAPI.processBatch.mockRejectedValueOnce(new Error('Batch processing failed: Connection error.', { cause: new Error('fetch failed') }));
+    await expect(submitGrantCardBatch(batch.id)).rejects.toThrow('Connection error');
+    expect(batchesDb.cancelGrantCardBatchSubmission).toHaveBeenCalledTimes(1);
+
+    pdfAPI.processBatch.mockClear();
+    batchesDb.getGrantCardBatch.mockResolvedValue({ ...pending, status: 'submitting' });
+    expect(await submitGrantCardBatch(batch.id)).toMatchObject({ submitted: false });
+    expect(pdfAPI.processBatch).not.toHaveBeenCalled();
+    expect(batchesDb.finishGrantCardBatch).toHaveBeenCalledWith(batch.id, 'failed', expect.stringContaining('may already be running'));
+
+    batchesDb.getGrantCardBatch.mockResolvedValue(pending);
+    pdfAPI.processBatch.mockResolvedValueOnce({ id: 'msgbatch_2' });
+    expect(await submitGrantCardBatch(batch.id)).toEqual({ submitted: true, providerBatchId: 'msgbatch_2', requestCount: 2 });
+    expect(batchesDb.markGrantCardBatchSubmitted).toHaveBeenCalledWith(batch.id, 'msgbatch_2', 'version-uuid');
+  });
+
+  test('should validate succeeded results and parse errored ones', () => {
+    expect(parseBatchResult({
+      custom_id: 'item-11',
+      result: succeeded('```json\n' + JSON.stringify(card) + '\n```', { usage: { input_tokens: 900, output_tokens: 300 } })
+    })).toMatchObject({ itemId: 11, status: 'succeeded', card, inputTokens: 900, outputTokens: 300 });
+
+    const truncated = parseBatchResult({
+      custom_id: 'item-12',
+      result: succeeded('{"program_name": "Partial', { stop_reason: 'max_tokens' })
+    });
+    expect(truncated).toMatchObject({ status: 'invalid', card: null, output: '{"program_name": "Partial' });
+    expect(truncated.errors[0].message).toContain('cut off');
+
+    expect(parseBatchResult({
+      custom_id: 'item-12',
+      result: { type: 'errored', error: { type: 'error', error: { type: 'invalid_request_error', message: 'Could not fetch URL' } } }
+    })).toMatchObject({ status: 'failed', error: 'Request failed: Could not fetch URL' });
+
+    expect(parseBatchResult({ custom_id: 'other', result: { type: 'succeeded' } })).toBeNull();
+  });
+
+  test('should keep polling until the batch ends, then save every result', async () => {
+    batchesDb.getGrantCardBatch.mockResolvedValue(batch);
+    pdfAPI.getBatchStatus.mockResolvedValueOnce({ processing_status: 'in_progress', request_counts: { processing: 2 } });
+
+    expect(await pollGrantCardBatch(batch.id)).toEqual({ done: false, requestCounts: { processing: 2 }, repairItemIds: [] });
+    expect(pdfAPI.getBatchResults).not.toHaveBeenCalled();
+
+    pdfAPI.getBatchStatus.mockResolvedValueOnce({ processing_status: 'ended', request_counts: { succeeded: 1, expired: 1 } });
+    pdfAPI.getBatchResults.mockResolvedValue([
+      { custom_id: 'item-11', result: succeeded(JSON.stringify(card)) },
+      { custom_id: 'item-12', result: { type: 'expired' } },
+      { custom_id: 'item-99', result: succeeded(JSON.stringify(card)) }
+    ]);
+
+    expect((await pollGrantCardBatch(batch.id)).done).toBe(true);
+    expect(batchesDb.saveGrantCardBatchItemResult).toHaveBeenCalledTimes(2);
+    expect(batchesDb.saveGrantCardBatchItemResult).toHaveBeenCalledWith(11, expect.objectContaining({ status: 'succeeded', output: expect.stringMatching(/^# CanExport SMEs\n/), card, userId: 7 }));
+    expect(batchesDb.saveGrantCardBatchItemResult).toHaveBeenCalledWith(12, expect.objectContaining({ status: 'failed', error: expect.stringContaining('expired') }));
+    expect(batchesDb.saveGrantCardBatchItemResult.mock.calls[1][1]).not.toHaveProperty('card');
+
+    // The card is saved with the item's status (one transaction), never on its own
+    expect(saveGrantCard).not.toHaveBeenCalled();
+    expect(batchesDb.completeGrantCardBatchIfDone).toHaveBeenCalledWith(batch.id);
+  });
+
+  test('should save invalid cards for a repair job instead of repairing them in the poll', async () => {
+    const provider = new MockProvider({ script: [] });
+    setProvider(provider);
+
+    const invalid = JSON.stringify({ ...card, grant_type: { primary: 'export' } });
+    batchesDb.getGrantCardBatch.mockResolvedValue({
+      ...batch,
+      items: [...batch.items.slice(0, 2), { ...batch.items[2], id: 14, status: 'repairing' }]
+    });
+    pdfAPI.getBatchStatus.mockResolvedValue({ processing_status: 'ended', request_counts: { succeeded: 1 } });
+    pdfAPI.getBatchResults.mockResolvedValue([
+      { custom_id: 'item-11', result: succeeded(invalid, { usage: { input_tokens: 900, output_tokens: 300 } }) }
+    ]);
+
+    // Item 14 was saved for repair by an earlier attempt of the poll job
+    expect((await pollGrantCardBatch(batch.id)).repairItemIds).toEqual([14, 11]);
+    expect(provider.calls).toHaveLength(0);
+    expect(batchesDb.saveGrantCardBatchItemResult).toHaveBeenCalledWith(11, expect.objectContaining({
+      status: 'repairing', output: invalid, error: null, inputTokens: 900, outputTokens: 300
+    }));
+    expect(batchesDb.completeGrantCardBatchIfDone).toHaveBeenCalledWith(batch.id);
+  });
+
+  test('should repair a card that fails validation with the same document and prompt', async () => {
+    const provider = new MockProvider({ script: [{ content: [{ type: 'text', text: JSON.stringify(card) }] }] });
+    setProvider(provider);
+
+    const invalid = JSON.stringify({ ...card, grant_type: { primary: 'export' } });
+    const repairing = { ...batch.items[0], status: 'repairing', output: invalid, input_tokens: 900, output_tokens: 300 };
+    batchesDb.getGrantCardBatch.mockResolvedValue({ ...batch, items: [repairing, ...batch.items.slice(1)] });
+    batchesDb.completeGrantCardBatchIfDone.mockResolvedValue(true);
+    const controller = new AbortController();
+
+    expect(await repairGrantCardBatchItem(batch.id, 11, { signal: controller.signal }))
+      .toEqual({ itemId: 11, status: 'succeeded', batchCompleted: true });
+
+    const [call] = provider.calls;
+    expect(call.params.system).toBe('You write grant cards');
+    expect(call.params.messages[0].content[0]).toMatchObject({ type: 'document', source: { type: 'file', file_id: 'file_1' } });
+    expect(call.params.messages[1].content).toBe(invalid);
+    expect(call.params.messages[2].content).toContain('$.grant_type.primary must be one of');
+    expect(call.options).toEqual({ headers: { 'anthropic-beta': 'files-api-2025-04-14' }, signal: controller.signal });
+    expect(batchesDb.saveGrantCardBatchItemResult).toHaveBeenCalledWith(11, expect.objectContaining({ status: 'succeeded', card, userId: 7 }));
+
+    // A retried repair job after the card was saved
+    batchesDb.getGrantCardBatch.mockResolvedValue({ ...batch, items: [{ ...repairing, status: 'succeeded' }] });
+    expect(await repairGrantCardBatchItem(batch.id, 11)).toEqual({ itemId: 11, status: 'succeeded', batchCompleted: false });
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  test('should bundle the grant cards with a summary of per-document errors', async () => {
+    const finished = {
+      ...batch,
+      status: 'completed',
+      items: [
+        { ...batch.items[0], status: 'succeeded', output: '# CanExport SMEs\n\nUp to $50,000.' },
+        { ...batch.items[1], status: 'failed', error: 'Request failed: Could not fetch URL' },
+        batch.items[2]
+      ]
+    };
+
+    const { body, filename } = await buildBatchBundle(finished, 'md');
+    const zip = await JSZip.loadAsync(body);
+
+    expect(filename).toBe('spring-2026-intake-grant-cards.zip');
+    expect(Object.keys(zip.files).filter(name => !zip.files[name].dir).sort())
+      .toEqual(['grant-cards/01-canexport-smes.md', 'results.json', 'summary.md']);
+    expect(await zip.file('grant-cards/01-canexport-smes.md').async('string')).toContain('Up to $50,000.');
+
+    const summary = await zip.file('summary.md').async('string');
+    expect(summary).toContain('1 of 3 grant cards generated, 2 failed.');
+    expect(summary).toContain('| 3 | Broken \\| scan.pdf | failed |  | File upload failed: too large |');
+
+    const results = JSON.parse(await zip.file('results.json').async('string'));
+    expect(results.documents[1]).toMatchObject({ source: 'https://example.com/etg-guide.pdf', status: 'failed', file: null });
+
+    const docx = await buildBatchBundle(finished, 'docx');
+    expect(Object.keys((await JSZip.loadAsync(docx.body)).files)).toContain('grant-cards/01-canexport-smes.docx');
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Grant Card Diff Unit Tests
+ *
+ * Tests the field-by-field change report, the section-by-section merge, the
+ * update_grant_card tool and applying a reviewed revision
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/database/grant-cards.js', () => ({
+  saveGrantCard: jest.fn(),
+  getGrantCard: jest.fn(),
+  listGrantCards: jest.fn(),
+  getBatchGrantCards: jest.fn()
+}));
+
+jest.unstable_mockModule('../../src/database/grant-card-revisions.js', () => ({
+  createGrantCardRevision: jest.fn(async (revision) => ({ id: 'revision-uuid', ...revision })),
+  getGrantCardRevision: jest.fn(),
+  listGrantCardRevisions: jest.fn(),
+  applyGrantCardRevision: jest.fn(),
+  discardGrantCardRevision: jest.fn(),
+  RevisionConflictError: class RevisionConflictError extends Error {}
+}));
+
+const { getGrantCard } = await import('../../src/database/grant-cards.js');
+const { createGrantCardRevision, getGrantCardRevision, applyGrantCardRevision, RevisionConflictError } = await import('../../src/database/grant-card-revisions.js');
+const { diffGrantCards, mergeGrantCardSections, renderChangeReportMarkdown } = await import('../../src/grant-cards/diff.js');
+const { updateGrantCardTool } = await import('../../src/tools/grant-cards.js');
+const { handleApplyRevision } = await import('../../src/api/grant-card-revisions.js');
+
+const CARD_ID = '7d3f1c2a-4b5e-4f60-8a91-0b2c3d4e5f60';
+const REVISION_ID = '1a2b3c4d-5e6f-4a8b-9c0d-1e2f3a4b5c6d';
+
+const prior = {
+  program_name: 'CanExport SMEs',
+  funder: { name: 'Global Affairs Canada', level: 'federal', website: 'https://www.tradecommissioner.gc.ca/canexport' },
+  grant_type: { primary: 'market-expansion' },
+  summary: 'Funds Canadian SMEs entering new international markets, covering up to 50% of eligible marketing costs.',
+  eligibility: {
+    applicants: ['Canadian for-profit SMEs'],
+    requirements: ['$100,000 to $100M annual revenue', 'Fewer than 500 employees']
+  },
+  funding: { min_amount: 10000, max_amount: 50000, currency: 'CAD', cost_share_percent: 50, description: 'Reimburses 50% of eligible costs, paid on claims.' },
+  deadlines: { intake: 'fixed', dates: [{ label: 'Application deadline', date: '2026-01-31' }, { label: 'Spring intake', date: '2026-04-01' }] },
+  eligible_expenses: ['Travel', 'Translation'],
+  required_documents: ['Export plan'],
+  insights: ['Name specific target markets'],
+  missing_info: []
+};
+
+const updated = {
+  ...prior,
+  eligibility: {
+    applicants: ['Canadian for-profit SMEs'],
+    requirements: ['$100,000 to $100M annual revenue', 'Registered with the Trade Commissioner Service']
+  },
+  funding: { ...prior.funding, max_amount: 75000 },
+  deadlines: { intake: 'fixed', dates: [{ label: 'Application deadline', date: '2027-01-31' }, { label: 'Fall intake', date: '2026-10-01' }] },
+  required_documents: ['Export plan', 'Financial statements']
+};
+
+/**
+ * Mock Express response
+ */
+function mockResponse() {
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(() => res)
+  };
+  return res;
+}
+
+describe('Grant Card Diff', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should report changes field by field, grouped by section', () => {
+    const report = diffGrantCards(prior, updated);
+    const section = key => report.sections.find(entry => entry.key === key).changes;
+
+    expect(section('overview')).toEqual([]);
+    expect(section('eligibility')).toEqual([
+      { field: 'eligibility.requirements', label: 'Requirements', type: 'removed', before: 'Fewer than 500 employees', after: null },
+      { field: 'eligibility.requirements', label: 'Requirements', type: 'added', before: null, after: 'Registered with the Trade Commissioner Service' }
+    ]);
+    expect(section('funding')).toEqual([
+      { field: 'funding.max_amount', label: 'Maximum amount', type: 'modified', before: '$50,000', after: '$75,000' }
+    ]);
+    expect(section('deadlines')).toEqual([
+      { field: 'deadlines.dates', label: 'Application deadline', type: 'modified', before: 'January 31, 2026', after: 'January 31, 2027' },
+      { field: 'deadlines.dates', label: 'Spring intake', type: 'removed', before: 'Spring intake: April 1, 2026', after: null },
+      { field: 'deadlines.dates', label: 'Fall intake', type: 'added', before: null, after: 'Fall intake: October 1, 2026' }
+    ]);
+    expect(report.summary).toEqual({ added: 3, removed: 2, modified: 2, sectionsChanged: 4 });
+
+    expect(renderChangeReportMarkdown(report)).toContain('- ✏️ **Maximum amount:** $50,000 → $75,000');
+    expect(renderChangeReportMarkdown(diffGrantCards(prior, prior))).toMatch(/^No changes/);
+  });
+
+  test('should merge only the accepted sections', () => {
+    const { card, accepted, valid } = mergeGrantCardSections(prior, updated, { funding: 'accept', deadlines: 'reject' });
+
+    expect(valid).toBe(true);
+    expect(accepted).toEqual(['funding']);
+    expect(card.funding.max_amount).toBe(75000);
+    expect(card.deadlines).toBe(prior.deadlines);
+    expect(card.required_documents).toEqual(['Export plan']);
+
+    const broken = mergeGrantCardSections(prior, { ...updated, funding: { ...prior.funding, min_amount: 90000 } }, { funding: 'accept' });
+    expect(broken.valid).toBe(false);
+    expect(broken.errors).toContainEqual({ path: '$.funding.min_amount', message: 'must not be greater than funding.max_amount' });
+  });
+
+  test('should save an update from the agent as a pending revision', async () => {
+    getGrantCard.mockResolvedValue({ id: CARD_ID, user_id: 1, conversation_id: null, card: prior });
+
+    const result = await updateGrantCardTool(CARD_ID, updated, { userId: 1, conversationId: 'conversation-uuid' });
+
+    expect(result).toMatchObject({ success: true, revision_id: 'revision-uuid', summary: { sectionsChanged: 4 } });
+    expect(result.change_report).toContain('### Deadlines');
+    expect(createGrantCardRevision).toHaveBeenCalledWith(expect.objectContaining({
+      grantCardId: CARD_ID,
+      priorCard: prior,
+      proposedCard: updated
+    }));
+
+    // Someone else's card from another conversation
+    expect(await updateGrantCardTool(CARD_ID, updated, { userId: 2, conversationId: 'other' })).toMatchObject({ success: false });
+  });
+
+  test('should apply the reviewer decisions and reject stale or invalid merges', async () => {
+    const createdAt = new Date('2026-10-01T00:00:00Z');
+    getGrantCard.mockResolvedValue({ id: CARD_ID, user_id: 1, program_name: 'CanExport SMEs', card: prior, updated_at: new Date('2026-09-01T00:00:00Z') });
+    getGrantCardRevision.mockResolvedValue({
+      id: REVISION_ID, grant_card_id: CARD_ID, status: 'pending', prior_card: prior, proposed_card: updated, changes: diffGrantCards(prior, updated), created_at: createdAt
+    });
+    applyGrantCardRevision.mockImplementation(async (id, { card, decisions }) => ({
+      grantCard: { id: CARD_ID, program_name: card.program_name, card },
+      revision: { id, grant_card_id: CARD_ID, status: 'applied', changes: {}, decisions }
+    }));
+
+    const req = { params: { cardId: CARD_ID, revisionId: REVISION_ID }, user: { id: 1 }, body: { decisions: { funding: 'accept', eligibility: 'reject' } } };
+    const res = mockResponse();
+    await handleApplyRevision(req, res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(applyGrantCardRevision.mock.calls[0][1].card.funding.max_amount).toBe(75000);
+    expect(applyGrantCardRevision.mock.calls[0][1].decisions).toMatchObject({ funding: 'accept', eligibility: 'reject', deadlines: 'reject' });
+
+    const badRequest = mockResponse();
+    await handleApplyRevision({ ...req, body: { decisions: { pricing: 'accept' } } }, badRequest);
+    expect(badRequest.status).toHaveBeenCalledWith(400);
+
+    getGrantCard.mockResolvedValue({ id: CARD_ID, user_id: 1, card: prior, updated_at: new Date('2026-10-02T00:00:00Z') });
+    const stale = mockResponse();
+    await handleApplyRevision(req, stale);
+    expect(stale.status).toHaveBeenCalledWith(409);
+    expect(applyGrantCardRevision).toHaveBeenCalledTimes(1);
+
+    // Resolved by someone else between the checks and the transaction
+    getGrantCard.mockResolvedValue({ id: CARD_ID, user_id: 1, card: prior, updated_at: new Date('2026-09-01T00:00:00Z') });
+    applyGrantCardRevision.mockRejectedValueOnce(new RevisionConflictError('This revision was already discarded'));
+    const raced = mockResponse();
+    await handleApplyRevision(req, raced);
+    expect(raced.status).toHaveBeenCalledWith(409);
+    expect(raced.json).toHaveBeenCalledWith({ error: 'This revision was already discarded' });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Grant Card Schema Unit Tests
+ *
+ * Tests grant card validation, the repair loop, the save_grant_card tool and
+ * the Markdown/HTML/JSON renderings
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/database/grant-cards.js', () => ({
+  saveGrantCard: jest.fn(async () => ({ id: 'card-uuid' })),
+  getGrantCard: jest.fn(),
+  getBatchGrantCards: jest.fn()
+}));
+
+const { saveGrantCard } = await import('../../src/database/grant-cards.js');
+const { MockProvider, setProvider } = await import('../../src/providers/index.js');
+const { validateGrantCard } = await import('../../src/grant-cards/schema.js');
+const {
+  renderGrantCardMarkdown,
+  renderGrantCardHtml,
+  renderGrantCardJson,
+  formatFundingRange
+} = await import('../../src/grant-cards/render.js');
+const {
+  parseGrantCard,
+  generateGrantCard,
+  GrantCardValidationError
+} = await import('../../src/grant-cards/structured-output.js');
+const { saveGrantCardTool } = await import('../../src/tools/grant-cards.js');
+
+const card = {
+  program_name: 'Small Business Digital Adoption Grant',
+  funder: { name: 'Innovation, Science and Economic Development Canada', level: 'federal', website: null },
+  grant_type: { primary: 'market-expansion', secondary: ['training'] },
+  summary: 'Helps small businesses adopt digital technologies to improve operations and reach new customers.',
+  eligibility: {
+    applicants: ['Registered Canadian businesses with 1-499 employees'],
+    requirements: ['Minimum $30,000 annual revenue'],
+    ineligible: ['Non-profits']
+  },
+  funding: { min_amount: null, max_amount: 15000, currency: 'CAD', cost_share_percent: null, description: 'Up to $15,000 for technology adoption, plus $7,500 for e-commerce.' },
+  deadlines: { intake: 'fixed', dates: [{ label: 'Application deadline', date: '2026-12-31' }], turnaround: '4-6 weeks' },
+  eligible_expenses: ['E-commerce website development', 'Cybersecurity software'],
+  required_documents: ['Business plan', 'Financial statements (last 2 years)'],
+  insights: ['Vendor quotes <with dates> strengthen the application'],
+  missing_info: ['Whether costs incurred before approval are eligible']
+};
+
+const textTurn = (text) => ({ content: [{ type: 'text', text }] });
+
+describe('Grant Card Schema', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should accept a complete card and report field-level errors', () => {
+    expect(validateGrantCard(card)).toEqual({ valid: true, errors: [] });
+
+    const { valid, errors } = validateGrantCard({
+      ...card,
+      grant_type: { primary: 'grant' },
+      funding: { ...card.funding, min_amount: 20000 },
+      deadlines: { intake: 'fixed', dates: [] },
+      notes: 'extra'
+    });
+    const paths = errors.map(error => error.path);
+
+    expect(valid).toBe(false);
+    expect(paths).toEqual(expect.arrayContaining([
+      '$.grant_type.primary',
+      '$.funding.min_amount',
+      '$.deadlines.dates',
+      '$.notes'
+    ]));
+    expect(validateGrantCard({ program_name: 'X' }).errors.map(error => error.path)).toContain('$.missing_info');
+  });
+
+  test('should render Markdown, HTML and JSON from the same card', () => {
+    const markdown = renderGrantCardMarkdown(card);
+    const html = renderGrantCardHtml(card);
+
+    expect(markdown).toMatch(/^# Small Business Digital Adoption Grant\n/);
+    expect(markdown).toContain('**Grant type:** Market Expansion/Capital Costs/Systems and Processes Grants; also Training Grants');
+    expect(markdown).toContain('**Amount:** Up to $15,000 CAD');
+    expect(markdown).toContain('- Application deadline: December 31, 2026');
+    expect(markdown).not.toContain('## Eligible Activities');
+
+    expect(html).toContain('<section data-section="deadlines">');
+    expect(html).toContain('Vendor quotes &lt;with dates&gt; strengthen the application');
+    expect(JSON.parse(renderGrantCardJson(card))).toEqual({ schema_version: 1, ...card });
+
+    expect(formatFundingRange({ min_amount: 10000, max_amount: 50000.5, currency: 'CAD' })).toBe('$10,000 - $50,000.50 CAD');
+  });
+
+  test('should parse fenced JSON and repair invalid cards with the validation errors', async () => {
+    expect(parseGrantCard('Here it is:\n```json\n' + JSON.stringify(card) + '\n```').card).toEqual(card);
+    expect(parseGrantCard('No card here').errors[0].message).toMatch(/no JSON object/);
+
+    const provider = new MockProvider({
+      script: [
+        textTurn(JSON.stringify({ ...card, deadlines: { intake: 'fixed', dates: [{ label: 'Deadline', date: 'Dec 31' }] } })),
+        textTurn(JSON.stringify(card))
+      ]
+    });
+    setProvider(provider);
+
+    const result = await generateGrantCard({ messages: [{ role: 'user', content: 'Generate the grant card' }] });
+
+    expect(result.card).toEqual(card);
+    expect(result.attempts).toBe(2);
+    expect(provider.calls[1].params.messages[2].content).toContain('$.deadlines.dates[0].date must match');
+
+    setProvider(new MockProvider({ fallback: textTurn('{"program_name": "Still wrong"}') }));
+    await expect(generateGrantCard({ messages: [{ role: 'user', content: 'Generate' }], maxAttempts: 2 }))
+      .rejects.toBeInstanceOf(GrantCardValidationError);
+  });
+
+  test('should only save valid cards from the save_grant_card tool', async () => {
+    const rejected = await saveGrantCardTool({ ...card, summary: 'Short' }, { conversationId: 'conv-1', userId: 7 });
+
+    expect(rejected.success).toBe(false);
+    expect(rejected.validation_errors).toEqual([{ path: '$.summary', message: 'must be at least 20 characters' }]);
+    expect(rejected.repair_instructions).toContain('$.summary must be at least 20 characters');
+    expect(saveGrantCard).not.toHaveBeenCalled();
+
+    const saved = await saveGrantCardTool(card, { conversationId: 'conv-1', userId: 7 });
+
+    expect(saveGrantCard).toHaveBeenCalledWith({ userId: 7, conversationId: 'conv-1', card });
+    expect(saved).toMatchObject({ success: true, card_id: 'card-uuid', markdown: renderGrantCardMarkdown(card) });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * HubSpot Conversation Links Unit Tests
+ *
+ * Tests which deals and companies are linked to a conversation from
+ * load_company_context and get_grant_application results
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/database/conversation-links.js', () => ({
+  linkConversation: jest.fn()
+}));
+
+const { linkConversation } = await import('../../src/database/conversation-links.js');
+const { extractHubSpotLinks, linkConversationFromToolResult } = await import('../../src/tools/hubspot-links.js');
+
+const companyContext = {
+  success: true,
+  company: { id: '501', name: 'Acme Farms Ltd.' },
+  applications: [
+    { deal_id: '9001', dealname: 'Acme Farms - BCAFE 2026', companies: [{ id: '501' }] },
+    { deal_id: '9002', dealname: 'Acme Farms - ETG', companies: [{ id: '501' }, { id: '777' }] }
+  ]
+};
+
+describe('HubSpot Conversation Links', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should link the company and every application from load_company_context', () => {
+    expect(extractHubSpotLinks('load_company_context', companyContext)).toEqual([
+      { objectType: 'company', objectId: '501', name: 'Acme Farms Ltd.' },
+      { objectType: 'deal', objectId: '9001', name: 'Acme Farms - BCAFE 2026' },
+      { objectType: 'deal', objectId: '9002', name: 'Acme Farms - ETG' },
+      { objectType: 'company', objectId: '777', name: null }
+    ]);
+  });
+
+  test('should link the deal and its companies from get_grant_application', () => {
+    expect(extractHubSpotLinks('get_grant_application', {
+      success: true,
+      application: { id: '9001', dealname: 'Acme Farms - BCAFE 2026' },
+      associations: { companies: { results: [{ id: '501', type: 'deal_to_company' }] } }
+    })).toEqual([
+      { objectType: 'deal', objectId: '9001', name: 'Acme Farms - BCAFE 2026' },
+      { objectType: 'company', objectId: '501', name: null }
+    ]);
+  });
+
+  test('should ignore failed calls and other tools', () => {
+    expect(extractHubSpotLinks('load_company_context', { success: false, error: 'No companies found' })).toEqual([]);
+    expect(extractHubSpotLinks('search_hubspot_companies', { success: true, companies: [{ id: '501' }] })).toEqual([]);
+  });
+
+  test('should save links without ever failing the tool call', async () => {
+    linkConversation.mockResolvedValue({});
+    await expect(linkConversationFromToolResult('conv-1', 'load_company_context', companyContext)).resolves.toBe(4);
+    expect(linkConversation).toHaveBeenCalledWith({
+      conversationId: 'conv-1', objectType: 'deal', objectId: '9001', name: 'Acme Farms - BCAFE 2026', source: 'tool'
+    });
+
+    linkConversation.mockRejectedValue(new Error('relation does not exist'));
+    await expect(linkConversationFromToolResult('conv-1', 'load_company_context', companyContext)).resolves.toBe(0);
+    await expect(linkConversationFromToolResult(null, 'load_company_context', companyContext)).resolves.toBe(0);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Knowledge Base Unit Tests
+ *
+ * Tests chunking, BM25 ranking, per-agent scoping and the search_knowledge_base
+ * tool against a temporary knowledge-base/ directory
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-base-'));
+process.env.KNOWLEDGE_BASE_DIR = root;
+
+jest.unstable_mockModule('../../src/agents/load-agents.js', () => ({
+  getAgentManifest: jest.fn(() => ({ knowledgeBases: null }))
+}));
+
+const { getAgentManifest } = await import('../../src/agents/load-agents.js');
+const { chunkDocument } = await import('../../src/knowledge-base/chunker.js');
+const { buildIndex, searchIndex, tokenize } = await import('../../src/knowledge-base/bm25.js');
+const { searchKnowledgeBase } = await import('../../src/knowledge-base/index.js');
+const { getToolsForAgent } = await import('../../src/tools/definitions.js');
+const { searchKnowledgeBaseTool } = await import('../../src/tools/knowledge-base.js');
+
+/**
+ * Write a knowledge base document
+ */
+function writeDocument(relativePath, content) {
+  const fullPath = path.join(root, relativePath);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, content);
+}
+
+writeDocument('canexport-claims/claims-guide.md', `# CanExport Claims Guide
+
+## Eligible Expenses
+
+### Category B: Travel
+Economy airfare and accommodation for trade missions are eligible.
+
+### Category D: Marketing
+Translation of marketing materials is eligible.
+
+## Project Period
+Invoices dated before the project start date are rejected.
+`);
+writeDocument('etg-writer/etg-guide.md', `# ETG Guide
+
+## Training Providers
+Training must be delivered by a third-party training provider.
+`);
+writeDocument('shared/glossary.txt', 'SME: small or medium-sized enterprise with fewer than 500 employees.\n');
+
+describe('Knowledge Base', () => {
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should chunk Markdown at headings with line numbers', () => {
+    const chunks = chunkDocument(fs.readFileSync(path.join(root, 'canexport-claims/claims-guide.md'), 'utf-8'), 'canexport-claims/claims-guide.md');
+
+    expect(chunks.map(chunk => chunk.headings)).toEqual([
+      ['Eligible Expenses', 'Category B: Travel'],
+      ['Eligible Expenses', 'Category D: Marketing'],
+      ['Project Period']
+    ]);
+    expect(chunks[0]).toMatchObject({
+      id: 'canexport-claims/claims-guide.md#1',
+      title: 'CanExport Claims Guide',
+      startLine: 6,
+      endLine: 7,
+      text: 'Economy airfare and accommodation for trade missions are eligible.'
+    });
+  });
+
+  test('should rank passages with BM25', () => {
+    expect(tokenize('The invoices were rejected')).toEqual(['invoice', 'reject']);
+
+    const index = buildIndex([
+      { id: 'a', text: 'travel airfare travel accommodation' },
+      { id: 'b', text: 'marketing translation' },
+      { id: 'c', text: 'travel insurance is not covered by the marketing budget' }
+    ]);
+
+    expect(searchIndex(index, 'travel costs', 5).map(result => result.document.id)).toEqual(['a', 'c']);
+    expect(searchIndex(index, 'payroll', 5)).toEqual([]);
+  });
+
+  test('should only search the knowledge bases in the agent scope', () => {
+    const results = searchKnowledgeBase('training provider', { knowledgeBases: ['canexport-claims', 'shared'] });
+    expect(results.some(result => result.source.startsWith('etg-writer/'))).toBe(false);
+
+    const [top] = searchKnowledgeBase('rejected invoice start date', { knowledgeBases: ['canexport-claims'] });
+    expect(top).toMatchObject({ source: 'canexport-claims/claims-guide.md', headings: ['Project Period'], startLine: 12, endLine: 13 });
+
+    const names = agentType => getToolsForAgent(agentType).map(tool => tool.name);
+    expect(names('canexport-claims')).toContain('search_knowledge_base');
+    expect(names('bcafe-writer')).toContain('search_knowledge_base'); // shared/ only
+    expect(names('orchestrator')).toEqual(expect.arrayContaining(['search_knowledge_base', 'save_grant_card', 'delegate_to_agent']));
+    expect(getToolsForAgent('bcafe-writer', null, ['no-such-base']).map(tool => tool.name)).not.toContain('search_knowledge_base');
+  });
+
+  test('should return passages with citations and pick up edited documents', async () => {
+    const result = await searchKnowledgeBaseTool({ query: 'airfare' }, { agentType: 'canexport-claims' });
+
+    expect(result.knowledge_bases).toEqual(['canexport-claims', 'shared']);
+    expect(result.passages[0]).toMatchObject({
+      citation: '[1] canexport-claims/claims-guide.md § Eligible Expenses › Category B: Travel (lines 6-7)',
+      section: 'Eligible Expenses › Category B: Travel',
+      lines: '6-7'
+    });
+
+    // Manifest scope replaces the default
+    getAgentManifest.mockReturnValueOnce({ knowledgeBases: ['etg-writer'] });
+    const scoped = await searchKnowledgeBaseTool({ query: 'airfare' }, { agentType: 'canexport-claims' });
+    expect(scoped.passages).toEqual([]);
+
+    writeDocument('etg-writer/etg-guide.md', '# ETG Guide\n\n## Costs\nAirfare for trainers is not eligible.\n');
+    fs.utimesSync(path.join(root, 'etg-writer/etg-guide.md'), new Date(), new Date(Date.now() + 5000));
+    const edited = await searchKnowledgeBaseTool({ query: 'airfare' }, { agentType: 'etg-writer' });
+    expect(edited.passages[0].source).toBe('etg-writer/etg-guide.md');
+
+    expect(await searchKnowledgeBaseTool({ query: ' ' }, { agentType: 'etg-writer' })).toMatchObject({ success: false });
+  });
+});
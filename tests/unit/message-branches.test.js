@@ -0,0 +1,69 @@
+/**
+ * Conversation Branch Unit Tests
+ *
+ * Tests walking the message tree built by edits and regenerations
+ */
+
+import {
+  annotateBranches,
+  findLatestLeaf,
+  findTurnStart,
+  getBranchPath,
+  getLatestLeafId
+} from '../../src/claude/branches.js';
+
+/**
+ * Conversation where the first answer was regenerated and the second
+ * question was then edited:
+ *
+ *   u1 ─ a1 ─ u2 ─ a2
+ *      │    └ u2e ─ t1 ─ r1 ─ a3
+ *      └ a1b
+ */
+const rows = [
+  { id: 'u1', parentId: null, role: 'user', content: 'Which programs fit Acme?' },
+  { id: 'a1', parentId: 'u1', role: 'assistant', content: 'ETG and CanExport.' },
+  { id: 'u2', parentId: 'a1', role: 'user', content: 'Draft the ETG case' },
+  { id: 'a2', parentId: 'u2', role: 'assistant', content: 'Here is the draft.' },
+  { id: 'a1b', parentId: 'u1', role: 'assistant', content: 'ETG looks like the best fit.' },
+  { id: 'u2e', parentId: 'a1', role: 'user', content: 'Draft the CanExport case' },
+  { id: 't1', parentId: 'u2e', role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'search_hubspot_companies', input: {} }] },
+  { id: 'r1', parentId: 't1', role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '{}' }] },
+  { id: 'a3', parentId: 'r1', role: 'assistant', content: 'Here is the CanExport draft.' }
+];
+
+const ids = (path) => path.map(row => row.id);
+
+describe('Conversation Branches', () => {
+  test('should follow parent pointers from a leaf to the first message', () => {
+    expect(getLatestLeafId(rows)).toBe('a3');
+    expect(ids(getBranchPath(rows, 'a3'))).toEqual(['u1', 'a1', 'u2e', 't1', 'r1', 'a3']);
+    expect(ids(getBranchPath(rows, 'a2'))).toEqual(['u1', 'a1', 'u2', 'a2']);
+    expect(getBranchPath(rows, null)).toEqual([]);
+    expect(getLatestLeafId([])).toBeNull();
+  });
+
+  test('should pick the most recent leaf of the branches through a message', () => {
+    expect(findLatestLeaf(rows, 'u2')).toBe('a2');
+    expect(findLatestLeaf(rows, 'a1')).toBe('a3');
+    expect(findLatestLeaf(rows, 'a1b')).toBe('a1b');
+    expect(findLatestLeaf(rows, 'unknown')).toBeNull();
+  });
+
+  test('should find the user message that started a turn', () => {
+    expect(findTurnStart(rows, 'a3').id).toBe('u2e');
+    expect(findTurnStart(rows, 'r1').id).toBe('u2e');
+    expect(findTurnStart(rows, 'u2').id).toBe('u2');
+    expect(findTurnStart(rows, 'unknown')).toBeNull();
+  });
+
+  test('should annotate messages that have sibling versions', () => {
+    const annotated = annotateBranches(getBranchPath(rows, 'a3'), rows);
+    const byId = Object.fromEntries(annotated.map(row => [row.id, row]));
+
+    expect(byId.u1.siblingIds).toBeUndefined();
+    expect(byId.a1).toMatchObject({ siblingIds: ['a1', 'a1b'], siblingIndex: 0 });
+    expect(byId.u2e).toMatchObject({ siblingIds: ['u2', 'u2e'], siblingIndex: 1 });
+    expect(byId.t1.siblingIds).toBeUndefined();
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Mock Model Provider Unit Tests
+ *
+ * Tests scripted turns, raw stream events and their collection by streamToSSE
+ */
+
+import { MockProvider } from '../../src/providers/mock-provider.js';
+import { streamToSSE } from '../../src/claude/streaming.js';
+
+/**
+ * Minimal Express response that records SSE payloads
+ */
+function createMockResponse() {
+  const events = [];
+  return {
+    events,
+    writableEnded: false,
+    destroyed: false,
+    write(frame) {
+      const data = frame.split('\n').find(line => line.startsWith('data: '));
+      if (data) events.push(JSON.parse(data.substring(6)));
+      return true;
+    }
+  };
+}
+
+const params = { model: 'claude-sonnet-4-20250514', max_tokens: 1000, messages: [{ role: 'user', content: 'Find Acme' }] };
+
+describe('Mock Provider', () => {
+  test('should return scripted turns in order, then fall back', async () => {
+    const provider = new MockProvider({
+      script: [{ content: [{ type: 'text', text: 'First' }] }]
+    });
+
+    const first = await provider.createMessage(params);
+    const second = await provider.createMessage(params);
+
+    expect(first.content[0].text).toBe('First');
+    expect(first.stop_reason).toBe('end_turn');
+    expect(second.content[0].text).toContain('Find Acme');
+    expect(provider.calls).toHaveLength(2);
+  });
+
+  test('should default stop_reason to tool_use when a tool is called', async () => {
+    const provider = new MockProvider({
+      script: [{ content: [{ type: 'tool_use', name: 'search_hubspot_companies', input: { query: 'Acme' } }] }]
+    });
+
+    const message = await provider.createMessage(params);
+
+    expect(message.stop_reason).toBe('tool_use');
+    expect(message.content[0].id).toMatch(/^toolu_mock_/);
+  });
+
+  test('should stream events that streamToSSE collects into the original content', async () => {
+    const provider = new MockProvider({
+      chunkSize: 5,
+      script: [{
+        content: [
+          { type: 'thinking', thinking: 'Look up the company first' },
+          { type: 'text', text: 'Let me search HubSpot.' },
+          { type: 'tool_use', id: 'toolu_1', name: 'search_hubspot_companies', input: { query: 'Acme Corp' } },
+          { type: 'server_tool_use', id: 'srvtoolu_1', name: 'web_search', input: { query: 'Acme Corp funding' } },
+          { type: 'web_search_tool_result', tool_use_id: 'srvtoolu_1', content: [] }
+        ]
+      }]
+    });
+    const res = createMockResponse();
+
+    const stream = await provider.streamMessage(params);
+    const response = await streamToSSE(stream, res, 'session-1');
+
+    expect(response.stop_reason).toBe('tool_use');
+    expect(response.model).toBe('claude-sonnet-4-20250514');
+    expect(response.usage.input_tokens).toBeGreaterThan(0);
+    expect(response.content.map(block => block.type)).toEqual([
+      'thinking', 'text', 'tool_use', 'server_tool_use', 'web_search_tool_result'
+    ]);
+    expect(response.content[1].text).toBe('Let me search HubSpot.');
+    expect(response.content[2].input).toEqual({ query: 'Acme Corp' });
+
+    const types = res.events.map(event => event.type);
+    expect(types[0]).toBe('message_start');
+    expect(types).toContain('thinking_delta');
+    expect(types).toContain('text_delta');
+    expect(types).toContain('tool_use_complete');
+    expect(types).toContain('server_tool_result_complete');
+    expect(types[types.length - 1]).toBe('usage');
+  });
+
+  test('should stop streaming when the signal is aborted', async () => {
+    const provider = new MockProvider({
+      chunkSize: 1,
+      script: [{ content: [{ type: 'text', text: 'A long answer that gets cancelled' }] }]
+    });
+    const controller = new AbortController();
+    const res = createMockResponse();
+
+    const stream = await provider.streamMessage(params, { signal: controller.signal });
+    const collected = streamToSSE(stream, res, 'session-2', { signal: controller.signal });
+    controller.abort();
+
+    const response = await collected;
+
+    expect(response.stop_reason).toBe('cancelled');
+  });
+
+  test('should fail a call when the turn has an error', async () => {
+    const provider = new MockProvider({ script: [{ error: 'overloaded_error' }] });
+
+    await expect(provider.createMessage(params)).rejects.toThrow('overloaded_error');
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Model Pricing Unit Tests
+ *
+ * Tests per-model cost calculation for recorded token usage
+ */
+
+import { getModelPricing, calculateCost, getTotalTokens } from '../../src/claude/pricing.js';
+
+describe('Model Pricing', () => {
+  test('should price the Haiku and Sonnet models chosen by the query classifier', () => {
+    expect(getModelPricing('claude-haiku-4-5').input).toBe(1);
+    expect(getModelPricing('claude-sonnet-4-20250514').input).toBe(3);
+    expect(getModelPricing('claude-sonnet-4-5-20250929').output).toBe(15);
+  });
+
+  test('should prefer the most specific model prefix', () => {
+    expect(getModelPricing('claude-opus-4-5-20251101').input).toBe(5);
+    expect(getModelPricing('claude-opus-4-1-20250805').input).toBe(15);
+  });
+
+  test('should fall back to Sonnet pricing for unknown models', () => {
+    expect(getModelPricing('some-future-model')).toEqual(getModelPricing('claude-sonnet-4'));
+  });
+
+  test('should charge input, output and cache tokens at their own rates', () => {
+    const usage = {
+      input_tokens: 1000000,
+      output_tokens: 1000000,
+      cache_creation_input_tokens: 1000000,
+      cache_read_input_tokens: 1000000
+    };
+
+    expect(calculateCost(usage, 'claude-sonnet-4-20250514')).toBeCloseTo(3 + 15 + 3.75 + 0.3);
+    expect(calculateCost(usage, 'claude-haiku-4-5')).toBeCloseTo(1 + 5 + 1.25 + 0.1);
+  });
+
+  test('should treat missing token counts as zero', () => {
+    expect(calculateCost({ output_tokens: 2000 }, 'claude-haiku-4-5')).toBeCloseTo(0.01);
+    expect(getTotalTokens({ input_tokens: 10, cache_read_input_tokens: 5 })).toBe(15);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Prompt Experiments Unit Tests
+ *
+ * Tests weighted variant assignment, the significance test used in the
+ * experiment report, and how the prompt store serves experiment variants
+ */
+
+import { jest } from '@jest/globals';
+
+const getPublishedPrompt = jest.fn();
+const getRunningExperiment = jest.fn();
+const assignVariant = jest.fn();
+
+jest.unstable_mockModule('../../src/database/agent-prompts.js', () => ({
+  getPublishedPrompt
+}));
+
+jest.unstable_mockModule('../../src/database/prompt-experiments.js', () => ({
+  getRunningExperiment,
+  assignVariant,
+  getExperiment: jest.fn(),
+  getVariantFeedbackStats: jest.fn()
+}));
+
+jest.unstable_mockModule('../../src/agents/load-agents.js', () => ({
+  loadAgentPromptCached: (agentType) => `File prompt for ${agentType}`
+}));
+
+const { pickVariant, twoProportionZTest, buildVariantReport } = await import('../../src/services/experiments.js');
+const { getActivePrompt, invalidatePromptCache } = await import('../../src/agents/prompt-store.js');
+
+const experiment = {
+  id: 'experiment-uuid',
+  name: 'Shorter intro',
+  variants: [
+    { id: 'control', name: 'Control', weight: 1, prompt_version_id: null, version: null, content: null },
+    { id: 'variant-b', name: 'Variant B', weight: 1, prompt_version_id: 'version-uuid', version: 4, content: 'Variant prompt' }
+  ]
+};
+
+describe('Prompt Experiments', () => {
+  beforeEach(() => {
+    getPublishedPrompt.mockReset();
+    getRunningExperiment.mockReset();
+    assignVariant.mockReset();
+    invalidatePromptCache();
+  });
+
+  test('should assign variants deterministically in proportion to their weights', () => {
+    const variants = [{ id: 'a', weight: 80 }, { id: 'b', weight: 20 }];
+    const counts = { a: 0, b: 0 };
+
+    for (let i = 0; i < 2000; i++) {
+      counts[pickVariant(variants, `conversation-${i}`, 'experiment-uuid').id]++;
+    }
+
+    expect(counts.a / 2000).toBeGreaterThan(0.75);
+    expect(counts.a / 2000).toBeLessThan(0.85);
+    expect(pickVariant(variants, 'conversation-1', 'experiment-uuid'))
+      .toBe(pickVariant(variants, 'conversation-1', 'experiment-uuid'));
+    expect(pickVariant([], 'conversation-1', 'experiment-uuid')).toBeNull();
+  });
+
+  test('should only flag a clear difference as significant', () => {
+    const clear = twoProportionZTest(50, 100, 70, 100);
+    expect(clear.z).toBeCloseTo(2.89, 1);
+    expect(clear.pValue).toBeCloseTo(0.0039, 3);
+    expect(clear.significant).toBe(true);
+
+    expect(twoProportionZTest(50, 100, 54, 100).significant).toBe(false);
+    expect(twoProportionZTest(10, 10, 10, 10)).toEqual({ z: 0, pValue: 1, significant: false });
+    expect(twoProportionZTest(0, 0, 5, 10)).toBeNull();
+  });
+
+  test('should compare each variant to the control and require enough ratings', () => {
+    const row = (id, ratings, positive) => ({
+      id, name: id, weight: 1, prompt_version: null, conversations: ratings, ratings, positive,
+      avg_quality: 0.8, sentiment_count: 0, positive_sentiment: 0, avg_sentiment: null
+    });
+
+    const [control, strong, small] = buildVariantReport([
+      row('control', 100, 50), row('strong', 100, 70), row('small', 10, 9)
+    ]);
+
+    expect(control).toMatchObject({ isControl: true, positiveRate: 0.5, comparison: null });
+    expect(strong.comparison).toMatchObject({ significant: true, enoughData: true });
+    expect(strong.comparison.lift).toBeCloseTo(0.2);
+    expect(small.comparison).toMatchObject({ significant: false, enoughData: false });
+  });
+
+  test('should serve the assigned variant prompt while an experiment is running', async () => {
+    getRunningExperiment.mockResolvedValue(experiment);
+    assignVariant.mockResolvedValue('variant-b');
+
+    const prompt = await getActivePrompt('etg-writer', 'conversation-uuid');
+
+    expect(prompt).toEqual({
+      content: 'Variant prompt',
+      versionId: 'version-uuid',
+      version: 4,
+      source: 'experiment',
+      experiment: { id: 'experiment-uuid', name: 'Shorter intro', variantId: 'variant-b', variantName: 'Variant B' }
+    });
+    expect(getPublishedPrompt).not.toHaveBeenCalled();
+  });
+
+  test('should serve the published prompt to the control and when assignment fails', async () => {
+    getRunningExperiment.mockResolvedValue(experiment);
+    getPublishedPrompt.mockResolvedValue({ id: 'published-uuid', version: 3, content: 'Published prompt' });
+    assignVariant.mockResolvedValueOnce('control');
+
+    const control = await getActivePrompt('etg-writer', 'conversation-uuid');
+    expect(control).toMatchObject({ content: 'Published prompt', source: 'database' });
+    expect(control.experiment).toMatchObject({ variantId: 'control' });
+
+    assignVariant.mockRejectedValueOnce(new Error('connection refused'));
+    const fallback = await getActivePrompt('etg-writer', 'conversation-uuid');
+    expect(fallback).toMatchObject({ content: 'Published prompt', experiment: null });
+  });
+});
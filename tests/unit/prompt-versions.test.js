@@ -0,0 +1,89 @@
+/**
+ * Prompt Versioning Unit Tests
+ *
+ * Tests the line diff used to compare prompt versions and how the prompt
+ * store picks between the published version and the prompt file
+ */
+
+import { jest } from '@jest/globals';
+
+const getPublishedPrompt = jest.fn();
+
+jest.unstable_mockModule('../../src/database/agent-prompts.js', () => ({
+  getPublishedPrompt
+}));
+
+jest.unstable_mockModule('../../src/database/prompt-experiments.js', () => ({
+  getRunningExperiment: jest.fn().mockResolvedValue(null),
+  assignVariant: jest.fn(),
+  getExperiment: jest.fn(),
+  getVariantFeedbackStats: jest.fn()
+}));
+
+jest.unstable_mockModule('../../src/agents/load-agents.js', () => ({
+  loadAgentPromptCached: (agentType) => `File prompt for ${agentType}`
+}));
+
+const { diffLines, diffStats } = await import('../../src/utils/text-diff.js');
+const { getActivePrompt, invalidatePromptCache } = await import('../../src/agents/prompt-store.js');
+
+describe('Prompt Versioning', () => {
+  beforeEach(() => {
+    getPublishedPrompt.mockReset();
+    invalidatePromptCache();
+  });
+
+  test('should diff lines with added, removed and unchanged lines in order', () => {
+    const diff = diffLines('# Role\nBe concise.\nUse tools.\nEnd', '# Role\nBe thorough.\nUse tools.\nCite sources.\nEnd');
+
+    expect(diff.map(line => `${line.type}:${line.text}`)).toEqual([
+      'equal:# Role',
+      'removed:Be concise.',
+      'added:Be thorough.',
+      'equal:Use tools.',
+      'added:Cite sources.',
+      'equal:End'
+    ]);
+    expect(diff[4]).toMatchObject({ oldLine: null, newLine: 4 });
+    expect(diffStats(diff)).toEqual({ added: 2, removed: 1, unchanged: 3 });
+  });
+
+  test('should report identical texts as unchanged', () => {
+    const diff = diffLines('a\nb', 'a\nb');
+
+    expect(diffStats(diff)).toEqual({ added: 0, removed: 0, unchanged: 2 });
+  });
+
+  test('should use the published version when there is one', async () => {
+    getPublishedPrompt.mockResolvedValue({ id: 'version-uuid', version: 3, content: 'Published prompt' });
+
+    const prompt = await getActivePrompt('etg-writer');
+
+    expect(prompt).toEqual({
+      content: 'Published prompt', versionId: 'version-uuid', version: 3, source: 'database', experiment: null
+    });
+  });
+
+  test('should cache the published prompt until invalidated', async () => {
+    getPublishedPrompt.mockResolvedValue(null);
+
+    await getActivePrompt('etg-writer');
+    await getActivePrompt('etg-writer');
+    expect(getPublishedPrompt).toHaveBeenCalledTimes(1);
+
+    invalidatePromptCache('etg-writer');
+    await getActivePrompt('etg-writer');
+    expect(getPublishedPrompt).toHaveBeenCalledTimes(2);
+  });
+
+  test('should fall back to the prompt file when none is published or the database fails', async () => {
+    getPublishedPrompt.mockResolvedValueOnce(null);
+    expect(await getActivePrompt('bcafe-writer')).toEqual({
+      content: 'File prompt for bcafe-writer', versionId: null, version: null, source: 'file', experiment: null
+    });
+
+    invalidatePromptCache();
+    getPublishedPrompt.mockRejectedValueOnce(new Error('connection refused'));
+    expect((await getActivePrompt('bcafe-writer')).source).toBe('file');
+  });
+});
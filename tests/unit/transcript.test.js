@@ -0,0 +1,77 @@
+/**
+ * Agent Transcript Unit Tests
+ *
+ * Tests repair of tool_use/tool_result pairing in saved history
+ */
+
+import { repairToolSequence, isToolResultTurn } from '../../src/claude/transcript.js';
+
+const text = (role, value) => ({ role, content: [{ type: 'text', text: value }] });
+const toolUse = (id, name = 'get_deal_files') => ({ type: 'tool_use', id, name, input: {} });
+const toolResult = (id) => ({ type: 'tool_result', tool_use_id: id, content: '{"success":true}' });
+
+describe('Agent Transcript', () => {
+  test('should recognize tool_result turns', () => {
+    expect(isToolResultTurn({ role: 'user', content: [toolResult('toolu_1')] })).toBe(true);
+    expect(isToolResultTurn(text('user', 'Hello'))).toBe(false);
+  });
+
+  test('should keep a complete tool loop unchanged', () => {
+    const history = [
+      text('user', 'What files are on the Acme deal?'),
+      { role: 'assistant', content: [{ type: 'text', text: 'Checking.' }, toolUse('toolu_1')] },
+      { role: 'user', content: [toolResult('toolu_1')] },
+      text('assistant', 'There are 3 files.')
+    ];
+
+    expect(repairToolSequence(history)).toEqual(history);
+  });
+
+  test('should drop unanswered tool calls but keep their text', () => {
+    const history = [
+      text('user', 'Load the company context'),
+      { role: 'assistant', content: [{ type: 'text', text: 'Loading HubSpot data.' }, toolUse('toolu_1')] },
+      text('user', 'Never mind')
+    ];
+
+    const repaired = repairToolSequence(history);
+
+    expect(repaired).toHaveLength(3);
+    expect(repaired[1].content).toEqual([{ type: 'text', text: 'Loading HubSpot data.' }]);
+  });
+
+  test('should keep only the tool calls that have results', () => {
+    const history = [
+      text('user', 'Search HubSpot'),
+      { role: 'assistant', content: [toolUse('toolu_1'), toolUse('toolu_2')] },
+      { role: 'user', content: [toolResult('toolu_1')] },
+      text('assistant', 'Found one company.')
+    ];
+
+    const repaired = repairToolSequence(history);
+
+    expect(repaired[1].content).toEqual([toolUse('toolu_1')]);
+    expect(repaired[2].content).toEqual([toolResult('toolu_1')]);
+  });
+
+  test('should drop a tool-only turn and its orphaned results', () => {
+    const history = [
+      text('user', 'Search HubSpot'),
+      { role: 'assistant', content: [toolUse('toolu_1')] },
+      text('user', 'Try again'),
+      { role: 'user', content: [toolResult('toolu_1')] }
+    ];
+
+    expect(repairToolSequence(history)).toEqual([text('user', 'Search HubSpot'), text('user', 'Try again')]);
+  });
+
+  test('should drop tool results that answer no tool call', () => {
+    const history = [
+      text('user', 'Hi'),
+      { role: 'user', content: [toolResult('toolu_9')] },
+      text('assistant', 'Hello!')
+    ];
+
+    expect(repairToolSequence(history)).toEqual([text('user', 'Hi'), text('assistant', 'Hello!')]);
+  });
+});
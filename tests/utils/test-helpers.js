@@ -35,6 +35,7 @@ function generateTestConversationId(agentType) {
  * @param {string} options.task - Task type for grant-cards agent (optional)
  * @param {Array} options.files - File attachments (optional)
  * @param {number} options.timeout - Request timeout in ms
+ * @param {string} options.agentRun - Agent run recording to record/replay (server needs AGENT_FIXTURE_MODE)
  * @returns {Promise<Object>} Response object with content and metadata
  */
 async function sendMessageToAgent(agentType, message, options = {}) {
@@ -42,7 +43,8 @@ async function sendMessageToAgent(agentType, message, options = {}) {
     conversationId = generateTestConversationId(agentType),
     task = null,
     files = [],
-    timeout = DEFAULT_TIMEOUT
+    timeout = DEFAULT_TIMEOUT,
+    agentRun = null
   } = options;
 
   const endpoint = `${API_BASE_URL}/api/chat`;
@@ -67,11 +69,17 @@ async function sendMessageToAgent(agentType, message, options = {}) {
   const timeoutId = setTimeout(() => controller.abort(), timeout);
 
   try {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    if (agentRun) {
+      headers['X-Agent-Fixture'] = agentRun;
+    }
+
     const response = await fetch(endpoint, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
+      headers,
       body: JSON.stringify(body),
       signal: controller.signal
     });